@@ -0,0 +1,55 @@
+/**
+ * Turns error responses of the API into errors the notifications can show, using the
+ * `code` the server sends when it refuses a request (rate limits, quotas, size limits, invalid files)
+ */
+
+// Notification titles by error code
+const ERROR_TITLES = {
+  rate_limited: 'Slow Down',
+  too_many_analyses: 'Analysis Already Running',
+  server_busy: 'Server Busy',
+  payload_too_large: 'Upload Too Large',
+  invalid_file: 'Unsupported File',
+  quota_exceeded: 'Usage Limit Reached',
+  unauthorized: 'Sign In Required',
+  forbidden: 'Not Allowed',
+  invalid_analysis: 'Analysis Incomplete',
+  analysis_failed: 'Analysis Failed'
+};
+
+// Codes whose message gains a hint of how long to wait
+const WAIT_CODES = ['rate_limited', 'server_busy'];
+
+/**
+ * Describe a wait in words
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "about 5 minutes"
+ */
+function describeWait(seconds) {
+  if (seconds < 90) return `${Math.max(1, seconds)} seconds`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 90) return `about ${minutes} minutes`;
+  return `about ${Math.round(minutes / 60)} hours`;
+}
+
+/**
+ * Build an error from a failed API response
+ * @param {Response} response - The fetch response
+ * @returns {Promise<Error>} Error with `status`, `code`, `title` (null when the code is unknown) and `retryAfter` in seconds
+ */
+export async function readApiError(response) {
+  const body = await response.json().catch(() => ({}));
+  const retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+
+  let message = body.error || body.message || `Server responded with ${response.status}`;
+  if (retryAfter && WAIT_CODES.includes(body.code)) {
+    message += ` You can try again in ${describeWait(retryAfter)}.`;
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  error.code = body.code || null;
+  error.title = ERROR_TITLES[body.code] || null;
+  error.retryAfter = retryAfter;
+  return error;
+}
@@ -0,0 +1,136 @@
+/**
+ * Athlete profiles: loads, saves and deletes the signed-in user's athletes through /api/athletes and fills the athlete form
+ */
+import { createElement } from './report-view.js';
+
+const STORAGE_KEY = 'athleteId';
+
+/**
+ * Send a request to the athletes API
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object>} The response body
+ */
+async function requestJson(url, { body, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    ...(body && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    const error = new Error(result.error || `Server responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Fetch the athletes of the signed-in user, by name
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Array<Object>>} Athletes
+ */
+export async function fetchAthletes(signal) {
+  const body = await requestJson('/api/athletes', { signal });
+  return body.athletes;
+}
+
+/**
+ * Create an athlete, or update it when it has an id
+ * @param {Object} fields - Athlete fields from readAthleteForm
+ * @param {string} [id] - Id of the athlete to update
+ * @returns {Promise<Object>} The saved athlete
+ */
+export async function saveAthlete(fields, id) {
+  const body = await requestJson(id ? `/api/athletes/${encodeURIComponent(id)}` : '/api/athletes', {
+    method: id ? 'PUT' : 'POST',
+    body: fields
+  });
+  return body.athlete;
+}
+
+/**
+ * Delete an athlete
+ * @param {string} id - Athlete id
+ */
+export async function deleteAthlete(id) {
+  await requestJson(`/api/athletes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Id of the athlete the user picked last time
+ * @returns {string|null}
+ */
+export function getStoredAthleteId() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+/**
+ * Remember the picked athlete for the next visit
+ * @param {string|null} id - Athlete id, or null for no athlete
+ */
+export function storeAthleteId(id) {
+  if (id) {
+    localStorage.setItem(STORAGE_KEY, id);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Fill a <select> with the athletes, after a "no athlete" option, and select one
+ * @param {HTMLSelectElement} select - The athlete selector
+ * @param {Array<Object>} athletes - Athletes from fetchAthletes
+ * @param {string} [selectedId] - Athlete to select; no athlete when unknown
+ * @returns {Object|null} The selected athlete
+ */
+export function renderAthleteOptions(select, athletes, selectedId) {
+  select.innerHTML = '';
+  const none = createElement('option', '', 'No athlete profile');
+  none.value = '';
+  select.appendChild(none);
+
+  athletes.forEach(athlete => {
+    const option = createElement('option', '', athlete.name);
+    option.value = athlete.id;
+    select.appendChild(option);
+  });
+
+  const selected = athletes.find(athlete => athlete.id === selectedId) || null;
+  select.value = selected?.id || '';
+  return selected;
+}
+
+/**
+ * Read the athlete form; empty fields are sent as null so updates clear them
+ * @param {HTMLFormElement} form - The athlete form
+ * @returns {Object} Athlete fields
+ */
+export function readAthleteForm(form) {
+  const value = name => form.elements[name].value.trim() || null;
+  return {
+    name: value('name'),
+    heightCm: value('heightCm'),
+    legLengthCm: value('legLengthCm'),
+    weeklyMileage: value('weeklyMileage'),
+    mileageUnit: form.elements.mileageUnit.value,
+    shoeType: value('shoeType'),
+    goalRace: value('goalRace'),
+    injuryHistory: form.elements.injuryHistory.value.split('\n').map(line => line.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Fill the athlete form with an athlete, or clear it for a new one
+ * @param {HTMLFormElement} form - The athlete form
+ * @param {Object|null} athlete - Athlete to edit
+ */
+export function fillAthleteForm(form, athlete) {
+  ['name', 'heightCm', 'legLengthCm', 'weeklyMileage', 'shoeType', 'goalRace'].forEach(name => {
+    form.elements[name].value = athlete?.[name] ?? '';
+  });
+  form.elements.mileageUnit.value = athlete?.mileageUnit || 'km';
+  form.elements.injuryHistory.value = (athlete?.injuryHistory || []).join('\n');
+}
@@ -0,0 +1,134 @@
+/**
+ * Accounts: sign-in with a password or a magic link, sign-out, preferences and API tokens, through /api/auth
+ */
+import { createElement } from './report-view.js';
+
+/**
+ * Send a request to the auth API
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object>} The response body
+ */
+async function requestJson(url, { body, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    ...(body && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    const error = new Error(result.error || `Server responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Fetch the signed-in user
+ * @returns {Promise<Object|null>} The user, or null when nobody is signed in
+ */
+export async function fetchCurrentUser() {
+  try {
+    const body = await requestJson('/api/auth/me');
+    return body.user;
+  } catch (error) {
+    if (error.status === 401) return null;
+    throw error;
+  }
+}
+
+/**
+ * Sign in with email and password
+ * @returns {Promise<Object>} The user
+ */
+export async function signIn(email, password) {
+  const body = await requestJson('/api/auth/login', { method: 'POST', body: { email, password } });
+  return body.user;
+}
+
+/**
+ * Create an account with a password and sign in
+ * @returns {Promise<Object>} The user
+ */
+export async function register(email, password) {
+  const body = await requestJson('/api/auth/register', { method: 'POST', body: { email, password } });
+  return body.user;
+}
+
+/**
+ * Ask for a sign-in link by email
+ * @param {string} email - Email address
+ * @returns {Promise<string>} Message to show the user
+ */
+export async function requestMagicLink(email) {
+  const body = await requestJson('/api/auth/magic-link', { method: 'POST', body: { email } });
+  return body.message;
+}
+
+export async function signOut() {
+  await requestJson('/api/auth/logout', { method: 'POST' });
+}
+
+/**
+ * Save the signed-in user's frame extraction settings
+ * @param {Object} extraction - `frameRate`, `maxWidth`, `quality` and `autoCrop`; null for the default
+ * @returns {Promise<Object>} The user, with the saved `preferences`
+ */
+export async function saveExtractionPreferences(extraction) {
+  const body = await requestJson('/api/auth/preferences/extraction', { method: 'PUT', body: extraction });
+  return body.user;
+}
+
+/**
+ * List the API tokens of the signed-in user
+ * @returns {Promise<Array<Object>>} Tokens (without the secret)
+ */
+export async function fetchApiTokens() {
+  const body = await requestJson('/api/auth/tokens');
+  return body.tokens;
+}
+
+/**
+ * Create an API token
+ * @param {string} name - What the token is for
+ * @returns {Promise<string>} The token, which cannot be shown again
+ */
+export async function createApiToken(name) {
+  const body = await requestJson('/api/auth/tokens', { method: 'POST', body: { name } });
+  return body.token;
+}
+
+export async function revokeApiToken(id) {
+  await requestJson(`/api/auth/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Renders the API tokens with a revoke button each
+ * @param {HTMLElement} container - Element to render into (e.g. #apiTokenList)
+ * @param {Array<Object>} tokens - Tokens from fetchApiTokens
+ * @param {Function} onRevoke - Called with the token when its revoke button is clicked
+ */
+export function renderApiTokens(container, tokens, onRevoke) {
+  container.innerHTML = '';
+  if (!tokens.length) {
+    container.appendChild(createElement('li', 'text-sm text-gray-500', 'No API tokens yet'));
+    return;
+  }
+
+  tokens.forEach(token => {
+    const item = createElement('li', 'flex items-center justify-between text-sm');
+    const details = createElement('div', 'min-w-0');
+    details.appendChild(createElement('p', 'font-medium text-gray-900 truncate', token.name));
+    const lastUsed = token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used';
+    details.appendChild(createElement('p', 'text-xs text-gray-500', `Created ${new Date(token.createdAt).toLocaleDateString()} · ${lastUsed}`));
+    item.appendChild(details);
+
+    const revokeBtn = createElement('button', 'text-red-600 hover:text-red-800 ml-3', 'Revoke');
+    revokeBtn.type = 'button';
+    revokeBtn.addEventListener('click', () => onRevoke(token));
+    item.appendChild(revokeBtn);
+    container.appendChild(item);
+  });
+}
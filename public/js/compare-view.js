@@ -0,0 +1,215 @@
+/**
+ * Renders session comparisons returned by /api/compare
+ */
+import { createElement, createScoreBadge } from './report-view.js';
+
+// Time each matched frame pair stays on screen during playback
+const PLAYBACK_INTERVAL_MS = 1500;
+
+const TREND_STYLES = {
+  improved: { label: 'Improved', className: 'bg-green-100 text-green-700' },
+  regressed: { label: 'Got worse', className: 'bg-red-100 text-red-700' },
+  unchanged: { label: 'No change', className: 'bg-gray-100 text-gray-700' }
+};
+
+/**
+ * Formats a score change as "+1.5" / "-0.5" / "±0"
+ * @param {number|null} delta - Score change
+ * @returns {string} Formatted change
+ */
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) return 'n/a';
+  if (delta === 0) return '±0';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Creates a titled bullet list, or nothing when there are no items
+ * @param {string} title - List heading
+ * @param {Array<string>} items - List items
+ * @param {string} className - Heading color classes
+ * @returns {HTMLElement|null} The list block
+ */
+function createNotes(title, items, className) {
+  if (!items || !items.length) return null;
+
+  const block = createElement('div', 'mb-2');
+  block.appendChild(createElement('h4', `text-sm font-semibold mb-1 ${className}`, title));
+  const list = createElement('ul', 'list-disc pl-5 text-gray-700 text-sm space-y-1');
+  items.forEach(item => list.appendChild(createElement('li', '', item)));
+  block.appendChild(list);
+
+  return block;
+}
+
+/**
+ * Renders the diff of one category
+ * @param {Object} category - Comparison category
+ * @returns {HTMLElement} The section element
+ */
+function renderCategoryDiff(category) {
+  const section = createElement('section', 'bg-white rounded-lg border border-gray-200 p-4 mb-4');
+  section.dataset.category = category.id;
+
+  const header = createElement('div', 'flex items-center justify-between mb-3');
+  header.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900', category.name));
+
+  const trend = TREND_STYLES[category.trend] || TREND_STYLES.unchanged;
+  const scores = createElement('div', 'flex items-center gap-2 text-sm');
+  scores.appendChild(createElement('span', 'text-gray-500', `${category.baselineScore} → ${category.followUpScore}`));
+  scores.appendChild(createElement('span', `font-semibold px-2 py-1 rounded ${trend.className}`,
+    `${trend.label} (${formatDelta(category.delta)})`));
+  header.appendChild(scores);
+  section.appendChild(header);
+
+  [
+    createNotes('Got better', category.improved, 'text-green-700'),
+    createNotes('Got worse', category.regressed, 'text-red-700'),
+    createNotes('Stayed the same', category.unchanged, 'text-gray-700')
+  ].filter(Boolean).forEach(block => section.appendChild(block));
+
+  return section;
+}
+
+/**
+ * Creates one side of the side-by-side frame view
+ * @param {string} title - Session label
+ * @returns {{panel: HTMLElement, image: HTMLImageElement, caption: HTMLElement}} Panel elements
+ */
+function createFramePanel(title) {
+  const panel = createElement('div', 'flex-1 min-w-0');
+  panel.appendChild(createElement('p', 'text-xs font-semibold text-gray-500 uppercase mb-1', title));
+  const image = createElement('img', 'w-full h-48 object-contain bg-gray-900 rounded');
+  const caption = createElement('p', 'text-xs text-gray-600 mt-1');
+  panel.append(image, caption);
+  return { panel, image, caption };
+}
+
+/**
+ * Renders the matched frames of both sessions side by side with a frame
+ * scrubber and playback controls
+ * @param {Array<Object>} matchedFrames - Frame pairs from the comparison
+ * @param {Object<string, string>} categoryNames - Category name keyed by id
+ * @returns {HTMLElement|null} The scrubber block, or nothing without matched frames
+ */
+function renderMatchedFrames(matchedFrames, categoryNames) {
+  if (!matchedFrames.length) return null;
+
+  const block = createElement('div', 'bg-white rounded-lg border border-gray-200 p-4 mb-6');
+  block.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-3', 'Matched Frames'));
+
+  const frames = createElement('div', 'flex gap-4');
+  const baseline = createFramePanel('Baseline');
+  const followUp = createFramePanel('Follow-up');
+  frames.append(baseline.panel, followUp.panel);
+  block.appendChild(frames);
+
+  const label = createElement('p', 'text-sm font-medium text-gray-800 mt-3 text-center');
+  block.appendChild(label);
+
+  // Paired thumbnails, styled like the upload frame scrubber
+  const strip = createElement('div', 'flex gap-1 h-14 mt-3 overflow-x-auto');
+  const thumbnails = matchedFrames.map((pair, index) => {
+    const thumbnail = createElement('div', 'frame-thumbnail rounded');
+    thumbnail.style.backgroundImage = `url("${pair.followUp.url}")`;
+    thumbnail.title = categoryNames[pair.category] || `Frame pair ${index + 1}`;
+    thumbnail.addEventListener('click', () => {
+      stop();
+      show(index);
+    });
+    strip.appendChild(thumbnail);
+    return thumbnail;
+  });
+  block.appendChild(strip);
+
+  const controls = createElement('div', 'flex items-center justify-center gap-3 mt-3');
+  const prevButton = createElement('button', 'text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded-md', 'Previous');
+  const playButton = createElement('button', 'text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 px-3 py-1.5 rounded-md', 'Play');
+  const nextButton = createElement('button', 'text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded-md', 'Next');
+  [prevButton, playButton, nextButton].forEach(button => { button.type = 'button'; });
+  controls.append(prevButton, playButton, nextButton);
+  block.appendChild(controls);
+
+  let current = 0;
+  let timer = null;
+
+  function show(index) {
+    current = (index + matchedFrames.length) % matchedFrames.length;
+    const pair = matchedFrames[current];
+
+    [[baseline, pair.baseline], [followUp, pair.followUp]].forEach(([view, frame]) => {
+      view.image.src = frame.url;
+      view.image.alt = `Frame ${frame.frameNumber ?? ''} at ${frame.timestamp ?? 'unknown time'}`;
+      view.caption.textContent = [frame.timestamp, frame.finding].filter(Boolean).join(' · ');
+    });
+    label.textContent = `${categoryNames[pair.category] || 'Frame pair'} (${current + 1} of ${matchedFrames.length})`;
+    thumbnails.forEach((thumbnail, i) => thumbnail.classList.toggle('selected', i === current));
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    playButton.textContent = 'Play';
+  }
+
+  prevButton.addEventListener('click', () => {
+    stop();
+    show(current - 1);
+  });
+  nextButton.addEventListener('click', () => {
+    stop();
+    show(current + 1);
+  });
+  playButton.addEventListener('click', () => {
+    if (timer) return stop();
+    playButton.textContent = 'Pause';
+    timer = setInterval(() => {
+      // Stop once the view has been replaced (e.g. by a new analysis)
+      if (!block.isConnected) return stop();
+      show(current + 1);
+    }, PLAYBACK_INTERVAL_MS);
+  });
+
+  show(0);
+  return block;
+}
+
+/**
+ * Renders a session comparison into a container
+ * @param {HTMLElement} container - Element to render into (e.g. #analysisContent)
+ * @param {Object} comparison - The `analysis` object returned by /api/compare
+ */
+export function renderComparison(container, comparison) {
+  container.innerHTML = '';
+
+  const summary = createElement('div', 'flex items-start justify-between mb-6');
+  const overview = createElement('div', 'pr-4');
+  overview.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-1', 'Session Comparison'));
+  overview.appendChild(createElement('p', 'text-gray-700', comparison.summary));
+  overview.appendChild(createElement(
+    'p',
+    'text-xs text-gray-500 mt-2',
+    `Baseline: ${new Date(comparison.baseline.createdAt).toLocaleString()} · ` +
+    `Follow-up: ${new Date(comparison.followUp.createdAt).toLocaleString()}`
+  ));
+  summary.appendChild(overview);
+
+  const scores = createElement('div', 'flex items-center gap-2 flex-shrink-0');
+  scores.appendChild(createScoreBadge(comparison.baseline.overallScore));
+  scores.appendChild(createElement('span', 'text-gray-400', '→'));
+  scores.appendChild(createScoreBadge(comparison.followUp.overallScore));
+  summary.appendChild(scores);
+  container.appendChild(summary);
+
+  const categoryNames = Object.fromEntries(comparison.categories.map(category => [category.id, category.name]));
+  const frames = renderMatchedFrames(comparison.matchedFrames, categoryNames);
+  if (frames) container.appendChild(frames);
+
+  comparison.categories.forEach(category => container.appendChild(renderCategoryDiff(category)));
+
+  container.appendChild(createElement(
+    'p',
+    'text-xs text-gray-400 text-right',
+    `Comparison schema v${comparison.schemaVersion} · overall change ${formatDelta(comparison.overallDelta)}`
+  ));
+}
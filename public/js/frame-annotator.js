@@ -0,0 +1,277 @@
+/**
+ * Draws the pose skeleton, joint angles and issue highlights over analyzed frames.
+ *
+ * Landmarks are the [x, y, visibility] triples stored with each analyzed frame
+ * (see packLandmarks in gait-metrics.js), with x/y normalized to the frame.
+ */
+import { LANDMARKS, angleAt } from './gait-metrics.js';
+
+// Bones of the skeleton (face and hands are left out)
+const BONES = [
+  ['LEFT_SHOULDER', 'RIGHT_SHOULDER'],
+  ['LEFT_HIP', 'RIGHT_HIP'],
+  ...['LEFT', 'RIGHT'].flatMap(side => [
+    [`${side}_SHOULDER`, `${side}_HIP`],
+    [`${side}_SHOULDER`, `${side}_ELBOW`],
+    [`${side}_ELBOW`, `${side}_WRIST`],
+    [`${side}_HIP`, `${side}_KNEE`],
+    [`${side}_KNEE`, `${side}_ANKLE`],
+    [`${side}_ANKLE`, `${side}_HEEL`],
+    [`${side}_HEEL`, `${side}_FOOT_INDEX`],
+    [`${side}_ANKLE`, `${side}_FOOT_INDEX`]
+  ])
+];
+
+const COLORS = {
+  LEFT: '#38bdf8',
+  RIGHT: '#facc15',
+  center: '#e5e7eb',
+  highlight: '#ef4444'
+};
+
+// Landmarks below this visibility are not drawn
+const MIN_VISIBILITY = 0.5;
+
+// Line widths and fonts are sized for frames of this width and scaled from there
+const BASE_WIDTH = 320;
+
+/**
+ * Load an image
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} The decoded image
+ */
+async function loadImage(src) {
+  const image = new Image();
+  image.src = src;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Convert landmarks to canvas pixels, keyed by landmark name
+ * @param {Array<Array<number>>} landmarks - [x, y, visibility] per keypoint
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object<string, {x: number, y: number}>} Visible points
+ */
+function toPixels(landmarks, width, height) {
+  const points = {};
+  for (const [name, index] of Object.entries(LANDMARKS)) {
+    const landmark = landmarks[index];
+    if (landmark && landmark[2] >= MIN_VISIBILITY) {
+      points[name] = { x: landmark[0] * width, y: landmark[1] * height };
+    }
+  }
+  return points;
+}
+
+function midpoint(a, b) {
+  if (!a || !b) return a || b;
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function drawLine(ctx, from, to, color, width, dashed = false) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  if (dashed) ctx.setLineDash([width * 3, width * 2]);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawCircle(ctx, center, radius, color, width) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw a text label on a dark background so it stays readable on any frame
+ */
+function drawLabel(ctx, text, position, color, scale) {
+  ctx.save();
+  ctx.font = `${Math.round(10 * scale)}px sans-serif`;
+  const padding = 2 * scale;
+  const textWidth = ctx.measureText(text).width;
+  const height = 12 * scale;
+  const x = Math.min(Math.max(position.x, 0), ctx.canvas.width - textWidth - padding * 2);
+  const y = Math.min(Math.max(position.y, 0), ctx.canvas.height - height);
+
+  ctx.fillStyle = 'rgba(17, 24, 39, 0.75)';
+  ctx.fillRect(x, y, textWidth + padding * 2, height);
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x + padding, y + height / 2);
+  ctx.restore();
+}
+
+/**
+ * Draw the skeleton and the elbow and knee angles
+ */
+function drawSkeleton(ctx, points, scale) {
+  for (const [from, to] of BONES) {
+    if (!points[from] || !points[to]) continue;
+    const side = from.split('_')[0];
+    const color = side === to.split('_')[0] ? COLORS[side] : COLORS.center;
+    drawLine(ctx, points[from], points[to], color, 2 * scale);
+  }
+
+  for (const point of Object.values(points)) {
+    ctx.fillStyle = COLORS.center;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 2.5 * scale, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  for (const side of ['LEFT', 'RIGHT']) {
+    for (const [a, joint, c] of [['SHOULDER', 'ELBOW', 'WRIST'], ['HIP', 'KNEE', 'ANKLE']]) {
+      const [pa, pb, pc] = [a, joint, c].map(name => points[`${side}_${name}`]);
+      if (!pa || !pb || !pc) continue;
+      drawLabel(ctx, `${Math.round(angleAt(pa, pb, pc))}°`, { x: pb.x + 5 * scale, y: pb.y - 6 * scale }, COLORS[side], scale);
+    }
+  }
+}
+
+// Lowest foot point (heel, toes or ankle) of the lower foot: the one that can be on the ground
+function groundFoot(points) {
+  const feet = ['LEFT', 'RIGHT']
+    .map(side => ['HEEL', 'FOOT_INDEX', 'ANKLE']
+      .map(name => points[`${side}_${name}`])
+      .filter(Boolean)
+      .reduce((lowest, point) => (!lowest || point.y > lowest.y ? point : lowest), null))
+    .filter(Boolean);
+  return feet.reduce((lowest, point) => (!lowest || point.y > lowest.y ? point : lowest), null);
+}
+
+/**
+ * Posture: the trunk line against the vertical
+ */
+function highlightTrunk(ctx, points, metrics, scale) {
+  const shoulders = midpoint(points.LEFT_SHOULDER, points.RIGHT_SHOULDER);
+  const hips = midpoint(points.LEFT_HIP, points.RIGHT_HIP);
+  if (!shoulders || !hips) return;
+
+  const length = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  drawLine(ctx, hips, { x: hips.x, y: hips.y - length }, COLORS.center, 1.5 * scale, true);
+  drawLine(ctx, hips, shoulders, COLORS.highlight, 3 * scale);
+  if (metrics.trunkLean !== undefined) {
+    drawLabel(ctx, `Lean ${metrics.trunkLean}°`, { x: shoulders.x + 6 * scale, y: shoulders.y }, COLORS.highlight, scale);
+  }
+}
+
+/**
+ * Arm mechanics: both arms with the elbows circled
+ */
+function highlightArms(ctx, points, metrics, scale) {
+  for (const side of ['LEFT', 'RIGHT']) {
+    const shoulder = points[`${side}_SHOULDER`];
+    const elbow = points[`${side}_ELBOW`];
+    const wrist = points[`${side}_WRIST`];
+    if (!elbow) continue;
+    if (shoulder) drawLine(ctx, shoulder, elbow, COLORS.highlight, 3 * scale);
+    if (wrist) drawLine(ctx, elbow, wrist, COLORS.highlight, 3 * scale);
+    drawCircle(ctx, elbow, 8 * scale, COLORS.highlight, 2 * scale);
+  }
+}
+
+/**
+ * Knee drive: the higher thigh against straight down
+ */
+function highlightKneeDrive(ctx, points, metrics, scale) {
+  const thighs = ['LEFT', 'RIGHT']
+    .map(side => ({ hip: points[`${side}_HIP`], knee: points[`${side}_KNEE`] }))
+    .filter(({ hip, knee }) => hip && knee);
+  if (!thighs.length) return;
+
+  const { hip, knee } = thighs.reduce((higher, thigh) => (thigh.knee.y < higher.knee.y ? thigh : higher));
+  const length = Math.hypot(knee.x - hip.x, knee.y - hip.y);
+  drawLine(ctx, hip, { x: hip.x, y: hip.y + length }, COLORS.center, 1.5 * scale, true);
+  drawLine(ctx, hip, knee, COLORS.highlight, 3 * scale);
+  if (metrics.kneeDrive !== undefined) {
+    drawLabel(ctx, `Knee drive ${metrics.kneeDrive}°`, { x: knee.x + 6 * scale, y: knee.y }, COLORS.highlight, scale);
+  }
+}
+
+/**
+ * Foot strike: a line from the landing foot to the hips, with the hips'
+ * vertical dropped to the ground to show how far ahead the foot lands
+ */
+function highlightFootStrike(ctx, points, metrics, scale) {
+  const hips = midpoint(points.LEFT_HIP, points.RIGHT_HIP);
+  const foot = groundFoot(points);
+  if (!hips || !foot) return;
+
+  drawLine(ctx, hips, { x: hips.x, y: foot.y }, COLORS.center, 1.5 * scale, true);
+  drawLine(ctx, hips, foot, COLORS.highlight, 3 * scale);
+  drawLine(ctx, { x: hips.x, y: foot.y }, foot, COLORS.highlight, 2 * scale);
+  drawCircle(ctx, foot, 6 * scale, COLORS.highlight, 2 * scale);
+  if (metrics.footOffset !== undefined) {
+    drawLabel(ctx, `${metrics.footOffset} leg lengths ahead`, { x: foot.x, y: foot.y - 18 * scale }, COLORS.highlight, scale);
+  }
+}
+
+/**
+ * Efficiency: a level line through the hips to judge bounce against
+ */
+function highlightHipHeight(ctx, points, metrics, scale) {
+  const hips = midpoint(points.LEFT_HIP, points.RIGHT_HIP);
+  if (!hips) return;
+
+  drawLine(ctx, { x: 0, y: hips.y }, { x: ctx.canvas.width, y: hips.y }, COLORS.highlight, 2 * scale, true);
+  drawCircle(ctx, hips, 6 * scale, COLORS.highlight, 2 * scale);
+}
+
+// Highlight drawn for a finding: the first entry matching its category (and text, if given);
+// categories without an entry only get the skeleton
+const HIGHLIGHTS = [
+  { category: 'posture', draw: highlightTrunk },
+  { category: 'arm_mechanics', draw: highlightArms },
+  { category: 'leg_mechanics', pattern: /knee/i, draw: highlightKneeDrive },
+  { category: 'leg_mechanics', draw: highlightFootStrike },
+  { category: 'efficiency', draw: highlightHipHeight },
+  // Sprinting and race walking categories
+  { category: 'ground_contact', draw: highlightFootStrike },
+  { category: 'hip_action', draw: highlightHipHeight }
+];
+
+/**
+ * Draw a frame with its skeleton, joint angles and a highlight for each finding
+ * @param {string} src - Frame image URL (data URL or thumbnail URL)
+ * @param {Object} [options]
+ * @param {Array<Array<number>>} [options.landmarks] - Pose landmarks; without them only the frame is drawn
+ * @param {Object} [options.metrics] - Metrics measured in the frame, used for the highlight labels
+ * @param {Array<{category: string, finding: string}>} [options.findings] - Issues the report mentions in the frame
+ * @returns {Promise<HTMLCanvasElement>} The annotated frame
+ */
+export async function annotateFrame(src, { landmarks, metrics = {}, findings = [] } = {}) {
+  const image = await loadImage(src);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  if (!landmarks) return canvas;
+
+  const scale = canvas.width / BASE_WIDTH;
+  const points = toPixels(landmarks, canvas.width, canvas.height);
+  drawSkeleton(ctx, points, scale);
+
+  // Draw each highlight once, even when several findings share it
+  const highlights = new Set(findings
+    .map(({ category, finding }) => HIGHLIGHTS.find(highlight => highlight.category === category &&
+      (!highlight.pattern || highlight.pattern.test(finding))))
+    .filter(Boolean));
+  highlights.forEach(({ draw }) => draw(ctx, points, metrics, scale));
+
+  return canvas;
+}
@@ -0,0 +1,256 @@
+/**
+ * Frame quality gate.
+ *
+ * Scores each extracted frame before it is uploaded: its sharpness (the
+ * variance of the Laplacian of a small grayscale copy), how much it differs
+ * from the previous kept frame, and whether pose estimation found the runner.
+ * Blurry frames, repeats of the previous frame and frames without the runner
+ * are billed like any other but tell the model nothing, so they are excluded.
+ */
+import { createElement } from './report-view.js';
+import { LANDMARKS } from './gait-metrics.js';
+import { loadImage } from './pose-utils.js';
+
+// Why a frame was excluded, as shown in the frame strip
+export const EXCLUSION_REASONS = {
+  no_subject: 'No runner',
+  blurry: 'Blurry',
+  duplicate: 'Duplicate'
+};
+
+// Frames are scored on a grayscale copy this wide
+const SAMPLE_WIDTH = 160;
+// Sharpness below this share of the clip's median counts as blurry
+const BLUR_RATIO = 0.35;
+// Mean absolute brightness difference (0-1) below which a frame repeats the previous one
+const DUPLICATE_DIFFERENCE = 0.005;
+// Body landmarks that have to be visible for the runner to count as present
+const BODY_LANDMARKS = [
+  LANDMARKS.LEFT_SHOULDER,
+  LANDMARKS.RIGHT_SHOULDER,
+  LANDMARKS.LEFT_HIP,
+  LANDMARKS.RIGHT_HIP,
+  LANDMARKS.LEFT_KNEE,
+  LANDMARKS.RIGHT_KNEE,
+  LANDMARKS.LEFT_ANKLE,
+  LANDMARKS.RIGHT_ANKLE
+];
+const MIN_BODY_LANDMARKS = 4;
+const MIN_VISIBILITY = 0.5;
+// With fewer frames left the gate is not applied, so a hard clip is still analyzed
+const MIN_KEPT_FRAMES = 3;
+
+/**
+ * Draw a frame into a small grayscale buffer
+ * @param {string|Blob} frame - Frame as a data URL or Blob
+ * @returns {Promise<{data: Float32Array, width: number, height: number}>} Brightness 0-1 per pixel
+ */
+async function grayscale(frame) {
+  const image = await loadImage(frame);
+  const width = Math.min(SAMPLE_WIDTH, image.naturalWidth);
+  const height = Math.max(1, Math.round(width * image.naturalHeight / image.naturalWidth));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+
+  const { data: rgba } = ctx.getImageData(0, 0, width, height);
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]) / 255;
+  }
+  return { data, width, height };
+}
+
+/**
+ * Sharpness of a grayscale image: the variance of its 4-neighbour Laplacian.
+ * Motion blur smooths edges, which lowers it.
+ * @param {{data: Float32Array, width: number, height: number}} image - From grayscale
+ * @returns {number} Variance (times 10^4, so typical values read as whole numbers)
+ */
+export function laplacianVariance({ data, width, height }) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += value;
+      sumOfSquares += value * value;
+      count++;
+    }
+  }
+  if (!count) return 0;
+  const mean = sum / count;
+  return (sumOfSquares / count - mean * mean) * 1e4;
+}
+
+/**
+ * Mean absolute brightness difference of two grayscale images of the same size
+ * @returns {number} Between 0 (identical) and 1; Infinity when the sizes differ
+ */
+export function meanDifference(a, b) {
+  if (a.width !== b.width || a.height !== b.height) return Infinity;
+  let total = 0;
+  for (let i = 0; i < a.data.length; i++) {
+    total += Math.abs(a.data[i] - b.data[i]);
+  }
+  return total / a.data.length;
+}
+
+/**
+ * Whether pose estimation found the runner: enough of the shoulders, hips, knees and ankles are visible
+ * @param {Array<Object>|null} landmarks - Pose landmarks of the frame
+ * @returns {boolean}
+ */
+export function hasSubject(landmarks) {
+  if (!landmarks) return false;
+  const visible = BODY_LANDMARKS.filter(index => (landmarks[index]?.visibility ?? 1) >= MIN_VISIBILITY);
+  return visible.length >= MIN_BODY_LANDMARKS;
+}
+
+/**
+ * Measure the frames the gate scores
+ * @param {Array<string|Blob>} frames - Frames as data URLs or Blobs
+ * @returns {Promise<Array<{image: Object, sharpness: number}>>} The grayscale copy and sharpness of each frame
+ */
+export async function measureFrames(frames) {
+  const measurements = [];
+  for (const frame of frames) {
+    const image = await grayscale(frame);
+    measurements.push({ image, sharpness: laplacianVariance(image) });
+  }
+  return measurements;
+}
+
+/**
+ * Sharpness a frame needs not to count as blurry: a share of the median of the clip,
+ * as the sharpness of a scene depends on its content and resolution
+ * @param {Array<{sharpness: number}>} measurements - From measureFrames
+ * @returns {number}
+ */
+export function blurThreshold(measurements) {
+  const values = measurements.map(({ sharpness }) => sharpness).sort((a, b) => a - b);
+  if (!values.length) return 0;
+  return values[Math.floor(values.length / 2)] * BLUR_RATIO;
+}
+
+/**
+ * Decide which frames to keep. A frame is excluded when pose estimation ran but found
+ * no runner, when it is blurry, or when it barely differs from the previous kept frame,
+ * in that order. When fewer than three frames would be left, all are kept.
+ * @param {Array<{image: Object, sharpness: number}>} measurements - From measureFrames, in video order
+ * @param {Object} [options]
+ * @param {Array<Array<Object>|null>} [options.poses] - Landmarks per frame; without them presence is not checked
+ * @param {number} [options.threshold] - Sharpness needed (defaults to blurThreshold of the measurements)
+ * @returns {Array<{sharpness: number, difference: number|null, subject: boolean|null, reason: string|null}>}
+ *   Per frame; `reason` is a key of EXCLUSION_REASONS, or null for kept frames
+ */
+export function assessFrames(measurements, { poses, threshold = blurThreshold(measurements) } = {}) {
+  let previous = null;
+  const assessments = measurements.map(({ image, sharpness }, index) => {
+    const subject = poses ? hasSubject(poses[index]) : null;
+    const difference = previous ? meanDifference(image, previous.image) : null;
+
+    let reason = null;
+    if (subject === false) reason = 'no_subject';
+    else if (sharpness < threshold) reason = 'blurry';
+    else if (difference !== null && difference < DUPLICATE_DIFFERENCE) reason = 'duplicate';
+
+    if (!reason) previous = { image };
+    return {
+      sharpness: Math.round(sharpness),
+      difference: difference === null || !Number.isFinite(difference) ? null : Number(difference.toFixed(4)),
+      subject,
+      reason
+    };
+  });
+
+  const kept = assessments.filter(assessment => !assessment.reason).length;
+  if (kept < Math.min(MIN_KEPT_FRAMES, assessments.length)) {
+    return assessments.map(assessment => ({ ...assessment, reason: null }));
+  }
+  return assessments;
+}
+
+/**
+ * Describe why a frame was excluded
+ * @param {Object} entry - Frame strip entry (see renderFrameQuality)
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  const time = `${entry.time.toFixed(2)}s`;
+  if (entry.replacement) {
+    return `${time}: ${EXCLUSION_REASONS[entry.reason].toLowerCase()}, replaced by the frame at ${entry.replacement.time.toFixed(2)}s`;
+  }
+  if (entry.reason) {
+    return `${time}: excluded, ${EXCLUSION_REASONS[entry.reason].toLowerCase()}` +
+      (entry.reason === 'blurry' ? ` (sharpness ${entry.sharpness})` : '');
+  }
+  return `${time}: sent for analysis`;
+}
+
+/**
+ * Renders the frames of a clip as a strip, with the excluded ones dimmed and labeled
+ * with the reason. Clicking a frame shows it larger with its verdict.
+ * @param {Array<Object>} entries - One per extracted frame: `frame` (data URL), `time`, the
+ *   assessment fields and `replacement` ({ frame, time }) when another frame took its place
+ * @param {string} [title='Frame Quality'] - Heading, e.g. naming the clip
+ * @returns {HTMLElement|null} The strip block, or nothing without entries
+ */
+export function renderFrameQuality(entries, title = 'Frame Quality') {
+  if (!entries.length) return null;
+
+  const block = createElement('div', 'bg-white rounded-lg border border-gray-200 p-4 mt-6');
+  block.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-1', title));
+
+  const counts = {};
+  entries.filter(entry => entry.reason).forEach(entry => {
+    counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+  });
+  const replaced = entries.filter(entry => entry.replacement).length;
+  const sent = entries.filter(entry => !entry.reason || entry.replacement).length;
+  const details = Object.entries(counts).map(([reason, count]) => `${count} ${EXCLUSION_REASONS[reason].toLowerCase()}`);
+  if (replaced) details.push(`${replaced} replaced`);
+  block.appendChild(createElement(
+    'p',
+    'text-sm text-gray-600 mb-3',
+    `${sent} of ${entries.length} frames sent${details.length ? ` · ${details.join(', ')}` : ''}`
+  ));
+
+  const image = createElement('img', 'w-full max-h-72 object-contain rounded bg-black');
+  const caption = createElement('p', 'text-xs text-gray-600 mt-1 mb-3');
+  block.append(image, caption);
+
+  // Thumbnails, styled like the upload frame scrubber
+  const strip = createElement('div', 'flex gap-1 h-14 overflow-x-auto');
+  const thumbnails = entries.map((entry, index) => {
+    const thumbnail = createElement('div', 'frame-thumbnail rounded relative flex-shrink-0');
+    thumbnail.style.backgroundImage = `url("${entry.replacement?.frame || entry.frame}")`;
+    thumbnail.title = describeEntry(entry);
+    if (entry.reason) {
+      const label = entry.replacement ? 'Replaced' : EXCLUSION_REASONS[entry.reason];
+      const color = entry.replacement ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-700';
+      if (!entry.replacement) thumbnail.classList.add('opacity-50');
+      thumbnail.appendChild(createElement('span', `absolute bottom-0 left-0 right-0 text-center text-xs leading-tight ${color}`, label));
+    }
+    thumbnail.addEventListener('click', () => show(index));
+    strip.appendChild(thumbnail);
+    return thumbnail;
+  });
+  block.appendChild(strip);
+
+  function show(index) {
+    const entry = entries[index];
+    image.src = entry.frame;
+    image.alt = `Frame at ${entry.time.toFixed(2)}s`;
+    caption.textContent = describeEntry(entry);
+    thumbnails.forEach((thumbnail, i) => thumbnail.classList.toggle('selected', i === index));
+  }
+
+  // Start at the first excluded frame, which is what the strip is for
+  show(Math.max(0, entries.findIndex(entry => entry.reason)));
+  return block;
+}
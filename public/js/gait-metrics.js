@@ -0,0 +1,524 @@
+/**
+ * Gait metrics computed from pose landmarks.
+ *
+ * Landmarks follow the MediaPipe Pose (BlazePose) layout: 33 points with
+ * x/y normalized to the frame (y pointing down) and a `visibility` score.
+ * Everything here is pure so it can run on any set of estimated poses.
+ */
+
+// Landmark indices used by the metrics
+export const LANDMARKS = {
+  NOSE: 0,
+  LEFT_SHOULDER: 11,
+  RIGHT_SHOULDER: 12,
+  LEFT_ELBOW: 13,
+  RIGHT_ELBOW: 14,
+  LEFT_WRIST: 15,
+  RIGHT_WRIST: 16,
+  LEFT_HIP: 23,
+  RIGHT_HIP: 24,
+  LEFT_KNEE: 25,
+  RIGHT_KNEE: 26,
+  LEFT_ANKLE: 27,
+  RIGHT_ANKLE: 28,
+  LEFT_HEEL: 29,
+  RIGHT_HEEL: 30,
+  LEFT_FOOT_INDEX: 31,
+  RIGHT_FOOT_INDEX: 32
+};
+
+// Display label, unit and statistic of each summary metric
+export const GAIT_METRIC_LABELS = {
+  elbowAngle: { label: 'Elbow angle', unit: '°', stat: 'average' },
+  trunkLean: { label: 'Trunk lean', unit: '°', stat: 'average, forward positive' },
+  kneeDrive: { label: 'Knee drive', unit: '°', stat: 'peak thigh angle' },
+  footStrike: { label: 'Foot strike ahead of hips', unit: ' leg lengths', stat: 'average at contact' },
+  verticalOscillation: { label: 'Vertical oscillation', unit: '% of leg length', stat: 'hip travel' },
+  cadence: { label: 'Cadence', unit: ' spm', stat: 'steps per minute' },
+  groundContactTime: { label: 'Ground contact time', unit: ' ms', stat: 'average per step' },
+  symmetry: { label: 'Left/right balance', unit: '%', stat: 'left share of contact time' }
+};
+
+// Landmarks below this visibility are treated as not detected
+const MIN_VISIBILITY = 0.5;
+
+// A foot within this share of the leg length of its lowest point counts as on the ground
+const CONTACT_TOLERANCE = 0.04;
+
+// A foot on the ground has to rise this many leg lengths before it counts as lifted
+// (hysteresis, so landmark jitter at the native frame rate does not create extra events)
+const LIFT_TOLERANCE = 0.08;
+
+/**
+ * Get a landmark in pixel-proportional coordinates, or null when it is not visible
+ * @param {Array<Object>} landmarks - Pose landmarks
+ * @param {number} index - Landmark index
+ * @param {number} aspectRatio - Frame width / height
+ * @returns {{x: number, y: number}|null} The point
+ */
+function point(landmarks, index, aspectRatio) {
+  const landmark = landmarks[index];
+  if (!landmark || (landmark.visibility ?? 1) < MIN_VISIBILITY) return null;
+  return { x: landmark.x * aspectRatio, y: landmark.y };
+}
+
+function midpoint(a, b) {
+  if (!a || !b) return a || b;
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function round(value, digits = 1) {
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * Angle ABC at point B in degrees
+ * @param {{x: number, y: number}} a - First point
+ * @param {{x: number, y: number}} b - Vertex
+ * @param {{x: number, y: number}} c - Last point
+ * @returns {number} Angle between 0 and 180 degrees
+ */
+export function angleAt(a, b, c) {
+  const ab = Math.atan2(a.y - b.y, a.x - b.x);
+  const cb = Math.atan2(c.y - b.y, c.x - b.x);
+  let degrees = Math.abs((ab - cb) * 180 / Math.PI);
+  if (degrees > 180) degrees = 360 - degrees;
+  return degrees;
+}
+
+/**
+ * Signed angle of the segment from `from` to `to` away from the vertical, in degrees.
+ * Positive values lean in the running direction.
+ * @param {{x: number, y: number}} from - Segment start
+ * @param {{x: number, y: number}} to - Segment end
+ * @param {number} direction - 1 when running to the right of the frame, -1 to the left
+ * @param {boolean} [downward=false] - Measure from straight down instead of straight up
+ * @returns {number} Angle in degrees
+ */
+export function angleFromVertical(from, to, direction, downward = false) {
+  const dx = (to.x - from.x) * direction;
+  const dy = downward ? to.y - from.y : from.y - to.y;
+  return Math.atan2(dx, dy) * 180 / Math.PI;
+}
+
+/**
+ * Work out which way the runner faces from where the toes point relative to the heels
+ * @param {Array<Array<Object>|null>} poses - Landmarks per frame
+ * @returns {number} 1 when running to the right of the frame, -1 to the left
+ */
+export function detectDirection(poses) {
+  let sum = 0;
+  for (const landmarks of poses) {
+    if (!landmarks) continue;
+    for (const [heel, toe] of [
+      [LANDMARKS.LEFT_HEEL, LANDMARKS.LEFT_FOOT_INDEX],
+      [LANDMARKS.RIGHT_HEEL, LANDMARKS.RIGHT_FOOT_INDEX]
+    ]) {
+      const heelPoint = point(landmarks, heel, 1);
+      const toePoint = point(landmarks, toe, 1);
+      if (heelPoint && toePoint) sum += toePoint.x - heelPoint.x;
+    }
+  }
+  return sum < 0 ? -1 : 1;
+}
+
+// Shoulder and hip width, as a share of the torso length, below which the athlete is seen side-on
+const SIDE_VIEW_WIDTH = 0.4;
+
+// Share of the frames that have to agree before a view counts as detected
+const MIN_VIEW_AGREEMENT = 0.6;
+
+/**
+ * Work out whether a clip was filmed from the side, front or back. Side-on, the
+ * left and right shoulders and hips nearly overlap; face-on they are about a
+ * torso's width apart, with the athlete's left on the right of the frame when
+ * they face the camera and on the left when they move away from it.
+ * @param {Array<Array<Object>|null>} poses - Landmarks per frame
+ * @param {Object} options
+ * @param {number} options.aspectRatio - Frame width / height
+ * @returns {{view: string, confidence: number}|null} The view ("side", "front" or "back")
+ *   and the share of frames that agree, or null when it cannot be told
+ */
+export function detectCameraView(poses, { aspectRatio }) {
+  const votes = [];
+  for (const landmarks of poses) {
+    if (!landmarks) continue;
+    const [leftShoulder, rightShoulder, leftHip, rightHip] = [
+      LANDMARKS.LEFT_SHOULDER, LANDMARKS.RIGHT_SHOULDER, LANDMARKS.LEFT_HIP, LANDMARKS.RIGHT_HIP
+    ].map(index => point(landmarks, index, aspectRatio));
+    if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) continue;
+
+    const torso = distance(midpoint(leftShoulder, rightShoulder), midpoint(leftHip, rightHip));
+    if (!torso) continue;
+    const spread = ((leftShoulder.x - rightShoulder.x) + (leftHip.x - rightHip.x)) / 2;
+
+    if (Math.abs(spread) / torso < SIDE_VIEW_WIDTH) votes.push('side');
+    else votes.push(spread > 0 ? 'front' : 'back');
+  }
+  if (votes.length < 3) return null;
+
+  const counts = votes.reduce((tally, view) => ({ ...tally, [view]: (tally[view] || 0) + 1 }), {});
+  const [view, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const confidence = round(count / votes.length, 2);
+  return confidence >= MIN_VIEW_AGREEMENT ? { view, confidence } : null;
+}
+
+/**
+ * Compute the metrics of a single frame
+ * @param {Array<Object>} landmarks - Pose landmarks of the frame
+ * @param {Object} options
+ * @param {number} options.aspectRatio - Frame width / height
+ * @param {number} options.direction - Running direction from detectDirection
+ * @returns {Object} Per-frame metrics; values that cannot be measured are omitted
+ */
+export function computeFrameMetrics(landmarks, { aspectRatio, direction }) {
+  const get = index => point(landmarks, index, aspectRatio);
+  const metrics = {};
+
+  const shoulders = midpoint(get(LANDMARKS.LEFT_SHOULDER), get(LANDMARKS.RIGHT_SHOULDER));
+  const hips = midpoint(get(LANDMARKS.LEFT_HIP), get(LANDMARKS.RIGHT_HIP));
+
+  const sides = ['LEFT', 'RIGHT'].map(side => ({
+    side: side.toLowerCase(),
+    shoulder: get(LANDMARKS[`${side}_SHOULDER`]),
+    elbow: get(LANDMARKS[`${side}_ELBOW`]),
+    wrist: get(LANDMARKS[`${side}_WRIST`]),
+    hip: get(LANDMARKS[`${side}_HIP`]),
+    knee: get(LANDMARKS[`${side}_KNEE`]),
+    ankle: get(LANDMARKS[`${side}_ANKLE`])
+  }));
+
+  // Elbow angle: shoulder-elbow-wrist, per arm
+  for (const { side, shoulder, elbow, wrist } of sides) {
+    if (shoulder && elbow && wrist) {
+      metrics[`elbowAngle${side === 'left' ? 'Left' : 'Right'}`] = round(angleAt(shoulder, elbow, wrist));
+    }
+  }
+
+  // Trunk lean: hips-to-shoulders line against the vertical, forward positive
+  if (shoulders && hips) {
+    metrics.trunkLean = round(angleFromVertical(hips, shoulders, direction));
+  }
+
+  // Knee drive: how far the thigh swings forward of straight down, for the higher knee
+  const thighAngles = sides
+    .filter(({ hip, knee }) => hip && knee)
+    .map(({ hip, knee }) => angleFromVertical(hip, knee, direction, true));
+  if (thighAngles.length) {
+    metrics.kneeDrive = round(Math.max(...thighAngles));
+  }
+
+  // Leg length (hip-knee-ankle) is the scale for distances, so camera distance does not matter
+  const legLengths = sides
+    .filter(({ hip, knee, ankle }) => hip && knee && ankle)
+    .map(({ hip, knee, ankle }) => distance(hip, knee) + distance(knee, ankle));
+
+  if (hips && legLengths.length) {
+    const legLength = Math.max(...legLengths);
+    metrics.legLength = round(legLength, 4);
+    metrics.hipHeight = round(hips.y / legLength, 4);
+
+    // The lower foot is the one that can be on the ground
+    const ankles = sides.map(({ ankle }) => ankle).filter(Boolean);
+    if (ankles.length) {
+      const lowest = ankles.reduce((a, b) => (b.y > a.y ? b : a));
+      metrics.footOffset = round((lowest.x - hips.x) * direction / legLength, 3);
+      metrics.footHeight = round(lowest.y / legLength, 4);
+    }
+  }
+
+  return metrics;
+}
+
+function stats(values) {
+  if (!values.length) return null;
+  const sum = values.reduce((total, value) => total + value, 0);
+  return {
+    value: round(sum / values.length),
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values)),
+    samples: values.length
+  };
+}
+
+/**
+ * Compute per-frame metrics and a summary for a sequence of poses
+ * @param {Array<Array<Object>|null>} poses - Landmarks per frame (null when no runner was found)
+ * @param {Object} options
+ * @param {number} options.aspectRatio - Frame width / height
+ * @returns {{frames: Array<Object|null>, summary: Object}} Metrics per frame and for the sequence:
+ *   elbowAngle (mean, degrees), trunkLean (mean, degrees, forward positive),
+ *   kneeDrive (peak thigh angle, degrees), footStrike (foot ahead of the hips at contact,
+ *   in leg lengths) and verticalOscillation (hip travel, in % of leg length)
+ */
+export function computeGaitMetrics(poses, { aspectRatio }) {
+  const direction = detectDirection(poses);
+  const frames = poses.map(landmarks => (landmarks ? computeFrameMetrics(landmarks, { aspectRatio, direction }) : null));
+  const detected = frames.filter(Boolean);
+
+  const collect = key => detected.map(metrics => metrics[key]).filter(Number.isFinite);
+  const summary = {
+    totalFrames: poses.length,
+    detectedFrames: detected.length,
+    direction: direction > 0 ? 'right' : 'left'
+  };
+
+  const elbowAngle = stats([...collect('elbowAngleLeft'), ...collect('elbowAngleRight')]);
+  if (elbowAngle) summary.elbowAngle = elbowAngle;
+
+  const trunkLean = stats(collect('trunkLean'));
+  if (trunkLean) summary.trunkLean = trunkLean;
+
+  const kneeDrive = stats(collect('kneeDrive'));
+  if (kneeDrive) summary.kneeDrive = { ...kneeDrive, value: kneeDrive.max };
+
+  // Foot strike only means something in frames where the foot is on the ground
+  const withFoot = detected.filter(metrics => Number.isFinite(metrics.footHeight));
+  if (withFoot.length) {
+    const ground = Math.max(...withFoot.map(metrics => metrics.footHeight));
+    const contacts = withFoot.filter(metrics => ground - metrics.footHeight <= CONTACT_TOLERANCE);
+    const footStrike = stats(contacts.map(metrics => metrics.footOffset));
+    if (footStrike) {
+      summary.footStrike = {
+        value: round(footStrike.value, 2),
+        min: round(Math.min(...contacts.map(metrics => metrics.footOffset)), 2),
+        max: round(Math.max(...contacts.map(metrics => metrics.footOffset)), 2),
+        samples: footStrike.samples
+      };
+    }
+  }
+
+  const hipHeights = collect('hipHeight');
+  if (hipHeights.length >= 2) {
+    summary.verticalOscillation = {
+      value: round((Math.max(...hipHeights) - Math.min(...hipHeights)) * 100),
+      samples: hipHeights.length
+    };
+  }
+
+  return { frames, summary };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Detect foot-strike and toe-off events in a densely sampled sequence of poses.
+ * A foot is on the ground while its lowest point (heel or toes) is within
+ * CONTACT_TOLERANCE leg lengths of the ground line, and lifted once it rises
+ * LIFT_TOLERANCE above it. Contacts already under way at the start of the
+ * sequence or around a frame without a pose produce no event.
+ * @param {Array<Array<Object>|null>} poses - Landmarks per frame, sampled at the native frame rate
+ * @param {Array<number>} times - Timestamp of each frame in seconds
+ * @param {Object} options
+ * @param {number} options.aspectRatio - Frame width / height
+ * @returns {Array<{side: string, type: string, time: number}>} Events in time order,
+ *   `type` is "strike" or "toeOff" and `side` is "left" or "right"
+ */
+export function detectGaitEvents(poses, times, { aspectRatio }) {
+  const sides = ['LEFT', 'RIGHT'];
+
+  // Lowest point of each foot and the leg length, per frame
+  const samples = poses.map(landmarks => {
+    if (!landmarks) return null;
+    const get = index => point(landmarks, index, aspectRatio);
+
+    const legLengths = [];
+    const feet = {};
+    for (const side of sides) {
+      const hip = get(LANDMARKS[`${side}_HIP`]);
+      const knee = get(LANDMARKS[`${side}_KNEE`]);
+      const ankle = get(LANDMARKS[`${side}_ANKLE`]);
+      if (hip && knee && ankle) legLengths.push(distance(hip, knee) + distance(knee, ankle));
+
+      const footPoints = [ankle, get(LANDMARKS[`${side}_HEEL`]), get(LANDMARKS[`${side}_FOOT_INDEX`])].filter(Boolean);
+      if (footPoints.length) feet[side.toLowerCase()] = Math.max(...footPoints.map(({ y }) => y));
+    }
+    return { legLength: legLengths.length ? Math.max(...legLengths) : null, feet };
+  });
+
+  const legLengths = samples.map(sample => sample?.legLength).filter(Number.isFinite);
+  const footHeights = samples.flatMap(sample => (sample ? Object.values(sample.feet) : []));
+  if (!legLengths.length || !footHeights.length) return [];
+
+  // Feet spend roughly a third of a running stride on the ground, so a high
+  // percentile of the lowest foot positions is a robust ground line
+  const legLength = median(legLengths);
+  const sortedHeights = [...footHeights].sort((a, b) => a - b);
+  const ground = sortedHeights[Math.floor(sortedHeights.length * 0.9)];
+
+  const events = [];
+  for (const side of ['left', 'right']) {
+    let onGround = null; // Unknown until the foot is seen
+    let liftTime = null; // When a foot on the ground first rose above the contact band
+
+    samples.forEach((sample, i) => {
+      const y = sample?.feet[side];
+      if (y === undefined) {
+        onGround = null;
+        return;
+      }
+
+      const height = (ground - y) / legLength;
+      if (height <= CONTACT_TOLERANCE) {
+        if (onGround === false) events.push({ side, type: 'strike', time: times[i] });
+        onGround = true;
+        liftTime = null;
+      } else if (onGround === true) {
+        liftTime ??= times[i];
+        // Toe-off is when the foot left the band, confirmed once it is clearly lifted
+        if (height >= LIFT_TOLERANCE) {
+          events.push({ side, type: 'toeOff', time: liftTime });
+          onGround = false;
+        }
+      } else if (height >= LIFT_TOLERANCE) {
+        onGround = false;
+      }
+    });
+  }
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Compute cadence, ground contact time and left/right balance from gait events
+ * @param {Array<Object>} events - Events from detectGaitEvents
+ * @returns {Object} Summary entries in the computeGaitMetrics format: cadence
+ *   (steps per minute), groundContactTime (ms, with `left` and `right` averages)
+ *   and symmetry (left share of the total contact time, in %; 50 is symmetric).
+ *   Metrics without enough events are omitted.
+ */
+export function computeTemporalMetrics(events) {
+  const summary = {};
+
+  // Step time: from one foot strike to the next strike of the other foot
+  const strikes = events.filter(event => event.type === 'strike');
+  const stepTimes = [];
+  for (let i = 1; i < strikes.length; i++) {
+    // Two strikes of the same foot in a row mean a step was missed in between
+    if (strikes[i].side !== strikes[i - 1].side) stepTimes.push(strikes[i].time - strikes[i - 1].time);
+  }
+  if (stepTimes.length) {
+    const mean = stepTimes.reduce((total, time) => total + time, 0) / stepTimes.length;
+    summary.cadence = {
+      value: round(60 / mean, 0),
+      min: round(60 / Math.max(...stepTimes), 0),
+      max: round(60 / Math.min(...stepTimes), 0),
+      samples: stepTimes.length
+    };
+  }
+
+  // Ground contact: from a foot strike to the next toe-off of the same foot
+  const contacts = { left: [], right: [] };
+  strikes.forEach(strike => {
+    const toeOff = events.find(event => event.type === 'toeOff' && event.side === strike.side && event.time > strike.time);
+    const nextStrike = events.find(event => event.type === 'strike' && event.side === strike.side && event.time > strike.time);
+    if (toeOff && (!nextStrike || toeOff.time < nextStrike.time)) {
+      contacts[strike.side].push((toeOff.time - strike.time) * 1000);
+    }
+  });
+
+  const allContacts = [...contacts.left, ...contacts.right];
+  const groundContactTime = stats(allContacts);
+  if (groundContactTime) {
+    const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+    summary.groundContactTime = {
+      value: round(groundContactTime.value, 0),
+      min: round(groundContactTime.min, 0),
+      max: round(groundContactTime.max, 0),
+      samples: groundContactTime.samples,
+      ...(contacts.left.length && { left: round(mean(contacts.left), 0) }),
+      ...(contacts.right.length && { right: round(mean(contacts.right), 0) })
+    };
+
+    if (contacts.left.length && contacts.right.length) {
+      const left = mean(contacts.left);
+      const right = mean(contacts.right);
+      summary.symmetry = {
+        value: round(left / (left + right) * 100),
+        samples: allContacts.length
+      };
+    }
+  }
+
+  return summary;
+}
+
+// Display label of each gait phase a frame can be sampled at
+export const GAIT_PHASE_LABELS = {
+  initial_contact: 'Initial contact',
+  mid_stance: 'Mid-stance',
+  toe_off: 'Toe-off',
+  mid_swing: 'Mid-swing'
+};
+
+// Moments closer than this (in seconds) would show the same frame, e.g. mid-swing of one
+// foot and mid-stance of the other, so only the first is kept
+const MIN_PHASE_GAP = 0.03;
+
+/**
+ * Pick the moments to sample so every gait phase is seen: initial contact,
+ * mid-stance and toe-off of each ground contact, and mid-swing before the same
+ * foot lands again, for the first `strides` contacts of each foot. Stance
+ * phases are picked before mid-swing, and moments within MIN_PHASE_GAP of one
+ * already picked are skipped.
+ * @param {Array<Object>} events - Events from detectGaitEvents
+ * @param {Object} [options]
+ * @param {number} [options.maxFrames=60] - Most moments to pick
+ * @param {number} [options.strides=4] - Most ground contacts per foot to cover
+ * @returns {Array<{time: number, phase: string, foot: string, stride: number}>} Moments in time
+ *   order; `phase` is a key of GAIT_PHASE_LABELS and `stride` counts the foot's contacts from 1
+ */
+export function selectPhaseFrames(events, { maxFrames = 60, strides = 4 } = {}) {
+  // A contact needs its strike and toe-off; the next strike of the same foot bounds the swing
+  const stances = [];
+  for (const foot of ['left', 'right']) {
+    const footEvents = events.filter(event => event.side === foot);
+    footEvents.forEach((event, i) => {
+      const toeOff = footEvents[i + 1];
+      if (event.type !== 'strike' || toeOff?.type !== 'toeOff') return;
+      const nextStrike = footEvents[i + 2]?.type === 'strike' ? footEvents[i + 2].time : null;
+      stances.push({ foot, strike: event.time, toeOff: toeOff.time, nextStrike });
+    });
+  }
+
+  const counts = { left: 0, right: 0 };
+  const covered = stances
+    .sort((a, b) => a.strike - b.strike)
+    .map(stance => ({ ...stance, stride: ++counts[stance.foot] }))
+    .filter(stance => stance.stride <= strides);
+
+  const moments = [];
+  const add = (stance, phase, time) => {
+    if (moments.length >= maxFrames || moments.some(picked => Math.abs(picked.time - time) < MIN_PHASE_GAP)) return;
+    moments.push({ time: round(time, 3), phase, foot: stance.foot, stride: stance.stride });
+  };
+
+  // Stance phases first, so mid-swing is the one dropped when it shows the same frame
+  covered.forEach(stance => {
+    add(stance, 'initial_contact', stance.strike);
+    add(stance, 'mid_stance', (stance.strike + stance.toeOff) / 2);
+    add(stance, 'toe_off', stance.toeOff);
+  });
+  covered
+    .filter(stance => stance.nextStrike !== null)
+    .forEach(stance => add(stance, 'mid_swing', (stance.toeOff + stance.nextStrike) / 2));
+
+  return moments.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Pack landmarks as [x, y, visibility] triples for upload, so the results view
+ * can draw the skeleton later
+ * @param {Array<Object>} landmarks - Pose landmarks of a frame
+ * @returns {Array<Array<number>>} One triple per landmark, rounded to 3 decimals
+ */
+export function packLandmarks(landmarks) {
+  return landmarks.map(({ x, y, visibility }) => [round(x, 3), round(y, 3), round(visibility ?? 1, 2)]);
+}
@@ -0,0 +1,123 @@
+/**
+ * Analysis history: loads a user's past analyses from /api/analyses and renders the history list
+ */
+import { createElement, createScoreBadge } from './report-view.js';
+
+/**
+ * Fetch JSON from the history API
+ * @param {string} url - Endpoint URL
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Object>} The response body
+ */
+async function fetchJson(url, signal) {
+  const response = await fetch(url, { signal });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.success) {
+    const error = new Error(body.error || `Server responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return body;
+}
+
+/**
+ * Fetch the analysis history of the signed-in user, newest first
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Array<Object>>} Analysis summaries
+ */
+export async function fetchHistory(signal) {
+  const body = await fetchJson('/api/analyses', signal);
+  return body.analyses;
+}
+
+/**
+ * Fetch a stored analysis with its full report
+ * @param {string} id - Analysis id
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Object>} The analysis record
+ */
+export async function fetchAnalysis(id, signal) {
+  const body = await fetchJson(`/api/analyses/${encodeURIComponent(id)}`, signal);
+  return body.analysis;
+}
+
+/**
+ * Whether an analysis can be used in a session comparison
+ * @param {Object} item - Analysis summary
+ * @returns {boolean}
+ */
+export function isComparable(item) {
+  return item.type === 'video' && item.overallScore !== null;
+}
+
+/**
+ * Renders one entry of the history list
+ * @param {Object} item - Analysis summary
+ * @param {Object} options - See renderHistory
+ * @returns {HTMLElement} The entry element
+ */
+function renderHistoryItem(item, { onOpen, onSelect, selected }) {
+  const row = createElement('div', 'flex items-center gap-3');
+  row.dataset.analysisId = item.id;
+
+  // Running-form reports can be picked for a side-by-side comparison
+  if (onSelect && isComparable(item)) {
+    const checkbox = createElement('input', 'h-4 w-4 text-blue-600 border-gray-300 rounded flex-shrink-0');
+    checkbox.type = 'checkbox';
+    checkbox.title = 'Select for comparison';
+    checkbox.checked = selected.includes(item.id);
+    checkbox.addEventListener('change', () => onSelect(item, checkbox.checked));
+    row.appendChild(checkbox);
+  }
+
+  const entry = createElement('button', 'flex-1 min-w-0 text-left flex items-center gap-4 p-3 rounded-lg border border-gray-200 hover:bg-blue-50 transition-colors');
+  entry.type = 'button';
+  entry.addEventListener('click', () => onOpen(item.id));
+  row.appendChild(entry);
+
+  const thumbnails = createElement('div', 'flex gap-1 flex-shrink-0');
+  item.thumbnails.slice(0, 3).forEach(thumbnail => {
+    const image = createElement('img', 'h-12 w-16 object-cover rounded bg-gray-100');
+    image.src = thumbnail.url;
+    image.alt = thumbnail.timestamp !== null ? `Frame at ${thumbnail.timestamp}s` : 'Thumbnail';
+    image.loading = 'lazy';
+    thumbnails.appendChild(image);
+  });
+  entry.appendChild(thumbnails);
+
+  const details = createElement('div', 'flex-1 min-w-0');
+  details.appendChild(createElement('p', 'font-medium text-gray-900 truncate', item.source?.filename || 'Untitled analysis'));
+
+  const meta = [new Date(item.createdAt).toLocaleString()];
+  if (item.athlete) meta.push(item.athlete.name);
+  if (item.source?.frameCount) meta.push(`${item.source.frameCount} frames`);
+  details.appendChild(createElement('p', 'text-xs text-gray-500', meta.join(' · ')));
+
+  if (item.overview) {
+    details.appendChild(createElement('p', 'text-sm text-gray-600 truncate', item.overview));
+  }
+  entry.appendChild(details);
+
+  if (item.overallScore !== null) {
+    entry.appendChild(createScoreBadge(item.overallScore));
+  }
+
+  return row;
+}
+
+/**
+ * Renders a list of past analyses into a container
+ * @param {HTMLElement} container - Element to render into (e.g. #historyList)
+ * @param {Array<Object>} analyses - Summaries returned by fetchHistory
+ * @param {Object} options
+ * @param {Function} options.onOpen - Called with the analysis id when an entry is clicked
+ * @param {Function} [options.onSelect] - Called with the summary and checked state when an
+ *   analysis is (de)selected for comparison; entries are not selectable without it
+ * @param {Array<string>} [options.selected=[]] - Ids of the analyses currently selected
+ */
+export function renderHistory(container, analyses, { onOpen, onSelect, selected = [] }) {
+  container.innerHTML = '';
+  analyses.forEach(item => container.appendChild(renderHistoryItem(item, { onOpen, onSelect, selected })));
+}
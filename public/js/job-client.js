@@ -0,0 +1,134 @@
+/**
+ * Client for the server's analysis job queue (/api/jobs/:id)
+ */
+
+// Key used to remember the running job so a page refresh can pick it up again
+const ACTIVE_JOB_KEY = 'activeAnalysisJob';
+
+/**
+ * Remember the job currently being analyzed
+ * @param {string|null} jobId - Job id, or null to forget it
+ */
+export function setActiveJob(jobId) {
+  if (jobId) {
+    localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+  } else {
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+  }
+}
+
+/**
+ * Get the job that was being analyzed before the page was reloaded
+ * @returns {string|null} Job id
+ */
+export function getActiveJob() {
+  return localStorage.getItem(ACTIVE_JOB_KEY);
+}
+
+/**
+ * Fetch the current status of a job
+ * @param {string} jobId - Job id
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Object>} The job status
+ */
+export async function fetchJob(jobId, signal) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, { signal });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.success) {
+    const error = new Error(body.error || `Server responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return body.job;
+}
+
+/**
+ * Poll a job until it completes or fails
+ * @param {string} jobId - Job id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops polling when aborted
+ * @param {Function} [options.onUpdate] - Called with the job after every poll
+ * @param {number} [options.interval=1500] - Time between polls in ms
+ * @returns {Promise<Object>} The job's result
+ */
+export async function waitForJob(jobId, { signal, onUpdate, interval = 1500 } = {}) {
+  while (true) {
+    if (signal?.aborted) throw new DOMException('Polling cancelled', 'AbortError');
+
+    const job = await fetchJob(jobId, signal);
+    if (onUpdate) onUpdate(job);
+
+    if (job.state === 'completed') return job.result;
+    if (job.state === 'failed') {
+      const error = new Error(job.error || 'Analysis failed');
+      error.code = job.errorCode;
+      throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Follow a job over Server-Sent Events, falling back to polling when the
+ * browser or a proxy does not support the event stream
+ * @param {string} jobId - Job id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Closes the stream when aborted
+ * @param {Function} [options.onUpdate] - Called with the job on every status change
+ * @param {Function} [options.onToken] - Called with each piece of streamed model output
+ * @returns {Promise<Object>} The job's result
+ */
+export function subscribeToJob(jobId, { signal, onUpdate, onToken } = {}) {
+  if (typeof EventSource === 'undefined') {
+    return waitForJob(jobId, { signal, onUpdate });
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+    let settled = false;
+
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      callback(value);
+    };
+
+    source.addEventListener('status', event => {
+      if (onUpdate) onUpdate(JSON.parse(event.data));
+    });
+
+    source.addEventListener('token', event => {
+      if (onToken) onToken(JSON.parse(event.data).text);
+    });
+
+    source.addEventListener('complete', event => {
+      const job = JSON.parse(event.data);
+      if (onUpdate) onUpdate(job);
+      finish(resolve, job.result);
+    });
+
+    source.addEventListener('failed', event => {
+      const job = JSON.parse(event.data);
+      const error = new Error(job.error || 'Analysis failed');
+      error.code = job.errorCode;
+      finish(reject, error);
+    });
+
+    // The stream dropped before the job finished: carry on by polling
+    source.onerror = () => {
+      if (settled) return;
+      console.warn('Job event stream interrupted, falling back to polling');
+      settled = true;
+      source.close();
+      waitForJob(jobId, { signal, onUpdate }).then(resolve, reject);
+    };
+
+    signal?.addEventListener('abort', () => {
+      finish(reject, new DOMException('Job subscription cancelled', 'AbortError'));
+    }, { once: true });
+  });
+}
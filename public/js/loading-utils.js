@@ -75,6 +75,23 @@ class LoadingOverlay {
     }
   }
 
+  /**
+   * Show the progress of a server-side analysis job
+   * @param {Object} job - Job status from /api/jobs/:id
+   * @param {number} [startPercent=0] - Overall progress when the job started
+   */
+  showJobProgress(job, startPercent = 0) {
+    if (job.state === 'queued') {
+      const position = job.queuePosition ? ` (position ${job.queuePosition})` : '';
+      this.updateProgress(startPercent, `Waiting in queue${position}...`);
+      return;
+    }
+
+    // Map the job's own 0-100% onto the part of the bar that is left
+    const percent = startPercent + (job.progress?.percent || 0) * (100 - startPercent) / 100;
+    this.updateProgress(Math.min(percent, 99), job.progress?.message || 'Analyzing...');
+  }
+
   /**
    * Update the loading message
    * @param {string} message - New message to display
@@ -3,6 +3,53 @@
 // ==============================================
 import loadingOverlay from './loading-utils.js';
 import frameExtractor from './video-utils.js'; // Import the pre-initialized instance
+import { renderAnalysisReport, renderDocumentReport, createElement } from './report-view.js';
+import { subscribeToJob, setActiveJob, getActiveJob } from './job-client.js';
+import { readApiError } from './api-errors.js';
+import { fetchHistory, fetchAnalysis, renderHistory } from './history-view.js';
+import { renderComparison } from './compare-view.js';
+import poseEstimator from './pose-utils.js';
+import { measureFrames, blurThreshold, assessFrames, renderFrameQuality } from './frame-quality.js';
+import { trackSubjectBox } from './subject-crop.js';
+import {
+  computeGaitMetrics,
+  computeTemporalMetrics,
+  detectGaitEvents,
+  detectCameraView,
+  packLandmarks,
+  selectPhaseFrames
+} from './gait-metrics.js';
+import {
+  DEFAULT_PROFILE,
+  fetchProfiles,
+  getStoredProfileId,
+  storeProfileId,
+  getStoredSamplingMode,
+  storeSamplingMode,
+  renderProfileOptions
+} from './profiles.js';
+import {
+  fetchCurrentUser,
+  signIn,
+  register,
+  requestMagicLink,
+  signOut,
+  fetchApiTokens,
+  createApiToken,
+  revokeApiToken,
+  renderApiTokens,
+  saveExtractionPreferences
+} from './auth.js';
+import {
+  fetchAthletes,
+  saveAthlete,
+  deleteAthlete,
+  getStoredAthleteId,
+  storeAthleteId,
+  renderAthleteOptions,
+  readAthleteForm,
+  fillAthleteForm
+} from './athletes.js';
 let isProcessing = false; // Track if we're currently processing a file
 let currentProcessing = {
   promise: null,
@@ -56,90 +103,100 @@ function showNotification(type, title, message, duration = 5000) {
   return notification;
 }
 
+// Signed-in user from /api/auth/me, or null when nobody is signed in
+let currentUser = null;
+// Called once the user signs in from the sign-in modal, e.g. to start the analysis they asked for
+let pendingSignIn = null;
+
 /**
- * Checks if user has provided an email
- * @returns {boolean} True if email exists in localStorage
+ * Checks if a user is signed in
+ * @returns {boolean} True if a user is signed in
  */
-function hasProvidedEmail() {
-  return localStorage.getItem('userEmail') !== null;
+function isSignedIn() {
+  return currentUser !== null;
 }
 
 /**
- * Shows or hides the email modal
+ * Shows or hides the sign-in modal
  * @param {boolean} [show=true] - Whether to show or hide the modal
+ * @param {Function} [onSignedIn] - Called after the user signs in from the modal
  */
-function showEmailModal(show = true) {
-  const modal = document.getElementById('emailModal');
+function showLoginModal(show = true, onSignedIn = null) {
+  const modal = document.getElementById('loginModal');
   if (!modal) return;
   
   if (show) {
+    pendingSignIn = onSignedIn;
+    showLoginFeedback(null);
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden';
     // Focus the email input when modal is shown
-    const emailInput = modal.querySelector('input[type="email"]');
+    const emailInput = document.getElementById('loginEmail');
     if (emailInput) setTimeout(() => emailInput.focus(), 100);
   } else {
+    pendingSignIn = null;
     modal.classList.add('hidden');
     document.body.style.overflow = '';
   }
 }
 
 /**
- * Validates an email address format
- * @param {string} email - Email to validate
- * @returns {boolean} True if email is valid
+ * Shows an error or a message in the sign-in modal
+ * @param {string|null} text - Text to show, or null to clear both
+ * @param {boolean} [isError=true] - Whether the text is an error
  */
-function isValidEmail(email) {
-  const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return re.test(String(email).toLowerCase());
+function showLoginFeedback(text, isError = true) {
+  const loginError = document.getElementById('loginError');
+  const loginMessage = document.getElementById('loginMessage');
+  loginError.classList.toggle('hidden', !text || !isError);
+  loginMessage.classList.toggle('hidden', !text || isError);
+  (isError ? loginError : loginMessage).textContent = text || '';
 }
 
 /**
- * Handles email form submission
- * @param {Event} event - Form submission event
+ * Initializes the sign-in form: a password signs in (or creates an account),
+ * an empty password asks for a sign-in link by email
+ * @param {Function} onSignedIn - Called with the user after signing in
  */
-function handleEmailSubmit(event) {
-  event.preventDefault();
-  
-  const emailInput = document.getElementById('email');
-  const emailError = document.getElementById('emailError');
-  const email = emailInput.value.trim();
-  
-  // Validate email
-  if (!isValidEmail(email)) {
-    emailError.textContent = 'Please enter a valid email address';
-    emailError.classList.remove('hidden');
-    emailInput.focus();
-    return;
-  }
-  
-  // Store email in localStorage
-  localStorage.setItem('userEmail', email);
-  
-  // Hide modal
-  showEmailModal(false);
-  
-  // Show success message
-  showNotification('success', 'Welcome!', `You're logged in as ${email}`);
-}
+function initLoginForm(onSignedIn) {
+  const loginForm = document.getElementById('loginForm');
+  if (!loginForm) return;
 
-/**
- * Initializes the email form with event listeners
- */
-function initEmailForm() {
-  const emailForm = document.getElementById('emailForm');
-  if (!emailForm) return;
-  
-  emailForm.addEventListener('submit', handleEmailSubmit);
-  
-  // Also handle the submit button click for better compatibility
-  const submitButton = emailForm.querySelector('button[type="submit"]');
-  if (submitButton) {
-    submitButton.onclick = (e) => {
-      e.preventDefault();
-      handleEmailSubmit(e);
-    };
-  }
+  const submit = async createAccount => {
+    const email = document.getElementById('loginEmail').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    showLoginFeedback(null);
+
+    try {
+      if (!password) {
+        if (createAccount) {
+          showLoginFeedback('Choose a password to create an account, or leave it empty and sign in with a link.');
+          return;
+        }
+        showLoginFeedback(await requestMagicLink(email), false);
+        return;
+      }
+
+      const user = createAccount ? await register(email, password) : await signIn(email, password);
+      const continueWith = pendingSignIn;
+      loginForm.reset();
+      showLoginModal(false);
+      onSignedIn(user);
+      showNotification('success', 'Welcome!', `You're signed in as ${user.email}`);
+      if (continueWith) await continueWith();
+    } catch (error) {
+      showLoginFeedback(error.message);
+    }
+  };
+
+  loginForm.addEventListener('submit', event => {
+    event.preventDefault();
+    submit(false);
+  });
+  document.getElementById('registerBtn').addEventListener('click', () => {
+    if (loginForm.reportValidity()) submit(true);
+  });
+  document.getElementById('cancelLoginBtn').addEventListener('click', () => showLoginModal(false));
 }
 
 // ==============================================
@@ -336,8 +393,87 @@ function showImagePreview(file) {
 
 
 
+// Part of the previewed video that is analyzed, picked with the range selector below the preview
+let analysisWindow = { start: 0, end: null };
+// Shortest analysis window the range selector allows, in seconds
+const MIN_WINDOW_SECONDS = 1;
+
+/**
+ * Formats a time in seconds as m:ss.s
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatClock(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Adds start and end sliders below a video preview to pick the analysis window.
+ * Moving a slider seeks the preview, so the user sees where the window starts and ends.
+ * @param {HTMLElement} parent - Element to add the selector to
+ * @param {HTMLVideoElement} video - The preview, with its metadata loaded
+ */
+function renderWindowSelector(parent, video) {
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= MIN_WINDOW_SECONDS) return;
+
+  const selector = createElement('div', 'mt-3 p-3 bg-gray-50 rounded-lg text-sm');
+  const header = createElement('div', 'flex items-center justify-between mb-2');
+  header.appendChild(createElement('span', 'font-medium text-gray-700', 'Analysis window'));
+  const summary = createElement('span', 'text-xs text-gray-500');
+  header.appendChild(summary);
+  selector.appendChild(header);
+
+  const sliders = {};
+  const updateSummary = () => {
+    const end = analysisWindow.end ?? duration;
+    summary.textContent = `${formatClock(analysisWindow.start)} – ${formatClock(end)} (${(end - analysisWindow.start).toFixed(1)}s)`;
+  };
+
+  // Keeps the window at least MIN_WINDOW_SECONDS long and shows the chosen frame
+  const setBound = (bound, value) => {
+    if (bound === 'start') {
+      analysisWindow.start = Math.max(0, Math.min(value, (analysisWindow.end ?? duration) - MIN_WINDOW_SECONDS));
+    } else {
+      const end = Math.max(value, analysisWindow.start + MIN_WINDOW_SECONDS);
+      analysisWindow.end = end >= duration ? null : end;
+    }
+    sliders.start.value = analysisWindow.start;
+    sliders.end.value = analysisWindow.end ?? duration;
+    video.currentTime = bound === 'start' ? analysisWindow.start : analysisWindow.end ?? duration;
+    updateSummary();
+  };
+
+  [['start', 'Start'], ['end', 'End']].forEach(([bound, label]) => {
+    const row = createElement('div', 'flex items-center gap-3 mt-1');
+    row.appendChild(createElement('span', 'w-10 text-gray-600', label));
+
+    const slider = createElement('input', 'flex-1');
+    slider.type = 'range';
+    slider.min = 0;
+    slider.max = duration;
+    slider.step = 0.1;
+    slider.setAttribute('aria-label', `${label} of the analysis window`);
+    slider.addEventListener('input', () => setBound(bound, Number(slider.value)));
+    sliders[bound] = slider;
+    row.appendChild(slider);
+
+    const useCurrent = createElement('button', 'text-xs text-blue-600 hover:text-blue-800 whitespace-nowrap', 'Use current time');
+    useCurrent.type = 'button';
+    useCurrent.addEventListener('click', () => setBound(bound, video.currentTime));
+    row.appendChild(useCurrent);
+    selector.appendChild(row);
+  });
+
+  sliders.start.value = analysisWindow.start;
+  sliders.end.value = analysisWindow.end ?? duration;
+  updateSummary();
+  parent.appendChild(selector);
+}
+
 /**
- * Shows a preview of the selected video file
+ * Shows a preview of the selected video file, with the analysis window selector
  * @param {File} file - The video file to preview
  */
 function showVideoPreview(file) {
@@ -354,6 +490,7 @@ function showVideoPreview(file) {
 
   // Clear any existing previews
   previewContainer.innerHTML = '';
+  analysisWindow = { start: 0, end: null };
   
   // Create a container for the video
   const container = document.createElement('div');
@@ -425,6 +562,7 @@ function showVideoPreview(file) {
   container.appendChild(video);
   previewContainer.appendChild(container);
   previewContainer.classList.remove('hidden');
+  video.addEventListener('loadedmetadata', () => renderWindowSelector(previewContainer, video), { once: true });
   
   // Handle cleanup when the video is closed or the page is unloaded
   const cleanup = () => {
@@ -616,9 +754,6 @@ let fileSize;
 
 document.addEventListener('DOMContentLoaded', async () => {
   // VideoFrameExtractor is already imported and initialized
-  // Initialize email form
-  initEmailForm();
-
   // DOM Elements
   const dropzone = document.getElementById('dropzone');
   fileInput = document.getElementById('fileInput');
@@ -634,8 +769,210 @@ document.addEventListener('DOMContentLoaded', async () => {
   const analysisResults = document.getElementById('analysisResults');
   const uploadSection = document.getElementById('uploadSection');
   const newAnalysisBtn = document.getElementById('newAnalysisBtn');
+  const profileSelect = document.getElementById('profileSelect');
+  const profileDescription = document.getElementById('profileDescription');
+  const samplingField = document.getElementById('samplingField');
+  const samplingSelect = document.getElementById('samplingSelect');
+  const extractionSelects = {
+    frameRate: document.getElementById('frameRateSelect'),
+    maxWidth: document.getElementById('maxWidthSelect'),
+    quality: document.getElementById('qualitySelect')
+  };
+  const autoCropCheckbox = document.getElementById('autoCropCheckbox');
+  const clipSection = document.getElementById('clipSection');
+  const clipList = document.getElementById('clipList');
+  const clipInput = document.getElementById('clipInput');
+  const addClipBtn = document.getElementById('addClipBtn');
+  const athleteSelect = document.getElementById('athleteSelect');
+  const athleteForm = document.getElementById('athleteForm');
+  const editAthleteBtn = document.getElementById('editAthleteBtn');
+  const deleteAthleteBtn = document.getElementById('deleteAthleteBtn');
 
   let currentFile = null;
+  let currentProfile = DEFAULT_PROFILE; // Sport or mode the video is analyzed as
+  let sessionClips = []; // Videos of the session: { file, view } with view 'auto', 'side', 'front' or 'back'
+  let athletes = []; // Athlete profiles of the current user
+  let currentAthlete = null; // Athlete the video is analyzed for, if any
+
+  /**
+   * Loads the analysis profiles into the profile selector, keeping the last pick
+   */
+  async function initProfileSelect() {
+    let profiles = [DEFAULT_PROFILE];
+    try {
+      profiles = await fetchProfiles();
+    } catch (error) {
+      console.warn('Could not load analysis profiles, using running:', error);
+    }
+
+    const selectProfile = profile => {
+      currentProfile = profile;
+      profileDescription.textContent = profile.description;
+      // Gait phases can only be found for profiles that measure gait
+      samplingField.classList.toggle('hidden', !profile.gaitMetrics);
+      extractionSelects.frameRate.options[0].textContent = `Profile default (${profile.sampling.fps} fps)`;
+    };
+    selectProfile(renderProfileOptions(profileSelect, profiles, getStoredProfileId()));
+    
+    samplingSelect.value = getStoredSamplingMode();
+    samplingSelect.addEventListener('change', () => storeSamplingMode(samplingSelect.value));
+
+    profileSelect.addEventListener('change', () => {
+      const profile = profiles.find(item => item.id === profileSelect.value);
+      if (!profile) return;
+      selectProfile(profile);
+      storeProfileId(profile.id);
+    });
+  }
+
+  /**
+   * Shows the signed-in user's saved frame extraction settings in the advanced panel
+   */
+  function showExtractionPreferences() {
+    const preferences = currentUser?.preferences?.extraction || {};
+    Object.entries(extractionSelects).forEach(([key, select]) => {
+      select.value = preferences[key] ? String(preferences[key]) : '';
+    });
+    autoCropCheckbox.checked = preferences.autoCrop !== false;
+  }
+
+  /**
+   * Saves the advanced panel's settings to the account whenever one changes
+   */
+  function initExtractionSettings() {
+    const save = async values => {
+      try {
+        currentUser = await saveExtractionPreferences(values);
+      } catch (error) {
+        showNotification('error', 'Could Not Save Settings', error.message);
+      }
+      showExtractionPreferences();
+    };
+
+    [...Object.values(extractionSelects), autoCropCheckbox].forEach(field => field.addEventListener('change', () => {
+      // Read now: signing in shows the account's saved settings before saving these
+      const values = Object.fromEntries(Object.entries(extractionSelects)
+        .map(([key, select]) => [key, select.value ? Number(select.value) : null]));
+      values.autoCrop = autoCropCheckbox.checked;
+      if (!isSignedIn()) {
+        showLoginModal(true, () => save(values));
+        return;
+      }
+      save(values);
+    }));
+  }
+
+  /**
+   * Frame extraction options for a clip: the profile's sampling with the user's saved settings
+   * @param {{start: number, end: number|null}} [range] - Analysis window picked on the preview
+   * @returns {Object} Options for frameExtractor.extractFrames
+   */
+  function extractionOptions(range = {}) {
+    const preferences = currentUser?.preferences?.extraction || {};
+    const { fps, maxFrames, maxDuration } = currentProfile.sampling;
+    const frameRate = preferences.frameRate || fps;
+    return {
+      frameRate,
+      // The profile's frame limit holds at any frame rate
+      maxDuration: Math.min(maxDuration, maxFrames / frameRate),
+      start: range.start || 0,
+      end: range.end ?? undefined,
+      maxWidth: preferences.maxWidth || undefined,
+      quality: preferences.quality || undefined
+    };
+  }
+
+  /**
+   * The analyzed part of the clip loaded in the extractor, as extractFrames will sample it
+   * @param {{start: number, end: number|null}} [range] - Analysis window picked on the preview
+   * @returns {{start: number, end: number}} Times in seconds
+   */
+  function analyzedRange(range) {
+    const { start, end, maxDuration } = extractionOptions(range);
+    const duration = frameExtractor.video.duration;
+    const rangeStart = Math.min(start, duration);
+    return { start: rangeStart, end: Math.min(duration, end ?? Infinity, rangeStart + maxDuration) };
+  }
+
+  /**
+   * Loads the current user's athletes into the athlete selector, keeping the selection
+   * @param {string} [selectedId] - Athlete to select; the current or last picked one by default
+   */
+  async function refreshAthletes(selectedId = currentAthlete?.id ?? getStoredAthleteId()) {
+    athletes = [];
+    if (isSignedIn()) {
+      try {
+        athletes = await fetchAthletes();
+      } catch (error) {
+        console.warn('Could not load athlete profiles:', error);
+      }
+    }
+
+    currentAthlete = renderAthleteOptions(athleteSelect, athletes, selectedId);
+    editAthleteBtn.classList.toggle('hidden', !currentAthlete);
+  }
+
+  /**
+   * Opens the athlete form for a new athlete or the selected one
+   * @param {Object|null} athlete - Athlete to edit, or null for a new athlete
+   */
+  function openAthleteForm(athlete) {
+    if (!isSignedIn()) {
+      // Athletes are saved to the user's account
+      showLoginModal(true, () => openAthleteForm(athlete));
+      return;
+    }
+    fillAthleteForm(athleteForm, athlete);
+    athleteForm.dataset.athleteId = athlete?.id || '';
+    deleteAthleteBtn.classList.toggle('hidden', !athlete);
+    athleteForm.classList.remove('hidden');
+    athleteForm.elements.name.focus();
+  }
+
+  /**
+   * Wires up the athlete selector and form
+   */
+  function initAthleteSelect() {
+    athleteSelect.addEventListener('change', () => {
+      currentAthlete = athletes.find(athlete => athlete.id === athleteSelect.value) || null;
+      storeAthleteId(currentAthlete?.id || null);
+      editAthleteBtn.classList.toggle('hidden', !currentAthlete);
+      athleteForm.classList.add('hidden');
+    });
+    document.getElementById('newAthleteBtn').addEventListener('click', () => openAthleteForm(null));
+    editAthleteBtn.addEventListener('click', () => openAthleteForm(currentAthlete));
+    document.getElementById('cancelAthleteBtn').addEventListener('click', () => athleteForm.classList.add('hidden'));
+
+    athleteForm.addEventListener('submit', async event => {
+      event.preventDefault();
+      try {
+        const athlete = await saveAthlete(
+          readAthleteForm(athleteForm),
+          athleteForm.dataset.athleteId || undefined
+        );
+        storeAthleteId(athlete.id);
+        athleteForm.classList.add('hidden');
+        await refreshAthletes(athlete.id);
+        showNotification('success', 'Athlete Saved', `${athlete.name}'s profile will be used for the next analysis`, 3000);
+      } catch (error) {
+        showNotification('error', 'Could Not Save Athlete', error.message);
+      }
+    });
+
+    deleteAthleteBtn.addEventListener('click', async () => {
+      const athlete = athletes.find(item => item.id === athleteForm.dataset.athleteId);
+      if (!athlete || !confirm(`Delete ${athlete.name}'s athlete profile? Past analyses are kept.`)) return;
+      try {
+        await deleteAthlete(athlete.id);
+        storeAthleteId(null);
+        currentAthlete = null;
+        athleteForm.classList.add('hidden');
+        await refreshAthletes(null);
+      } catch (error) {
+        showNotification('error', 'Could Not Delete Athlete', error.message);
+      }
+    });
+  }
 
   /**
    * Clears file-related state and UI
@@ -664,6 +1001,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Reset any file-related state
     currentFile = null;
+    sessionClips = [];
+    renderClipList();
     fileToAnalyze = null;
     framesToAnalyze = [];
     
@@ -687,6 +1026,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Reset file tracking variables
     currentFile = null;
+    sessionClips = [];
+    renderClipList();
     extractedFrames = [];
     currentFrameIndex = 0;
     isUploading = false;
@@ -717,6 +1058,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   dropzone.addEventListener('drop', handleDrop);
   fileInput.addEventListener('change', handleFileSelect);
   removeFileBtn.addEventListener('click', resetFileInput);
+  addClipBtn.addEventListener('click', () => clipInput.click());
+  clipInput.addEventListener('change', () => {
+    Array.from(clipInput.files).forEach(addClip);
+    clipInput.value = '';
+  });
   
   // Store file references at module level
   let fileToAnalyze = null;
@@ -793,54 +1139,30 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
     
-    // Then check if we need to collect email
-    if (!hasProvidedEmail()) {
-      console.log('Email required, showing modal');
-      showEmailModal();
-      
-      // Set up email form submission
-      const modalForm = document.getElementById('emailForm');
-      
-      // Override the default form submission
-      if (modalForm) {
-        modalForm.onsubmit = async (e) => {
-          e.preventDefault();
-          const emailInput = document.getElementById('email');
-          const emailError = document.getElementById('emailError');
-          const email = emailInput.value.trim();
-          
-          if (!isValidEmail(email)) {
-            emailError.textContent = 'Please enter a valid email address';
-            emailError.classList.remove('hidden');
-            return false;
-          }
-          
-          // Store email
-          localStorage.setItem('userEmail', email);
-          showEmailModal(false);
-          
-          // Restore file references and start analysis
-          console.log('Email submitted, restoring file references');
-          currentFile = fileToAnalyze;
-          extractedFrames = framesToAnalyze;
-          
-          if (!currentFile && (!extractedFrames || extractedFrames.length === 0)) {
-            showNotification('error', 'File Error', 'No file selected for analysis');
-            return false;
-          }
-          
-          try {
-            await analyzeFile();
-          } catch (error) {
-            console.error('Error in analyzeFile:', error);
-            showNotification('error', 'Analysis Error', error.message || 'An error occurred during analysis');
-          }
-          return false;
-        };
-      }
+    // Then check if the user needs to sign in
+    if (!isSignedIn()) {
+      console.log('Sign-in required, showing modal');
+      showLoginModal(true, async () => {
+        // Restore file references and start analysis
+        console.log('Signed in, restoring file references');
+        currentFile = fileToAnalyze;
+        extractedFrames = framesToAnalyze;
+        
+        if (!currentFile && (!extractedFrames || extractedFrames.length === 0)) {
+          showNotification('error', 'File Error', 'No file selected for analysis');
+          return;
+        }
+        
+        try {
+          await analyzeFile();
+        } catch (error) {
+          console.error('Error in analyzeFile:', error);
+          showNotification('error', 'Analysis Error', error.message || 'An error occurred during analysis');
+        }
+      });
     } else {
-      // We have email and file, proceed with analysis
-      console.log('Email already provided, starting analysis');
+      // Signed in with a file, proceed with analysis
+      console.log('Signed in, starting analysis');
       try {
         await analyzeFile();
       } catch (error) {
@@ -872,7 +1194,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      handleFile(files[0]);
+      handleFile(files[0]).then(() => {
+        // Further videos dropped together are other views of the same session
+        Array.from(files).slice(1).forEach(addClip);
+      });
     }
   }
 
@@ -883,6 +1208,78 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  const MAX_CLIPS = 4; // Same limit as the server
+  const VIEW_OPTIONS = [
+    ['auto', 'Auto-detect'],
+    ['side', 'Side'],
+    ['front', 'Front'],
+    ['back', 'Back']
+  ];
+
+  /**
+   * Shows the clips of the session, each with its camera view selector
+   */
+  function renderClipList() {
+    if (!clipList) return;
+    clipList.innerHTML = '';
+    clipSection.classList.toggle('hidden', !sessionClips.length);
+    addClipBtn.classList.toggle('hidden', sessionClips.length >= MAX_CLIPS);
+
+    sessionClips.forEach((clip, index) => {
+      const row = createElement('li', 'flex items-center justify-between bg-gray-50 px-3 py-2 rounded-lg text-sm');
+      row.appendChild(createElement('span', 'truncate text-gray-700 mr-3', clip.file.name));
+
+      const controls = createElement('div', 'flex items-center space-x-2 flex-shrink-0');
+      const select = createElement('select', 'border border-gray-300 rounded-md px-2 py-1 text-sm');
+      select.setAttribute('aria-label', `Camera view of ${clip.file.name}`);
+      VIEW_OPTIONS.forEach(([value, label]) => {
+        const option = createElement('option', '', label);
+        option.value = value;
+        select.appendChild(option);
+      });
+      select.value = clip.view;
+      select.addEventListener('change', () => {
+        clip.view = select.value;
+      });
+      controls.appendChild(select);
+
+      // The first clip is removed with the file itself
+      if (index > 0) {
+        const removeBtn = createElement('button', 'text-gray-400 hover:text-red-500', 'Remove');
+        removeBtn.type = 'button';
+        removeBtn.addEventListener('click', () => {
+          sessionClips.splice(index, 1);
+          renderClipList();
+        });
+        controls.appendChild(removeBtn);
+      }
+
+      row.appendChild(controls);
+      clipList.appendChild(row);
+    });
+  }
+
+  /**
+   * Adds another video of the same session, filmed from a different side
+   * @param {File} file - The video file
+   */
+  function addClip(file) {
+    if (!file.type.startsWith('video/')) {
+      showNotification('error', 'Not a Video', `${file.name} is not a video file`);
+      return;
+    }
+    if (!sessionClips.length) {
+      showNotification('error', 'No Session', 'Select the first video of the session before adding other views');
+      return;
+    }
+    if (sessionClips.length >= MAX_CLIPS) {
+      showNotification('error', 'Too Many Clips', `A session can combine at most ${MAX_CLIPS} clips`);
+      return;
+    }
+    sessionClips.push({ file, view: 'auto' });
+    renderClipList();
+  }
+
   /**
    * Handles the selected file and prepares it for analysis
    * @param {File} file - The file to handle
@@ -908,6 +1305,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (file.type.startsWith('image/')) {
         showImagePreview(file);
       } else if (file.type.startsWith('video/')) {
+        sessionClips = [{ file, view: 'auto' }];
+        renderClipList();
         showVideoPreview(file);
         // Process video to extract frames
         try {
@@ -960,9 +1359,13 @@ document.addEventListener('DOMContentLoaded', async () => {
    * Process a video file by extracting frames for analysis
    * @param {File} file - The video file to process
    * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+   * @param {Array<number>} [times] - Timestamps to extract instead of the profile's even sampling
+   * @param {Object} [clipOptions]
+   * @param {{start: number, end: number|null}} [clipOptions.range] - Analysis window; the whole clip by default
+   * @param {Object} [clipOptions.crop] - Box around the runner to crop every frame to (see trackRunner)
    * @returns {Promise<Array<Blob>>} Array of extracted frame blobs
    */
-  async function processVideoFile(file, signal) {
+  async function processVideoFile(file, signal, times, { range, crop } = {}) {
     console.log('Processing video file:', file.name, 'Size:', file.size, 'Type:', file.type);
     
     // Set uploading state
@@ -1016,11 +1419,17 @@ document.addEventListener('DOMContentLoaded', async () => {
           }, { once: true });
         }
         
-        // Start the frame extraction at 2 FPS with 30s cap
-        console.log('Starting frame extraction at 2 FPS (max 30s)...');
+        // Sample frames the way the profile asks for (2 FPS with a 30s cap for running),
+        // with the user's frame rate, resolution and quality, within the analysis window
+        const options = extractionOptions(range);
+        if (times) {
+          console.log(`Starting frame extraction at ${times.length} gait phase moments...`);
+        } else {
+          console.log(`Starting frame extraction at ${options.frameRate} FPS from ${options.start}s (max ${options.maxDuration}s)...`);
+        }
         loadingOverlay.updateProgress(0, 'Starting frame extraction...');
         
-        frameExtractor.extractFrames(file).catch(error => {
+        frameExtractor.extractFrames(file, { ...options, crop, times }).catch(error => {
           if (error.message !== 'Frame extraction cancelled') {
             console.error('Frame extraction error:', error);
             isUploading = false;
@@ -1081,64 +1490,135 @@ document.addEventListener('DOMContentLoaded', async () => {
       const isVideo = currentFile.type && currentFile.type.startsWith('video');
       const endpoint = isVideo ? '/api/analyze-video' : '/api/analyze';
       let formData;
+      const frameImages = {}; // Uploaded frames keyed by frame number, shown annotated in the report
+      const frameQuality = []; // Frame strips of the clips the quality gate excluded frames from
       
       // Process file (extract frames if video) and upload
       if (isVideo) {
-        loadingOverlay.updateMessage('Extracting frames from video...');
-        
-        // Process video and get frames
-        const frames = await processVideoFile(currentFile);
-        
-        // Build form data with frames
         formData = new FormData();
-        const totalFrames = frames.length;
-        let uploadedFrames = 0;
-        const uploadStartTime = Date.now();
+        const frameMeta = []; // Timestamp, clip and measurements of each uploaded frame, in upload order
+        const clips = []; // Filename and camera view of each clip of the session
+        let gait = null;
         const uploadPhaseWeight = 0.3; // 30% of total progress for upload
         const extractionPhaseWeight = 0.6; // 60% of total progress for extraction
         
-        // Add each frame to form data with progress updates
-        for (let i = 0; i < frames.length; i++) {
-          if (signal.aborted) throw new Error('Analysis cancelled');
+        // A session is one or more clips of the same athlete, filmed from different sides
+        for (const [clipIndex, clip] of sessionClips.entries()) {
+          const clipLabel = sessionClips.length > 1 ? ` (clip ${clipIndex + 1} of ${sessionClips.length})` : '';
+          loadingOverlay.updateMessage(`Extracting frames from video${clipLabel}...`);
           
-          let frameBlob;
-          if (typeof frames[i] === 'string' && frames[i].startsWith('data:')) {
-            // Convert base64 data URL to Blob
-            frameBlob = dataURLtoBlob(frames[i]);
-          } else if (frames[i] instanceof Blob) {
-            // Already a Blob, use as is
-            frameBlob = frames[i];
-          } else {
-            console.warn('Unknown frame format at index', i, 'skipping');
-            continue;
-          }
+          // Process video and get frames, at the gait phases of a few strides when the scan finds them.
+          // The analysis window is picked on the preview, which shows the first clip
+          const range = clipIndex === 0 ? analysisWindow : undefined;
+          const crop = await trackRunner(clip.file, signal, clipLabel, range);
+          const phasePlan = await planPhaseSampling(clip.file, signal, clipLabel, range);
+          const extracted = await processVideoFile(clip.file, signal, phasePlan?.map(moment => moment.time), { range, crop });
+          const extractedTimes = [...frameExtractor.frameTimes];
+          const extractedPose = await estimatePoses(extracted, signal);
           
-          formData.append('frames', frameBlob, `frame_${i}.jpg`);
-          uploadedFrames++;
+          // Blurry frames, repeats and frames without the runner are dropped or replaced before
+          // anything is measured or uploaded
+          const gate = await applyQualityGate({
+            file: clip.file,
+            frames: extracted,
+            times: extractedTimes,
+            pose: extractedPose,
+            range,
+            crop,
+            phaseSampled: Boolean(phasePlan)
+          }, signal, clipLabel);
+          if (gate.entries.some(entry => entry.reason)) {
+            frameQuality.push({ title: `Frame Quality${clipLabel}`, entries: gate.entries });
+          }
+          const frames = gate.kept.map(item => item.frame);
           
-          // Calculate upload progress (60-90% of total progress)
-          const uploadProgress = Math.round((uploadedFrames / totalFrames) * 100 * uploadPhaseWeight);
-          const totalProgress = Math.min(90, extractionPhaseWeight * 100 + uploadProgress);
+          // Poses give the camera view (unless the user chose it) and the skeleton drawn on the key frames
+          const pose = extractedPose && { ...extractedPose, poses: gate.kept.map(item => item.landmarks) };
+          const detected = clip.view === 'auto' && pose ? detectCameraView(pose.poses, { aspectRatio: pose.aspectRatio }) : null;
+          const view = clip.view === 'auto' ? detected?.view : clip.view;
+          if (detected) console.log(`Detected ${detected.view} view for ${clip.file.name} (${detected.confidence})`);
           
-          // Calculate ETA
-          const elapsed = (Date.now() - uploadStartTime) / 1000; // seconds
-          const framesPerSecond = uploadedFrames / Math.max(0.1, elapsed);
-          const remainingFrames = totalFrames - uploadedFrames;
-          const remainingTime = Math.ceil(remainingFrames / framesPerSecond);
-          const minutes = Math.floor(remainingTime / 60);
-          const seconds = remainingTime % 60;
+          // Measure the athlete's gait so the AI can cite real numbers (not for cycling). The metrics
+          // assume a side view, so only the first side-on clip is measured; a single clip of unknown
+          // view is measured as well
+          let clipGait = null;
+          if (currentProfile.gaitMetrics && pose && !gait && (view === 'side' || (!view && sessionClips.length === 1))) {
+            clipGait = await measureGait(pose, signal);
+            gait = clipGait;
+            if (gait && sessionClips.length > 1) gait.summary.clip = clipIndex;
+          }
           
-          // Update progress with ETA
-          const message = `Uploading frame ${uploadedFrames} of ${totalFrames} ` +
-                         `(${minutes > 0 ? `${minutes}m ` : ''}${seconds}s remaining)`;
+          clips.push({
+            filename: clip.file.name,
+            ...(view && { view, viewSource: clip.view === 'auto' ? 'detected' : 'user' })
+          });
           
-          loadingOverlay.updateProgress(totalProgress, message);
+          const totalFrames = frames.length;
+          let uploadedFrames = 0;
+          const uploadStartTime = Date.now();
           
-          // Small delay to allow UI to update
-          if (i % 3 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
+          // Add each frame to form data with progress updates
+          for (let i = 0; i < frames.length; i++) {
+            if (signal.aborted) throw new Error('Analysis cancelled');
+            
+            let frameBlob;
+            if (typeof frames[i] === 'string' && frames[i].startsWith('data:')) {
+              // Convert base64 data URL to Blob
+              frameBlob = dataURLtoBlob(frames[i]);
+            } else if (frames[i] instanceof Blob) {
+              // Already a Blob, use as is
+              frameBlob = frames[i];
+            } else {
+              console.warn('Unknown frame format at index', i, 'skipping');
+              continue;
+            }
+            
+            formData.append('frames', frameBlob, `frame_${frameMeta.length}.jpg`);
+            frameMeta.push({
+              timestamp: gate.kept[i].time ?? i / frameExtractor.frameRate,
+              clip: clipIndex,
+              ...(phasePlan && { phase: phasePlan[gate.kept[i].index].phase, foot: phasePlan[gate.kept[i].index].foot }),
+              metrics: clipGait?.frames[i] || undefined,
+              landmarks: pose?.poses[i] ? packLandmarks(pose.poses[i]) : undefined
+            });
+            frameImages[frameMeta.length] = typeof frames[i] === 'string' ? frames[i] : URL.createObjectURL(frameBlob);
+            uploadedFrames++;
+            
+            // Calculate upload progress (60-90% of total progress)
+            const uploadProgress = Math.round((uploadedFrames / totalFrames) * 100 * uploadPhaseWeight);
+            const totalProgress = Math.min(90, extractionPhaseWeight * 100 + uploadProgress);
+            
+            // Calculate ETA
+            const elapsed = (Date.now() - uploadStartTime) / 1000; // seconds
+            const framesPerSecond = uploadedFrames / Math.max(0.1, elapsed);
+            const remainingFrames = totalFrames - uploadedFrames;
+            const remainingTime = Math.ceil(remainingFrames / framesPerSecond);
+            const minutes = Math.floor(remainingTime / 60);
+            const seconds = remainingTime % 60;
+            
+            // Update progress with ETA
+            const message = `Uploading frame ${uploadedFrames} of ${totalFrames}${clipLabel} ` +
+                           `(${minutes > 0 ? `${minutes}m ` : ''}${seconds}s remaining)`;
+            
+            loadingOverlay.updateProgress(totalProgress, message);
+            
+            // Small delay to allow UI to update
+            if (i % 3 === 0) {
+              await new Promise(resolve => setTimeout(resolve, 0));
+            }
           }
         }
+        
+        formData.append('frameMeta', JSON.stringify(frameMeta));
+        formData.append('clips', JSON.stringify(clips));
+        if (gait) {
+          formData.append('metrics', JSON.stringify(gait.summary));
+        }
+        formData.append('source', JSON.stringify({
+          filename: sessionClips.map(clip => clip.file.name).join(' + '),
+          mimetype: currentFile.type,
+          size: sessionClips.reduce((total, clip) => total + clip.file.size, 0)
+        }));
       } else {
         // For non-video files, just add the file directly
         formData = new FormData();
@@ -1146,6 +1626,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         loadingOverlay.updateProgress(30, 'Uploading file...');
       }
 
+      // Analyses are saved to the signed-in user's history
+      formData.append('profile', currentProfile.id);
+      if (currentAthlete) formData.append('athleteId', currentAthlete.id);
+
       // Upload for analysis (final 10% of progress)
       loadingOverlay.updateProgress(90, 'Sending to AI for analysis...');
       
@@ -1159,11 +1643,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
 
       if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(errText || `Server responded with ${response.status}`);
+        throw await readApiError(response);
       }
 
-      const resultJson = await response.json();
+      // The server queues the analysis; poll the job until it finishes
+      const { jobId } = await response.json();
+      console.log('Analysis queued as job', jobId);
+      setActiveJob(jobId);
+      
+      const resultJson = await subscribeToJob(jobId, {
+        signal,
+        ...createLiveAnalysisView(90)
+      });
+      setActiveJob(null);
       console.log('Analysis Result:', resultJson);
 
       // Update UI with results
@@ -1171,20 +1663,26 @@ document.addEventListener('DOMContentLoaded', async () => {
       await new Promise(resolve => setTimeout(resolve, 500)); // Show 100% briefly
       
       // Display results in UI
-      showResults(resultJson.analysis || JSON.stringify(resultJson));
+      showResults(resultJson.analysis || JSON.stringify(resultJson), {
+        frameImages,
+        frameQuality,
+        analysisId: resultJson.analysisId
+      });
       setAnalysisState('results');
       loadingOverlay.hide();
       
       showNotification('success', 'Analysis Complete', 'Your analysis results are ready.');
+      refreshHistory();
       
     } catch (error) {
+      setActiveJob(null);
       if (error.name === 'AbortError' || error.message === 'Analysis cancelled') {
         console.log('Analysis was cancelled');
         showNotification('info', 'Analysis Cancelled', 'The analysis was cancelled.');
       } else {
         console.error('Error analyzing file:', error);
         showErrorPreview(error.message || 'Error analyzing file');
-        showNotification('error', 'Analysis Error', error.message || 'Error analyzing file');
+        showNotification('error', error.title || 'Analysis Error', error.message || 'Error analyzing file');
       }
       setAnalysisState('empty');
       loadingOverlay.hide();
@@ -1195,6 +1693,619 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Runs pose estimation over the extracted frames
+   * @param {Array<string|Blob>} frames - Extracted frames in video order
+   * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+   * @returns {Promise<{poses: Array<Array<Object>|null>, aspectRatio: number}|null>} The poses,
+   *   or null when pose estimation is unavailable (the analysis then goes ahead without them)
+   */
+  async function estimatePoses(frames, signal) {
+    try {
+      loadingOverlay.updateProgress(60, 'Loading pose estimation model...');
+      return await poseEstimator.estimate(frames, {
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(60, `Detecting pose: frame ${current} of ${total}`);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Pose estimation unavailable, analyzing without measured metrics:', error);
+      return null;
+    }
+  }
+
+  // Reasons for which an evenly spaced frame is worth replacing; a duplicate means the video barely changes there
+  const REPLACEABLE_REASONS = ['blurry', 'no_subject'];
+
+  /**
+   * Runs the frame quality gate over the frames of a clip (see frame-quality.js). Evenly
+   * spaced frames that are blurry or miss the runner are replaced by the frame half an
+   * interval later when that one passes; other excluded frames are dropped. Frames picked
+   * at gait phases are only dropped, as a later frame would show another phase.
+   * @param {Object} clip
+   * @param {File} clip.file - The clip
+   * @param {Array<string>} clip.frames - Extracted frames, in video order
+   * @param {Array<number>} clip.times - Their timestamps in seconds
+   * @param {{poses: Array, aspectRatio: number}|null} clip.pose - Result of estimatePoses
+   * @param {Object} [clip.range] - Analysis window the frames were extracted from
+   * @param {Object} [clip.crop] - Box the frames were cropped to
+   * @param {boolean} clip.phaseSampled - Whether the frames were picked at gait phases
+   * @param {AbortSignal} signal - Aborts the replacement pass
+   * @param {string} [clipLabel=''] - Clip suffix for progress messages
+   * @returns {Promise<{kept: Array<Object>, entries: Array<Object>}>} The frames to upload, each with
+   *   its `frame`, `time`, `landmarks` and the `index` it was extracted as, and a frame strip entry
+   *   per extracted frame (none when the gate could not run)
+   */
+  async function applyQualityGate({ file, frames, times, pose, range, crop, phaseSampled }, signal, clipLabel = '') {
+    const slots = frames.map((frame, index) => ({ frame, time: times[index], landmarks: pose?.poses[index] || null }));
+    
+    try {
+      loadingOverlay.updateProgress(60, `Checking frame quality${clipLabel}...`);
+      const measurements = await measureFrames(frames);
+      slots.forEach((slot, index) => { slot.measurement = measurements[index]; });
+      const threshold = blurThreshold(measurements);
+      const assessments = assessFrames(measurements, { poses: pose?.poses, threshold });
+      let results = slots.map((slot, index) => ({ slot, assessment: assessments[index] }));
+      
+      // One replacement attempt per frame, within the analysis window
+      const rangeEnd = frameExtractor.getRange().end;
+      const offset = 0.5 / frameExtractor.frameRate;
+      const replaceable = phaseSampled ? [] : assessments
+        .map((assessment, index) => index)
+        .filter(index => REPLACEABLE_REASONS.includes(assessments[index].reason) && times[index] + offset < rangeEnd);
+      
+      if (replaceable.length) {
+        console.log(`Trying replacements for ${replaceable.length} low-quality frames${clipLabel}`);
+        const candidates = await processVideoFile(file, signal, replaceable.map(index => times[index] + offset), { range, crop });
+        const candidatePose = pose ? await estimatePoses(candidates, signal) : null;
+        const candidateMeasurements = await measureFrames(candidates);
+        
+        const combined = [...slots];
+        replaceable.forEach((index, i) => {
+          combined[index] = {
+            frame: candidates[i],
+            time: times[index] + offset,
+            landmarks: candidatePose?.poses[i] || null,
+            measurement: candidateMeasurements[i]
+          };
+        });
+        
+        // Reassessed in sequence, so a replacement that repeats its neighbour is caught too
+        const reassessed = assessFrames(combined.map(slot => slot.measurement), {
+          poses: pose ? combined.map(slot => slot.landmarks) : undefined,
+          threshold
+        });
+        results = combined.map((slot, index) => {
+          if (slot === slots[index]) return { slot, assessment: reassessed[index] };
+          // A replacement that fails as well leaves the frame excluded
+          return reassessed[index].reason
+            ? { slot: slots[index], assessment: assessments[index] }
+            : { slot, assessment: assessments[index], replacement: slot };
+        });
+      }
+      
+      const excluded = results.filter(({ assessment, replacement }) => assessment.reason && !replacement).length;
+      if (excluded || replaceable.length) {
+        console.log(`Frame quality${clipLabel}: ${excluded} of ${frames.length} frames excluded`);
+      }
+      return {
+        kept: results
+          .map(({ slot, assessment, replacement }, index) => ({ ...slot, index, send: replacement || !assessment.reason }))
+          .filter(({ send }) => send)
+          .map(({ frame, time, landmarks, index }) => ({ frame, time, landmarks, index })),
+        entries: results.map(({ assessment, replacement }, index) => ({
+          ...assessment,
+          frame: slots[index].frame,
+          time: times[index],
+          ...(replacement && { replacement: { frame: replacement.frame, time: replacement.time } })
+        }))
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Frame quality gate unavailable, sending every frame:', error);
+      return {
+        kept: slots.map(({ frame, time, landmarks }, index) => ({ frame, time, landmarks, index })),
+        entries: []
+      };
+    }
+  }
+
+  // Frames of the pose scan that tracks the runner for auto-crop, spread over the analysis window
+  const TRACKING_SCAN_FRAMES = 16;
+
+  /**
+   * Tracks the runner through a clip's analysis window with pose estimation on a quick scan,
+   * and picks one padded box around them that every extracted frame is cropped to (see
+   * subject-crop.js). One box for all frames keeps motion comparable between them.
+   * @param {File} file - The clip
+   * @param {AbortSignal} signal - Aborts the scan
+   * @param {string} [clipLabel=''] - Clip suffix for progress messages
+   * @param {{start: number, end: number|null}} [range] - Analysis window; the whole clip by default
+   * @returns {Promise<Object|null>} The crop box, normalized to the frame, or null to keep whole frames
+   */
+  async function trackRunner(file, signal, clipLabel = '', range) {
+    if (currentUser?.preferences?.extraction?.autoCrop === false) return null;
+    
+    try {
+      loadingOverlay.updateProgress(0, `Tracking the runner${clipLabel}...`);
+      frameExtractor.cleanup();
+      frameExtractor.reset();
+      await frameExtractor.loadVideo(file);
+      
+      const { start, end } = analyzedRange(range);
+      const duration = end - start;
+      if (!(duration > 0)) return null;
+      const { frames } = await frameExtractor.extractTemporalWindow({
+        start,
+        duration,
+        frameRate: TRACKING_SCAN_FRAMES / duration,
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(0, `Tracking the runner${clipLabel}: frame ${current} of ${total}`);
+        }
+      });
+      
+      const { poses } = await poseEstimator.estimate(frames, { signal });
+      const crop = trackSubjectBox(poses);
+      console.log(crop ? `Cropping frames to the runner: ${JSON.stringify(crop)}` : 'Keeping whole frames, no tight box around the runner');
+      return crop;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Runner tracking unavailable, keeping whole frames:', error);
+      return null;
+    }
+  }
+
+  // Window and rate of the pose scan that finds the strides for gait phase sampling
+  const PHASE_SCAN_DURATION = 6;
+  const PHASE_SCAN_FPS = 20;
+  // With fewer moments the scan found no clear strides, and frames are spaced evenly instead
+  const MIN_PHASE_FRAMES = 6;
+
+  /**
+   * Scans a short window in the middle of a clip's analysis window with pose estimation and
+   * picks the moments of each gait phase to extract (see selectPhaseFrames). Only for
+   * profiles with gait metrics, when the user samples by gait phase.
+   * @param {File} file - The clip
+   * @param {AbortSignal} signal - Aborts the scan
+   * @param {string} [clipLabel=''] - Clip suffix for progress messages
+   * @param {{start: number, end: number|null}} [range] - Analysis window; the whole clip by default
+   * @returns {Promise<Array<Object>|null>} Moments with their `time`, `phase` and `foot`,
+   *   or null when frames should be spaced evenly
+   */
+  async function planPhaseSampling(file, signal, clipLabel = '', range) {
+    if (!currentProfile.gaitMetrics || samplingSelect.value !== 'phases') return null;
+    
+    try {
+      loadingOverlay.updateProgress(0, `Scanning the video for strides${clipLabel}...`);
+      frameExtractor.cleanup();
+      frameExtractor.reset();
+      await frameExtractor.loadVideo(file);
+      
+      const { maxFrames } = currentProfile.sampling;
+      const { start: rangeStart, end: rangeEnd } = analyzedRange(range);
+      const duration = Math.min(PHASE_SCAN_DURATION, rangeEnd - rangeStart);
+      const { frames, times } = await frameExtractor.extractTemporalWindow({
+        start: rangeStart + (rangeEnd - rangeStart - duration) / 2,
+        duration,
+        frameRate: PHASE_SCAN_FPS,
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(0, `Scanning for strides${clipLabel}: frame ${current} of ${total}`);
+        }
+      });
+      
+      const { poses, aspectRatio } = await poseEstimator.estimate(frames, {
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(0, `Finding gait phases${clipLabel}: frame ${current} of ${total}`);
+        }
+      });
+      
+      const plan = selectPhaseFrames(detectGaitEvents(poses, times, { aspectRatio }), { maxFrames });
+      if (plan.length < MIN_PHASE_FRAMES) {
+        console.log(`Found only ${plan.length} gait phase moments, sampling evenly instead`);
+        return null;
+      }
+      
+      console.log(`Sampling ${plan.length} frames at gait phases`);
+      return plan;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Gait phase scan unavailable, sampling evenly:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Computes gait metrics from the poses of the last extracted clip
+   * @param {{poses: Array, aspectRatio: number}} pose - Result of estimatePoses
+   * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+   * @returns {Promise<{frames: Array<Object|null>, summary: Object}|null>} The metrics,
+   *   or null when no runner could be measured
+   */
+  async function measureGait({ poses, aspectRatio }, signal) {
+    loadingOverlay.updateProgress(60, 'Measuring running form...');
+    const gait = computeGaitMetrics(poses, { aspectRatio });
+    const temporal = await measureStepTiming(signal);
+    if (temporal) Object.assign(gait.summary, temporal);
+
+    console.log('Gait metrics:', gait.summary);
+    return gait.summary.detectedFrames > 0 || temporal ? { ...gait, poses } : null;
+  }
+
+  /**
+   * Times foot strikes and toe-offs in a short window sampled at the video's
+   * native frame rate (the 2 fps analysis frames are too far apart for this)
+   * @param {AbortSignal} signal - Aborts the measurement
+   * @returns {Promise<Object|null>} Cadence, ground contact and balance summary
+   *   entries, or null when no steps could be timed
+   */
+  async function measureStepTiming(signal) {
+    try {
+      loadingOverlay.updateProgress(60, 'Sampling a short window for cadence...');
+      const { frames, times, frameRate } = await frameExtractor.extractTemporalWindow({
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(60, `Sampling for cadence: frame ${current} of ${total}`);
+        }
+      });
+
+      const { poses, aspectRatio } = await poseEstimator.estimate(frames, {
+        signal,
+        onProgress: ({ current, total }) => {
+          loadingOverlay.updateProgress(60, `Timing steps: frame ${current} of ${total}`);
+        }
+      });
+
+      const temporal = computeTemporalMetrics(detectGaitEvents(poses, times, { aspectRatio }));
+      if (!Object.keys(temporal).length) return null;
+
+      return {
+        ...temporal,
+        temporalDuration: Number((frames.length / frameRate).toFixed(1)),
+        temporalFrameRate: frameRate
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Step timing unavailable:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Creates job callbacks that report server-side stages to the loading overlay
+   * and stream the model's output live into #analysisContent
+   * @param {number} [startPercent=0] - Overall progress when the server job started
+   * @returns {{onUpdate: Function, onToken: Function}} Callbacks for subscribeToJob
+   */
+  function createLiveAnalysisView(startPercent = 0) {
+    const analysisContent = document.getElementById('analysisContent');
+    let statusLine = null;
+    let output = null;
+
+    return {
+      onUpdate(job) {
+        loadingOverlay.showJobProgress(job, startPercent);
+        if (statusLine) {
+          statusLine.textContent = job.progress?.message || 'Analyzing...';
+        }
+        // A retry starts a fresh response, so drop what was streamed so far
+        if (output && job.progress?.stage === 'request_sent') {
+          output.textContent = '';
+        }
+      },
+
+      onToken(text) {
+        if (!output) {
+          // Swap the overlay for the results panel once the model starts answering
+          loadingOverlay.hide();
+          uploadSection.classList.add('hidden');
+          resultsSection.classList.remove('hidden');
+          setAnalysisState('results');
+
+          analysisContent.innerHTML = '';
+          statusLine = document.createElement('p');
+          statusLine.className = 'text-sm text-blue-600 mb-2 animate-pulse';
+          statusLine.textContent = 'Receiving analysis from the AI model...';
+          output = document.createElement('pre');
+          output.className = 'whitespace-pre-wrap text-xs text-gray-600 bg-white border border-gray-200 rounded-lg p-4 max-h-96 overflow-y-auto';
+          analysisContent.append(statusLine, output);
+        }
+
+        output.textContent += text;
+        output.scrollTop = output.scrollHeight;
+      }
+    };
+  }
+
+  /**
+   * Picks up an analysis job that was still running when the page was reloaded
+   */
+  async function resumeActiveJob() {
+    const jobId = getActiveJob();
+    if (!jobId || isProcessing) return;
+
+    console.log('Resuming analysis job', jobId);
+    isProcessing = true;
+    const controller = new AbortController();
+
+    loadingOverlay.show(
+      'Analyzing File',
+      'Picking up your analysis where it left off...',
+      () => {
+        controller.abort('Analysis cancelled by user');
+        setActiveJob(null);
+        isProcessing = false;
+      }
+    );
+
+    try {
+      const resultJson = await subscribeToJob(jobId, {
+        signal: controller.signal,
+        ...createLiveAnalysisView()
+      });
+
+      loadingOverlay.updateProgress(100, 'Analysis complete!');
+      // The extracted frames are gone after a reload, so annotate the saved thumbnails instead
+      const record = resultJson.analysisId && await fetchAnalysis(resultJson.analysisId).catch(() => null);
+      showResults(resultJson.analysis || JSON.stringify(resultJson), {
+        frameImages: record ? thumbnailImages(record) : {},
+        analysisId: resultJson.analysisId
+      });
+      setAnalysisState('results');
+      showNotification('success', 'Analysis Complete', 'Your analysis results are ready.');
+      refreshHistory();
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error resuming analysis job:', error);
+        showNotification('error', 'Analysis Error', error.message || 'Could not load your previous analysis');
+      }
+    } finally {
+      setActiveJob(null);
+      loadingOverlay.hide();
+      isProcessing = false;
+    }
+  }
+
+  resumeActiveJob();
+
+  // Past analyses ticked for comparison, oldest first once two are picked
+  let comparisonSelection = [];
+
+  /**
+   * Loads the past analyses of the current user into the history panel
+   */
+  async function refreshHistory() {
+    const historySection = document.getElementById('historySection');
+    if (!isSignedIn() || !historySection) return;
+
+    try {
+      const analyses = await fetchHistory();
+      comparisonSelection = comparisonSelection.filter(selected => analyses.some(item => item.id === selected.id));
+      updateCompareButton();
+      renderHistory(document.getElementById('historyList'), analyses, {
+        onOpen: openPastAnalysis,
+        onSelect: toggleComparisonSelection,
+        selected: comparisonSelection.map(item => item.id)
+      });
+      document.getElementById('historyEmpty').classList.toggle('hidden', analyses.length > 0);
+      historySection.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error loading analysis history:', error);
+    }
+  }
+
+  /**
+   * Maps the thumbnails of a stored analysis to the frames they show, preferring
+   * the full-resolution key frames when the server kept them
+   * @param {Object} record - Analysis record from fetchAnalysis
+   * @returns {Object<number, string>} Image URL keyed by frame number
+   */
+  function thumbnailImages(record) {
+    return Object.fromEntries([...record.thumbnails, ...(record.keyFrames || [])]
+      .filter(image => Number.isInteger(image.frameNumber))
+      .map(image => [image.frameNumber, image.url]));
+  }
+
+  /**
+   * Reopens a stored analysis in the results section
+   * @param {string} analysisId - Id of the stored analysis
+   */
+  async function openPastAnalysis(analysisId) {
+    if (isProcessing) {
+      showNotification('info', 'Analysis Running', 'Please wait for the current analysis to finish.');
+      return;
+    }
+
+    try {
+      const record = await fetchAnalysis(analysisId);
+      showResults(record.analysis, { frameImages: thumbnailImages(record), analysisId: record.id });
+    } catch (error) {
+      console.error('Error opening analysis:', error);
+      showNotification('error', 'History Error', error.message || 'Could not open this analysis');
+    }
+  }
+
+  /**
+   * Adds or removes a past analysis from the comparison selection (at most two)
+   * @param {Object} item - Analysis summary
+   * @param {boolean} checked - Whether the analysis was ticked
+   */
+  function toggleComparisonSelection(item, checked) {
+    comparisonSelection = comparisonSelection.filter(selected => selected.id !== item.id);
+    if (checked) {
+      // Picking a third analysis replaces the oldest pick
+      comparisonSelection = [...comparisonSelection, item].slice(-2);
+    }
+    updateCompareButton();
+    refreshHistory();
+  }
+
+  function updateCompareButton() {
+    const compareBtn = document.getElementById('compareBtn');
+    if (!compareBtn) return;
+    // Only sessions analyzed with the same profile share categories to compare
+    const sameProfile = new Set(comparisonSelection.map(item => item.profile)).size <= 1;
+    compareBtn.disabled = comparisonSelection.length !== 2 || !sameProfile;
+    compareBtn.title = sameProfile ? '' : 'Pick two analyses of the same sport or mode';
+    compareBtn.textContent = `Compare (${comparisonSelection.length}/2)`;
+  }
+
+  /**
+   * Compares the two selected past analyses and shows the diff report
+   */
+  async function compareSelectedAnalyses() {
+    if (comparisonSelection.length !== 2 || isProcessing) return;
+
+    // The earlier session is the baseline
+    const [baseline, followUp] = [...comparisonSelection]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const controller = new AbortController();
+    isProcessing = true;
+
+    loadingOverlay.show(
+      'Comparing Sessions',
+      'Comparing your two running sessions...',
+      () => {
+        controller.abort('Comparison cancelled by user');
+        setActiveJob(null);
+        isProcessing = false;
+      }
+    );
+
+    try {
+      const response = await fetch('/api/compare', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ baselineId: baseline.id, followUpId: followUp.id }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw await readApiError(response);
+      }
+
+      const body = await response.json();
+      setActiveJob(body.jobId);
+      const resultJson = await subscribeToJob(body.jobId, {
+        signal: controller.signal,
+        ...createLiveAnalysisView()
+      });
+
+      loadingOverlay.updateProgress(100, 'Comparison complete!');
+      showResults(resultJson.analysis);
+      showNotification('success', 'Comparison Complete', 'Your session comparison is ready.');
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error comparing analyses:', error);
+        showNotification('error', error.title || 'Comparison Error', error.message || 'Could not compare these analyses');
+      }
+    } finally {
+      setActiveJob(null);
+      loadingOverlay.hide();
+      isProcessing = false;
+    }
+  }
+
+  document.getElementById('refreshHistoryBtn')?.addEventListener('click', refreshHistory);
+  document.getElementById('compareBtn')?.addEventListener('click', compareSelectedAnalyses);
+
+  /**
+   * Switches the page to a signed-in user, or to nobody after signing out
+   * @param {Object|null} user - User from the auth API
+   */
+  function setCurrentUser(user) {
+    currentUser = user;
+    document.getElementById('accountBar').classList.toggle('hidden', !user);
+    document.getElementById('accountEmail').textContent = user?.email || '';
+
+    if (!user) {
+      comparisonSelection = [];
+      document.getElementById('historySection').classList.add('hidden');
+      athleteForm.classList.add('hidden');
+    }
+    showExtractionPreferences();
+    refreshHistory();
+    refreshAthletes();
+  }
+
+  /**
+   * Loads the API tokens into the account modal
+   */
+  async function refreshApiTokens() {
+    const apiTokenList = document.getElementById('apiTokenList');
+    try {
+      renderApiTokens(apiTokenList, await fetchApiTokens(), async token => {
+        if (!confirm(`Revoke the API token "${token.name}"? Scripts using it will stop working.`)) return;
+        try {
+          await revokeApiToken(token.id);
+          await refreshApiTokens();
+        } catch (error) {
+          showNotification('error', 'Could Not Revoke Token', error.message);
+        }
+      });
+    } catch (error) {
+      showNotification('error', 'Could Not Load API Tokens', error.message);
+    }
+  }
+
+  /**
+   * Wires up the sign-in modal, the account bar and the API token settings,
+   * then loads the signed-in user
+   */
+  async function initAccount() {
+    const accountModal = document.getElementById('accountModal');
+    const apiTokenForm = document.getElementById('apiTokenForm');
+    const newApiToken = document.getElementById('newApiToken');
+
+    initLoginForm(setCurrentUser);
+
+    document.getElementById('signOutBtn').addEventListener('click', async () => {
+      try {
+        await signOut();
+        setCurrentUser(null);
+        showNotification('info', 'Signed Out', 'Sign in again to analyze files and see your history.', 3000);
+      } catch (error) {
+        showNotification('error', 'Could Not Sign Out', error.message);
+      }
+    });
+
+    document.getElementById('accountBtn').addEventListener('click', () => {
+      newApiToken.classList.add('hidden');
+      accountModal.classList.remove('hidden');
+      refreshApiTokens();
+    });
+    document.getElementById('closeAccountBtn').addEventListener('click', () => accountModal.classList.add('hidden'));
+
+    apiTokenForm.addEventListener('submit', async event => {
+      event.preventDefault();
+      try {
+        // The token is only returned once, so it is shown until the modal closes
+        document.getElementById('newApiTokenValue').textContent = await createApiToken(apiTokenForm.elements.name.value.trim());
+        newApiToken.classList.remove('hidden');
+        apiTokenForm.reset();
+        await refreshApiTokens();
+      } catch (error) {
+        showNotification('error', 'Could Not Create Token', error.message);
+      }
+    });
+
+    let user = null;
+    try {
+      user = await fetchCurrentUser();
+    } catch (error) {
+      console.warn('Could not load the signed-in user:', error);
+    }
+    setCurrentUser(user);
+  }
+
+  initProfileSelect();
+  initExtractionSettings();
+  initAthleteSelect();
+  initAccount();
+
   /**
    * Resets the analysis state and UI
    */
@@ -1313,12 +2424,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
-  function showResults(analysis) {
+  function showResults(analysis, { frameImages, frameQuality = [], analysisId } = {}) {
     // Hide upload section and show results section
     uploadSection.classList.add('hidden');
     resultsSection.classList.remove('hidden');
     document.getElementById('newAnalysisBtn').classList.remove('hidden');
     
+    // Saved running-form reports can be downloaded as a printable PDF
+    const exportPdfBtn = document.getElementById('exportPdfBtn');
+    const exportable = Boolean(analysisId) && analysis?.type === 'video' && Boolean(analysis.report);
+    exportPdfBtn.classList.toggle('hidden', !exportable);
+    exportPdfBtn.href = exportable ? `/api/analyses/${encodeURIComponent(analysisId)}/report.pdf` : '#';
+    
     // Show loading state initially
     setAnalysisState('loading');
     
@@ -1327,7 +2444,24 @@ document.addEventListener('DOMContentLoaded', async () => {
       const analysisContent = document.getElementById('analysisContent');
       analysisContent.innerHTML = '';
       
-      if (analysis) {
+      if (analysis && analysis.type === 'video' && analysis.report) {
+        // Structured running-form report
+        renderAnalysisReport(analysisContent, analysis, { frameImages });
+        // Frames the quality gate kept from the model, with the reason for each
+        frameQuality.forEach(({ title, entries }) => {
+          const strip = renderFrameQuality(entries, title);
+          if (strip) analysisContent.appendChild(strip);
+        });
+        setAnalysisState('results');
+      } else if (analysis && analysis.type === 'file' && analysis.report) {
+        // Document analysis with page/section citations
+        renderDocumentReport(analysisContent, analysis);
+        setAnalysisState('results');
+      } else if (analysis && analysis.type === 'comparison') {
+        // Diff of two running sessions
+        renderComparison(analysisContent, analysis);
+        setAnalysisState('results');
+      } else if (analysis) {
         let displayText = '';
         if (typeof analysis === 'string') {
           displayText = analysis;
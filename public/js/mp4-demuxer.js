@@ -0,0 +1,337 @@
+/**
+ * Minimal MP4/QuickTime (ISO BMFF) demuxer for the WebCodecs frame extractor.
+ *
+ * Reads the `moov` box of a file, finds the first video track and expands its
+ * sample tables into one entry per sample (where its bytes are, its decode and
+ * presentation times and whether it is a sync sample), plus the decoder config
+ * WebCodecs needs. Only the boxes are read, never the media data, so large
+ * files are fine. Fragmented MP4s and other containers are not supported.
+ */
+
+// Boxes that only contain other boxes, on the way to the sample tables
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * Error for files this demuxer cannot read, so the caller knows to fall back
+ */
+export class UnsupportedVideoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedVideoError';
+  }
+}
+
+/**
+ * Read the header of the box at `offset`
+ * @param {DataView} view - Bytes holding the box
+ * @param {number} offset - Start of the box in `view`
+ * @param {number} end - End of the enclosing box or file
+ * @returns {{type: string, start: number, headerSize: number, end: number}} The box, offsets relative to `view`
+ */
+function readBoxHeader(view, offset, end) {
+  let size = view.getUint32(offset);
+  const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+  let headerSize = 8;
+  if (size === 1) {
+    size = Number(view.getBigUint64(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize) throw new UnsupportedVideoError(`Malformed ${type} box`);
+  return { type, start: offset, headerSize, end: offset + size };
+}
+
+/**
+ * List the child boxes of a box
+ * @param {DataView} view - Bytes holding the box
+ * @param {number} start - Start of the children
+ * @param {number} end - End of the box
+ * @returns {Array<Object>} Headers from readBoxHeader
+ */
+function childBoxes(view, start, end) {
+  const boxes = [];
+  for (let offset = start; offset + 8 <= end;) {
+    const box = readBoxHeader(view, offset, end);
+    boxes.push(box);
+    offset = box.end;
+  }
+  return boxes;
+}
+
+/**
+ * Collect the boxes below a box by path, e.g. `trak/mdia/mdhd`
+ * @param {DataView} view - Bytes holding the box
+ * @param {Object} box - Header from readBoxHeader
+ * @returns {Map<string, Object>} First box found at each path
+ */
+function indexBoxes(view, box) {
+  const index = new Map();
+  const visit = (parent, prefix) => {
+    for (const child of childBoxes(view, parent.start + parent.headerSize, parent.end)) {
+      const boxPath = `${prefix}/${child.type}`;
+      if (!index.has(boxPath)) index.set(boxPath, child);
+      if (CONTAINER_BOXES.includes(child.type)) visit(child, boxPath);
+    }
+  };
+  visit(box, box.type);
+  return index;
+}
+
+// Start of a full box's payload, after its version and flags
+function payload(box) {
+  return box.start + box.headerSize + 4;
+}
+
+/**
+ * Find the `moov` box by reading only box headers from the file
+ * @param {Blob} file - The video file
+ * @returns {Promise<DataView>} The whole moov box
+ */
+async function readMovieBox(file) {
+  for (let offset = 0; offset + 8 <= file.size;) {
+    const header = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+    const box = readBoxHeader(header, 0, file.size - offset);
+    if (box.type === 'moov') {
+      return new DataView(await file.slice(offset, offset + box.end).arrayBuffer());
+    }
+    if (offset === 0 && !['ftyp', 'wide', 'free', 'skip', 'mdat', 'pnot'].includes(box.type)) {
+      throw new UnsupportedVideoError('Not an MP4 or QuickTime file');
+    }
+    offset += box.end;
+  }
+  throw new UnsupportedVideoError('No movie box found');
+}
+
+/**
+ * Read the rotation from a track header's transformation matrix
+ * @param {DataView} view - Bytes holding the box
+ * @param {Object} tkhd - The track header box
+ * @returns {{rotation: number, width: number, height: number}} Clockwise rotation in degrees and the display size
+ */
+function readTrackHeader(view, tkhd) {
+  const version = view.getUint8(tkhd.start + tkhd.headerSize);
+  // Skip times, track id and duration, then reserved, layer, group, volume and reserved
+  const matrix = payload(tkhd) + (version === 1 ? 32 : 20) + 16;
+  const a = view.getInt32(matrix) / 65536;
+  const b = view.getInt32(matrix + 4) / 65536;
+  const rotation = (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+  return {
+    rotation,
+    width: view.getUint32(matrix + 36) / 65536,
+    height: view.getUint32(matrix + 40) / 65536
+  };
+}
+
+function hex(value) {
+  return value.toString(16).padStart(2, '0');
+}
+
+function twoDigits(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Reverse the bits of a 32-bit number, for HEVC's compatibility flags
+function reverseBits(value) {
+  let reversed = 0;
+  for (let i = 0; i < 32; i++) {
+    reversed = (reversed << 1) | ((value >>> i) & 1);
+  }
+  return reversed >>> 0;
+}
+
+/**
+ * Build the WebCodecs codec string and description from the sample entry
+ * @param {DataView} view - Bytes holding the box
+ * @param {Object} stsd - The sample description box
+ * @returns {{codec: string, description: (Uint8Array|undefined), codedWidth: number, codedHeight: number}}
+ */
+function readSampleEntry(view, stsd) {
+  const entry = readBoxHeader(view, payload(stsd) + 4, stsd.end);
+  const codedWidth = view.getUint16(entry.start + entry.headerSize + 24);
+  const codedHeight = view.getUint16(entry.start + entry.headerSize + 26);
+  // Visual sample entries have 78 bytes of fields before their child boxes
+  const configs = childBoxes(view, entry.start + entry.headerSize + 78, entry.end);
+  const config = type => configs.find(box => box.type === type);
+  const bytes = box => new Uint8Array(view.buffer, view.byteOffset + box.start + box.headerSize, box.end - box.start - box.headerSize);
+
+  if (['avc1', 'avc3'].includes(entry.type) && config('avcC')) {
+    const avcC = bytes(config('avcC'));
+    return { codec: `${entry.type}.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`, description: avcC, codedWidth, codedHeight };
+  }
+
+  if (['hvc1', 'hev1'].includes(entry.type) && config('hvcC')) {
+    const hvcC = bytes(config('hvcC'));
+    const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+    const tier = hvcC[1] & 0x20 ? 'H' : 'L';
+    const compatibility = reverseBits(new DataView(hvcC.buffer, hvcC.byteOffset + 2, 4).getUint32(0));
+    const constraints = [...hvcC.slice(6, 12)];
+    while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+    const codec = [
+      entry.type,
+      `${profileSpace}${hvcC[1] & 0x1f}`,
+      compatibility.toString(16),
+      `${tier}${hvcC[12]}`,
+      ...constraints.map(byte => byte.toString(16))
+    ].join('.');
+    return { codec, description: hvcC, codedWidth, codedHeight };
+  }
+
+  if (entry.type === 'vp09' && config('vpcC')) {
+    // Full box: profile, level, then bit depth in the high nibble
+    const vpcC = bytes(config('vpcC'));
+    return { codec: `vp09.${twoDigits(vpcC[4])}.${twoDigits(vpcC[5])}.${twoDigits(vpcC[6] >> 4)}`, codedWidth, codedHeight };
+  }
+
+  if (entry.type === 'av01' && config('av1C')) {
+    const av1C = bytes(config('av1C'));
+    const profile = av1C[1] >> 5;
+    const level = av1C[1] & 0x1f;
+    const tier = av1C[2] & 0x80 ? 'H' : 'M';
+    const bitDepth = av1C[2] & 0x40 ? (profile === 2 && av1C[2] & 0x20 ? 12 : 10) : 8;
+    return { codec: `av01.${profile}.${twoDigits(level)}${tier}.${twoDigits(bitDepth)}`, description: av1C, codedWidth, codedHeight };
+  }
+
+  throw new UnsupportedVideoError(`Unsupported video codec: ${entry.type}`);
+}
+
+/**
+ * Read a table of fixed-size entries from a full box
+ * @param {DataView} view - Bytes holding the box
+ * @param {Object} [box] - The box, if the track has it
+ * @param {number} fields - 32-bit fields per entry
+ * @returns {Array<Array<number>>} Entries
+ */
+function readTable(view, box, fields) {
+  if (!box) return [];
+  const count = view.getUint32(payload(box));
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const offset = payload(box) + 4 + i * fields * 4;
+    entries.push(Array.from({ length: fields }, (_, field) => view.getUint32(offset + field * 4)));
+  }
+  return entries;
+}
+
+function readSampleSizes(view, boxes) {
+  const stsz = boxes.get('trak/mdia/minf/stbl/stsz');
+  if (stsz) {
+    const size = view.getUint32(payload(stsz));
+    const count = view.getUint32(payload(stsz) + 4);
+    return Array.from({ length: count }, (_, i) => size || view.getUint32(payload(stsz) + 8 + i * 4));
+  }
+
+  const stz2 = boxes.get('trak/mdia/minf/stbl/stz2');
+  if (!stz2) throw new UnsupportedVideoError('Video track has no sample sizes');
+  const fieldSize = view.getUint8(payload(stz2) + 3);
+  const count = view.getUint32(payload(stz2) + 4);
+  const start = payload(stz2) + 8;
+  return Array.from({ length: count }, (_, i) => {
+    if (fieldSize === 16) return view.getUint16(start + i * 2);
+    if (fieldSize === 8) return view.getUint8(start + i);
+    const byte = view.getUint8(start + (i >> 1));
+    return i % 2 ? byte & 0x0f : byte >> 4;
+  });
+}
+
+function readChunkOffsets(view, boxes) {
+  const stco = boxes.get('trak/mdia/minf/stbl/stco');
+  if (stco) return readTable(view, stco, 1).map(([offset]) => offset);
+
+  const co64 = boxes.get('trak/mdia/minf/stbl/co64');
+  if (!co64) throw new UnsupportedVideoError('Video track has no chunk offsets');
+  const count = view.getUint32(payload(co64));
+  return Array.from({ length: count }, (_, i) => Number(view.getBigUint64(payload(co64) + 4 + i * 8)));
+}
+
+/**
+ * Expand the sample tables of a track into one entry per sample
+ * @param {DataView} view - Bytes holding the moov box
+ * @param {Map<string, Object>} boxes - Boxes of the track from indexBoxes
+ * @returns {Array<{offset: number, size: number, dts: number, cts: number, duration: number, isSync: boolean}>}
+ *   Samples in decode order, times in the track's timescale
+ */
+function readSamples(view, boxes) {
+  const stbl = 'trak/mdia/minf/stbl';
+  const sizes = readSampleSizes(view, boxes);
+  const chunkOffsets = readChunkOffsets(view, boxes);
+  const stsc = readTable(view, boxes.get(`${stbl}/stsc`), 3);
+  const stts = readTable(view, boxes.get(`${stbl}/stts`), 2);
+  // Composition offsets are signed in version 1 and, in practice, often in version 0 as well
+  const ctts = readTable(view, boxes.get(`${stbl}/ctts`), 2).map(([count, offset]) => [count, offset | 0]);
+  const stss = boxes.get(`${stbl}/stss`);
+  const syncSamples = stss ? new Set(readTable(view, stss, 1).map(([number]) => number - 1)) : null;
+
+  const samples = [];
+
+  // Byte offsets: chunks hold runs of consecutive samples
+  stsc.forEach(([firstChunk, samplesPerChunk], entry) => {
+    const lastChunk = entry + 1 < stsc.length ? stsc[entry + 1][0] - 1 : chunkOffsets.length;
+    for (let chunk = firstChunk; chunk <= lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+      for (let i = 0; i < samplesPerChunk && samples.length < sizes.length; i++) {
+        const size = sizes[samples.length];
+        samples.push({ offset, size, isSync: !syncSamples || syncSamples.has(samples.length) });
+        offset += size;
+      }
+    }
+  });
+
+  // Decode times from the durations, presentation times from the composition offsets
+  let sample = 0;
+  let dts = 0;
+  for (const [count, delta] of stts) {
+    for (let i = 0; i < count && sample < samples.length; i++, sample++) {
+      samples[sample].dts = dts;
+      samples[sample].duration = delta;
+      dts += delta;
+    }
+  }
+  sample = 0;
+  for (const [count, offset] of ctts) {
+    for (let i = 0; i < count && sample < samples.length; i++, sample++) {
+      samples[sample].cts = samples[sample].dts + offset;
+    }
+  }
+
+  return samples
+    .filter(entry => entry.dts !== undefined)
+    .map(entry => ({ ...entry, cts: entry.cts ?? entry.dts }));
+}
+
+/**
+ * Read the first video track of an MP4 or QuickTime file
+ * @param {Blob} file - The video file
+ * @returns {Promise<Object>} `codec`, `description`, `codedWidth` and `codedHeight` for
+ *   VideoDecoder.configure, the display `width`, `height` and clockwise `rotation`, the
+ *   `timescale`, and the `samples` from readSamples
+ * @throws {UnsupportedVideoError} When the file is not an MP4/QuickTime file with a supported video track
+ */
+export async function demuxMp4(file) {
+  const view = await readMovieBox(file);
+  const moov = readBoxHeader(view, 0, view.byteLength);
+
+  const tracks = childBoxes(view, moov.headerSize, moov.end).filter(box => box.type === 'trak');
+  for (const trak of tracks) {
+    const boxes = indexBoxes(view, trak);
+    const hdlr = boxes.get('trak/mdia/hdlr');
+    const handler = hdlr && String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + payload(hdlr) + 4, 4));
+    if (handler !== 'vide') continue;
+
+    const mdhd = boxes.get('trak/mdia/mdhd');
+    const timescale = view.getUint32(payload(mdhd) + (view.getUint8(mdhd.start + mdhd.headerSize) === 1 ? 16 : 8));
+    const samples = readSamples(view, boxes);
+    if (!samples.length) {
+      throw new UnsupportedVideoError('Fragmented MP4 files are not supported');
+    }
+
+    return {
+      ...readSampleEntry(view, boxes.get('trak/mdia/minf/stbl/stsd')),
+      ...readTrackHeader(view, boxes.get('trak/tkhd')),
+      timescale,
+      samples
+    };
+  }
+
+  throw new UnsupportedVideoError('No video track found');
+}
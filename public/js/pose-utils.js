@@ -0,0 +1,128 @@
+// Pose estimation utility
+// Runs MediaPipe Pose (WASM, CPU) over extracted frames. The model files are
+// served by our own server from /vendor/mediapipe/pose, so no network access is needed.
+const POSE_ASSETS_PATH = '/vendor/mediapipe/pose';
+
+/**
+ * Load a classic script once
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  const existing = document.querySelector(`script[src="${src}"]`);
+  if (existing?.dataset.loaded) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const script = existing || document.createElement('script');
+    script.addEventListener('load', () => {
+      script.dataset.loaded = 'true';
+      resolve();
+    }, { once: true });
+    script.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)), { once: true });
+    if (!existing) {
+      script.src = src;
+      script.crossOrigin = 'anonymous';
+      document.head.appendChild(script);
+    }
+  });
+}
+
+/**
+ * Load an image from a data URL or Blob
+ * @param {string|Blob} frame - Frame as a data URL or Blob
+ * @returns {Promise<HTMLImageElement>} The decoded image
+ */
+export async function loadImage(frame) {
+  const url = frame instanceof Blob ? URL.createObjectURL(frame) : frame;
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    if (frame instanceof Blob) URL.revokeObjectURL(url);
+  }
+}
+
+class PoseEstimator {
+  constructor() {
+    this.pose = null;
+    this.initializing = null;
+    this.lastResults = null;
+    this.modelComplexity = 1; // 0 = lite, 1 = full, 2 = heavy
+  }
+
+  /**
+   * Load the model (only once)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.pose) return;
+    if (!this.initializing) {
+      this.initializing = (async () => {
+        await loadScript(`${POSE_ASSETS_PATH}/pose.js`);
+
+        const pose = new window.Pose({ locateFile: file => `${POSE_ASSETS_PATH}/${file}` });
+        pose.setOptions({
+          modelComplexity: this.modelComplexity,
+          smoothLandmarks: true,
+          enableSegmentation: false,
+          minDetectionConfidence: 0.5,
+          minTrackingConfidence: 0.5
+        });
+        pose.onResults(results => {
+          this.lastResults = results;
+        });
+        await pose.initialize();
+        this.pose = pose;
+      })().catch(error => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    await this.initializing;
+  }
+
+  /**
+   * Estimate the pose in each frame
+   * @param {Array<string|Blob>} frames - Frames in video order (data URLs or Blobs)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { current, total } after each frame
+   * @param {AbortSignal} [options.signal] - Stops estimation when aborted
+   * @returns {Promise<{poses: Array<Array<Object>|null>, aspectRatio: number}>}
+   *   Landmarks per frame (null when no runner was found) and the frame width / height
+   */
+  async estimate(frames, { onProgress, signal } = {}) {
+    await this.initialize();
+
+    // Frames form one sequence, so tracking can carry over from frame to frame
+    this.pose.reset();
+
+    const poses = [];
+    let aspectRatio = 1;
+
+    for (let i = 0; i < frames.length; i++) {
+      if (signal?.aborted) throw new DOMException('Pose estimation cancelled', 'AbortError');
+
+      try {
+        const image = await loadImage(frames[i]);
+        aspectRatio = image.naturalWidth / image.naturalHeight;
+
+        this.lastResults = null;
+        await this.pose.send({ image });
+        poses.push(this.lastResults?.poseLandmarks || null);
+      } catch (error) {
+        console.warn(`Pose estimation failed for frame ${i + 1}:`, error);
+        poses.push(null);
+      }
+
+      if (onProgress) onProgress({ current: i + 1, total: frames.length });
+    }
+
+    return { poses, aspectRatio };
+  }
+}
+
+// Create and export a singleton instance
+const poseEstimator = new PoseEstimator();
+export default poseEstimator;
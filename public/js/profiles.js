@@ -0,0 +1,87 @@
+/**
+ * Analysis profiles: the sports and modes (running, sprinting, cycling, ...) a video can be analyzed as
+ */
+import { createElement } from './report-view.js';
+
+const STORAGE_KEY = 'analysisProfile';
+const SAMPLING_KEY = 'frameSampling';
+
+// Used until /api/profiles answers, and when it cannot be reached
+export const DEFAULT_PROFILE = {
+  id: 'running',
+  name: 'Running',
+  description: 'Distance running filmed from the side, outdoors or on a track',
+  default: true,
+  sampling: { fps: 2, maxFrames: 60, maxDuration: 30 },
+  gaitMetrics: true
+};
+
+/**
+ * Fetch the available profiles
+ * @param {AbortSignal} [signal] - Optional AbortSignal for cancellation
+ * @returns {Promise<Array<Object>>} Profiles in menu order
+ */
+export async function fetchProfiles(signal) {
+  const response = await fetch('/api/profiles', { signal });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.success) {
+    throw new Error(body.error || `Server responded with ${response.status}`);
+  }
+
+  return body.profiles;
+}
+
+/**
+ * Id of the profile the user picked last time
+ * @returns {string|null}
+ */
+export function getStoredProfileId() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+/**
+ * Remember the picked profile for the next visit
+ * @param {string} id - Profile id
+ */
+export function storeProfileId(id) {
+  localStorage.setItem(STORAGE_KEY, id);
+}
+
+/**
+ * How the user samples frames from videos of profiles with gait metrics
+ * @returns {string} "phases" (at the gait phases of a few strides, the default) or "even"
+ */
+export function getStoredSamplingMode() {
+  return localStorage.getItem(SAMPLING_KEY) === 'even' ? 'even' : 'phases';
+}
+
+/**
+ * Remember the sampling mode for the next visit
+ * @param {string} mode - "phases" or "even"
+ */
+export function storeSamplingMode(mode) {
+  localStorage.setItem(SAMPLING_KEY, mode);
+}
+
+/**
+ * Fill a <select> with the profiles and select one
+ * @param {HTMLSelectElement} select - The profile selector
+ * @param {Array<Object>} profiles - Profiles from fetchProfiles
+ * @param {string} [selectedId] - Profile to select; the default profile when unknown
+ * @returns {Object} The selected profile
+ */
+export function renderProfileOptions(select, profiles, selectedId) {
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = createElement('option', '', profile.name);
+    option.value = profile.id;
+    select.appendChild(option);
+  });
+
+  const selected = profiles.find(profile => profile.id === selectedId) ||
+    profiles.find(profile => profile.default) ||
+    profiles[0];
+  select.value = selected.id;
+  return selected;
+}
@@ -0,0 +1,357 @@
+/**
+ * Renders structured running-form reports returned by /api/analyze-video
+ * and cited document reports returned by /api/analyze
+ */
+import { GAIT_METRIC_LABELS, GAIT_PHASE_LABELS } from './gait-metrics.js';
+import { annotateFrame } from './frame-annotator.js';
+
+/**
+ * Creates an element with classes and optional text content
+ * @param {string} tag - Tag name
+ * @param {string} [className=''] - CSS classes
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} The created element
+ */
+export function createElement(tag, className = '', text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Creates a "7.5 / 10" score badge colored by score
+ * @param {number} score - Score between 0 and 10
+ * @returns {HTMLElement} Badge element
+ */
+export function createScoreBadge(score) {
+  let color = 'bg-red-100 text-red-700';
+  if (score >= 7) color = 'bg-green-100 text-green-700';
+  else if (score >= 4) color = 'bg-yellow-100 text-yellow-700';
+
+  return createElement('span', `text-sm font-semibold px-2 py-1 rounded ${color}`, `${score} / 10`);
+}
+
+// Display names of the camera views a clip can be filmed from
+const VIEW_LABELS = {
+  side: 'Side',
+  front: 'Front',
+  back: 'Back',
+  unknown: 'Unknown'
+};
+
+/**
+ * Creates a small badge naming a camera view
+ * @param {string} view - View id
+ * @returns {HTMLElement} Badge element
+ */
+function createViewBadge(view) {
+  return createElement('span', 'text-xs font-medium bg-gray-100 text-gray-600 px-2 py-0.5 rounded', `${VIEW_LABELS[view] || view} view`);
+}
+
+/**
+ * Creates a titled bullet list, or nothing when there are no items
+ * @param {string} title - List heading
+ * @param {Array<string>} items - List items
+ * @param {boolean} [ordered=false] - Whether to number the items
+ * @returns {HTMLElement|null} The list block
+ */
+function createList(title, items, ordered = false) {
+  if (!items || !items.length) return null;
+
+  const block = createElement('div', 'mb-3');
+  block.appendChild(createElement('h4', 'text-sm font-semibold text-gray-800 mb-1', title));
+
+  const list = createElement(ordered ? 'ol' : 'ul', `${ordered ? 'list-decimal' : 'list-disc'} pl-5 text-gray-700 text-sm space-y-1`);
+  items.forEach(item => list.appendChild(createElement('li', '', item)));
+  block.appendChild(list);
+
+  return block;
+}
+
+/**
+ * Creates the annotated key frames of a category: each frame a finding points at,
+ * with the skeleton and a highlight of the issue drawn over it
+ * @param {Array<Object>} findings - Frame findings for the category
+ * @param {Array<Object>} frames - Analyzed frames (with landmarks and metrics, when measured)
+ * @param {Object<number, string>} frameImages - Image URL keyed by frame number
+ * @param {Array<Object>} [clips=[]] - Clips of the session; frames of multi-view sessions are captioned with their view
+ * @returns {HTMLElement|null} The frame column, or nothing when no frame image is available
+ */
+function createAnnotatedFrames(findings, frames, frameImages, clips = []) {
+  const findingsByFrame = new Map();
+  findings
+    .filter(finding => frameImages[finding.frameNumber])
+    .forEach(finding => {
+      const frameFindings = findingsByFrame.get(finding.frameNumber) || [];
+      findingsByFrame.set(finding.frameNumber, [...frameFindings, finding]);
+    });
+  if (!findingsByFrame.size) return null;
+
+  const column = createElement('div', 'md:w-64 flex-shrink-0 space-y-3 mb-3');
+  findingsByFrame.forEach((frameFindings, frameNumber) => {
+    const frame = frames.find(item => item.frameNumber === frameNumber) || {};
+    const figure = createElement('figure', '');
+    figure.dataset.frameNumber = frameNumber;
+
+    const placeholder = createElement('div', 'w-full h-40 bg-gray-100 rounded animate-pulse');
+    figure.appendChild(placeholder);
+    const view = clips.length > 1 && clips[frame.clip]?.view;
+    const phase = GAIT_PHASE_LABELS[frame.phase];
+    const caption = `Frame ${frameNumber} at ${frameFindings[0].timestamp}` +
+      `${phase ? ` · ${phase.toLowerCase()}, ${frame.foot} foot` : ''}` +
+      `${view ? ` · ${(VIEW_LABELS[view] || view).toLowerCase()} view` : ''}`;
+    figure.appendChild(createElement('figcaption', 'text-xs text-gray-500 mt-1', caption));
+    column.appendChild(figure);
+
+    // Frames are drawn in the background so the report shows up right away
+    annotateFrame(frameImages[frameNumber], {
+      landmarks: frame.landmarks,
+      metrics: frame.metrics,
+      findings: frameFindings
+    })
+      .then(canvas => {
+        canvas.className = 'w-full rounded bg-gray-900';
+        placeholder.replaceWith(canvas);
+      })
+      .catch(error => {
+        console.warn(`Could not draw frame ${frameNumber}:`, error);
+        placeholder.replaceWith(createElement('p', 'text-xs text-gray-400', 'Frame not available'));
+      });
+  });
+
+  return column;
+}
+
+/**
+ * Renders one category section of the report
+ * @param {Object} category - Report category
+ * @param {Array<Object>} findings - Frame findings for this category
+ * @param {HTMLElement|null} [annotatedFrames] - Key frames shown next to the text
+ * @returns {HTMLElement} The section element
+ */
+function renderCategory(category, findings, annotatedFrames = null) {
+  const section = createElement('section', 'bg-white rounded-lg border border-gray-200 p-4 mb-4');
+  section.dataset.category = category.id;
+
+  const header = createElement('div', 'flex items-center justify-between mb-3');
+  const title = createElement('div', 'flex items-center flex-wrap gap-2');
+  title.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900', category.name));
+  (category.views || []).forEach(view => title.appendChild(createViewBadge(view)));
+  header.appendChild(title);
+  header.appendChild(createScoreBadge(category.score));
+  section.appendChild(header);
+
+  const body = createElement('div', 'md:flex md:gap-4');
+  const text = createElement('div', 'flex-1 min-w-0');
+  const blocks = [
+    createList('Key Observations', category.observations),
+    createList('Priority Improvements', category.priorityImprovements, true),
+    createList('Actionable Drills', category.drills.map(drill => `${drill.name}: ${drill.description}`)),
+    createList('Seen in Frames', findings.map(finding => `[${finding.timestamp}] ${finding.finding}`))
+  ];
+  blocks.filter(Boolean).forEach(block => text.appendChild(block));
+  body.appendChild(text);
+  if (annotatedFrames) body.appendChild(annotatedFrames);
+  section.appendChild(body);
+
+  return section;
+}
+
+/**
+ * Renders the gait metrics measured by pose estimation
+ * @param {Object} metrics - Metrics summary from the analysis
+ * @returns {HTMLElement|null} The metrics block, or nothing when no metric was measured
+ */
+function renderMetrics(metrics) {
+  const measured = Object.entries(GAIT_METRIC_LABELS).filter(([key]) => metrics[key]);
+  if (!measured.length) return null;
+
+  const block = createElement('section', 'bg-white rounded-lg border border-gray-200 p-4 mb-4');
+  block.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-3', 'Measured Gait Metrics'));
+
+  const grid = createElement('div', 'grid grid-cols-2 md:grid-cols-3 gap-3');
+  measured.forEach(([key, { label, unit, stat }]) => {
+    const cell = createElement('div', 'bg-gray-50 rounded p-2');
+    cell.dataset.metric = key;
+    cell.appendChild(createElement('p', 'text-xs text-gray-500', label));
+    cell.appendChild(createElement('p', 'text-lg font-semibold text-gray-900', `${metrics[key].value}${unit}`));
+    const { left, right } = metrics[key];
+    const sides = left !== undefined && right !== undefined ? ` · L ${left}${unit} / R ${right}${unit}` : '';
+    cell.appendChild(createElement('p', 'text-xs text-gray-400', `${stat}${sides}`));
+    grid.appendChild(cell);
+  });
+  block.appendChild(grid);
+
+  if (metrics.detectedFrames !== undefined) {
+    block.appendChild(createElement(
+      'p',
+      'text-xs text-gray-400 mt-2',
+      `Measured by pose estimation in ${metrics.detectedFrames} of ${metrics.totalFrames} frames`
+    ));
+  }
+  if (metrics.clip !== undefined) {
+    block.appendChild(createElement('p', 'text-xs text-gray-400', `Measured in clip ${metrics.clip + 1} (side view)`));
+  }
+  if (metrics.temporalFrameRate !== undefined) {
+    block.appendChild(createElement(
+      'p',
+      'text-xs text-gray-400',
+      `Cadence and ground contact timed over ${metrics.temporalDuration}s at ${metrics.temporalFrameRate} fps`
+    ));
+  }
+
+  return block;
+}
+
+/**
+ * Renders the camera views of the session and what they could not show
+ * @param {Array<Object>} clips - Clips of the session
+ * @param {Array<string>} notObservable - Elements the model could not judge from these views
+ * @returns {HTMLElement|null} The views block, or nothing when there is nothing to show
+ */
+function renderViews(clips, notObservable) {
+  if (!clips.length && !notObservable.length) return null;
+
+  const block = createElement('section', 'bg-white rounded-lg border border-gray-200 p-4 mb-4');
+  block.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-3', 'Camera Views'));
+
+  if (clips.length) {
+    const list = createElement('ul', 'flex flex-wrap gap-3 mb-3');
+    clips.forEach((clip, index) => {
+      const item = createElement('li', 'flex items-center gap-2 text-sm text-gray-700');
+      item.appendChild(createElement('span', '', `Clip ${index + 1}${clip.filename ? ` (${clip.filename})` : ''}`));
+      item.appendChild(createViewBadge(clip.view));
+      if (clip.viewSource) {
+        item.appendChild(createElement('span', 'text-xs text-gray-400', clip.viewSource === 'detected' ? 'detected' : 'chosen'));
+      }
+      list.appendChild(item);
+    });
+    block.appendChild(list);
+  }
+
+  const missing = createList('Not Observable from These Views', notObservable);
+  if (missing) block.appendChild(missing);
+
+  return block;
+}
+
+// Badge colors of the risk flag severities
+const SEVERITY_STYLES = {
+  low: 'bg-yellow-100 text-yellow-800',
+  moderate: 'bg-orange-100 text-orange-800',
+  high: 'bg-red-100 text-red-800'
+};
+
+/**
+ * Renders the injury risks the report flags
+ * @param {Array<Object>} riskFlags - Risk flags of the report
+ * @param {Array<Object>} categories - Report categories, for their names
+ * @param {Object} [athlete] - Athlete the analysis was made for
+ * @returns {HTMLElement|null} The risk block, or nothing when no risk was flagged
+ */
+function renderRiskFlags(riskFlags, categories, athlete) {
+  if (!riskFlags.length) return null;
+
+  const block = createElement('section', 'bg-white rounded-lg border border-red-200 p-4 mb-4');
+  block.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-1', 'Injury Risk Flags'));
+  if (athlete) {
+    block.appendChild(createElement('p', 'text-xs text-gray-500 mb-3', `Checked against ${athlete.name}'s athlete profile`));
+  }
+
+  const list = createElement('ul', 'space-y-2');
+  riskFlags.forEach(flag => {
+    const item = createElement('li', 'text-sm text-gray-700');
+    const title = createElement('div', 'flex items-center gap-2');
+    title.appendChild(createElement('span', `text-xs font-medium px-2 py-0.5 rounded ${SEVERITY_STYLES[flag.severity] || SEVERITY_STYLES.low}`, flag.severity));
+    title.appendChild(createElement('span', 'font-medium text-gray-900', flag.risk));
+    const category = categories.find(item => item.id === flag.category);
+    if (category) title.appendChild(createElement('span', 'text-xs text-gray-400', category.name));
+    item.appendChild(title);
+    item.appendChild(createElement('p', 'mt-1', flag.reason));
+    list.appendChild(item);
+  });
+  block.appendChild(list);
+
+  return block;
+}
+
+/**
+ * Renders a structured video analysis into a container
+ * @param {HTMLElement} container - Element to render into (e.g. #analysisContent)
+ * @param {Object} analysis - The `analysis` object returned by /api/analyze-video
+ * @param {Object} [options]
+ * @param {Object<number, string>} [options.frameImages={}] - Image URL of each analyzed frame,
+ *   keyed by frame number; key frames with an image are shown annotated next to their category
+ */
+export function renderAnalysisReport(container, analysis, { frameImages = {} } = {}) {
+  const { report } = analysis;
+  container.innerHTML = '';
+
+  const summary = createElement('div', 'flex items-start justify-between mb-6');
+  const overview = createElement('div', 'pr-4');
+  overview.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-1', 'Overview'));
+  if (analysis.athlete) {
+    overview.appendChild(createElement('p', 'text-sm text-gray-500 mb-1', `Athlete: ${analysis.athlete.name}`));
+  }
+  overview.appendChild(createElement('p', 'text-gray-700', report.overview));
+  summary.appendChild(overview);
+  summary.appendChild(createScoreBadge(report.overallScore));
+  container.appendChild(summary);
+
+  const metrics = analysis.metrics && renderMetrics(analysis.metrics);
+  if (metrics) container.appendChild(metrics);
+
+  // Reports from before camera views existed have neither
+  const clips = analysis.clips || [];
+  const views = renderViews(clips, report.notObservable || []);
+  if (views) container.appendChild(views);
+
+  const risks = renderRiskFlags(report.riskFlags || [], report.categories, analysis.athlete);
+  if (risks) container.appendChild(risks);
+
+  report.categories.forEach(category => {
+    const findings = report.frameFindings.filter(finding => finding.category === category.id);
+    const annotatedFrames = createAnnotatedFrames(findings, analysis.frames || [], frameImages, clips);
+    container.appendChild(renderCategory(category, findings, annotatedFrames));
+  });
+
+  container.appendChild(createElement(
+    'p',
+    'text-xs text-gray-400 text-right',
+    `Report schema v${analysis.schemaVersion} · ${analysis.frameCount} frames analyzed`
+  ));
+}
+
+/**
+ * Renders a document analysis (PDF, DOCX or text) with the page or section each finding cites
+ * @param {HTMLElement} container - Element to render into (e.g. #analysisContent)
+ * @param {Object} analysis - The `analysis` object returned by /api/analyze for a document
+ */
+export function renderDocumentReport(container, analysis) {
+  const { report, document } = analysis;
+  container.innerHTML = '';
+
+  const summary = createElement('div', 'mb-6');
+  summary.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-1', analysis.filename || 'Document'));
+  summary.appendChild(createElement('p', 'text-gray-700', report.summary));
+  container.appendChild(summary);
+
+  const section = createElement('section', 'bg-white rounded-lg border border-gray-200 p-4 mb-4');
+  section.appendChild(createElement('h3', 'text-lg font-semibold text-gray-900 mb-3', 'Findings'));
+  const list = createElement('ul', 'space-y-2');
+  report.findings.forEach(({ finding, location }) => {
+    const item = createElement('li', 'flex items-start gap-2 text-sm text-gray-700');
+    item.appendChild(createElement('span', 'flex-shrink-0 text-xs font-medium bg-blue-100 text-blue-700 px-2 py-0.5 rounded', location));
+    item.appendChild(createElement('span', '', finding));
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+  container.appendChild(section);
+
+  const details = [`${document.format.toUpperCase()} document`];
+  if (document.pageCount) details.push(`${document.pageCount} pages`);
+  if (document.chunkCount > 1) details.push(`summarized in ${document.chunkCount} parts`);
+  if (document.truncated) details.push('only the first parts were analyzed');
+  container.appendChild(createElement('p', 'text-xs text-gray-400 text-right', details.join(' · ')));
+}
@@ -0,0 +1,86 @@
+/**
+ * Runner tracking for auto-crop.
+ *
+ * Wide shots leave the runner a small part of the frame, so most of each
+ * uploaded frame is background. From poses estimated on a quick scan of the
+ * clip, this finds one box that holds the runner in every scanned frame, with
+ * padding for the head, hands and feet that landmarks do not reach. The same
+ * box crops every extracted frame, so motion stays comparable between frames.
+ * Everything here is pure.
+ */
+import { hasSubject } from './frame-quality.js';
+
+// Landmarks below this visibility do not count towards the runner's extent
+const MIN_VISIBILITY = 0.5;
+// Share of scanned frames whose extent is ignored on each side, as pose outliers
+const OUTLIER_SHARE = 0.1;
+// Padding around the runner's extent, as a share of its width and height on each side
+const PADDING = 0.25;
+// Smallest crop, as a share of the frame width and height
+const MIN_CROP_SIZE = 0.25;
+// Crops larger than this share of the frame area save too little to be worth it
+const MAX_CROP_AREA = 0.7;
+// Frames in which the runner has to be found before a box is trusted
+const MIN_TRACKED_FRAMES = 3;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Extent of the visible landmarks of one pose
+ * @param {Array<Object>} landmarks - Pose landmarks, normalized to the frame
+ * @returns {{left: number, right: number, top: number, bottom: number}}
+ */
+function landmarkExtent(landmarks) {
+  const visible = landmarks.filter(landmark => (landmark.visibility ?? 1) >= MIN_VISIBILITY);
+  return {
+    left: Math.min(...visible.map(landmark => landmark.x)),
+    right: Math.max(...visible.map(landmark => landmark.x)),
+    top: Math.min(...visible.map(landmark => landmark.y)),
+    bottom: Math.max(...visible.map(landmark => landmark.y))
+  };
+}
+
+/**
+ * Grow a span around its centre to at least `min`, keeping it within 0-1
+ * @returns {{start: number, size: number}}
+ */
+function fitSpan(start, end, min) {
+  const size = Math.min(1, Math.max(end - start, min));
+  const centre = (start + end) / 2;
+  return { start: Math.min(Math.max(0, centre - size / 2), 1 - size), size };
+}
+
+/**
+ * Find the crop box that keeps the runner in view throughout a clip
+ * @param {Array<Array<Object>|null>} poses - Landmarks of the scanned frames (null where no runner was found)
+ * @returns {{x: number, y: number, width: number, height: number}|null} Box normalized to the frame,
+ *   or null when the runner was not found often enough or the box would barely crop anything
+ */
+export function trackSubjectBox(poses) {
+  const extents = poses.filter(hasSubject).map(landmarkExtent);
+  if (extents.length < MIN_TRACKED_FRAMES) return null;
+
+  // The union of the runner's extents, ignoring the most extreme detections on each side
+  const trim = Math.floor(extents.length * OUTLIER_SHARE);
+  const lowest = key => extents.map(extent => extent[key]).sort((a, b) => a - b)[trim];
+  const highest = key => extents.map(extent => extent[key]).sort((a, b) => b - a)[trim];
+  const left = lowest('left');
+  const right = highest('right');
+  const top = lowest('top');
+  const bottom = highest('bottom');
+
+  const padX = (right - left) * PADDING;
+  const padY = (bottom - top) * PADDING;
+  const horizontal = fitSpan(Math.max(0, left - padX), Math.min(1, right + padX), MIN_CROP_SIZE);
+  const vertical = fitSpan(Math.max(0, top - padY), Math.min(1, bottom + padY), MIN_CROP_SIZE);
+  if (horizontal.size * vertical.size > MAX_CROP_AREA) return null;
+
+  return {
+    x: round(horizontal.start),
+    y: round(vertical.start),
+    width: round(horizontal.size),
+    height: round(vertical.size)
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Frame extraction worker.
+ *
+ * Demuxes an MP4/QuickTime file (see mp4-demuxer.js), decodes only the samples
+ * it needs with WebCodecs and encodes each requested frame as a JPEG on an
+ * OffscreenCanvas, so the page never seeks a <video> element or touches pixels.
+ *
+ * Messages in:
+ * - `{ type: 'extract', file, times, width, quality, previewWidth, crop }` – `times` in seconds,
+ *   ascending; `previewWidth` 0 for no previews; `crop` ({ x, y, width, height } normalized to the
+ *   displayed frame) or null for the whole frame
+ * Messages out:
+ * - `{ type: 'frame', index, time, frame, preview }` – one per requested time, in order,
+ *   with JPEG data URLs
+ * - `{ type: 'done' }` once every frame was sent
+ * - `{ type: 'error', message }` when the file cannot be decoded here; the page then seeks instead
+ */
+import { demuxMp4 } from './mp4-demuxer.js';
+
+// Samples waiting in the decoder before feeding pauses
+const MAX_DECODE_QUEUE = 16;
+const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * Pick the sample shown at each requested time: the last one presented at or before it
+ * @param {Array<Object>} samples - Samples from demuxMp4, in decode order
+ * @param {Array<number>} times - Requested times in seconds
+ * @param {number} timescale - Track timescale
+ * @returns {Array<number>} Index into `samples` per requested time
+ */
+function samplesAtTimes(samples, times, timescale) {
+  // Presentation starts at the earliest composition time (edit lists usually shift it to 0)
+  const byPresentation = samples.map((sample, index) => ({ index, cts: sample.cts })).sort((a, b) => a.cts - b.cts);
+  const start = byPresentation[0].cts;
+
+  return times.map(time => {
+    const target = start + time * timescale;
+    let low = 0;
+    let high = byPresentation.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (byPresentation[middle].cts <= target) low = middle;
+      else high = middle - 1;
+    }
+    return byPresentation[low].index;
+  });
+}
+
+/**
+ * Draw a decoded frame scaled to the canvas (rotated like the player would, and cropped) and encode it
+ * @param {OffscreenCanvas} canvas - Canvas already sized for the output
+ * @param {VideoFrame} frame - The decoded frame
+ * @param {number} rotation - Clockwise rotation in degrees
+ * @param {number} quality - JPEG quality
+ * @param {Object} [crop] - Part of the displayed frame that fills the canvas, normalized
+ * @returns {Promise<Blob>} The JPEG (the canvas is copied synchronously, so it can be reused right away)
+ */
+function encodeFrame(canvas, frame, rotation, quality, crop = FULL_FRAME) {
+  const ctx = canvas.getContext('2d');
+  const quarterTurn = rotation === 90 || rotation === 270;
+  // The whole displayed frame at the scale that makes the crop fill the canvas
+  const displayWidth = canvas.width / crop.width;
+  const displayHeight = canvas.height / crop.height;
+  ctx.save();
+  ctx.translate(displayWidth * (0.5 - crop.x), displayHeight * (0.5 - crop.y));
+  ctx.rotate(rotation * Math.PI / 180);
+  const width = quarterTurn ? displayHeight : displayWidth;
+  const height = quarterTurn ? displayWidth : displayHeight;
+  ctx.drawImage(frame, -width / 2, -height / 2, width, height);
+  ctx.restore();
+  return canvas.convertToBlob({ type: 'image/jpeg', quality });
+}
+
+function toDataUrl(blob) {
+  return new FileReaderSync().readAsDataURL(blob);
+}
+
+/**
+ * Decode the frames at the requested times and post them to the page
+ * @param {Object} request - The `extract` message
+ */
+async function extract({ file, times, width, quality, previewWidth, crop }) {
+  const video = await demuxMp4(file);
+  const config = {
+    codec: video.codec,
+    codedWidth: video.codedWidth,
+    codedHeight: video.codedHeight,
+    ...(video.description && { description: video.description })
+  };
+  const { supported } = await VideoDecoder.isConfigSupported(config);
+  if (!supported) throw new Error(`This browser cannot decode ${video.codec}`);
+
+  // Output size follows the displayed (rotated) aspect ratio of the crop, like the seek-based canvas
+  const box = crop || FULL_FRAME;
+  const quarterTurn = video.rotation === 90 || video.rotation === 270;
+  const displayWidth = ((quarterTurn ? video.height : video.width) || video.codedWidth) * box.width;
+  const displayHeight = ((quarterTurn ? video.width : video.height) || video.codedHeight) * box.height;
+  const canvas = new OffscreenCanvas(width, Math.round(width * displayHeight / displayWidth));
+  const previewCanvas = previewWidth ? new OffscreenCanvas(previewWidth, Math.round(previewWidth * displayHeight / displayWidth)) : null;
+
+  // Requested times by the presentation timestamp (µs) of the sample that shows them
+  const { samples, timescale } = video;
+  const toMicroseconds = value => Math.round(value * 1e6 / timescale);
+  const sampleIndices = samplesAtTimes(samples, times, timescale);
+  const wanted = new Map();
+  sampleIndices.forEach((sampleIndex, index) => {
+    const timestamp = toMicroseconds(samples[sampleIndex].cts);
+    wanted.set(timestamp, [...(wanted.get(timestamp) || []), index]);
+  });
+
+  // Encoded frames, posted in request order as soon as the earlier ones are done
+  const encoded = new Array(times.length);
+  let nextToPost = 0;
+  const postReady = () => {
+    while (nextToPost < times.length && encoded[nextToPost]) {
+      postMessage({ type: 'frame', index: nextToPost, time: times[nextToPost], ...encoded[nextToPost] });
+      nextToPost++;
+    }
+  };
+
+  let decodeError = null;
+  const pending = [];
+  const decoder = new VideoDecoder({
+    output: frame => {
+      const indices = wanted.get(frame.timestamp);
+      if (indices) {
+        wanted.delete(frame.timestamp);
+        const jpeg = encodeFrame(canvas, frame, video.rotation, quality, box);
+        const preview = previewCanvas ? encodeFrame(previewCanvas, frame, video.rotation, 0.5, box) : null;
+        pending.push(Promise.all([jpeg, preview]).then(([frameBlob, previewBlob]) => {
+          const result = { frame: toDataUrl(frameBlob), preview: previewBlob ? toDataUrl(previewBlob) : null };
+          indices.forEach(index => {
+            encoded[index] = result;
+          });
+          postReady();
+        }));
+      }
+      frame.close();
+    },
+    error: error => {
+      decodeError = error;
+    }
+  });
+  decoder.configure(config);
+
+  // Feed each needed sample with the samples it depends on: from the sync sample before it,
+  // skipping the stretches between needed samples that start a new group of pictures
+  const needed = [...new Set(sampleIndices)].sort((a, b) => a - b);
+  let fed = -1;
+  for (const sampleIndex of needed) {
+    if (sampleIndex <= fed) continue;
+    let start = sampleIndex;
+    while (start > 0 && !samples[start].isSync) start--;
+    if (start <= fed) start = fed + 1;
+
+    for (let i = start; i <= sampleIndex; i++) {
+      if (decodeError) throw decodeError;
+      while (decoder.decodeQueueSize > MAX_DECODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      const sample = samples[i];
+      decoder.decode(new EncodedVideoChunk({
+        type: sample.isSync ? 'key' : 'delta',
+        timestamp: toMicroseconds(sample.cts),
+        duration: toMicroseconds(sample.duration),
+        data: await file.slice(sample.offset, sample.offset + sample.size).arrayBuffer()
+      }));
+    }
+    fed = sampleIndex;
+  }
+
+  await decoder.flush();
+  decoder.close();
+  if (decodeError) throw decodeError;
+  await Promise.all(pending);
+
+  if (nextToPost < times.length) {
+    throw new Error(`Decoded only ${nextToPost} of ${times.length} frames`);
+  }
+  postMessage({ type: 'done' });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type !== 'extract') return;
+  extract(data).catch(error => {
+    postMessage({ type: 'error', message: error.message || String(error) });
+  });
+};
@@ -1,21 +1,40 @@
 // Video frame extraction utility
+
+// Settings an extraction uses when extractFrames is not given them
+const DEFAULT_OPTIONS = {
+  frameRate: 2, // 2 FPS for analysis
+  maxDuration: 30, // Maximum video duration in seconds to process
+  maxWidth: 640, // Maximum width for scaled frames
+  quality: 0.7 // JPEG quality (0.7 = 70%)
+};
+
 class VideoFrameExtractor {
   constructor() {
     this.video = null;
     this.canvas = null;
     this.ctx = null;
     this.frames = [];
+    this.frameTimes = []; // Timestamp (seconds) of each extracted frame
+    this.targetTimes = null; // Timestamps to extract instead of sampling at frameRate
     this.previewFrames = [];
-    this.frameRate = 2; // 2 FPS for analysis
-    this.maxDuration = 30; // Maximum video duration in seconds to process
-    this.maxWidth = 640; // Maximum width for scaled frames
-    this.quality = 0.7; // JPEG quality (0.7 = 70%)
+    this.frameRate = DEFAULT_OPTIONS.frameRate;
+    this.maxDuration = DEFAULT_OPTIONS.maxDuration;
+    this.maxWidth = DEFAULT_OPTIONS.maxWidth;
+    this.quality = DEFAULT_OPTIONS.quality;
+    this.start = 0; // Start of the analyzed range in seconds
+    this.end = null; // End of the analyzed range in seconds, null for the end of the video
+    this.crop = null; // Part of the frame to keep ({ x, y, width, height }, normalized), null for all of it
+    this.temporalWindow = 3; // Seconds sampled at the native frame rate for cadence and ground contact
+    this.temporalMaxFrameRate = 60; // Cap for high-speed footage
+    this.temporalMaxWidth = 320; // Temporal frames only feed pose estimation, so keep them small
+    this.useWebCodecs = true; // Decode in a worker when the browser supports it (see video-decoder-worker.js)
     this.isProcessing = false;
     this.onProgress = null;
     this.onComplete = null;
     this.onError = null;
     this.onFrameExtracted = null;
     this.videoUrl = null;
+    this.file = null; // The loaded video file, for the worker
     this.currentExtraction = {
       promise: null,
       resolve: null,
@@ -26,8 +45,10 @@ class VideoFrameExtractor {
     // Bind methods
     this.cleanup = this.cleanup.bind(this);
     this.cancel = this.cancel.bind(this);
+    this.loadVideo = this.loadVideo.bind(this);
     this.extractFrames = this.extractFrames.bind(this);
     this.extractFrameSequence = this.extractFrameSequence.bind(this);
+    this.extractTemporalWindow = this.extractTemporalWindow.bind(this);
     this.seekToTime = this.seekToTime.bind(this);
     this.calculateAspectRatio = this.calculateAspectRatio.bind(this);
   }
@@ -46,6 +67,7 @@ class VideoFrameExtractor {
     // Clear references immediately to prevent race conditions
     this.video = null;
     this.videoUrl = null;
+    this.file = null;
     this.isProcessing = false;
     
     // Clean up video element if it exists
@@ -108,6 +130,7 @@ class VideoFrameExtractor {
     
     // Clear frame data
     this.frames = [];
+    this.frameTimes = [];
     this.previewFrames = [];
   }
 
@@ -121,6 +144,7 @@ class VideoFrameExtractor {
       
       // Clear frame arrays
       this.frames = [];
+      this.frameTimes = [];
       this.previewFrames = [];
       
       // Reset state
@@ -213,28 +237,11 @@ class VideoFrameExtractor {
   }
 
   /**
-   * Extract frames from the video at the specified frame rate
-   * @param {File} file - Video file to extract frames from
-   * @param {Object} options - Extraction options
-   * @param {number} [options.frameRate] - Frames per second to extract
-   * @param {number} [options.maxDuration] - Maximum duration in seconds to process
-   * @returns {Promise<Array<string>>} - Array of base64 encoded frames
+   * Load a video file into the video element and size the analysis canvas to it
+   * @param {File} file - Video file to load
+   * @returns {Promise<void>} Resolves once the video can be played (or after a 5 second wait)
    */
-  async extractFrames(file, options = {}) {
-    if (this.isProcessing) {
-      throw new Error('Extraction already in progress');
-    }
-
-    this.isProcessing = true;
-    this.frames = [];
-    this.previewFrames = [];
-    this.currentExtraction = { cancelled: false };
-
-    // Apply options
-    this.frameRate = options.frameRate || this.frameRate;
-    this.maxDuration = options.maxDuration || this.maxDuration;
-    this.quality = options.quality || this.quality;
-
+  loadVideo(file) {
     return new Promise((resolve, reject) => {
       // Create video element if it doesn't exist
       if (!this.video) {
@@ -260,58 +267,31 @@ class VideoFrameExtractor {
         URL.revokeObjectURL(this.videoUrl);
       }
       this.videoUrl = URL.createObjectURL(file);
+      this.file = file;
+
+      let loadTimeout;
+      let loaded = false;
 
       const onCanPlay = () => {
-        // Set canvas dimensions to match video aspect ratio
-        const aspectRatio = this.video.videoWidth / this.video.videoHeight;
-        this.canvas.width = 640; // Fixed width for consistency
-        this.canvas.height = Math.round(this.canvas.width / aspectRatio);
-        
-        // Calculate frame interval and total frames
-        const duration = Math.min(this.video.duration, this.maxDuration);
-        const frameInterval = 1 / this.frameRate;
-        const totalFrames = Math.ceil(duration * this.frameRate);
-        
-        console.log(`Extracting ${totalFrames} frames from ${duration.toFixed(2)}s video`);
-        
-        // Reset video to beginning
-        this.video.currentTime = 0;
-        
-        // Small delay to ensure video is reset
-        setTimeout(() => {
-          // Extract frames at specified intervals
-          this.extractFrameSequence(0, totalFrames, frameInterval, duration)
-            .then(() => {
-              if (!this.currentExtraction.cancelled) {
-                this.isProcessing = false;
-                console.log(`Successfully extracted ${this.frames.length} frames`);
-                if (this.onComplete) {
-                  this.onComplete(this.frames);
-                }
-                resolve(this.frames);
-              }
-            })
-            .catch(err => {
-              this.isProcessing = false;
-              console.error('Frame extraction error:', err);
-              if (!this.currentExtraction.cancelled) {
-                if (this.onError) {
-                  this.onError(err);
-                }
-                reject(err);
-              }
-            });
-        }, 100);
+        // The load timeout and the canplay event can both fire
+        if (loaded) return;
+        loaded = true;
+        clearTimeout(loadTimeout);
+
+        // Size the canvas to the video's (or the crop's) aspect ratio, at most maxWidth wide
+        const { width, height } = this.calculateAspectRatio(
+          this.video.videoWidth * (this.crop?.width ?? 1),
+          this.video.videoHeight * (this.crop?.height ?? 1),
+          this.maxWidth
+        );
+        this.canvas.width = width;
+        this.canvas.height = height;
+        resolve();
       };
 
       const onError = (e) => {
         console.error('Video loading error:', e);
-        this.isProcessing = false;
-        const error = new Error(`Failed to load video: ${e.message || 'Unknown error'}`);
-        if (this.onError) {
-          this.onError(error);
-        }
-        reject(error);
+        reject(new Error(`Failed to load video: ${e.message || 'Unknown error'}`));
       };
       
       // Set up event listeners
@@ -325,42 +305,243 @@ class VideoFrameExtractor {
       this.video.src = this.videoUrl;
       
       // Add a timeout for initial video load
-      const loadTimeout = setTimeout(() => {
+      loadTimeout = setTimeout(() => {
         if (this.video.readyState < 2) {
           console.warn('Video load taking too long, trying to continue...');
           onCanPlay();
         }
       }, 5000); // 5 second timeout for initial load
       
-      // Clear timeout if video loads before timeout
-      this.video.addEventListener('canplay', () => {
-        clearTimeout(loadTimeout);
-      }, { once: true });
-      
       // Start loading the video
       this.video.load();
     });
   }
 
+  /**
+   * The range of the loaded video that is analyzed: from `start` to `end`,
+   * at most `maxDuration` long and within the video
+   * @returns {{start: number, end: number}} Times in seconds
+   */
+  getRange() {
+    const duration = this.video?.duration || 0;
+    const start = Math.min(this.start, duration);
+    const end = Math.min(this.end ?? duration, duration, start + this.maxDuration);
+    return { start, end: Math.max(start, end) };
+  }
+
+  /**
+   * Extract frames from the video at the specified frame rate, or at the given times.
+   * Options that are not given take their defaults, not the previous extraction's.
+   * @param {File} file - Video file to extract frames from
+   * @param {Object} options - Extraction options
+   * @param {number} [options.frameRate] - Frames per second to extract
+   * @param {number} [options.maxDuration] - Maximum duration in seconds to process
+   * @param {number} [options.start=0] - Start of the analyzed range in seconds
+   * @param {number} [options.end] - End of the analyzed range in seconds (defaults to the end of the video)
+   * @param {number} [options.maxWidth] - Maximum frame width in pixels; smaller videos are not scaled up
+   * @param {number} [options.quality] - JPEG quality between 0 and 1
+   * @param {Object} [options.crop] - Part of the frame to keep, `{ x, y, width, height }` normalized
+   *   to the frame (see subject-crop.js); the same for every frame
+   * @param {Array<number>} [options.times] - Timestamps in seconds to extract instead of
+   *   sampling at `frameRate` (e.g. moments picked by a gait phase scan)
+   * @returns {Promise<Array<string>>} - Array of base64 encoded frames
+   */
+  async extractFrames(file, options = {}) {
+    if (this.isProcessing) {
+      throw new Error('Extraction already in progress');
+    }
+
+    this.isProcessing = true;
+    this.frames = [];
+    this.frameTimes = [];
+    this.previewFrames = [];
+    this.currentExtraction = { cancelled: false };
+
+    // Apply options
+    this.frameRate = options.frameRate || DEFAULT_OPTIONS.frameRate;
+    this.maxDuration = options.maxDuration || DEFAULT_OPTIONS.maxDuration;
+    this.maxWidth = options.maxWidth || DEFAULT_OPTIONS.maxWidth;
+    this.quality = options.quality || DEFAULT_OPTIONS.quality;
+    this.start = Math.max(0, options.start || 0);
+    this.end = options.end ?? null;
+    this.crop = options.crop || null;
+    this.targetTimes = options.times || null;
+
+    try {
+      await this.loadVideo(file);
+
+      // Calculate frame interval and total frames
+      const { start, end } = this.getRange();
+      const frameInterval = 1 / this.frameRate;
+      const totalFrames = this.targetTimes
+        ? this.targetTimes.length
+        : Math.max(1, Math.ceil((end - start) * this.frameRate));
+      
+      console.log(`Extracting ${totalFrames} frames from ${start.toFixed(2)}s to ${end.toFixed(2)}s`);
+      
+      const times = Array.from({ length: totalFrames }, (_, i) => (this.targetTimes
+        ? Math.min(this.targetTimes[i], end)
+        : Math.min(start + i * frameInterval, end)));
+      if (!await this.extractWithWorker(file, times)) {
+        // Reset video to the start of the range
+        this.video.currentTime = start;
+        
+        // Small delay to ensure video is reset
+        await new Promise(resolve => setTimeout(resolve, 100));
+        
+        // Extract frames at specified intervals
+        await this.extractFrameSequence(0, totalFrames, frameInterval, end);
+      }
+      if (this.currentExtraction.cancelled) {
+        throw new Error('Frame extraction cancelled');
+      }
+
+      this.isProcessing = false;
+      console.log(`Successfully extracted ${this.frames.length} frames`);
+      if (this.onComplete) {
+        this.onComplete(this.frames);
+      }
+      return this.frames;
+    } catch (err) {
+      this.isProcessing = false;
+      console.error('Frame extraction error:', err);
+      if (!this.currentExtraction.cancelled && this.onError) {
+        this.onError(err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Whether frames can be decoded with WebCodecs in a worker instead of seeking the video element
+   * @returns {boolean}
+   */
+  canDecodeInWorker() {
+    return this.useWebCodecs &&
+      typeof Worker !== 'undefined' &&
+      typeof VideoDecoder !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined';
+  }
+
+  /**
+   * Decode the frames at the given times in a worker (see video-decoder-worker.js)
+   * @param {File} file - Video file
+   * @param {Array<number>} times - Timestamps in seconds, ascending
+   * @param {Object} options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} [options.previewWidth=0] - Preview width in pixels, 0 for no previews
+   * @param {Object} [options.crop] - Part of the frame to keep, normalized; the whole frame by default
+   * @param {Function} [options.onFrame] - Called with { index, time, frame, preview } for each frame, in order
+   * @param {AbortSignal} [options.signal] - Stops decoding when aborted
+   * @returns {Promise<Array<{index: number, time: number, frame: string, preview: string|null}>>}
+   *   JPEG data URLs; rejects when the worker cannot decode the file
+   */
+  decodeInWorker(file, times, { width, previewWidth = 0, crop = null, onFrame, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./video-decoder-worker.js', import.meta.url), { type: 'module' });
+      const decoded = [];
+      let settled = false;
+
+      const finish = error => {
+        if (settled) return;
+        settled = true;
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+        if (this.currentExtraction.reject === finish) this.currentExtraction.reject = null;
+        if (error) reject(error);
+        else resolve(decoded);
+      };
+      const onAbort = () => finish(new DOMException('Frame extraction cancelled', 'AbortError'));
+
+      // Both cancel() and the signal stop the worker
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.currentExtraction.reject = finish;
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'frame') {
+          decoded.push(data);
+          if (onFrame) onFrame(data);
+        } else if (data.type === 'done') {
+          finish();
+        } else if (data.type === 'error') {
+          finish(new Error(data.message));
+        }
+      };
+      worker.onerror = event => {
+        event.preventDefault();
+        finish(new Error(event.message || 'Frame extraction worker failed'));
+      };
+
+      worker.postMessage({ type: 'extract', file, times, width, quality: this.quality, previewWidth, crop });
+    });
+  }
+
+  /**
+   * Extract frames with decodeInWorker, filling the frame arrays and reporting
+   * progress the same way as the seek-based path
+   * @param {File} file - Video file
+   * @param {Array<number>} times - Timestamps in seconds, ascending
+   * @returns {Promise<boolean>} False when WebCodecs is unavailable or failed, so the caller seeks instead
+   */
+  async extractWithWorker(file, times) {
+    if (!this.canDecodeInWorker()) {
+      return false;
+    }
+
+    const startTime = performance.now();
+    try {
+      await this.decodeInWorker(file, times, {
+        width: this.canvas.width,
+        previewWidth: 160,
+        crop: this.crop,
+        onFrame: ({ index, time, frame, preview }) => {
+          if (this.onFrameExtracted) {
+            this.onFrameExtracted(frame, time, index);
+          }
+          this.frames.push(frame);
+          this.frameTimes.push(time);
+          this.previewFrames.push(preview);
+          if (this.onProgress) {
+            this.onProgress({ current: index + 1, total: times.length, time, frame, preview });
+          }
+        }
+      });
+      console.log(`Decoded ${times.length} frames with WebCodecs in ${Math.round(performance.now() - startTime)}ms`);
+      return true;
+    } catch (error) {
+      if (this.currentExtraction.cancelled) {
+        throw error;
+      }
+      console.warn('WebCodecs extraction unavailable, seeking the video instead:', error.message);
+      this.frames = [];
+      this.frameTimes = [];
+      this.previewFrames = [];
+      return false;
+    }
+  }
+
   /**
    * Extract a sequence of frames from the video
    * @param {number} startFrame - Starting frame index
    * @param {number} totalFrames - Total number of frames to extract
    * @param {number} frameInterval - Time between frames in seconds
-   * @param {number} duration - Total video duration in seconds
+   * @param {number} end - End of the analyzed range in seconds
    * @returns {Promise<void>}
    */
-  async extractFrameSequence(startFrame, totalFrames, frameInterval, duration) {
+  async extractFrameSequence(startFrame, totalFrames, frameInterval, end) {
     if (startFrame >= totalFrames) {
       return Promise.resolve();
     }
     
-    const targetTime = Math.min(startFrame * frameInterval, duration);
+    const targetTime = this.targetTimes
+      ? Math.min(this.targetTimes[startFrame], end)
+      : Math.min(this.start + startFrame * frameInterval, end);
     
     try {
       // Extract current frame
       const frameData = await this.extractFrame(targetTime);
       this.frames.push(frameData);
+      this.frameTimes.push(targetTime);
       
       // Create a preview frame (lower resolution)
       const previewCanvas = document.createElement('canvas');
@@ -395,7 +576,7 @@ class VideoFrameExtractor {
       if (!this.currentExtraction.cancelled && startFrame < totalFrames - 1) {
         // Small delay to prevent UI freeze
         await new Promise(resolve => setTimeout(resolve, 10));
-        return this.extractFrameSequence(startFrame + 1, totalFrames, frameInterval, duration);
+        return this.extractFrameSequence(startFrame + 1, totalFrames, frameInterval, end);
       }
     } catch (error) {
       console.error(`Error in frame sequence at frame ${startFrame}:`, error);
@@ -403,6 +584,147 @@ class VideoFrameExtractor {
     }
   }
 
+  /**
+   * Detect the native frame rate of the loaded video by playing a few frames
+   * @param {number} [sampleFrames=12] - Number of presented frames to time
+   * @returns {Promise<number>} Frames per second (30 when it cannot be detected)
+   */
+  async detectFrameRate(sampleFrames = 12) {
+    const fallback = 30;
+    const video = this.video;
+    if (!video || typeof video.requestVideoFrameCallback !== 'function') {
+      return fallback;
+    }
+
+    const mediaTimes = await new Promise(resolve => {
+      const times = [];
+      let timeoutId;
+
+      const finish = () => {
+        clearTimeout(timeoutId);
+        video.pause();
+        resolve(times);
+      };
+
+      const onFrame = (now, metadata) => {
+        times.push(metadata.mediaTime);
+        if (times.length > sampleFrames) {
+          finish();
+        } else {
+          video.requestVideoFrameCallback(onFrame);
+        }
+      };
+
+      // Give up if playback does not start (e.g. the browser blocks it)
+      timeoutId = setTimeout(finish, 2000);
+      video.requestVideoFrameCallback(onFrame);
+      video.play().catch(finish);
+    });
+
+    // The median gap between presented frames is robust to dropped frames
+    const gaps = mediaTimes.slice(1)
+      .map((time, i) => time - mediaTimes[i])
+      .filter(gap => gap > 0)
+      .sort((a, b) => a - b);
+    if (!gaps.length) {
+      return fallback;
+    }
+
+    const frameRate = Math.round(1 / gaps[Math.floor(gaps.length / 2)]);
+    console.log(`Detected native frame rate: ${frameRate} fps`);
+    return frameRate >= 10 && frameRate <= 240 ? frameRate : fallback;
+  }
+
+  /**
+   * Temporal mode: sample a short window of the loaded video at its native frame
+   * rate, fast enough to time individual foot strikes. Must be called after
+   * extractFrames (it reuses the loaded video) and leaves the analysis frames untouched.
+   * @param {Object} [options] - Window options
+   * @param {number} [options.start] - Window start in seconds (defaults to the middle of the analyzed range)
+   * @param {number} [options.duration] - Window length in seconds
+   * @param {number} [options.frameRate] - Frames per second (defaults to the detected native rate)
+   * @param {Function} [options.onProgress] - Called with { current, total } after each frame
+   * @param {AbortSignal} [options.signal] - Stops extraction when aborted
+   * @returns {Promise<{frames: Array<string>, times: Array<number>, frameRate: number}>}
+   *   Base64 encoded frames, their timestamps in seconds and the sampling rate
+   */
+  async extractTemporalWindow(options = {}) {
+    if (!this.video || !this.video.duration) {
+      throw new Error('No video loaded');
+    }
+    if (this.isProcessing) {
+      throw new Error('Extraction already in progress');
+    }
+
+    this.isProcessing = true;
+    this.currentExtraction = { cancelled: false };
+
+    try {
+      const frameRate = Math.min(options.frameRate || await this.detectFrameRate(), this.temporalMaxFrameRate);
+      // Without a start, the window is centred in the analyzed range
+      const range = options.start === undefined
+        ? this.getRange()
+        : { start: options.start, end: this.video.duration };
+      const available = Math.max(0, range.end - range.start);
+      const duration = Math.min(options.duration || this.temporalWindow, available);
+      const start = options.start ?? range.start + (available - duration) / 2;
+      const totalFrames = Math.max(1, Math.floor(duration * frameRate));
+
+      // Separate canvas, so the analysis canvas keeps its size
+      const canvas = document.createElement('canvas');
+      const { width, height } = this.calculateAspectRatio(
+        this.video.videoWidth,
+        this.video.videoHeight,
+        this.temporalMaxWidth
+      );
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+
+      console.log(`Sampling ${totalFrames} frames at ${frameRate} fps from ${start.toFixed(2)}s`);
+
+      const targetTimes = Array.from({ length: totalFrames }, (_, i) => start + i / frameRate);
+      if (this.canDecodeInWorker() && this.file) {
+        try {
+          const decoded = await this.decodeInWorker(this.file, targetTimes, {
+            width,
+            signal: options.signal,
+            onFrame: ({ index }) => options.onProgress?.({ current: index + 1, total: totalFrames })
+          });
+          return { frames: decoded.map(({ frame }) => frame), times: targetTimes, frameRate };
+        } catch (error) {
+          if (error.name === 'AbortError' || this.currentExtraction.cancelled) throw error;
+          console.warn('WebCodecs sampling unavailable, seeking the video instead:', error.message);
+        }
+      }
+
+      const frames = [];
+      const times = [];
+      for (let i = 0; i < totalFrames; i++) {
+        if (options.signal?.aborted) {
+          throw new DOMException('Frame extraction cancelled', 'AbortError');
+        }
+        if (this.currentExtraction.cancelled) {
+          throw new Error('Frame extraction cancelled');
+        }
+
+        const targetTime = targetTimes[i];
+        await this.seekToTime(this.getNearestSeekableTime(targetTime));
+        ctx.drawImage(this.video, 0, 0, width, height);
+        frames.push(canvas.toDataURL('image/jpeg', this.quality));
+        times.push(targetTime);
+
+        if (options.onProgress) {
+          options.onProgress({ current: i + 1, total: totalFrames });
+        }
+      }
+
+      return { frames, times, frameRate };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
   /**
    * Get the nearest seekable time from the video
    * @param {number} targetTime - Desired time in seconds
@@ -460,6 +782,33 @@ class VideoFrameExtractor {
     return nearestTime !== null ? nearestTime : targetTime;
   }
   
+  /**
+   * Draw the current frame of a video onto a canvas, cropped to `crop` when one is set
+   * @param {CanvasRenderingContext2D} ctx - Context of the target canvas
+   * @param {HTMLVideoElement} video - Video showing the frame
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   */
+  drawFrame(ctx, video, width, height) {
+    if (!this.crop || !video.videoWidth) {
+      ctx.drawImage(video, 0, 0, width, height);
+      return;
+    }
+    const sourceX = this.crop.x * video.videoWidth;
+    const sourceY = this.crop.y * video.videoHeight;
+    ctx.drawImage(
+      video,
+      sourceX,
+      sourceY,
+      Math.min(this.crop.width * video.videoWidth, video.videoWidth - sourceX),
+      Math.min(this.crop.height * video.videoHeight, video.videoHeight - sourceY),
+      0,
+      0,
+      width,
+      height
+    );
+  }
+
   /**
    * Extract a frame at a specific time
    * @param {number} targetTime - Time in seconds to extract the frame
@@ -489,7 +838,7 @@ class VideoFrameExtractor {
     
     try {
       // Draw the current video frame to canvas
-      this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+      this.drawFrame(this.ctx, this.video, this.canvas.width, this.canvas.height);
       
       // Convert canvas to base64 JPEG
       frameData = this.canvas.toDataURL('image/jpeg', this.quality);
@@ -681,7 +1030,7 @@ class VideoFrameExtractor {
           const onSeeked = () => {
             try {
               // Draw the frame to the canvas
-              tempCtx.drawImage(tempVideo, 0, 0, tempCanvas.width, tempCanvas.height);
+              this.drawFrame(tempCtx, tempVideo, tempCanvas.width, tempCanvas.height);
               
               // Get the data URL
               const frameData = tempCanvas.toDataURL('image/jpeg', this.quality);
@@ -0,0 +1,232 @@
+/**
+ * Analysis history store.
+ *
+ * Every completed analysis is saved as `<dir>/<id>/analysis.json` together
+ * with a few JPEG thumbnails (`thumb-1.jpg`, ...) and, optionally, its key
+ * frames at full resolution (`frame-1.jpg`, ...). Summaries of all records
+ * are kept in memory so history listings never have to read every file.
+ */
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+const THUMBNAIL_WIDTH = 320;
+const MAX_THUMBNAILS = 12;
+const ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Normalize an email address for storage and lookups
+ * @param {string} email - Email address
+ * @returns {string|null} Lower-cased address, or null when empty
+ */
+export function normalizeEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return value || null;
+}
+
+/**
+ * Pick the frames to keep as thumbnails: `count` evenly spaced frames plus
+ * the frames a report's findings refer to (used to match sessions when comparing)
+ * @param {Array<Object>} frames - Frames with a `path` and optional `timestamp` and `frameNumber`
+ * @param {Object} [options]
+ * @param {number} [options.count=4] - Number of evenly spaced frames
+ * @param {Array<number>} [options.frameNumbers=[]] - Frame numbers to keep as well
+ * @returns {Array<Object>} The selected frames, in video order
+ */
+export function pickThumbnailFrames(frames, { count = 4, frameNumbers = [] } = {}) {
+  const usable = frames.filter(frame => frame?.path && fs.existsSync(frame.path));
+
+  const step = usable.length / count;
+  const spaced = usable.length <= count
+    ? usable
+    : Array.from({ length: count }, (_, i) => usable[Math.floor(i * step + step / 2)]);
+  const referenced = usable.filter(frame => frameNumbers.includes(frame.frameNumber));
+
+  return usable
+    .filter(frame => spaced.includes(frame) || referenced.includes(frame))
+    .slice(0, MAX_THUMBNAILS);
+}
+
+/**
+ * Resize source images into small JPEG thumbnails
+ * @param {Array<Object>} sources - Images with a `path` and optional `timestamp` and `frameNumber`
+ * @param {Object} [options]
+ * @param {number|null} [options.width] - Maximum width; null keeps the full resolution (for key frames)
+ * @param {number} [options.quality=70] - JPEG quality
+ * @returns {Promise<Array<{buffer: Buffer, timestamp: *, frameNumber: *}>>} Thumbnails that could be created
+ */
+export async function createThumbnails(sources, { width = THUMBNAIL_WIDTH, quality = 70 } = {}) {
+  const thumbnails = await Promise.all(sources.map(async source => {
+    try {
+      let image = sharp(source.path).rotate();
+      if (width) image = image.resize({ width, withoutEnlargement: true });
+      const buffer = await image.jpeg({ quality }).toBuffer();
+      return { buffer, timestamp: source.timestamp ?? null, frameNumber: source.frameNumber ?? null };
+    } catch (error) {
+      console.warn(`Could not create thumbnail from ${path.basename(source.path)}:`, error.message);
+      return null;
+    }
+  }));
+
+  return thumbnails.filter(Boolean);
+}
+
+export class AnalysisStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory the analyses are stored in
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    this.summaries = new Map();
+  }
+
+  /**
+   * Build the in-memory index from the records on disk
+   */
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const id of fs.readdirSync(this.dir)) {
+      const recordPath = this.recordPath(id);
+      if (!ID_PATTERN.test(id) || !fs.existsSync(recordPath)) continue;
+
+      try {
+        const record = JSON.parse(fs.readFileSync(recordPath, 'utf-8'));
+        this.summaries.set(record.id, this.summarize(record));
+      } catch (error) {
+        console.error(`Skipping unreadable analysis record ${id}:`, error.message);
+      }
+    }
+
+    console.log(`Analysis history loaded: ${this.summaries.size} analysis record(s)`);
+  }
+
+  /**
+   * Save a completed analysis
+   * @param {Object} entry
+   * @param {string} [entry.email] - Email of the user who ran the analysis
+   * @param {Object} entry.source - Metadata of the analyzed file (filename, mimetype, size, frameCount)
+   * @param {Object} entry.analysis - The analysis result shown to the user
+   * @param {Array<Object>} [entry.thumbnails] - Thumbnails from createThumbnails
+   * @param {Array<Object>} [entry.keyFrames] - Full-resolution key frames from createThumbnails
+   * @returns {Promise<Object>} The stored record
+   */
+  async save({ email, source, analysis, thumbnails = [], keyFrames = [] }) {
+    const id = uuidv4();
+    const recordDir = path.join(this.dir, id);
+    await fs.promises.mkdir(recordDir, { recursive: true });
+
+    const storeImages = async (images, prefix) => {
+      const stored = [];
+      for (const [index, image] of images.entries()) {
+        const name = `${prefix}-${index + 1}.jpg`;
+        await fs.promises.writeFile(path.join(recordDir, name), image.buffer);
+        stored.push({ name, timestamp: image.timestamp, frameNumber: image.frameNumber });
+      }
+      return stored;
+    };
+
+    const record = {
+      id,
+      email: normalizeEmail(email),
+      createdAt: new Date().toISOString(),
+      source,
+      thumbnails: await storeImages(thumbnails, 'thumb'),
+      keyFrames: await storeImages(keyFrames, 'frame'),
+      analysis
+    };
+
+    // Write atomically so a crash never leaves a half-written record
+    const recordPath = this.recordPath(id);
+    await fs.promises.writeFile(`${recordPath}.tmp`, JSON.stringify(record, null, 2));
+    await fs.promises.rename(`${recordPath}.tmp`, recordPath);
+
+    this.summaries.set(id, this.summarize(record));
+    return record;
+  }
+
+  /**
+   * List analysis summaries, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.email] - Only analyses run by this email
+   * @param {number} [filter.limit=50] - Maximum number of summaries
+   * @returns {Array<Object>} Summaries
+   */
+  list({ email, limit = 50 } = {}) {
+    const owner = normalizeEmail(email);
+    return [...this.summaries.values()]
+      .filter(summary => !owner || summary.email === owner)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the summary of an analysis
+   * @param {string} id - Analysis id
+   * @returns {Object|null} The summary, or null when it does not exist
+   */
+  getSummary(id) {
+    return this.summaries.get(id) || null;
+  }
+
+  /**
+   * Get a full analysis record
+   * @param {string} id - Analysis id
+   * @returns {Promise<Object|null>} The record, or null when it does not exist
+   */
+  async get(id) {
+    if (!this.summaries.has(id)) return null;
+    return JSON.parse(await fs.promises.readFile(this.recordPath(id), 'utf-8'));
+  }
+
+  /**
+   * Resolve the file of a stored thumbnail
+   * @param {string} id - Analysis id
+   * @param {string} name - Thumbnail file name
+   * @returns {string|null} Absolute path, or null when the thumbnail does not exist
+   */
+  thumbnailPath(id, name) {
+    const summary = this.summaries.get(id);
+    if (!summary || !summary.thumbnails.some(thumbnail => thumbnail.name === name)) return null;
+    return path.resolve(this.dir, id, name);
+  }
+
+  /**
+   * Resolve the file of a stored key frame
+   * @param {string} id - Analysis id
+   * @param {string} name - Key frame file name
+   * @returns {string|null} Absolute path, or null when the key frame does not exist
+   */
+  keyFramePath(id, name) {
+    const summary = this.summaries.get(id);
+    if (!summary || !summary.keyFrames.some(keyFrame => keyFrame.name === name)) return null;
+    return path.resolve(this.dir, id, name);
+  }
+
+  recordPath(id) {
+    return path.join(this.dir, id, 'analysis.json');
+  }
+
+  // The fields history listings need, without the full report
+  summarize(record) {
+    const { analysis } = record;
+    return {
+      id: record.id,
+      email: record.email,
+      createdAt: record.createdAt,
+      source: record.source,
+      type: analysis?.type || null,
+      // Video analyses from before profiles existed are running analyses
+      profile: analysis?.type === 'video' ? analysis.profile || DEFAULT_PROFILE_ID : null,
+      athlete: analysis?.athlete || null,
+      overallScore: analysis?.report?.overallScore ?? null,
+      overview: analysis?.report?.overview || analysis?.report?.summary || null,
+      thumbnails: record.thumbnails,
+      // Records from before key frames could be kept have none
+      keyFrames: record.keyFrames || []
+    };
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Versioned JSON schema for form analysis reports.
+ *
+ * The same schema is sent to the model as a structured output format and
+ * used to validate whatever comes back, so dashboards can rely on the shape
+ * of every report returned by /api/analyze-video.
+ */
+import { CAMERA_VIEWS } from './camera-views.js';
+import { ERROR_CODES } from './rate-limit.js';
+
+// 1.1 added the camera views of each category and the elements that were not observable,
+// 1.2 the injury risk flags
+export const SCHEMA_VERSION = '1.2';
+
+// Biomechanical categories covered by the running-form prompt
+export const RUNNING_CATEGORIES = [
+  { id: 'posture', name: 'Posture' },
+  { id: 'arm_mechanics', name: 'Arm Mechanics' },
+  { id: 'leg_mechanics', name: 'Leg Mechanics' },
+  { id: 'efficiency', name: 'Efficiency' }
+];
+
+// Camera views a report can be based on
+const REPORT_VIEWS = Object.keys(CAMERA_VIEWS);
+
+// How serious an injury risk flag is
+export const RISK_SEVERITIES = ['low', 'moderate', 'high'];
+
+/**
+ * Error thrown when the model response cannot be turned into a valid report
+ */
+export class AnalysisValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AnalysisValidationError';
+    this.code = ERROR_CODES.INVALID_ANALYSIS;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build the report schema for a set of categories
+ * @param {Array<{id: string, name: string}>} [categories] - Categories to report on
+ * @param {Object} [options]
+ * @param {Array<string>} [options.views] - Camera views the categories may cite
+ * @returns {Object} JSON schema for the report document
+ */
+export function buildAnalysisSchema(categories = RUNNING_CATEGORIES, { views = REPORT_VIEWS } = {}) {
+  const categoryIds = categories.map(category => category.id);
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['schemaVersion', 'overview', 'overallScore', 'categories', 'notObservable', 'riskFlags', 'frameFindings'],
+    properties: {
+      schemaVersion: { type: 'string', enum: [SCHEMA_VERSION] },
+      overview: { type: 'string', minLength: 1 },
+      overallScore: { type: 'number', minimum: 0, maximum: 10 },
+      categories: {
+        type: 'array',
+        minItems: categories.length,
+        maxItems: categories.length,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['id', 'name', 'score', 'observations', 'priorityImprovements', 'drills', 'views'],
+          properties: {
+            id: { type: 'string', enum: categoryIds },
+            name: { type: 'string' },
+            score: { type: 'number', minimum: 0, maximum: 10 },
+            observations: { type: 'array', minItems: 1, items: { type: 'string' } },
+            priorityImprovements: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+            drills: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['name', 'description'],
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' }
+                }
+              }
+            },
+            views: { type: 'array', minItems: 1, items: { type: 'string', enum: views } }
+          }
+        }
+      },
+      notObservable: { type: 'array', items: { type: 'string' } },
+      riskFlags: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['category', 'risk', 'severity', 'reason'],
+          properties: {
+            category: { type: 'string', enum: categoryIds },
+            risk: { type: 'string', minLength: 1 },
+            severity: { type: 'string', enum: RISK_SEVERITIES },
+            reason: { type: 'string' }
+          }
+        }
+      },
+      frameFindings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['frameNumber', 'timestamp', 'category', 'finding'],
+          properties: {
+            frameNumber: { type: 'integer', minimum: 1 },
+            timestamp: { type: 'string' },
+            category: { type: 'string', enum: categoryIds },
+            finding: { type: 'string' }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Build the `response_format` parameter for structured model output
+ * @param {Object} schema - Report schema from buildAnalysisSchema
+ * @param {string} [name='running_form_report'] - Name of the output format
+ * @returns {Object} Chat completion response_format
+ */
+export function buildResponseFormat(schema, name = 'running_form_report') {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name,
+      strict: true,
+      schema: stripValidationKeywords(schema)
+    }
+  };
+}
+
+// Strict structured outputs reject range/length keywords, so they are only
+// enforced locally by validateAgainstSchema
+function stripValidationKeywords(schema) {
+  if (Array.isArray(schema)) return schema.map(stripValidationKeywords);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const unsupported = ['minimum', 'maximum', 'minLength', 'minItems', 'maxItems'];
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !unsupported.includes(key))
+      .map(([key, value]) => [key, stripValidationKeywords(value)])
+  );
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by this module
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [pointer='$'] - Path used in error messages
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, pointer = '$') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${pointer} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (!(key in value)) errors.push(`${pointer}.${key} is required`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties?.[key];
+        if (childSchema) {
+          errors.push(...validateAgainstSchema(child, childSchema, `${pointer}.${key}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${pointer}.${key} is not allowed`);
+        }
+      }
+      break;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return [`${pointer} must be an array`];
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${pointer} must contain at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${pointer} must contain at most ${schema.maxItems} item(s)`);
+      }
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pointer}[${index}]`));
+      });
+      break;
+    }
+    case 'string': {
+      if (typeof value !== 'string') return [`${pointer} must be a string`];
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${pointer} must not be empty`);
+      }
+      break;
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || Number.isNaN(value)) return [`${pointer} must be a number`];
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${pointer} must be an integer`);
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${pointer} must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${pointer} must be <= ${schema.maximum}`);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a model response as a report document
+ * @param {string} content - Raw model output
+ * @param {Object} options
+ * @param {Array<{id: string, name: string}>} [options.categories] - Expected categories
+ * @param {Array<number>} options.frameNumbers - Numbers of the frames sent to the model
+ * @param {Array<string>} [options.views] - Camera views the categories may cite
+ * @returns {Object} The validated report
+ * @throws {AnalysisValidationError} When the content is not a valid report
+ */
+export function parseAnalysisReport(content, { categories = RUNNING_CATEGORIES, frameNumbers, views = REPORT_VIEWS }) {
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch (error) {
+    throw new AnalysisValidationError('Model response is not valid JSON', [error.message]);
+  }
+
+  const errors = validateAgainstSchema(report, buildAnalysisSchema(categories, { views }));
+
+  // Cross-field checks the schema itself cannot express
+  if (Array.isArray(report?.categories)) {
+    const seen = new Set(report.categories.map(category => category?.id));
+    categories
+      .filter(category => !seen.has(category.id))
+      .forEach(category => errors.push(`$.categories is missing "${category.id}"`));
+  }
+  if (Array.isArray(report?.frameFindings)) {
+    report.frameFindings.forEach((finding, index) => {
+      if (finding && !frameNumbers.includes(finding.frameNumber)) {
+        errors.push(`$.frameFindings[${index}].frameNumber refers to a frame that was not sent`);
+      }
+    });
+  }
+
+  if (errors.length) {
+    throw new AnalysisValidationError('Model response does not match the report schema', errors);
+  }
+
+  return report;
+}
@@ -0,0 +1,244 @@
+/**
+ * Athlete profiles.
+ *
+ * An athlete profile describes the runner being filmed: body measurements,
+ * training volume, shoes, injury history and the race they are training for.
+ * Profiles belong to the email that created them and are persisted to a
+ * single JSON file. The profile picked for an analysis is added to the
+ * prompt, so drills and risk flags fit the athlete.
+ */
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeEmail } from './analyses.js';
+
+export const MILEAGE_UNITS = ['km', 'mi'];
+
+const MAX_INJURIES = 20;
+
+// Number fields: allowed range and how they read in the prompt
+const NUMBER_FIELDS = {
+  heightCm: { min: 100, max: 250, label: 'Height', unit: 'cm' },
+  legLengthCm: { min: 40, max: 150, label: 'Leg length (hip to floor)', unit: 'cm' },
+  weeklyMileage: { min: 0, max: 500, label: 'Weekly mileage' }
+};
+
+// Text fields and their maximum length
+const TEXT_FIELDS = {
+  name: 100,
+  shoeType: 100,
+  goalRace: 200
+};
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read and validate the fields of an athlete profile
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields that are given (for updates)
+ * @returns {Object} Sanitized fields
+ * @throws {Error} With status 400 when a field is invalid
+ */
+export function parseAthleteFields(body = {}, { partial = false } = {}) {
+  const fields = {};
+
+  for (const [key, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[key] === undefined) continue;
+    const value = body[key] === null ? '' : String(body[key]).trim();
+    if (value.length > maxLength) {
+      throw validationError(`Invalid ${key}: must be at most ${maxLength} characters`);
+    }
+    fields[key] = value || null;
+  }
+  if ((!partial || 'name' in fields) && !fields.name) {
+    throw validationError('An athlete needs a name');
+  }
+
+  for (const [key, { min, max }] of Object.entries(NUMBER_FIELDS)) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw validationError(`Invalid ${key}: must be a number between ${min} and ${max}`);
+    }
+    fields[key] = value;
+  }
+
+  if (body.mileageUnit !== undefined) {
+    if (!MILEAGE_UNITS.includes(body.mileageUnit)) {
+      throw validationError(`Invalid mileageUnit: must be one of ${MILEAGE_UNITS.join(', ')}`);
+    }
+    fields.mileageUnit = body.mileageUnit;
+  }
+
+  // One injury per entry; a text field may send them one per line
+  if (body.injuryHistory !== undefined) {
+    const injuries = typeof body.injuryHistory === 'string' ? body.injuryHistory.split('\n') : body.injuryHistory ?? [];
+    if (!Array.isArray(injuries)) {
+      throw validationError('Invalid injuryHistory: must be a list of injuries');
+    }
+    fields.injuryHistory = injuries
+      .map(injury => String(injury ?? '').trim().slice(0, 200))
+      .filter(Boolean);
+    if (fields.injuryHistory.length > MAX_INJURIES) {
+      throw validationError(`Invalid injuryHistory: at most ${MAX_INJURIES} injuries`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Describe an athlete for the analysis prompt
+ * @param {Object} athlete - Athlete profile
+ * @returns {string} Prompt text
+ */
+export function describeAthlete(athlete) {
+  const lines = [`- Name: ${athlete.name}`];
+
+  for (const [key, { label, unit }] of Object.entries(NUMBER_FIELDS)) {
+    if (athlete[key] === null || athlete[key] === undefined) continue;
+    lines.push(`- ${label}: ${athlete[key]} ${unit || athlete.mileageUnit || 'km'}`);
+  }
+  if (athlete.shoeType) lines.push(`- Shoes: ${athlete.shoeType}`);
+  lines.push(athlete.injuryHistory?.length
+    ? `- Injury history:\n${athlete.injuryHistory.map(injury => `  - ${injury}`).join('\n')}`
+    : '- Injury history: none reported');
+  if (athlete.goalRace) lines.push(`- Goal race: ${athlete.goalRace}`);
+
+  return [
+    'Athlete profile:',
+    ...lines,
+    '',
+    'Tailor the priority improvements and drills to this athlete: avoid drills that load a past injury and prefer ones that protect it, and keep the goal race in mind. ' +
+      'In "riskFlags", flag the observations that raise the risk of a past injury coming back or of a new one, and say which part of the profile each relates to.'
+  ].join('\n');
+}
+
+export class AthleteStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - JSON file the athletes are persisted to
+   */
+  constructor({ storePath }) {
+    this.storePath = storePath;
+    this.athletes = new Map();
+  }
+
+  /**
+   * Load the athletes from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        for (const athlete of JSON.parse(fs.readFileSync(this.storePath, 'utf-8'))) {
+          this.athletes.set(athlete.id, athlete);
+        }
+      }
+    } catch (error) {
+      console.error('Could not read athlete store, starting empty:', error.message);
+    }
+
+    console.log(`Athlete profiles loaded: ${this.athletes.size} athlete(s)`);
+  }
+
+  /**
+   * List the athletes of a user, by name
+   * @param {string} email - Owner's email
+   * @returns {Array<Object>} Athletes
+   */
+  list(email) {
+    const owner = normalizeEmail(email);
+    return [...this.athletes.values()]
+      .filter(athlete => athlete.email === owner)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get an athlete of a user
+   * @param {string} id - Athlete id
+   * @param {string} email - Owner's email
+   * @returns {Object|null} The athlete, or null when it does not exist or belongs to someone else
+   */
+  get(id, email) {
+    const athlete = this.athletes.get(id);
+    const owner = normalizeEmail(email);
+    return athlete && owner && athlete.email === owner ? athlete : null;
+  }
+
+  /**
+   * Create an athlete
+   * @param {string} email - Owner's email
+   * @param {Object} fields - Fields from parseAthleteFields
+   * @returns {Object} The created athlete
+   */
+  create(email, fields) {
+    const now = new Date().toISOString();
+    const athlete = {
+      id: uuidv4(),
+      email: normalizeEmail(email),
+      name: fields.name,
+      heightCm: null,
+      legLengthCm: null,
+      weeklyMileage: null,
+      mileageUnit: 'km',
+      shoeType: null,
+      injuryHistory: [],
+      goalRace: null,
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.athletes.set(athlete.id, athlete);
+    this.persist();
+    return athlete;
+  }
+
+  /**
+   * Update an athlete of a user
+   * @param {string} id - Athlete id
+   * @param {string} email - Owner's email
+   * @param {Object} fields - Fields from parseAthleteFields (partial)
+   * @returns {Object|null} The updated athlete, or null when not found
+   */
+  update(id, email, fields) {
+    const athlete = this.get(id, email);
+    if (!athlete) return null;
+
+    Object.assign(athlete, fields, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return athlete;
+  }
+
+  /**
+   * Delete an athlete of a user. Analyses keep the profile they were made with.
+   * @param {string} id - Athlete id
+   * @param {string} email - Owner's email
+   * @returns {boolean} Whether the athlete existed
+   */
+  remove(id, email) {
+    if (!this.get(id, email)) return false;
+
+    this.athletes.delete(id);
+    this.persist();
+    return true;
+  }
+
+  // Write synchronously and atomically, so concurrent requests never interleave
+  // and a crash never leaves a half-written store
+  persist() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...this.athletes.values()], null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
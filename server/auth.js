@@ -0,0 +1,459 @@
+/**
+ * Accounts, sessions and API tokens.
+ *
+ * Users sign in with a magic link sent to their email or with a password
+ * (hashed with scrypt), and get a session cookie. Scripted clients send an
+ * API token as `Authorization: Bearer <token>` instead. Only hashes of
+ * session and API tokens are stored, in a single JSON file; magic links
+ * live in memory and expire after a few minutes.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeEmail } from './analyses.js';
+import { ERROR_CODES } from './rate-limit.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'ra_session';
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Prefix of API tokens, so leaked tokens are easy to recognize
+const API_TOKEN_PREFIX = 'ra_';
+const SCRYPT_KEY_LENGTH = 64;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Frame extraction settings a user can save, and their allowed ranges
+const EXTRACTION_PREFERENCE_LIMITS = {
+  frameRate: { min: 0.5, max: 10 }, // Frames per second
+  maxWidth: { min: 240, max: 1920 }, // Pixels
+  quality: { min: 0.3, max: 0.95 } // JPEG quality
+};
+
+function authError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function createToken(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read and validate an email address
+ * @param {*} email - Raw value
+ * @returns {string} The normalized address
+ * @throws {Error} With status 400 when it is not an email address
+ */
+export function parseEmail(email) {
+  const value = normalizeEmail(email);
+  if (!value || !EMAIL_PATTERN.test(value)) {
+    throw authError('A valid email address is required', 400);
+  }
+  return value;
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "salt:hash", both hex
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Stored "salt:hash"
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read the cookies of a request. Cookies whose value cannot be decoded are
+ * skipped, so a malformed cookie set by another site on the domain does not
+ * break every request.
+ * @param {string} [header] - Cookie header
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (!name || !value.length) continue;
+    try {
+      cookies[name] = decodeURIComponent(value.join('='));
+    } catch {
+      // Malformed percent-encoding
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read and validate the frame extraction settings of a user
+ * @param {Object} body - Request body; `null` or an empty value resets a setting to the default
+ * @returns {Object} `frameRate`, `maxWidth` and `quality`, each a number or null, and `autoCrop`, a boolean or null
+ * @throws {Error} With status 400 when a setting is out of range
+ */
+export function parseExtractionPreferences(body = {}) {
+  const preferences = {};
+  for (const [key, { min, max }] of Object.entries(EXTRACTION_PREFERENCE_LIMITS)) {
+    if (body[key] === undefined || body[key] === null || body[key] === '') {
+      preferences[key] = null;
+      continue;
+    }
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw authError(`Invalid ${key}: must be a number between ${min} and ${max}`, 400);
+    }
+    preferences[key] = key === 'maxWidth' ? Math.round(value) : value;
+  }
+
+  if (body.autoCrop !== undefined && body.autoCrop !== null && typeof body.autoCrop !== 'boolean') {
+    throw authError('Invalid autoCrop: must be true or false', 400);
+  }
+  preferences.autoCrop = body.autoCrop ?? null;
+  return preferences;
+}
+
+/**
+ * The fields of a user the API returns
+ * @param {Object} user - The user
+ * @returns {Object} Id, email, creation date, whether a password is set and saved preferences
+ */
+export function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    createdAt: user.createdAt,
+    hasPassword: Boolean(user.passwordHash),
+    preferences: { extraction: user.preferences?.extraction || {} }
+  };
+}
+
+export class AuthStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - JSON file users, sessions and API tokens are persisted to
+   */
+  constructor({ storePath }) {
+    this.storePath = storePath;
+    this.users = new Map();
+    this.sessions = new Map(); // By token hash
+    this.apiTokens = new Map(); // By token hash
+    this.magicLinks = new Map(); // By token hash, in memory only
+  }
+
+  /**
+   * Load users, sessions and API tokens from disk, dropping expired sessions
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const { users = [], sessions = [], apiTokens = [] } = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+        const now = Date.now();
+        users.forEach(user => this.users.set(user.id, user));
+        sessions
+          .filter(session => new Date(session.expiresAt).getTime() > now)
+          .forEach(session => this.sessions.set(session.tokenHash, session));
+        apiTokens.forEach(token => this.apiTokens.set(token.tokenHash, token));
+      }
+    } catch (error) {
+      console.error('Could not read auth store, starting empty:', error.message);
+    }
+
+    console.log(`Accounts loaded: ${this.users.size} user(s), ${this.sessions.size} session(s), ${this.apiTokens.size} API token(s)`);
+  }
+
+  findUserByEmail(email) {
+    const value = normalizeEmail(email);
+    return [...this.users.values()].find(user => user.email === value) || null;
+  }
+
+  /**
+   * Create an account
+   * @param {string} email - Email address (validated with parseEmail)
+   * @param {string} [password] - Password; accounts created from a magic link have none
+   * @returns {Promise<Object>} The user
+   * @throws {Error} With status 409 when the email already has an account
+   */
+  async createUser(email, password) {
+    const assertAvailable = () => {
+      if (this.findUserByEmail(email)) {
+        throw authError('An account with this email already exists. Sign in instead.', 409);
+      }
+    };
+    assertAvailable();
+
+    const user = {
+      id: uuidv4(),
+      email: parseEmail(email),
+      passwordHash: password ? await hashPassword(password) : null,
+      createdAt: new Date().toISOString()
+    };
+    // Checked again, as another registration may have finished while hashing
+    assertAvailable();
+    this.users.set(user.id, user);
+    this.persist();
+    return user;
+  }
+
+  /**
+   * Set or change the password of a user
+   * @param {Object} user - The user
+   * @param {string} password - New password
+   */
+  async setPassword(user, password) {
+    user.passwordHash = await hashPassword(password);
+    this.persist();
+  }
+
+  /**
+   * Save the frame extraction settings of a user
+   * @param {Object} user - The user
+   * @param {Object} extraction - Settings from parseExtractionPreferences
+   */
+  setExtractionPreferences(user, extraction) {
+    user.preferences = { ...user.preferences, extraction };
+    this.persist();
+  }
+
+  /**
+   * Check an email and password
+   * @returns {Promise<Object|null>} The user, or null when they do not match
+   */
+  async authenticatePassword(email, password) {
+    const user = this.findUserByEmail(email);
+    if (!user?.passwordHash || typeof password !== 'string') return null;
+    return await verifyPassword(password, user.passwordHash) ? user : null;
+  }
+
+  /**
+   * Create a single-use sign-in link token for an email
+   * @param {string} email - Email address (validated with parseEmail)
+   * @returns {string} The token
+   */
+  createMagicLink(email) {
+    // Links that expired unused are dropped here, so they do not pile up
+    const now = Date.now();
+    for (const [tokenHash, link] of this.magicLinks) {
+      if (link.expiresAt < now) this.magicLinks.delete(tokenHash);
+    }
+
+    const token = createToken();
+    this.magicLinks.set(hashToken(token), { email, expiresAt: now + MAGIC_LINK_TTL_MS });
+    return token;
+  }
+
+  /**
+   * Use a magic link token; the account is created on first sign-in
+   * @param {string} token - Token from createMagicLink
+   * @returns {Promise<Object|null>} The user, or null when the link is unknown, used or expired
+   */
+  async consumeMagicLink(token) {
+    const tokenHash = hashToken(String(token || ''));
+    const link = this.magicLinks.get(tokenHash);
+    this.magicLinks.delete(tokenHash);
+    if (!link || link.expiresAt < Date.now()) return null;
+
+    return this.findUserByEmail(link.email) || await this.createUser(link.email);
+  }
+
+  /**
+   * Start a session for a user
+   * @param {Object} user - The user
+   * @returns {string} The session token for the cookie
+   */
+  createSession(user) {
+    const token = createToken();
+    const now = Date.now();
+    this.sessions.set(hashToken(token), {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+    this.persist();
+    return token;
+  }
+
+  deleteSession(token) {
+    if (this.sessions.delete(hashToken(token))) this.persist();
+  }
+
+  // User of a session token, or null when it is unknown or expired
+  sessionUser(token) {
+    const session = this.sessions.get(hashToken(token));
+    if (!session) return null;
+    if (new Date(session.expiresAt).getTime() < Date.now()) {
+      this.deleteSession(token);
+      return null;
+    }
+    return this.users.get(session.userId) || null;
+  }
+
+  /**
+   * Create an API token for scripted clients
+   * @param {Object} user - Owner of the token
+   * @param {string} name - What the token is for
+   * @returns {{token: string, apiToken: Object}} The token (only shown once) and its listing
+   */
+  createApiToken(user, name) {
+    const token = createToken(API_TOKEN_PREFIX);
+    const record = {
+      id: uuidv4(),
+      tokenHash: hashToken(token),
+      userId: user.id,
+      name,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.apiTokens.set(record.tokenHash, record);
+    this.persist();
+    return { token, apiToken: this.describeApiToken(record) };
+  }
+
+  listApiTokens(user) {
+    return [...this.apiTokens.values()]
+      .filter(record => record.userId === user.id)
+      .map(record => this.describeApiToken(record));
+  }
+
+  /**
+   * Revoke an API token of a user
+   * @returns {boolean} Whether the token existed
+   */
+  revokeApiToken(user, id) {
+    const record = [...this.apiTokens.values()].find(item => item.id === id && item.userId === user.id);
+    if (!record) return false;
+    this.apiTokens.delete(record.tokenHash);
+    this.persist();
+    return true;
+  }
+
+  // User of an API token, or null when it is unknown or revoked
+  apiTokenUser(token) {
+    const record = this.apiTokens.get(hashToken(token));
+    if (!record) return null;
+    // Last use is kept in memory and saved with the next change
+    record.lastUsedAt = new Date().toISOString();
+    return this.users.get(record.userId) || null;
+  }
+
+  describeApiToken({ id, name, createdAt, lastUsedAt }) {
+    return { id, name, createdAt, lastUsedAt };
+  }
+
+  // Write synchronously and atomically, so a crash never leaves a half-written file
+  persist() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      users: [...this.users.values()],
+      sessions: [...this.sessions.values()],
+      apiTokens: [...this.apiTokens.values()]
+    }, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+/**
+ * Middleware that identifies the caller from an `Authorization: Bearer` API
+ * token or the session cookie, and sets `req.user` and `req.authMethod`
+ * ('token' or 'session'). Requests without valid credentials go on anonymously.
+ * @param {AuthStore} store - The auth store
+ * @returns {Function} Express middleware
+ */
+export function authenticate(store) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      req.user = store.apiTokenUser(token);
+      req.authMethod = req.user ? 'token' : null;
+      return next();
+    }
+
+    const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    req.user = sessionToken ? store.sessionUser(sessionToken) : null;
+    req.authMethod = req.user ? 'session' : null;
+    next();
+  };
+}
+
+/**
+ * Middleware that rejects requests without a signed-in user (401)
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      code: ERROR_CODES.UNAUTHORIZED,
+      error: 'Sign in or send an API token to use this endpoint'
+    });
+  }
+  next();
+}
+
+/**
+ * Middleware that only accepts browser sessions, for account settings that
+ * an API token must not be able to change (such as creating more tokens)
+ */
+export function requireSession(req, res, next) {
+  if (req.authMethod !== 'session') {
+    return res.status(401).json({
+      success: false,
+      code: ERROR_CODES.UNAUTHORIZED,
+      error: 'Sign in to use this endpoint'
+    });
+  }
+  next();
+}
+
+/**
+ * Parse the operators allowed to use the admin endpoints
+ * @param {string} [raw] - Comma-separated emails (ADMIN_EMAILS)
+ * @returns {Set<string>} Normalized emails
+ */
+export function parseAdminEmails(raw = '') {
+  return new Set(raw.split(',').map(normalizeEmail).filter(Boolean));
+}
+
+/**
+ * Middleware that only lets operators through: 401 without a user, 403 for
+ * users whose email is not one of the admin emails
+ * @param {Set<string>} adminEmails - Emails from parseAdminEmails
+ * @returns {Function} Express middleware
+ */
+export function requireAdmin(adminEmails) {
+  return (req, res, next) => {
+    if (!req.user) return requireAuth(req, res, next);
+    if (!adminEmails.has(req.user.email)) {
+      return res.status(403).json({
+        success: false,
+        code: ERROR_CODES.FORBIDDEN,
+        error: 'Only operators can use this endpoint'
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Camera views and multi-clip sessions.
+ *
+ * A session is one or more clips of the same athlete, each filmed from the
+ * side, front or back. The view of a clip is chosen by the user or detected
+ * from the pose in the browser; when neither is known the model is asked to
+ * work it out. The prompt text built here tells the model what each view
+ * can show, so the report only covers what was actually observable.
+ */
+
+export const CAMERA_VIEWS = {
+  side: { label: 'side view (sagittal plane)' },
+  front: { label: 'front view (frontal plane, athlete facing the camera)' },
+  back: { label: 'back view (frontal plane, athlete moving away from the camera)' }
+};
+
+export const UNKNOWN_VIEW = 'unknown';
+
+// Most clips a session can combine
+export const MAX_CLIPS = 4;
+
+const VIEW_SOURCES = ['user', 'detected'];
+
+/**
+ * Read a camera view sent by the client
+ * @param {*} value - Raw value ("side", "front", "back"; anything else is unknown)
+ * @returns {string} The view id, or UNKNOWN_VIEW
+ */
+export function parseView(value) {
+  return Object.hasOwn(CAMERA_VIEWS, value) ? value : UNKNOWN_VIEW;
+}
+
+/**
+ * Read the clips of a session sent by the client (JSON array in `clips`)
+ * @param {string} [rawClips] - Raw form field
+ * @returns {Array<Object>|null} Sanitized clips `{ view, viewSource, filename }`,
+ *   or null when none were sent
+ * @throws {Error} With status 400 when there are more than MAX_CLIPS clips
+ */
+export function parseClips(rawClips) {
+  if (!rawClips) return null;
+
+  let clips;
+  try {
+    clips = JSON.parse(rawClips);
+  } catch (error) {
+    console.warn('Ignoring malformed clips:', error.message);
+    return null;
+  }
+  if (!Array.isArray(clips) || !clips.length) return null;
+
+  if (clips.length > MAX_CLIPS) {
+    const error = new Error(`A session can combine at most ${MAX_CLIPS} clips`);
+    error.status = 400;
+    throw error;
+  }
+
+  return clips.map(clip => {
+    const view = parseView(clip?.view);
+    return {
+      view,
+      viewSource: view !== UNKNOWN_VIEW && VIEW_SOURCES.includes(clip.viewSource) ? clip.viewSource : null,
+      ...(typeof clip?.filename === 'string' && { filename: clip.filename.slice(0, 255) })
+    };
+  });
+}
+
+/**
+ * Views the report may cite: the views of the clips, or every view when
+ * the view of a clip is unknown
+ * @param {Array<Object>} clips - Clips from parseClips
+ * @returns {Array<string>} View ids
+ */
+export function reportableViews(clips) {
+  const views = clips.map(clip => clip.view);
+  if (views.includes(UNKNOWN_VIEW)) return Object.keys(CAMERA_VIEWS);
+  return Object.keys(CAMERA_VIEWS).filter(view => views.includes(view));
+}
+
+/**
+ * Describe the clips of a session for the analysis prompt
+ * @param {Array<Object>} clips - Clips from parseClips
+ * @param {Array<Array<number>>} frameNumbers - Numbers of the frames sent from each clip
+ * @param {Object} profile - Analysis profile, for what each view shows
+ * @returns {string} Prompt text
+ */
+export function describeClips(clips, frameNumbers, profile) {
+  const lines = clips.map((clip, index) => {
+    const numbers = frameNumbers[index] || [];
+    const frames = numbers.length ? ` (frames ${numbers[0]}-${numbers[numbers.length - 1]})` : '';
+    if (clip.view === UNKNOWN_VIEW) {
+      return `- Clip ${index + 1}${frames}: camera view not given. Work out from the frames whether it was filmed from the side, front or back before judging anything.`;
+    }
+    const source = clip.viewSource === 'detected' ? ', detected from the pose' : '';
+    return `- Clip ${index + 1}${frames}: ${CAMERA_VIEWS[clip.view].label}${source}`;
+  });
+
+  const guide = reportableViews(clips)
+    .map(view => `- From the ${view}: ${profile.views[view]}`);
+
+  return [
+    `Camera views of this session:`,
+    ...lines,
+    '',
+    'What each view can show:',
+    ...guide,
+    '',
+    'Only report on elements that can be observed from these views. List key elements that none of the views show in "notObservable" instead of guessing. ' +
+      (clips.length > 1
+        ? 'Merge the clips into one report: each category combines what all views show, and its "views" lists the views its observations come from.'
+        : 'Each category\'s "views" lists the view its observations come from.')
+  ].join('\n');
+}
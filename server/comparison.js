@@ -0,0 +1,179 @@
+/**
+ * Session comparison: diffs two stored running-form analyses.
+ *
+ * Score changes per category are computed here; the model only describes
+ * what got better, what got worse and what stayed the same, in a versioned
+ * JSON document validated like the analysis report.
+ */
+import {
+  RUNNING_CATEGORIES,
+  AnalysisValidationError,
+  validateAgainstSchema
+} from './analysis-schema.js';
+
+export const COMPARISON_SCHEMA_VERSION = '1.0';
+
+// Score changes smaller than this (on the 0-10 scale) count as unchanged
+export const TREND_THRESHOLD = 0.5;
+
+export const TRENDS = {
+  IMPROVED: 'improved',
+  REGRESSED: 'regressed',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * Build the schema of the model's comparison document
+ * @param {Array<{id: string, name: string}>} [categories] - Categories to compare
+ * @returns {Object} JSON schema for the comparison document
+ */
+export function buildComparisonSchema(categories = RUNNING_CATEGORIES) {
+  const notes = { type: 'array', items: { type: 'string' } };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['schemaVersion', 'summary', 'categories'],
+    properties: {
+      schemaVersion: { type: 'string', enum: [COMPARISON_SCHEMA_VERSION] },
+      summary: { type: 'string', minLength: 1 },
+      categories: {
+        type: 'array',
+        minItems: categories.length,
+        maxItems: categories.length,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['id', 'improved', 'regressed', 'unchanged'],
+          properties: {
+            id: { type: 'string', enum: categories.map(category => category.id) },
+            improved: notes,
+            regressed: notes,
+            unchanged: notes
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Parse and validate a model response as a comparison document
+ * @param {string} content - Raw model output
+ * @param {Object} [options]
+ * @param {Array<{id: string, name: string}>} [options.categories] - Expected categories
+ * @returns {Object} The validated comparison document
+ * @throws {AnalysisValidationError} When the content is not a valid comparison
+ */
+export function parseComparison(content, { categories = RUNNING_CATEGORIES } = {}) {
+  let comparison;
+  try {
+    comparison = JSON.parse(content);
+  } catch (error) {
+    throw new AnalysisValidationError('Model response is not valid JSON', [error.message]);
+  }
+
+  const errors = validateAgainstSchema(comparison, buildComparisonSchema(categories));
+
+  if (Array.isArray(comparison?.categories)) {
+    const seen = new Set(comparison.categories.map(category => category?.id));
+    categories
+      .filter(category => !seen.has(category.id))
+      .forEach(category => errors.push(`$.categories is missing "${category.id}"`));
+  }
+
+  if (errors.length) {
+    throw new AnalysisValidationError('Model response does not match the comparison schema', errors);
+  }
+
+  return comparison;
+}
+
+/**
+ * Classify a score change
+ * @param {number} delta - Follow-up score minus baseline score
+ * @returns {string} One of TRENDS
+ */
+export function classifyTrend(delta) {
+  if (delta >= TREND_THRESHOLD) return TRENDS.IMPROVED;
+  if (delta <= -TREND_THRESHOLD) return TRENDS.REGRESSED;
+  return TRENDS.UNCHANGED;
+}
+
+/**
+ * Compute the per-category score changes between two reports
+ * @param {Object} baseline - Report of the earlier session
+ * @param {Object} followUp - Report of the later session
+ * @param {Array<{id: string, name: string}>} [categories] - Categories to compare
+ * @returns {Array<Object>} `{ id, name, baselineScore, followUpScore, delta, trend }` per category
+ */
+export function diffScores(baseline, followUp, categories = RUNNING_CATEGORIES) {
+  return categories.map(({ id, name }) => {
+    const baselineScore = baseline.categories.find(category => category.id === id)?.score ?? null;
+    const followUpScore = followUp.categories.find(category => category.id === id)?.score ?? null;
+    const delta = baselineScore === null || followUpScore === null
+      ? null
+      : Number((followUpScore - baselineScore).toFixed(1));
+
+    return {
+      id,
+      name,
+      baselineScore,
+      followUpScore,
+      delta,
+      trend: delta === null ? TRENDS.UNCHANGED : classifyTrend(delta)
+    };
+  });
+}
+
+// The first frame of a record that shows a finding in the category and was kept as a thumbnail
+function findKeyFrame(record, categoryId) {
+  for (const finding of record.analysis.report.frameFindings) {
+    if (finding.category !== categoryId) continue;
+
+    const thumbnail = record.thumbnails.find(item => item.frameNumber === finding.frameNumber);
+    if (thumbnail) {
+      return {
+        frameNumber: finding.frameNumber,
+        timestamp: finding.timestamp,
+        finding: finding.finding,
+        thumbnail: thumbnail.name
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pair frames of the two sessions that show the same category, so they can be
+ * played side by side. Records without finding frames are paired by position.
+ * @param {Object} baseline - Stored analysis record of the earlier session
+ * @param {Object} followUp - Stored analysis record of the later session
+ * @param {Array<{id: string, name: string}>} [categories] - Categories to match
+ * @returns {Array<{category: string|null, baseline: Object, followUp: Object}>} Matched frames
+ */
+export function matchFrames(baseline, followUp, categories = RUNNING_CATEGORIES) {
+  const matched = categories
+    .map(({ id }) => ({
+      category: id,
+      baseline: findKeyFrame(baseline, id),
+      followUp: findKeyFrame(followUp, id)
+    }))
+    .filter(pair => pair.baseline && pair.followUp);
+
+  if (matched.length) return matched;
+
+  const count = Math.min(baseline.thumbnails.length, followUp.thumbnails.length);
+  const toFrame = thumbnail => ({
+    frameNumber: thumbnail.frameNumber ?? null,
+    timestamp: thumbnail.timestamp,
+    finding: null,
+    thumbnail: thumbnail.name
+  });
+
+  return Array.from({ length: count }, (_, index) => ({
+    category: null,
+    baseline: toFrame(baseline.thumbnails[index]),
+    followUp: toFrame(followUp.thumbnails[index])
+  }));
+}
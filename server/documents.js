@@ -0,0 +1,300 @@
+/**
+ * Document text extraction, chunking and the cited document report.
+ *
+ * PDFs are read page by page with pdf.js, DOCX files are converted with
+ * mammoth (headings and tables are kept as Markdown) and plain text is read
+ * as is. Every document becomes a list of labeled sections ("Page 3",
+ * "Section 2", "Part 1") that are packed into chunks for map-reduce
+ * summarization, and every finding of the report cites one of those labels.
+ */
+import fs from 'fs';
+import mammoth from 'mammoth';
+import { AnalysisValidationError, validateAgainstSchema } from './analysis-schema.js';
+
+export const DOCUMENT_SCHEMA_VERSION = '1.0';
+
+export const DOCUMENT_MIME_TYPES = {
+  PDF: 'application/pdf',
+  DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  TEXT: 'text/plain'
+};
+
+// Plain text has no pages, so it is cited in parts of about this many characters
+const TEXT_PART_CHARS = 2000;
+
+/**
+ * Check whether an upload is a document handled by extractDocument
+ * @param {Object} file - Uploaded file (multer)
+ * @returns {boolean}
+ */
+export function isDocument(file) {
+  return Object.values(DOCUMENT_MIME_TYPES).includes(file.mimetype);
+}
+
+/**
+ * Split text into pieces of at most `maxChars`, preferring paragraph, line and word breaks
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<string>} Non-empty pieces
+ */
+export function splitText(text, maxChars) {
+  const pieces = [];
+  let rest = text.trim();
+
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf(' ')]
+      .find(index => index > maxChars / 2) ?? maxChars;
+    pieces.push(rest.slice(0, breakAt).trim());
+    rest = rest.slice(breakAt).trim();
+  }
+  if (rest) pieces.push(rest);
+
+  return pieces;
+}
+
+// Join the text items of a pdf.js page, keeping its line breaks
+function pageText(textContent) {
+  return textContent.items
+    .map(item => item.str + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractPdf(filePath) {
+  // pdf.js is large and only needed for PDFs
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const pdf = await getDocument({ data, isEvalSupported: false, useSystemFonts: true }).promise;
+
+  try {
+    const sections = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const text = pageText(await page.getTextContent());
+      page.cleanup();
+      if (text) sections.push({ label: `Page ${pageNumber}`, page: pageNumber, text });
+    }
+    return { format: 'pdf', pageCount: pdf.numPages, sections };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Markdown table for an HTML <table>
+function tableToMarkdown(tableHtml) {
+  const rows = [...tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
+    .map(([, row]) => [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => stripTags(cell).replace(/\|/g, '\\|')));
+  if (!rows.length) return '';
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Convert the HTML mammoth produces into Markdown blocks
+ * @param {string} html - Document HTML
+ * @returns {Array<{heading: number, text: string}>} Blocks in document order;
+ *   `heading` is the heading level, or 0 for body text
+ */
+function htmlToBlocks(html) {
+  const blocks = [];
+  const pattern = /<table[\s\S]*?<\/table>|<h([1-6])[^>]*>([\s\S]*?)<\/h\1>|<li[^>]*>([\s\S]*?)<\/li>|<p[^>]*>([\s\S]*?)<\/p>/gi;
+
+  for (const match of html.matchAll(pattern)) {
+    const [whole, level, heading, item, paragraph] = match;
+    if (whole.toLowerCase().startsWith('<table')) {
+      const table = tableToMarkdown(whole);
+      if (table) blocks.push({ heading: 0, text: table });
+    } else if (level) {
+      const text = stripTags(heading);
+      if (text) blocks.push({ heading: Number(level), text: `${'#'.repeat(Number(level))} ${text}` });
+    } else {
+      const text = stripTags(item ?? paragraph);
+      if (text) blocks.push({ heading: 0, text: item !== undefined ? `- ${text}` : text });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Split the HTML of a Word document into sections. Word documents have no fixed
+ * pages, so they are cited by section: a new section starts at every top-level
+ * (h1/h2) heading.
+ * @param {string} html - Document HTML from mammoth
+ * @returns {Array<{label: string, title: string|null, text: string}>} Sections in document order, as Markdown
+ */
+export function htmlToSections(html) {
+  const sections = [];
+  for (const block of htmlToBlocks(html)) {
+    const current = sections[sections.length - 1];
+    if (!current || (block.heading && block.heading <= 2)) {
+      sections.push({
+        label: `Section ${sections.length + 1}`,
+        title: block.heading ? block.text.replace(/^#+ /, '') : null,
+        text: block.text
+      });
+    } else {
+      current.text += `\n\n${block.text}`;
+    }
+  }
+  return sections;
+}
+
+async function extractDocx(filePath) {
+  const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+  messages
+    .filter(message => message.type === 'error')
+    .forEach(message => console.warn('DOCX conversion:', message.message));
+
+  return { format: 'docx', pageCount: null, sections: htmlToSections(html) };
+}
+
+async function extractText(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf-8');
+  const sections = splitText(text, TEXT_PART_CHARS)
+    .map((part, index) => ({ label: `Part ${index + 1}`, text: part }));
+  return { format: 'text', pageCount: null, sections };
+}
+
+/**
+ * Extract the text of a document, split into citable sections
+ * @param {Object} file - Uploaded file (multer) with `path` and `mimetype`
+ * @returns {Promise<{format: string, pageCount: number|null, sections: Array<Object>}>}
+ *   Sections in document order, each with a `label` to cite, its `text` and,
+ *   for PDFs, the `page` number (DOCX sections also carry their heading as `title`)
+ */
+export async function extractDocument(file) {
+  switch (file.mimetype) {
+    case DOCUMENT_MIME_TYPES.PDF:
+      return extractPdf(file.path);
+    case DOCUMENT_MIME_TYPES.DOCX:
+      return extractDocx(file.path);
+    case DOCUMENT_MIME_TYPES.TEXT:
+      return extractText(file.path);
+    default:
+      throw new Error(`Unsupported document type: ${file.mimetype}`);
+  }
+}
+
+/**
+ * Pack sections into chunks of at most `maxChars` characters of text. Each
+ * section's text is preceded by its "[label]" so the model can cite it;
+ * sections longer than a chunk are split and keep their label.
+ * @param {Array<Object>} sections - Sections from extractDocument
+ * @param {number} maxChars - Maximum text length per chunk
+ * @returns {Array<{labels: Array<string>, text: string}>} Chunks in document order
+ */
+export function chunkSections(sections, maxChars) {
+  const chunks = [];
+  let current = null;
+
+  for (const section of sections) {
+    // Leave room for the label line
+    for (const piece of splitText(section.text, maxChars - section.label.length - 3)) {
+      const block = `[${section.label}]\n${piece}`;
+      if (!current || current.text.length + block.length + 2 > maxChars) {
+        current = { labels: [], text: '' };
+        chunks.push(current);
+      }
+      if (!current.labels.includes(section.label)) current.labels.push(section.label);
+      current.text += (current.text ? '\n\n' : '') + block;
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Build the schema of a document report (or of the notes on one chunk)
+ * @param {Array<string>} labels - Section labels the findings may cite
+ * @returns {Object} JSON schema
+ */
+export function buildDocumentSchema(labels) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['schemaVersion', 'summary', 'findings'],
+    properties: {
+      schemaVersion: { type: 'string', enum: [DOCUMENT_SCHEMA_VERSION] },
+      summary: { type: 'string', minLength: 1 },
+      findings: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['finding', 'location'],
+          properties: {
+            finding: { type: 'string', minLength: 1 },
+            location: { type: 'string', enum: labels }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Parse and validate a model response as a document report
+ * @param {string} content - Raw model output
+ * @param {Object} options
+ * @param {Array<string>} options.labels - Section labels the findings may cite
+ * @param {Array<Object>} [options.sections=[]] - Sections from extractDocument, to attach page numbers
+ * @returns {Object} The validated report; PDF findings also carry their `page` number
+ * @throws {AnalysisValidationError} When the content is not a valid report
+ */
+export function parseDocumentReport(content, { labels, sections = [] }) {
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch (error) {
+    throw new AnalysisValidationError('Model response is not valid JSON', [error.message]);
+  }
+
+  const errors = validateAgainstSchema(report, buildDocumentSchema(labels));
+  if (errors.length) {
+    throw new AnalysisValidationError('Model response does not match the document report schema', errors);
+  }
+
+  const pages = new Map(sections.filter(section => section.page).map(section => [section.label, section.page]));
+  return {
+    ...report,
+    findings: report.findings.map(finding => ({
+      ...finding,
+      ...(pages.has(finding.location) && { page: pages.get(finding.location) })
+    }))
+  };
+}
+
+/**
+ * Format a document report as text, one finding per line with its citation
+ * @param {Object} report - Report from parseDocumentReport
+ * @returns {string}
+ */
+export function formatDocumentReport(report) {
+  return [
+    report.summary,
+    '',
+    'Findings:',
+    ...report.findings.map(({ finding, location }) => `- ${finding} (${location})`)
+  ].join('\n');
+}
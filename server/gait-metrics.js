@@ -0,0 +1,166 @@
+/**
+ * Gait metrics measured in the browser by pose estimation (public/js/gait-metrics.js).
+ *
+ * The client sends a summary in the `metrics` field and per-frame values and
+ * pose landmarks in `frameMeta`, along with the gait phase of frames that were
+ * sampled at gait phases. In a multi-view session the summary comes from
+ * a side-view clip, whose index it carries as `clip`. Only known, finite numbers are kept, and the prompt text is
+ * built here so the model cites measured values instead of estimating them.
+ */
+
+// Summary metrics, in the order they are shown to the model
+export const GAIT_METRICS = {
+  elbowAngle: { label: 'Elbow angle (shoulder-elbow-wrist)', unit: '°', stat: 'mean' },
+  trunkLean: { label: 'Trunk lean from vertical (forward positive)', unit: '°', stat: 'mean' },
+  kneeDrive: { label: 'Knee drive (thigh angle forward of vertical)', unit: '°', stat: 'peak' },
+  footStrike: { label: 'Foot strike ahead of the hips (center of mass) at contact', unit: ' leg lengths', stat: 'mean' },
+  verticalOscillation: { label: 'Vertical oscillation of the hips', unit: '% of leg length', stat: 'range' },
+  cadence: { label: 'Cadence (steps per minute)', unit: ' spm', stat: 'mean' },
+  groundContactTime: { label: 'Ground contact time', unit: ' ms', stat: 'mean' },
+  symmetry: { label: 'Left/right balance (left share of ground contact time, 50% is symmetric)', unit: '%', stat: 'mean' }
+};
+
+// Number of keypoints in a MediaPipe Pose (BlazePose) skeleton
+const LANDMARK_COUNT = 33;
+
+// Per-frame values the prompt cites for individual frames
+const FRAME_METRICS = {
+  elbowAngleLeft: { label: 'left elbow', unit: '°' },
+  elbowAngleRight: { label: 'right elbow', unit: '°' },
+  trunkLean: { label: 'trunk lean', unit: '°' },
+  kneeDrive: { label: 'knee drive', unit: '°' },
+  footOffset: { label: 'lower foot ahead of hips', unit: ' leg lengths' }
+};
+
+// Gait phases frames can be sampled at, as named in the prompt
+export const GAIT_PHASES = {
+  initial_contact: 'initial contact',
+  mid_stance: 'mid-stance',
+  toe_off: 'toe-off',
+  mid_swing: 'mid-swing'
+};
+
+const FEET = ['left', 'right'];
+
+function pickNumbers(source, keys) {
+  if (!source || typeof source !== 'object') return {};
+  return Object.fromEntries(keys
+    .filter(key => Number.isFinite(source[key]))
+    .map(key => [key, source[key]]));
+}
+
+/**
+ * Read the gait metrics summary sent by the client (JSON object in `metrics`)
+ * @param {string} [rawMetrics] - Raw form field
+ * @returns {Object|null} The sanitized summary, or null when none was sent
+ */
+export function parseGaitMetrics(rawMetrics) {
+  if (!rawMetrics) return null;
+
+  let metrics;
+  try {
+    metrics = JSON.parse(rawMetrics);
+  } catch (error) {
+    console.warn('Ignoring malformed gait metrics:', error.message);
+    return null;
+  }
+  if (!metrics || typeof metrics !== 'object') return null;
+
+  const summary = {
+    ...pickNumbers(metrics, ['totalFrames', 'detectedFrames', 'temporalDuration', 'temporalFrameRate', 'clip']),
+    ...(['left', 'right'].includes(metrics.direction) && { direction: metrics.direction })
+  };
+  for (const key of Object.keys(GAIT_METRICS)) {
+    const values = pickNumbers(metrics[key], ['value', 'min', 'max', 'samples', 'left', 'right']);
+    if (values.value !== undefined) summary[key] = values;
+  }
+
+  return Object.keys(GAIT_METRICS).some(key => summary[key]) ? summary : null;
+}
+
+/**
+ * Keep the known per-frame metrics sent in a `frameMeta` entry
+ * @param {Object} [frameMetrics] - Raw per-frame metrics
+ * @returns {Object|undefined} The sanitized metrics, or undefined when there are none
+ */
+export function sanitizeFrameMetrics(frameMetrics) {
+  const values = pickNumbers(frameMetrics, Object.keys(FRAME_METRICS));
+  return Object.keys(values).length ? values : undefined;
+}
+
+/**
+ * Keep the pose landmarks sent in a `frameMeta` entry, so the results view can
+ * draw the skeleton over the frame
+ * @param {Array} [landmarks] - One [x, y, visibility] triple per keypoint, x/y normalized to the frame
+ * @returns {Array<Array<number>>|undefined} The landmarks, or undefined when they are missing or malformed
+ */
+export function sanitizeLandmarks(landmarks) {
+  if (!Array.isArray(landmarks) || landmarks.length !== LANDMARK_COUNT) return undefined;
+  const valid = landmarks.every(landmark => Array.isArray(landmark) &&
+    landmark.length === 3 &&
+    landmark.every(Number.isFinite));
+  return valid ? landmarks : undefined;
+}
+
+/**
+ * Keep the gait phase sent in a `frameMeta` entry
+ * @param {string} [phase] - Key of GAIT_PHASES
+ * @param {string} [foot] - "left" or "right", the foot the phase belongs to
+ * @returns {{phase: string, foot: string}|undefined} The phase, or undefined when it is missing or unknown
+ */
+export function sanitizeGaitPhase(phase, foot) {
+  if (!Object.hasOwn(GAIT_PHASES, phase) || !FEET.includes(foot)) return undefined;
+  return { phase, foot };
+}
+
+/**
+ * Describe the gait phase of a frame for the analysis prompt
+ * @param {{phase: string, foot: string}} gaitPhase - Phase from sanitizeGaitPhase
+ * @returns {string} e.g. "initial contact of the left foot"
+ */
+export function describeGaitPhase({ phase, foot }) {
+  return `${GAIT_PHASES[phase]} of the ${foot} foot`;
+}
+
+/**
+ * Describe the summary for the analysis prompt
+ * @param {Object} summary - Summary from parseGaitMetrics
+ * @returns {string} One line per measured metric
+ */
+export function describeGaitMetrics(summary) {
+  const lines = Object.entries(GAIT_METRICS)
+    .filter(([key]) => summary[key])
+    .map(([key, { label, unit, stat }]) => {
+      const { value, min, max, left, right } = summary[key];
+      const range = min !== undefined && max !== undefined && stat !== 'range'
+        ? ` (range ${min}${unit} to ${max}${unit})`
+        : '';
+      const sides = left !== undefined && right !== undefined
+        ? `, left ${left}${unit}, right ${right}${unit}`
+        : '';
+      return `- ${label}: ${stat} ${value}${unit}${range}${sides}`;
+    });
+
+  if (summary.clip !== undefined) {
+    lines.push(`- Measured in clip ${summary.clip + 1} (side view)`);
+  }
+  if (summary.detectedFrames !== undefined && summary.totalFrames !== undefined) {
+    lines.push(`- Runner detected in ${summary.detectedFrames} of ${summary.totalFrames} frames`);
+  }
+  if (summary.temporalDuration !== undefined && summary.temporalFrameRate !== undefined) {
+    lines.push(`- Cadence and ground contact timed over a ${summary.temporalDuration}s window sampled at ${summary.temporalFrameRate} fps`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe the metrics measured in one frame
+ * @param {Object} frameMetrics - Metrics from sanitizeFrameMetrics
+ * @returns {string} e.g. "left elbow 88°, trunk lean 6°"
+ */
+export function describeFrameMetrics(frameMetrics) {
+  return Object.entries(FRAME_METRICS)
+    .filter(([key]) => frameMetrics[key] !== undefined)
+    .map(([key, { label, unit }]) => `${label} ${frameMetrics[key]}${unit}`)
+    .join(', ');
+}
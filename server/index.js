@@ -5,27 +5,110 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
-import OpenAI from 'openai';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { pipeline } from 'stream/promises';
+import {
+  SCHEMA_VERSION,
+  AnalysisValidationError,
+  buildAnalysisSchema,
+  buildResponseFormat,
+  parseAnalysisReport
+} from './analysis-schema.js';
+import { createProvider, TASKS } from './providers/index.js';
+import { JobQueue, JOB_STATES } from './jobs.js';
+import { AnalysisStore, createThumbnails, pickThumbnailFrames, normalizeEmail } from './analyses.js';
+import {
+  COMPARISON_SCHEMA_VERSION,
+  buildComparisonSchema,
+  parseComparison,
+  diffScores,
+  matchFrames
+} from './comparison.js';
+import {
+  parseGaitMetrics,
+  sanitizeFrameMetrics,
+  sanitizeLandmarks,
+  sanitizeGaitPhase,
+  describeGaitMetrics,
+  describeFrameMetrics,
+  describeGaitPhase
+} from './gait-metrics.js';
+import { createReportPdf, isExportable } from './report-pdf.js';
+import {
+  DOCUMENT_SCHEMA_VERSION,
+  isDocument,
+  extractDocument,
+  chunkSections,
+  buildDocumentSchema,
+  parseDocumentReport,
+  formatDocumentReport
+} from './documents.js';
+import {
+  DEFAULT_PROFILE_ID,
+  getProfile,
+  listProfiles,
+  reportFormatName,
+  buildAnalysisPrompt
+} from './profiles.js';
+import {
+  CAMERA_VIEWS,
+  UNKNOWN_VIEW,
+  parseView,
+  parseClips,
+  reportableViews,
+  describeClips
+} from './camera-views.js';
+import { AthleteStore, parseAthleteFields, describeAthlete } from './athletes.js';
+import {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  MIN_PASSWORD_LENGTH,
+  AuthStore,
+  parseEmail,
+  parseCookies,
+  parseExtractionPreferences,
+  publicUser,
+  authenticate,
+  requireAuth,
+  requireSession,
+  parseAdminEmails,
+  requireAdmin
+} from './auth.js';
+import { UsageStore, parsePrices, parseQuota, meterProvider, runWithUsage, enforceQuota } from './usage.js';
+import { ERROR_CODES, RateLimiter, rateLimit } from './rate-limit.js';
+import { UploadValidationError, REJECTION_REASONS, validateUpload, readValidationBounds } from './upload-validation.js';
+import { UploadJanitor, measurePath } from './janitor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 // Temporary: Use system FFmpeg for now
 const useSystemFFmpeg = true;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 const app = express();
 const PORT = process.env.PORT || 5001;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Token usage and estimated cost of every model call, per user, with optional cost quotas
+const usageStore = new UsageStore({
+  storePath: path.join(DATA_DIR, 'usage.jsonl'),
+  prices: parsePrices(process.env.AI_PRICES),
+  quotas: {
+    daily: parseQuota(process.env.USAGE_DAILY_QUOTA_USD),
+    monthly: parseQuota(process.env.USAGE_MONTHLY_QUOTA_USD)
+  }
+});
+
+// Initialize the AI provider (OpenAI, OpenAI-compatible or mock, see AI_PROVIDER)
+const aiProvider = meterProvider(createProvider(process.env), usageStore);
+console.log(`AI provider: ${aiProvider.name}`);
+
+// Operators who may see everyone's usage
+const adminEmails = parseAdminEmails(process.env.ADMIN_EMAILS);
 
 // Ensure upload directory exists
 if (!fs.existsSync(UPLOAD_DIR)) {
@@ -50,51 +133,100 @@ const storage = multer.diskStorage({
   },
 });
 
-// Create multer instance with file filter
-const upload = multer({
-  storage,
-  limits: { 
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 500 * 1024 * 1024, // 500MB max file size
-    files: 300, // Max 300 files for video frames
-    fieldSize: 500 * 1024 * 1024 // 500MB max field size
-  },
-  fileFilter: (req, file, cb) => {
+const MB = 1024 * 1024;
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 100 * MB;
+const MAX_FRAME_SIZE = parseInt(process.env.MAX_FRAME_SIZE) || 10 * MB;
+
+// Check file extension and MIME type of uploads
+const fileFilter = (req, file, cb) => {
+  try {
+    // Check file extension
+    const filetypes = /\.(jpe?g|png|gif|mp4|mov|avi|webm|mkv|pdf|docx|txt)$/i;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    
+    // Check MIME type with more flexible matching
+    const mimetypes = [
+      /^image\//, // All image types
+      /^video\//, // All video types
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/plain'
+    ];
+    
+    const mimetype = mimetypes.some(type => 
+      typeof type === 'string' 
+        ? type === file.mimetype 
+        : type.test(file.mimetype)
+    );
+    
+    if (extname && mimetype) {
+      return cb(null, true);
+    } else {
+      console.warn('File upload rejected:', {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        extname: path.extname(file.originalname)
+      });
+      cb(new Error(`File type not supported: ${file.mimetype}`));
+    }
+  } catch (error) {
+    console.error('Error in file filter:', error);
+    cb(error);
+  }
+};
+
+// Bounds of image size and video duration and resolution that uploads are checked against
+const validationBounds = readValidationBounds(process.env);
+
+// Helper function to create middleware that validates the uploaded files by their content,
+// before any model call; a rejected upload is deleted and answered with the reason
+function validateUploads(categories) {
+  return async (req, res, next) => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    
     try {
-      // Check file extension
-      const filetypes = /\.(jpe?g|png|gif|mp4|mov|avi|webm|mkv|pdf|docx|txt)$/i;
-      const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-      
-      // Check MIME type with more flexible matching
-      const mimetypes = [
-        /^image\//, // All image types
-        /^video\//, // All video types
-        'application/pdf',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'text/plain'
-      ];
-      
-      const mimetype = mimetypes.some(type => 
-        typeof type === 'string' 
-          ? type === file.mimetype 
-          : type.test(file.mimetype)
-      );
-      
-      if (extname && mimetype) {
-        return cb(null, true);
-      } else {
-        console.warn('File upload rejected:', {
-          filename: file.originalname,
-          mimetype: file.mimetype,
-          extname: path.extname(file.originalname)
-        });
-        cb(new Error(`File type not supported: ${file.mimetype}`));
+      for (const file of files) {
+        await validateUpload(file, validationBounds, categories);
       }
+      next();
     } catch (error) {
-      console.error('Error in file filter:', error);
-      cb(error);
+      await cleanupFiles(files);
+      if (!(error instanceof UploadValidationError)) return next(error);
+      
+      console.warn('Upload rejected:', error.message);
+      res.status(error.status).json({
+        success: false,
+        code: ERROR_CODES.INVALID_FILE,
+        reason: error.reason,
+        error: error.message
+      });
     }
-  }
-});
+  };
+}
+
+// Helper function to create the upload parser of a route with its own size limits and the
+// file categories it accepts. Its methods return the multer middleware after one that lets
+// errorHandler report the limits, followed by the content validation.
+function createUpload(limits, categories = null) {
+  const parser = multer({ storage, limits, fileFilter });
+  const withLimits = middleware => [(req, res, next) => {
+    req.uploadLimits = limits;
+    next();
+  }, middleware, validateUploads(categories)];
+  
+  return {
+    single: name => withLimits(parser.single(name)),
+    array: name => withLimits(parser.array(name)),
+    fields: fields => withLimits(parser.fields(fields))
+  };
+}
+
+// Video frames sampled in the browser: many small images and their metadata
+const uploadFrames = createUpload({ fileSize: MAX_FRAME_SIZE, files: 300, fieldSize: 2 * MB }, ['image']);
+// One video, image or document
+const uploadFile = createUpload({ fileSize: MAX_FILE_SIZE, files: 1, fieldSize: 100 * 1024 });
+// Two session videos to compare
+const uploadVideos = createUpload({ fileSize: MAX_FILE_SIZE, files: 2, fieldSize: 100 * 1024 }, ['video']);
 
 // Middleware
 app.use(cors({
@@ -104,8 +236,14 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '500mb' }));
-app.use(express.urlencoded({ extended: true, limit: '500mb' }));
+// Files go through multer; JSON and form bodies only carry small requests
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '100kb' }));
+
+// Behind a reverse proxy, client IPs (for rate limits) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY === 'true');
+}
 
 // Log all requests
 app.use((req, res, next) => {
@@ -113,11 +251,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Accounts: API requests are made by the signed-in user (session cookie) or with an API token
+const authStore = new AuthStore({ storePath: path.join(DATA_DIR, 'auth.json') });
+app.use('/api', authenticate(authStore));
+
 // Serve static files from the public directory
 const publicPath = path.join(__dirname, '../public');
 console.log('Serving static files from:', publicPath);
 app.use(express.static(publicPath));
 
+// Pose estimation model (WASM + weights) for the browser, served locally so it needs no network
+app.use('/vendor/mediapipe/pose', express.static(path.join(__dirname, '../node_modules/@mediapipe/pose')));
+
 // Route for the root URL
 app.get('/', (req, res) => {
   res.sendFile(path.join(publicPath, 'index.html'));
@@ -149,24 +294,29 @@ async function cleanupFiles(files) {
 function errorHandler(err, req, res, next) {
   console.error('Error:', err);
   
-  // Handle file upload errors
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({
-      success: false,
-      message: 'File too large. Maximum file size is 500MB.'
-    });
-  }
+  // Handle upload and body size errors
+  const limits = req.uploadLimits || {};
+  const tooLarge = {
+    LIMIT_FILE_SIZE: `File too large. Maximum file size is ${formatMegabytes(limits.fileSize)}.`,
+    LIMIT_FIELD_VALUE: `A form field is too large. Fields can be up to ${formatMegabytes(limits.fieldSize)}.`,
+    LIMIT_FILE_COUNT: `Too many files. Maximum ${limits.files} files allowed.`
+  }[err.code] || (err.type === 'entity.too.large' && 'Request body too large.');
   
-  if (err.code === 'LIMIT_FILE_COUNT') {
-    return res.status(400).json({
+  if (tooLarge) {
+    return res.status(413).json({
       success: false,
-      message: 'Too many files. Maximum 300 files allowed.'
+      code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+      error: tooLarge,
+      message: tooLarge
     });
   }
   
   if (err.message?.includes('File type not supported')) {
     return res.status(400).json({
       success: false,
+      code: ERROR_CODES.INVALID_FILE,
+      reason: REJECTION_REASONS.UNKNOWN_TYPE,
+      error: err.message,
       message: err.message
     });
   }
@@ -179,10 +329,106 @@ function errorHandler(err, req, res, next) {
   });
 }
 
+// Helper function to describe a size limit in bytes
+function formatMegabytes(bytes) {
+  return bytes >= MB ? `${Math.round(bytes / MB)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+// Server-side analysis stages reported to clients through job progress
+const ANALYSIS_STAGES = {
+  FRAMES_RECEIVED: 'frames_received',
+  FRAMES_DECODED: 'frames_decoded',
+  REQUEST_SENT: 'request_sent',
+  TOKENS_STREAMING: 'tokens_streaming',
+  RESULT_VALIDATED: 'result_validated'
+};
+
+// Helper function to forward streamed tokens and turn them into (throttled) progress updates
+function createTokenTracker(onToken, onProgress, expectedLength = 4000) {
+  let received = 0;
+  let lastReported = -Infinity;
+  
+  return text => {
+    onToken(text);
+    received += text.length;
+    
+    // Persisting progress on every token would rewrite the job store constantly
+    if (received - lastReported >= 250) {
+      lastReported = received;
+      const percent = 25 + 65 * Math.min(1, received / expectedLength);
+      onProgress(percent, 'Receiving analysis from the AI model', ANALYSIS_STAGES.TOKENS_STREAMING);
+    }
+  };
+}
+
+// Helper function to format a frame timestamp for reports
+function formatFrameTimestamp(frame, index) {
+  if (typeof frame.timestamp === 'number') return `${frame.timestamp.toFixed(2)}s`;
+  return frame.timestamp ? frame.timestamp : (index * 0.5).toFixed(2) + 's';
+}
+
+// Helper function to attach per-frame metadata sent by the client (JSON array in `frameMeta`):
+// the frame's timestamp, the clip of the session it comes from (index into `clips`), the
+// gait metrics and pose landmarks measured in it by pose estimation, and the gait phase
+// (`phase` and `foot`) it was sampled at, if any
+function applyFrameMeta(frames, rawMeta) {
+  if (!rawMeta) return frames;
+
+  let meta;
+  try {
+    meta = JSON.parse(rawMeta);
+  } catch (error) {
+    console.warn('Ignoring malformed frameMeta:', error.message);
+    return frames;
+  }
+  if (!Array.isArray(meta)) return frames;
+
+  return frames.map((frame, index) => {
+    const entry = meta[index];
+    if (!entry || typeof entry !== 'object') return frame;
+    return Object.assign(frame, {
+      timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : frame.timestamp,
+      clip: Number.isInteger(entry.clip) && entry.clip >= 0 ? entry.clip : 0,
+      metrics: sanitizeFrameMetrics(entry.metrics),
+      landmarks: sanitizeLandmarks(entry.landmarks),
+      gaitPhase: sanitizeGaitPhase(entry.phase, entry.foot)
+    });
+  });
+}
+
+// Helper function to read the client's description of the original video (JSON object in `source`)
+function parseSourceMeta(rawSource) {
+  if (!rawSource) return {};
+
+  try {
+    const { filename, mimetype, size } = JSON.parse(rawSource);
+    return {
+      ...(typeof filename === 'string' && { filename: filename.slice(0, 255) }),
+      ...(typeof mimetype === 'string' && { mimetype: mimetype.slice(0, 100) }),
+      ...(Number.isFinite(size) && { size })
+    };
+  } catch (error) {
+    console.warn('Ignoring malformed source metadata:', error.message);
+    return {};
+  }
+}
+
 // Helper function to analyze multiple frames together as a sequence
-async function analyzeVideoFrames(frames, originalVideo) {
+// `options.onProgress(percent, message, stage)` reports ANALYSIS_STAGES to the job queue,
+// `options.onToken(text)` receives the model output as it streams,
+// `options.metrics` is the gait metrics summary measured by pose estimation, if any,
+// `options.profile` is the id of the analysis profile (running by default),
+// `options.clips` are the clips of the session (see parseClips), one clip of unknown view by default, and
+// `options.athlete` is the profile of the athlete being filmed (see parseRequestAthlete), if any
+async function analyzeVideoFrames(frames, originalVideo, options = {}) {
+  const { onProgress = () => {}, onToken, athlete, clips = [{ view: UNKNOWN_VIEW, viewSource: null }] } = options;
+  const profile = getProfile(options.profile);
+  // Gait metrics only mean something for the profiles that measure them
+  const metrics = profile.gaitMetrics ? options.metrics : null;
+  
   try {
-    console.log(`Starting analysis of ${frames.length} frames as a sequence`);
+    console.log(`Starting ${profile.name} analysis of ${frames.length} frames as a sequence`);
+    onProgress(5, `Received ${frames.length} frames`, ANALYSIS_STAGES.FRAMES_RECEIVED);
     
     // Prepare all frames for analysis
     const frameContents = [];
@@ -191,6 +437,17 @@ async function analyzeVideoFrames(frames, originalVideo) {
     // First, process all frames to collect their data
     for (let i = 0; i < frames.length; i++) {
       const frame = frames[i];
+      const clip = frame.clip ?? 0;
+      
+      // Sessions of several clips say where each clip starts
+      if (clips.length > 1 && (i === 0 || (frames[i - 1].clip ?? 0) !== clip)) {
+        const { view } = clips[clip];
+        frameContents.push({
+          type: 'text',
+          text: `Clip ${clip + 1}: ${view === UNKNOWN_VIEW ? 'camera view not given' : CAMERA_VIEWS[view].label}`
+        });
+      }
+      
       try {
         let frameBuffer;
         if (frame.path && fs.existsSync(frame.path)) {
@@ -203,7 +460,8 @@ async function analyzeVideoFrames(frames, originalVideo) {
           console.warn(`Skipping frame ${i+1}: empty or unreadable`);
           frameAnalyses.push({
             frameNumber: i + 1,
-            timestamp: frame.timestamp ? frame.timestamp : (i * 0.5).toFixed(2) + 's',
+            timestamp: formatFrameTimestamp(frame, i),
+            clip,
             error: 'Frame data missing',
             details: 'Empty or unreadable frame data'
           });
@@ -212,7 +470,13 @@ async function analyzeVideoFrames(frames, originalVideo) {
         
         const base64Image = frameBuffer.toString('base64');
         const mimeType = frame.mimetype || 'image/jpeg';
+        const timestamp = formatFrameTimestamp(frame, i);
         
+        // Label each image so the model can tie findings to a frame number, timestamp and gait phase
+        frameContents.push({
+          type: 'text',
+          text: `Frame ${i + 1} at ${timestamp}${frame.gaitPhase ? `: ${describeGaitPhase(frame.gaitPhase)}` : ''}`
+        });
         frameContents.push({
           type: 'image_url',
           image_url: {
@@ -220,11 +484,21 @@ async function analyzeVideoFrames(frames, originalVideo) {
             detail: 'high'
           }
         });
+        if (frame.metrics) {
+          frameContents.push({
+            type: 'text',
+            text: `Measured in frame ${i + 1}: ${describeFrameMetrics(frame.metrics)}`
+          });
+        }
         
         // Store frame info for the response
         frameAnalyses.push({
           frameNumber: i + 1,
-          timestamp: frame.timestamp ? frame.timestamp : (i * 0.5).toFixed(2) + 's',
+          timestamp,
+          clip,
+          ...(frame.gaitPhase && frame.gaitPhase),
+          ...(frame.metrics && { metrics: frame.metrics }),
+          ...(frame.landmarks && { landmarks: frame.landmarks }),
           status: 'Pending analysis'
         });
         
@@ -232,119 +506,135 @@ async function analyzeVideoFrames(frames, originalVideo) {
         console.error(`Error processing frame ${i + 1}:`, error);
         frameAnalyses.push({
           frameNumber: i + 1,
-          timestamp: frame.timestamp ? frame.timestamp : (i * 0.5).toFixed(2) + 's',
+          timestamp: formatFrameTimestamp(frame, i),
+          clip,
           error: 'Failed to process frame',
           details: error.message
         });
       }
     }
     
-    if (frameContents.length === 0) {
+    const sentFrameNumbers = frameAnalyses
+      .filter(frame => !frame.error)
+      .map(frame => frame.frameNumber);
+    if (sentFrameNumbers.length === 0) {
       throw new Error('No valid frames available for analysis');
     }
+    onProgress(15, `Decoded ${sentFrameNumbers.length} frames`, ANALYSIS_STAGES.FRAMES_DECODED);
     
-    // Enhanced running form analysis prompt with strict biomechanical focus
-    const systemPrompt = `🔧 You are a biomechanics and running form expert. Your task is to analyze an athlete's running technique based on a sequence of video frames. Your evaluation must be highly detailed and biomechanically accurate, grounded in proper running form standards.
-
-🔒 Important Instructions:
-- Do NOT comment on video quality, lighting, background, framing, or non-running-related elements.
-- Strictly focus on biomechanical aspects of the athlete's running form.
-- Use only the information visible in the provided frames — do not guess or infer what cannot be seen.
-
-📝 Output Format (repeat for each element below):
-
-Key Observations: Specific biomechanical aspects visible in the frames
-
-Priority Improvements: 1-2 most critical issues to address first
-
-Actionable Drills: Specific exercises or cues to implement
-
-🔍 Analyze the following key elements:
-
-1. Posture
-   - Head position relative to shoulders
-   - Torso lean (forward/backward)
-   - Pelvic alignment (neutral vs anterior/posterior tilt)
-
-2. Arm Mechanics
-   - Elbow angle (ideal ≈ 90°)
-   - Arm swing direction and range (forward-back, not across midline)
-   - Shoulder relaxation vs tension
-
-3. Leg Mechanics
-   - Stride length and cadence consistency
-   - Knee drive height and timing
-   - Foot strike pattern (forefoot, midfoot, or heel)
-
-4. Efficiency
-   - Vertical oscillation (how much the body bounces up/down)
-   - Forward lean initiation (from ankles vs waist)
-   - Signs of energy conservation or unnecessary effort
-
-✅ Tone:
-- Clear, professional, and biomechanical
-- Focus on what can be improved, not just what's wrong
-- Provide specific, implementable advice
-- Back each point with direct visual evidence from the frames
-
-🧠 Example Output Snippet:
-Posture
-
-Key Observations: 
-- Torso shows a slight backward lean throughout the gait cycle
-- Head position is forward of the shoulders
-- Noticeable anterior pelvic tilt in mid-stance
-
-Priority Improvements:
-1. Forward lean should initiate from the ankles, not the waist
-2. Pelvic position needs stabilization to reduce excessive tilt
-
-Actionable Drills:
-- Wall lean drill: Practice forward lean from ankles against a wall
-- Dead bug exercise: 3 sets of 10 reps daily to strengthen core and stabilize pelvis
-- Cue: "Chest up, hips forward" to align posture`;
+    // Biomechanics prompt for the profile's sport or mode, with strict biomechanical focus
+    const systemPrompt = buildAnalysisPrompt(profile);
     
-    // Call OpenAI Vision API with all frames at once
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: [
-            { 
-              type: "text", 
-              text: `Please analyze this sequence of ${frameContents.length} video frames. The frames are in order from first to last.`
-            },
-            ...frameContents
-          ]
-        }
-      ],
-      max_tokens: 4000,
-    });
+    const views = reportableViews(clips);
+    const schema = buildAnalysisSchema(profile.categories, { views });
+    const phaseSampled = frames.some(frame => frame.gaitPhase);
+    const clipFrameNumbers = clips.map((clip, index) => frameAnalyses
+      .filter(frame => !frame.error && frame.clip === index)
+      .map(frame => frame.frameNumber));
+    const messages = [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      {
+        role: "user",
+        content: [
+          { 
+            type: "text", 
+            text: `Please analyze this sequence of ${sentFrameNumbers.length} video frames. The frames are in order from first to last and each is preceded by its frame number and timestamp.`
+          },
+          {
+            type: "text",
+            text: describeClips(clips, clipFrameNumbers, profile)
+          },
+          ...(phaseSampled ? [{
+            type: "text",
+            text: `The frames were picked at gait phases of several strides rather than evenly spaced, and each label names the phase it shows. ` +
+              `Judge foot strike at initial contact, loading and alignment at mid-stance, push-off at toe-off and knee drive at mid-swing, ` +
+              `compare the same phase across strides and feet, and refer to frames by their phase in your findings.`
+          }] : []),
+          ...(athlete ? [{
+            type: "text",
+            text: describeAthlete(athlete)
+          }] : []),
+          ...(metrics ? [{
+            type: "text",
+            text: `Gait metrics measured from the frames by pose estimation:\n${describeGaitMetrics(metrics)}\n\n` +
+              `Cite these measured values (and the per-frame measurements) in your observations instead of estimating angles or distances from the images. ` +
+              `${profile.metricsGuidance} ` +
+              `Judge cadence and ground contact only from the measured values, as the frames are too far apart to time steps.`
+          }] : []),
+          ...frameContents
+        ]
+      }
+    ];
+    
+    // Call OpenAI Vision API with all frames at once, retrying when the
+    // response does not match the report schema
+    const maxAttempts = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 2;
+    let report;
     
-    // Extract the combined analysis
-    const combinedAnalysis = response.choices[0].message.content;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      onProgress(
+        20,
+        attempt === 1
+          ? `Sent ${sentFrameNumbers.length} frames to the AI model`
+          : 'Retrying: the AI response did not match the report format',
+        ANALYSIS_STAGES.REQUEST_SENT
+      );
+      const { content } = await aiProvider.complete({
+        task: TASKS.VIDEO_ANALYSIS,
+        messages,
+        responseFormat: buildResponseFormat(schema, reportFormatName(profile)),
+        maxTokens: 4000,
+        onToken: onToken && createTokenTracker(onToken, onProgress)
+      });
+      
+      try {
+        report = parseAnalysisReport(content, {
+          categories: profile.categories,
+          frameNumbers: sentFrameNumbers,
+          views
+        });
+        onProgress(95, 'Report validated', ANALYSIS_STAGES.RESULT_VALIDATED);
+        break;
+      } catch (error) {
+        if (!(error instanceof AnalysisValidationError) || attempt === maxAttempts) {
+          throw error;
+        }
+        
+        console.warn(`Analysis attempt ${attempt} failed validation:`, error.errors);
+        
+        // Give the model its previous answer and the problems to fix
+        messages.push(
+          { role: "assistant", content },
+          {
+            role: "user",
+            content: `Your response did not match the required JSON schema:\n- ${error.errors.join('\n- ')}\nRespond again with the corrected JSON document only.`
+          }
+        );
+      }
+    }
     
-    // Update all frame analyses with the combined result
+    // Attach each per-frame finding to the frame it refers to
     frameAnalyses.forEach(frame => {
       if (!frame.error) {
-        frame.analysis = combinedAnalysis;
+        frame.findings = report.frameFindings
+          .filter(finding => finding.frameNumber === frame.frameNumber)
+          .map(({ category, finding }) => ({ category, finding }));
         frame.status = 'Analyzed';
       }
     });
     
-    // Use the combined analysis as the summary
-    const summary = combinedAnalysis;
-    
     return {
       success: true,
+      profile: profile.id,
+      clips,
+      athlete: athlete ? { id: athlete.id, name: athlete.name } : null,
       frameCount: frames.length,
       frameAnalyses,
-      summary
+      report,
+      metrics: metrics || null
     };
     
   } catch (error) {
@@ -358,15 +648,15 @@ async function generateVideoSummary(frameAnalyses) {
   try {
     // Extract just the analysis text from each frame
     const analysisTexts = frameAnalyses
-      .filter(f => f.analysis)
-      .map(f => `[${f.timestamp}] ${f.analysis}`)
+      .filter(f => f.findings?.length)
+      .map(f => `[${f.timestamp}] ${f.findings.map(item => item.finding).join(' ')}`)
       .join('\n\n');
     
     if (!analysisTexts) return "No analysis available for the video frames.";
     
     // Use GPT to generate a summary
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const response = await aiProvider.complete({
+      task: TASKS.VIDEO_SUMMARY,
       messages: [
         {
           role: "system",
@@ -378,10 +668,10 @@ async function generateVideoSummary(frameAnalyses) {
         }
       ],
       temperature: 0.7,
-      max_tokens: 1000
+      maxTokens: 1000
     });
     
-    return response.choices[0].message.content;
+    return response.content;
     
   } catch (error) {
     console.error('Error generating video summary:', error);
@@ -389,244 +679,1468 @@ async function generateVideoSummary(frameAnalyses) {
   }
 }
 
-// Routes
-// New endpoint for video frame analysis
-app.post('/api/analyze-video', upload.array('frames'), async (req, res) => {
-  console.log('Received request to /api/analyze-video');
-  console.log(`Files received: ${req.files?.length || 0}`);
+// Helper function to describe an uploaded file in a serializable form for job inputs
+function describeUpload(file) {
+  return {
+    path: file.path,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    timestamp: file.timestamp,
+    clip: file.clip,
+    metrics: file.metrics,
+    landmarks: file.landmarks,
+    gaitPhase: file.gaitPhase
+  };
+}
+
+// Helper function to check whether the client asked to block until the analysis finishes
+function isWaitRequested(req) {
+  const wait = req.query.wait ?? req.body?.wait;
+  return wait === 'true' || wait === '1';
+}
+
+// Helper function to map a failed job to an HTTP error response; codes that are not
+// ours (e.g. from the file system or the provider) are reported as a failed analysis
+function sendJobError(res, job) {
+  const invalid = job.errorCode === ERROR_CODES.INVALID_ANALYSIS;
+  const status = invalid ? 502 : job.errorCode === ERROR_CODES.QUOTA_EXCEEDED ? 429 : 500;
+  return res.status(status).json({
+    success: false,
+    code: Object.values(ERROR_CODES).includes(job.errorCode) ? job.errorCode : ERROR_CODES.ANALYSIS_FAILED,
+    error: invalid ? `${job.error}. Please try again.` : job.error,
+    details: job.errorDetails
+  });
+}
+
+// Helper function to answer an analysis request with its job: 202 + job id,
+// or the finished result when the client asked to wait (?wait=true)
+async function respondWithJob(req, res, job) {
+  if (!isWaitRequested(req)) {
+    return res.status(202).json({
+      success: true,
+      message: 'Analysis queued',
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  }
   
-  try {
-    const frames = req.files || [];
-    const originalVideo = req.files?.find(f => f.fieldname === 'originalVideo');
-    
-    console.log(`Processing ${frames.length} frames`);
-    
-    if (!frames.length) {
-      console.error('No frames provided for analysis');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No frames provided for analysis' 
-      });
-    }
-    
-    console.log(`Received ${frames.length} frames for analysis`);
-    
-    // Log frame details for debugging
-    console.log('Frame details:', frames.map(f => ({
-      fieldname: f.fieldname,
-      originalname: f.originalname,
-      mimetype: f.mimetype,
-      size: f.size,
-      path: f.path
-    })));
+  const finished = await jobQueue.wait(job.id);
+  if (finished.state === JOB_STATES.FAILED) {
+    return sendJobError(res, finished);
+  }
+  
+  return res.json({ success: true, ...finished.result });
+}
+
+// Helper function to ask the model for a cited document report (or the notes on one chunk),
+// retrying when the response does not match the schema
+async function requestDocumentReport({ task, instructions, text, labels, sections, onToken }) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You analyze uploaded documents. The text is split into sections, each starting with its label in square brackets (e.g. [Page 3]).
+
+Respond with a single JSON document (schema version ${DOCUMENT_SCHEMA_VERSION}) and nothing else. It must contain:
+- "schemaVersion": "${DOCUMENT_SCHEMA_VERSION}"
+- "summary": ${instructions}
+- "findings": the key points, facts and issues in the text, each with
+  - "finding": one specific statement
+  - "location": the label of the section it comes from, exactly as written without brackets
+
+Only use information from the text. Every finding must cite the section it comes from.`
+    },
+    { role: 'user', content: text }
+  ];
+  
+  const schema = buildDocumentSchema(labels);
+  const maxAttempts = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 2;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { content } = await aiProvider.complete({
+      task,
+      messages,
+      responseFormat: buildResponseFormat(schema, 'document_report'),
+      maxTokens: 2000,
+      onToken
+    });
     
     try {
-      // Analyze the frames
-      console.log('Starting frame analysis...');
-      const analysis = await analyzeVideoFrames(frames, originalVideo);
-      console.log('Frame analysis completed successfully');
-      
-      // Clean up uploaded files
-      frames.forEach(file => cleanupFile(file));
-      if (originalVideo) cleanupFile(originalVideo);
-      
-      res.json({
-        success: true,
-        message: `Analyzed ${frames.length} video frames`,
-        analysis: {
-          type: 'video',
-          frameCount: frames.length,
-          summary: analysis.summary,
-          frames: analysis.frameAnalyses
-        }
-      });
-    } catch (analysisError) {
-      console.error('Error during frame analysis:', analysisError);
-      console.error('Stack trace:', analysisError.stack);
-      
-      // Check for OpenAI API errors specifically
-      if (analysisError.response) {
-        console.error('OpenAI API Error:', {
-          status: analysisError.response.status,
-          statusText: analysisError.response.statusText,
-          headers: analysisError.response.headers,
-          data: analysisError.response.data
-        });
-      }
-      
-      // Clean up any uploaded files on error
-      if (req.files) {
-        req.files.forEach(file => cleanupFile(file));
+      return parseDocumentReport(content, { labels, sections });
+    } catch (error) {
+      if (!(error instanceof AnalysisValidationError) || attempt === maxAttempts) {
+        throw error;
       }
       
-      const errorMessage = analysisError.message || 'Failed to analyze video frames';
-      console.error('Sending error response:', errorMessage);
-      
-      res.status(500).json({
-        success: false,
-        error: errorMessage,
-        details: process.env.NODE_ENV === 'development' ? analysisError.stack : undefined
-      });
+      console.warn(`Document analysis attempt ${attempt} failed validation:`, error.errors);
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON schema:\n- ${error.errors.join('\n- ')}\nRespond again with the corrected JSON document only.`
+        }
+      );
     }
-  } catch (error) {
-    console.error('Error in /api/analyze-video:', error);
-    
-    // Clean up any uploaded files on error
-    if (req.files) {
-      req.files.forEach(file => cleanupFile(file));
+  }
+}
+
+// Helper function to analyze a PDF, DOCX or text document. A document that does not fit in
+// one request is summarized chunk by chunk (map) and the chunk notes are combined (reduce).
+async function analyzeDocument(file, { onProgress = () => {}, onToken } = {}) {
+  onProgress(5, 'Extracting document text');
+  const document = await extractDocument(file);
+  if (!document.sections.length) {
+    throw new Error('No text could be extracted from this document');
+  }
+  
+  const chunkChars = parseInt(process.env.DOCUMENT_CHUNK_CHARS) || 10000;
+  const maxChunks = parseInt(process.env.DOCUMENT_MAX_CHUNKS) || 20;
+  const allChunks = chunkSections(document.sections, chunkChars);
+  const chunks = allChunks.slice(0, maxChunks);
+  if (allChunks.length > chunks.length) {
+    console.warn(`Document "${file.originalname}" has ${allChunks.length} chunks; analyzing the first ${maxChunks}`);
+  }
+  
+  const labels = chunks.flatMap(chunk => chunk.labels).filter((label, index, all) => all.indexOf(label) === index);
+  const header = `Document "${file.originalname}" (${document.format}${document.pageCount ? `, ${document.pageCount} pages` : ''})`;
+  let text = `${header}:\n\n${chunks[0].text}`;
+  
+  if (chunks.length > 1) {
+    // Map: notes with citations for every chunk
+    const notes = [];
+    for (const [index, chunk] of chunks.entries()) {
+      onProgress(10 + Math.round(60 * index / chunks.length), `Reading part ${index + 1} of ${chunks.length} of the document`);
+      notes.push(await requestDocumentReport({
+        task: TASKS.DOCUMENT_CHUNK,
+        instructions: '2-3 sentences summarizing this part of the document',
+        text: `Part ${index + 1} of ${chunks.length} of ${header}:\n\n${chunk.text}`,
+        labels: chunk.labels,
+        sections: document.sections
+      }));
     }
     
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to analyze video frames'
-    });
+    // Reduce: the final report is written from the notes, keeping their citations
+    text = `${header}. Notes on each part of the document, with the section each finding comes from:\n\n` +
+      notes.map((note, index) => `Part ${index + 1} (${chunks[index].labels[0]} to ${chunks[index].labels.at(-1)}):\n` +
+        `Summary: ${note.summary}\n` +
+        note.findings.map(({ finding, location }) => `- [${location}] ${finding}`).join('\n')).join('\n\n');
   }
-});
+  
+  onProgress(75, 'Sent document to the AI model', ANALYSIS_STAGES.REQUEST_SENT);
+  const report = await requestDocumentReport({
+    task: TASKS.FILE_ANALYSIS,
+    instructions: '3-5 sentences summarizing the whole document',
+    text,
+    labels,
+    sections: document.sections,
+    onToken: onToken && createTokenTracker(onToken, onProgress, 2000)
+  });
+  onProgress(95, 'Report validated', ANALYSIS_STAGES.RESULT_VALIDATED);
+  
+  return {
+    report,
+    document: {
+      format: document.format,
+      pageCount: document.pageCount,
+      sectionCount: document.sections.length,
+      chunkCount: chunks.length,
+      truncated: allChunks.length > chunks.length
+    }
+  };
+}
 
-// Endpoint for analyzing regular files
-app.post('/api/analyze', upload.single('file'), async (req, res) => {
-  console.log('=== /api/analyze request received ===');
-  console.log('Headers:', req.headers);
-  console.log('Content-Type:', req.headers['content-type']);
-  console.log('Content-Length:', req.headers['content-length']);
-  console.log('Request body keys:', Object.keys(req.body));
-  console.log('Request files:', req.files);
-  console.log('Request file:', req.file);
+// Helper function to analyze an uploaded text, image or video file for /api/analyze
+// `callbacks` are the onProgress/onToken callbacks analyzeVideoFrames takes, plus
+// the onFrames callback of analyzeVideoFile
+async function analyzeUpload(file, options = {}, callbacks = {}) {
+  const { onProgress = () => {}, onToken } = callbacks;
+  const streamTokens = onToken && createTokenTracker(onToken, onProgress, 2000);
   
-  if (!req.file) {
-    console.error('No file found in request');
-    console.log('Request body:', req.body);
-    return res.status(400).json({ 
-      success: false, 
-      error: 'No file provided for analysis',
-      details: {
-        headers: Object.keys(req.headers),
-        body: Object.keys(req.body),
-        files: req.files || 'No files',
-        file: req.file ? 'Present' : 'Missing'
+  // For PDF, DOCX and text documents, extract the text and analyze it with page citations
+  if (isDocument(file)) {
+    const { report, document } = await analyzeDocument(file, { onProgress, onToken });
+    
+    return {
+      message: 'File analyzed successfully',
+      analysis: {
+        type: 'file',
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        content: formatDocumentReport(report),
+        report,
+        document
       }
-    });
+    };
   }
-
-  console.log(`Received file for analysis: ${req.file.originalname} (${req.file.size} bytes)`);
-  console.log('File details:', {
-    fieldname: req.file.fieldname,
-    originalname: req.file.originalname,
-    encoding: req.file.encoding,
-    mimetype: req.file.mimetype,
-    size: req.file.size,
-    destination: req.file.destination,
-    filename: req.file.filename,
-    path: req.file.path
-  });
   
-  try {
-    // For text files, read and analyze the content
-    if (req.file.mimetype === 'text/plain' || req.file.mimetype === 'application/pdf') {
-      const text = fs.readFileSync(req.file.path, 'utf-8');
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that analyzes uploaded files. Provide a detailed analysis of the content.'
-          },
-          {
-            role: 'user',
-            content: `Analyze this ${req.file.mimetype} file named "${req.file.originalname}":\n\n${text.substring(0, 10000)}`
-          }
-        ]
-      });
+  // For images
+  if (file.mimetype.startsWith('image/')) {
+    const maxSize = 20 * 1024 * 1024; // 20MB
+    
+    if (file.size > maxSize) {
+      throw new Error('Image is too large. Maximum size is 20MB.');
+    }
+    
+    // Read the image file
+    const imageBuffer = fs.readFileSync(file.path);
+    const base64Image = imageBuffer.toString('base64');
+    const dataUrl = `data:${file.mimetype};base64,${base64Image}`;
+    
+    // Analyze with the configured AI provider
+    onProgress(20, 'Sent image to the AI model', ANALYSIS_STAGES.REQUEST_SENT);
+    const response = await aiProvider.complete({
+      task: TASKS.IMAGE_ANALYSIS,
+      onToken: streamTokens,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { 
+              type: 'text', 
+              text: 'Analyze this image in detail. Include any visible text, objects, colors, and context. Be thorough in your description.' 
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: dataUrl,
+                detail: 'high'
+              },
+            },
+          ],
+        },
+      ],
+      maxTokens: 1000
+    });
+    
+    return {
+      message: 'Image analyzed successfully',
+      analysis: {
+        type: 'image',
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        content: response.content
+      }
+    };
+  }
+  
+  // For videos, extract frames with ffmpeg and analyze them as a sequence
+  if (file.mimetype.startsWith('video/')) {
+    onProgress(2, 'Extracting frames from video');
+    const analysis = await analyzeVideoFile(file, options, callbacks);
+    
+    return {
+      message: `Analyzed ${analysis.frameCount} video frames`,
+      analysis: {
+        ...analysis,
+        mimeType: file.mimetype,
+        size: file.size
+      }
+    };
+  }
+  
+  throw new Error(`Unsupported file type: ${file.mimetype}`);
+}
+
+// Helper function to compare two stored video analyses of the same athlete and profile
+// Returns the score diff and matched frames with the model's notes per category
+async function compareAnalyses(baseline, followUp, callbacks = {}) {
+  const { onProgress = () => {}, onToken } = callbacks;
+  const profile = getProfile(analysisProfileId(baseline));
+  const { categories } = profile;
+  const scores = diffScores(baseline.analysis.report, followUp.analysis.report, categories);
+  
+  // The model only needs the reports, not the frames
+  const describe = (label, record) => `${label} session (${record.createdAt}):\n` +
+    JSON.stringify({
+      overallScore: record.analysis.report.overallScore,
+      categories: record.analysis.report.categories.map(({ id, score, observations, priorityImprovements }) =>
+        ({ id, score, observations, priorityImprovements })),
+      frameFindings: record.analysis.report.frameFindings.map(({ category, finding }) => ({ category, finding }))
+    }, null, 2);
+  
+  const messages = [
+    {
+      role: 'system',
+      content: `You are a biomechanics and ${profile.discipline} form expert comparing two analyses of the same athlete, filmed before and after working on drills.
+
+Respond with a single JSON document (schema version ${COMPARISON_SCHEMA_VERSION}) and nothing else. It must contain:
+- "schemaVersion": "${COMPARISON_SCHEMA_VERSION}"
+- "summary": 2-3 sentences on how the athlete's form changed overall
+- "categories": one entry per category id (${categories.map(category => category.id).join(', ')}), each with
+  - "id"
+  - "improved": specific aspects that got better in the follow-up session
+  - "regressed": specific aspects that got worse
+  - "unchanged": notable aspects that stayed the same
+
+Only compare what both analyses describe. Do not invent observations.`
+    },
+    {
+      role: 'user',
+      content: `${describe('Baseline', baseline)}\n\n${describe('Follow-up', followUp)}\n\n` +
+        `Score changes per category (follow-up minus baseline): ` +
+        scores.map(score => `${score.id} ${score.delta >= 0 ? '+' : ''}${score.delta}`).join(', ')
+    }
+  ];
+  
+  const schema = buildComparisonSchema(categories);
+  const maxAttempts = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 2;
+  let comparison;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    onProgress(85, 'Comparing the two sessions', ANALYSIS_STAGES.REQUEST_SENT);
+    const { content } = await aiProvider.complete({
+      task: TASKS.COMPARISON,
+      messages,
+      responseFormat: buildResponseFormat(schema, `${profile.id.replace(/-/g, '_')}_form_comparison`),
+      maxTokens: 2000,
+      onToken: onToken && createTokenTracker(onToken, () => {}, 2000)
+    });
+    
+    try {
+      comparison = parseComparison(content, { categories });
+      break;
+    } catch (error) {
+      if (!(error instanceof AnalysisValidationError) || attempt === maxAttempts) {
+        throw error;
+      }
       
-      // Clean up the uploaded file
+      console.warn(`Comparison attempt ${attempt} failed validation:`, error.errors);
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON schema:\n- ${error.errors.join('\n- ')}\nRespond again with the corrected JSON document only.`
+        }
+      );
+    }
+  }
+  onProgress(95, 'Comparison validated', ANALYSIS_STAGES.RESULT_VALIDATED);
+  
+  // Session details the UI needs, without the full reports
+  const describeSession = record => ({
+    analysisId: record.id,
+    createdAt: record.createdAt,
+    source: record.source,
+    overallScore: record.analysis.report.overallScore
+  });
+  const withUrl = (record, frame) => ({ ...frame, url: thumbnailUrl(record.id, frame.thumbnail) });
+  
+  return {
+    type: 'comparison',
+    schemaVersion: COMPARISON_SCHEMA_VERSION,
+    profile: profile.id,
+    baseline: describeSession(baseline),
+    followUp: describeSession(followUp),
+    overallDelta: Number((followUp.analysis.report.overallScore - baseline.analysis.report.overallScore).toFixed(1)),
+    summary: comparison.summary,
+    categories: scores.map(score => {
+      const { improved, regressed, unchanged } = comparison.categories.find(category => category.id === score.id);
+      return { ...score, improved, regressed, unchanged };
+    }),
+    matchedFrames: matchFrames(baseline, followUp, categories).map(pair => ({
+      category: pair.category,
+      baseline: withUrl(baseline, pair.baseline),
+      followUp: withUrl(followUp, pair.followUp)
+    }))
+  };
+}
+
+// Helper function to check that a stored analysis (or its summary) belongs to the signed-in user
+function isOwnRecord(record, user) {
+  return Boolean(record && user && record.email === user.email);
+}
+
+// Helper function to check that a job was started by the signed-in user
+function isOwnJob(job, user) {
+  return Boolean(job && user && normalizeEmail(job.input.email) === user.email);
+}
+
+// Helper function to check that a stored analysis holds a form report that can be compared
+function isComparable(record) {
+  return record?.analysis?.type === 'video' && Boolean(record.analysis.report);
+}
+
+// Helper function to get the profile a stored video analysis was made with
+// (analyses from before profiles existed are running analyses)
+function analysisProfileId(record) {
+  return record.analysis.profile || DEFAULT_PROFILE_ID;
+}
+
+// Helper function to read the camera view of a request's single clip (`view` field),
+// rejecting unknown views; undefined when no view was given
+function parseRequestView(body = {}) {
+  if (body.view === undefined || body.view === '') return undefined;
+  if (parseView(body.view) === UNKNOWN_VIEW) {
+    const error = new Error(`Invalid view "${body.view}": must be one of ${Object.keys(CAMERA_VIEWS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return body.view;
+}
+
+// Helper function to read the clips of a frame upload: the `clips` field of a multi-view
+// session, or a single clip filmed from the optional `view`
+function parseSessionClips(body, frames) {
+  const view = parseRequestView(body);
+  const clips = parseClips(body.clips) || [{ view: view || UNKNOWN_VIEW, viewSource: view ? 'user' : null }];
+  
+  const stray = frames.find(frame => (frame.clip ?? 0) >= clips.length);
+  if (stray) {
+    const error = new Error(`frameMeta refers to clip ${stray.clip} but only ${clips.length} clip(s) were described`);
+    error.status = 400;
+    throw error;
+  }
+  return clips;
+}
+
+// Helper function to read the `profile` field of a request, rejecting unknown profiles
+function parseProfile(body = {}) {
+  const profile = getProfile(body.profile || undefined);
+  if (!profile) {
+    const error = new Error(`Unknown profile "${body.profile}". Available profiles: ${listProfiles().map(item => item.id).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return profile;
+}
+
+// Athlete profiles are kept per user and fed into the analyses of that athlete
+const athleteStore = new AthleteStore({ storePath: path.join(DATA_DIR, 'athletes.json') });
+
+// Helper function to read the optional `athleteId` field of a request: the athlete must belong to `email`
+// Returns the athlete as fed into the prompt (a copy, so queued jobs keep the profile they were started with)
+function parseRequestAthlete(body = {}, email) {
+  if (!body.athleteId) return undefined;
+  
+  const athlete = athleteStore.get(body.athleteId, email);
+  if (!athlete) {
+    const error = new Error('Athlete not found');
+    error.status = 404;
+    throw error;
+  }
+  const { email: owner, createdAt, updatedAt, ...profile } = athlete;
+  return profile;
+}
+
+// Background jobs: analyses run in a queue so requests return immediately
+// and results survive a page refresh or server restart
+const jobQueue = new JobQueue({
+  storePath: path.join(DATA_DIR, 'jobs.json'),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2
+});
+
+// Completed analyses are kept per user so past reports can be reopened
+const analysisStore = new AnalysisStore({ dir: path.join(DATA_DIR, 'analyses') });
+
+// Saved analyses keep the frames their findings point at in full resolution, not just as thumbnails
+const KEEP_KEY_FRAMES = process.env.KEEP_KEY_FRAMES === 'true';
+
+// Helper function to store a finished analysis in the user's history and link the record from the result
+async function saveToHistory({ email, source }, result, thumbnails = [], keyFrames = []) {
+  try {
+    const record = await analysisStore.save({ email, source, analysis: result.analysis, thumbnails, keyFrames });
+    return { ...result, analysisId: record.id };
+  } catch (error) {
+    // The analysis itself succeeded, so the user still gets their result
+    console.error('Error saving analysis to history:', error);
+    return result;
+  }
+}
+
+// Helper function to pick the thumbnails of a video analysis: evenly spaced frames plus
+// the frames its findings point at (numbered like the frames sent to the model)
+function createVideoThumbnails(frames, report) {
+  const numbered = frames.map((frame, index) => ({ ...frame, frameNumber: index + 1 }));
+  const frameNumbers = report.frameFindings.map(finding => finding.frameNumber);
+  return createThumbnails(pickThumbnailFrames(numbered, { frameNumbers }));
+}
+
+// Helper function to copy the frames the findings of a video analysis point at, when KEEP_KEY_FRAMES is on
+function createVideoKeyFrames(frames, report) {
+  if (!KEEP_KEY_FRAMES) return [];
+  const frameNumbers = new Set(report.frameFindings.map(finding => finding.frameNumber));
+  const keyFrames = frames
+    .map((frame, index) => ({ ...frame, frameNumber: index + 1 }))
+    .filter(frame => frameNumbers.has(frame.frameNumber));
+  return createThumbnails(keyFrames, { width: null, quality: 90 });
+}
+
+// Helper function to bill the model calls of a job to the user who queued it
+function billedToUser(handler) {
+  return (input, context) => runWithUsage({ email: input.email, jobId: context.job.id }, () => handler(input, context));
+}
+
+jobQueue.register('video-frames', billedToUser(async ({ frames, email, source, metrics, profile, clips, athlete }, { progress, token }) => {
+  try {
+    const analysis = await analyzeVideoFrames(frames, null, { onProgress: progress, onToken: token, metrics, profile, clips, athlete });
+    const thumbnails = await createVideoThumbnails(frames, analysis.report);
+    const keyFrames = await createVideoKeyFrames(frames, analysis.report);
+    
+    return await saveToHistory({ email, source: { ...source, frameCount: frames.length } }, {
+      message: `Analyzed ${frames.length} video frames`,
+      analysis: {
+        type: 'video',
+        schemaVersion: SCHEMA_VERSION,
+        profile: analysis.profile,
+        clips: analysis.clips,
+        athlete: analysis.athlete,
+        frameCount: frames.length,
+        report: analysis.report,
+        metrics: analysis.metrics,
+        frames: analysis.frameAnalyses
+      }
+    }, thumbnails, keyFrames);
+  } finally {
+    await cleanupFiles(frames);
+  }
+}));
+
+// Helper function to analyze an uploaded file and save the result to the user's history
+async function analyzeAndSaveUpload(file, options, email, callbacks = {}) {
+  // Thumbnails come from the image itself or from the frames extracted from a video
+  let thumbnails = file.mimetype.startsWith('image/') ? await createThumbnails([file]) : [];
+  let keyFrames = [];
+  const result = await analyzeUpload(file, options, {
+    ...callbacks,
+    onFrames: async (frames, report) => {
+      thumbnails = await createVideoThumbnails(frames, report);
+      keyFrames = await createVideoKeyFrames(frames, report);
+    }
+  });
+  
+  return saveToHistory({
+    email,
+    source: {
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      ...(result.analysis.frameCount && { frameCount: result.analysis.frameCount })
+    }
+  }, result, thumbnails, keyFrames);
+}
+
+jobQueue.register('file', billedToUser(async ({ file, options, email }, { progress, token }) => {
+  try {
+    return await analyzeAndSaveUpload(file, options, email, { onProgress: progress, onToken: token });
+  } finally {
+    await cleanupFile(file);
+  }
+}));
+
+// Compares two stored analyses, or analyzes two uploaded videos first
+jobQueue.register('compare', billedToUser(async ({ baselineId, followUpId, videos, options, email }, { progress, token }) => {
+  let ids = [baselineId, followUpId];
+  
+  try {
+    if (videos) {
+      ids = [];
+      for (const [index, video] of videos.entries()) {
+        const label = index === 0 ? 'baseline' : 'follow-up';
+        const offset = index * 40;
+        const { analysisId } = await analyzeAndSaveUpload(video, options, email, {
+          onProgress: (percent, message, stage) => progress(offset + percent * 0.4, `Analyzing ${label} video: ${message}`, stage)
+        });
+        if (!analysisId) throw new Error(`Could not save the ${label} analysis`);
+        ids.push(analysisId);
+      }
+    }
+  } finally {
+    if (videos) await cleanupFiles(videos);
+  }
+  
+  const [baseline, followUp] = await Promise.all(ids.map(id => analysisStore.get(id)));
+  if (!isComparable(baseline) || !isComparable(followUp)) {
+    throw new Error('Both analyses must be video form analyses');
+  }
+  if (analysisProfileId(baseline) !== analysisProfileId(followUp)) {
+    throw new Error('Both analyses must use the same profile');
+  }
+  
+  const comparison = await compareAnalyses(baseline, followUp, { onProgress: progress, onToken: token });
+  return {
+    message: `Compared two ${getProfile(comparison.profile).name.toLowerCase()} sessions`,
+    analysis: comparison
+  };
+}));
+
+// Helper function to read a limit from configuration; 0 turns it off
+function parseLimit(value, fallback) {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Analyses started per client IP and per account, in a window of ANALYSIS_RATE_WINDOW_MINUTES
+const analysisWindowMs = parseLimit(process.env.ANALYSIS_RATE_WINDOW_MINUTES, 60) * MINUTE_MS;
+const limitAnalysesPerIp = rateLimit(
+  new RateLimiter({ max: parseLimit(process.env.ANALYSIS_RATE_LIMIT_IP, 60), windowMs: analysisWindowMs }),
+  { key: req => req.ip, message: 'Too many analyses from your network. Please try again later.' }
+);
+const limitAnalysesPerUser = rateLimit(
+  new RateLimiter({ max: parseLimit(process.env.ANALYSIS_RATE_LIMIT_USER, 20), windowMs: analysisWindowMs }),
+  { key: req => req.user?.id, message: 'You have started too many analyses. Please try again later.' }
+);
+
+// Sign-in attempts and sign-in links per client IP, every 15 minutes
+const limitSignIns = rateLimit(
+  new RateLimiter({ max: parseLimit(process.env.AUTH_RATE_LIMIT_IP, 20), windowMs: 15 * MINUTE_MS }),
+  { key: req => req.ip, message: 'Too many sign-in attempts. Please try again later.' }
+);
+
+const MAX_ACTIVE_ANALYSES_PER_USER = parseLimit(process.env.MAX_ACTIVE_ANALYSES_PER_USER, 2);
+const MAX_QUEUED_JOBS = parseLimit(process.env.MAX_QUEUED_JOBS, 50);
+
+// Analyses running in /api/upload requests (outside the job queue), by email
+const runningUploads = new Map();
+
+// Helper function (middleware) to refuse new analyses while the user already has too many
+// queued or running, or while the queue as a whole is full
+function limitActiveAnalyses(req, res, next) {
+  const { email } = req.user;
+  const active = jobQueue.countActive(job => job.input.email === email) + (runningUploads.get(email) || 0);
+  if (MAX_ACTIVE_ANALYSES_PER_USER && active >= MAX_ACTIVE_ANALYSES_PER_USER) {
+    return res.status(429).json({
+      success: false,
+      code: ERROR_CODES.TOO_MANY_ANALYSES,
+      error: `You already have ${active} ${active === 1 ? 'analysis' : 'analyses'} in progress. Wait for one to finish before starting another.`
+    });
+  }
+  
+  if (MAX_QUEUED_JOBS && jobQueue.countActive() >= MAX_QUEUED_JOBS) {
+    res.set('Retry-After', '60');
+    return res.status(503).json({
+      success: false,
+      code: ERROR_CODES.SERVER_BUSY,
+      error: 'The server is busy with other analyses. Please try again in a minute.',
+      retryAfter: 60
+    });
+  }
+  
+  next();
+}
+
+// Helper function to list the top-level entries of the uploads directory that unfinished jobs still need
+function activeUploadEntries() {
+  const uploadDir = path.resolve(UPLOAD_DIR);
+  const entries = new Set();
+  for (const job of jobQueue.listActive()) {
+    const { frames, videos, file } = job.input;
+    for (const upload of frames || videos || (file ? [file] : [])) {
+      const relative = path.relative(uploadDir, path.resolve(upload.path));
+      if (!relative.startsWith('..')) entries.add(path.join(uploadDir, relative.split(path.sep)[0]));
+    }
+  }
+  return entries;
+}
+
+// Removes leftover uploads and frame directories older than UPLOAD_RETENTION_HOURS, and the oldest
+// ones while the directory is larger than UPLOAD_MAX_TOTAL_MB
+const uploadJanitor = new UploadJanitor({
+  dir: UPLOAD_DIR,
+  maxAgeMs: parseLimit(process.env.UPLOAD_RETENTION_HOURS, 24) * 60 * MINUTE_MS,
+  maxBytes: parseLimit(process.env.UPLOAD_MAX_TOTAL_MB, 0) * MB,
+  intervalMs: (parseLimit(process.env.JANITOR_INTERVAL_MINUTES, 15) || 15) * MINUTE_MS,
+  isInUse: entryPath => activeUploadEntries().has(entryPath)
+});
+
+// Checks every route that starts an analysis runs before its upload is accepted
+const analysisGuards = [
+  limitAnalysesPerIp,
+  requireAuth,
+  limitAnalysesPerUser,
+  enforceQuota(usageStore),
+  limitActiveAnalyses
+];
+
+// Routes
+// New endpoint for video frame analysis
+app.post('/api/analyze-video', analysisGuards, uploadFrames.array('frames'), async (req, res) => {
+  console.log('Received request to /api/analyze-video');
+  console.log(`Files received: ${req.files?.length || 0}`);
+  
+  try {
+    const profile = parseProfile(req.body);
+    const frames = applyFrameMeta(req.files || [], req.body.frameMeta);
+    const clips = parseSessionClips(req.body, frames);
+    
+    console.log(`Processing ${frames.length} frames from ${clips.length} clip(s) with the ${profile.id} profile`);
+    
+    if (!frames.length) {
+      console.error('No frames provided for analysis');
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No frames provided for analysis' 
+      });
+    }
+    
+    console.log(`Received ${frames.length} frames for analysis`);
+    
+    // Log frame details for debugging
+    console.log('Frame details:', frames.map(f => ({
+      fieldname: f.fieldname,
+      originalname: f.originalname,
+      mimetype: f.mimetype,
+      size: f.size,
+      path: f.path
+    })));
+    
+    // Frames stay on disk until the job has finished with them
+    const job = jobQueue.enqueue('video-frames', {
+      frames: frames.map(describeUpload),
+      email: req.user.email,
+      source: parseSourceMeta(req.body.source),
+      metrics: parseGaitMetrics(req.body.metrics),
+      profile: profile.id,
+      clips,
+      athlete: parseRequestAthlete(req.body, req.user.email)
+    });
+    console.log(`Queued video analysis job ${job.id}`);
+    
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    console.error('Error in /api/analyze-video:', error);
+    
+    // Clean up any uploaded files on error
+    if (req.files) {
+      req.files.forEach(file => cleanupFile(file));
+    }
+    
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to analyze video frames'
+    });
+  }
+});
+
+// Endpoint for analyzing regular files
+app.post('/api/analyze', analysisGuards, uploadFile.single('file'), async (req, res) => {
+  console.log('=== /api/analyze request received ===');
+  console.log('Content-Type:', req.headers['content-type']);
+  console.log('Content-Length:', req.headers['content-length']);
+  console.log('Request body keys:', Object.keys(req.body));
+  console.log('Request files:', req.files);
+  console.log('Request file:', req.file);
+  
+  if (!req.file) {
+    console.error('No file found in request');
+    console.log('Request body:', req.body);
+    return res.status(400).json({ 
+      success: false, 
+      error: 'No file provided for analysis',
+      details: {
+        headers: Object.keys(req.headers),
+        body: Object.keys(req.body),
+        files: req.files || 'No files',
+        file: req.file ? 'Present' : 'Missing'
+      }
+    });
+  }
+
+  console.log(`Received file for analysis: ${req.file.originalname} (${req.file.size} bytes)`);
+  console.log('File details:', {
+    fieldname: req.file.fieldname,
+    originalname: req.file.originalname,
+    encoding: req.file.encoding,
+    mimetype: req.file.mimetype,
+    size: req.file.size,
+    destination: req.file.destination,
+    filename: req.file.filename,
+    path: req.file.path
+  });
+  
+  try {
+    const options = parseExtractionOptions(req.body, parseProfile(req.body), req.user.email);
+    const job = jobQueue.enqueue('file', { file: describeUpload(req.file), options, email: req.user.email });
+    console.log(`Queued file analysis job ${job.id}`);
+    
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    console.error('Error in /api/analyze:', error);
+    
+    // Clean up uploaded file on error
+    if (req.file) {
       cleanupFile(req.file);
+    }
+    
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to analyze file'
+    });
+  }
+});
+
+// Compare two sessions analyzed with the same profile: two stored analyses (`baselineId`, `followUpId`)
+// or two uploaded videos (`baseline`, `followUp` files)
+app.post('/api/compare', analysisGuards, uploadVideos.fields([
+  { name: 'baseline', maxCount: 1 },
+  { name: 'followUp', maxCount: 1 }
+]), async (req, res) => {
+  const videos = [req.files?.baseline?.[0], req.files?.followUp?.[0]].filter(Boolean);
+  
+  try {
+    let input;
+    
+    if (videos.length) {
+      if (videos.length !== 2 || !videos.every(video => video.mimetype.startsWith('video/'))) {
+        const error = new Error('Upload two videos, "baseline" and "followUp", to compare');
+        error.status = 400;
+        throw error;
+      }
+      input = {
+        videos: videos.map(describeUpload),
+        options: parseExtractionOptions(req.body, parseProfile(req.body), req.user.email),
+        email: req.user.email
+      };
+    } else {
+      const { baselineId, followUpId } = req.body;
+      if (!baselineId || !followUpId || baselineId === followUpId) {
+        const error = new Error('Provide two different analyses (baselineId and followUpId) or two videos to compare');
+        error.status = 400;
+        throw error;
+      }
       
-      return res.json({
-        success: true,
-        message: 'File analyzed successfully',
-        analysis: {
-          type: 'file',
-          filename: req.file.originalname,
-          mimeType: req.file.mimetype,
-          size: req.file.size,
-          content: response.choices[0].message.content
-        }
+      const records = await Promise.all([baselineId, followUpId].map(id => analysisStore.get(id)));
+      if (records.some(record => !isOwnRecord(record, req.user))) {
+        const error = new Error('Analysis not found');
+        error.status = 404;
+        throw error;
+      }
+      if (!records.every(isComparable)) {
+        const error = new Error('Only video form analyses can be compared');
+        error.status = 400;
+        throw error;
+      }
+      if (analysisProfileId(records[0]) !== analysisProfileId(records[1])) {
+        const error = new Error('Only analyses made with the same profile can be compared');
+        error.status = 400;
+        throw error;
+      }
+      input = { baselineId, followUpId, email: req.user.email };
+    }
+    
+    const job = jobQueue.enqueue('compare', input);
+    console.log(`Queued comparison job ${job.id}`);
+    
+    await respondWithJob(req, res, job);
+  } catch (error) {
+    console.error('Error in /api/compare:', error);
+    await cleanupFiles(videos);
+    
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to compare sessions'
+    });
+  }
+});
+
+// Job status endpoint
+app.get('/api/jobs/:id', requireAuth, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  
+  if (!isOwnJob(job, req.user)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: jobQueue.toJSON(job)
+  });
+});
+
+// Live job progress as Server-Sent Events:
+// `status` (job without result), `token` (streamed model output), `complete` / `failed` (final job)
+app.get('/api/jobs/:id/events', requireAuth, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!isOwnJob(job, req.user)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const sendStatus = updated => {
+    const { result, ...status } = jobQueue.toJSON(updated);
+
+    if (updated.state === JOB_STATES.COMPLETED) {
+      send('complete', jobQueue.toJSON(updated));
+    } else if (updated.state === JOB_STATES.FAILED) {
+      send('failed', status);
+    } else {
+      send('status', status);
+      return;
+    }
+    close();
+  };
+
+  const onUpdate = updated => {
+    if (updated.id === job.id) sendStatus(updated);
+  };
+  const onToken = (updated, text) => {
+    if (updated.id === job.id) send('token', { text });
+  };
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function close() {
+    clearInterval(heartbeat);
+    jobQueue.off('update', onUpdate);
+    jobQueue.off('token', onToken);
+    res.end();
+  }
+
+  jobQueue.on('update', onUpdate);
+  jobQueue.on('token', onToken);
+  req.on('close', close);
+
+  // Send the current state right away (this also ends the stream for finished jobs)
+  sendStatus(job);
+});
+
+// Helper function to build the URL of a stored thumbnail
+function thumbnailUrl(analysisId, name) {
+  return `/api/analyses/${analysisId}/thumbnails/${name}`;
+}
+
+// Helper function to add the URL of each thumbnail and key frame to an analysis record or summary
+function withThumbnailUrls(record) {
+  return {
+    ...record,
+    thumbnails: record.thumbnails.map(thumbnail => ({
+      ...thumbnail,
+      url: thumbnailUrl(record.id, thumbnail.name)
+    })),
+    keyFrames: (record.keyFrames || []).map(keyFrame => ({
+      ...keyFrame,
+      url: `/api/analyses/${record.id}/frames/${keyFrame.name}`
+    }))
+  };
+}
+
+// Helper function to sign a user in by setting the session cookie
+function startSession(res, user) {
+  res.cookie(SESSION_COOKIE, authStore.createSession(user), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+}
+
+// Helper function to read a new password from a request body
+function parsePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    const error = new Error(`A password needs at least ${MIN_PASSWORD_LENGTH} characters`);
+    error.status = 400;
+    throw error;
+  }
+  return password;
+}
+
+// Helper function to deliver a magic sign-in link. There is no email delivery yet,
+// so outside production the link is printed to the server console
+function sendMagicLink(email, url) {
+  if (process.env.NODE_ENV === 'production') {
+    const error = new Error('Email sign-in links are not available on this server. Sign in with a password.');
+    error.status = 501;
+    throw error;
+  }
+  console.log(`Magic sign-in link for ${email} (valid for 15 minutes): ${url}`);
+}
+
+// Helper function to answer an auth request that failed; unexpected errors are logged and not shown
+function sendAuthError(res, error, fallback) {
+  if (!error.status) console.error(fallback, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback
+  });
+}
+
+// Request a magic sign-in link for `email`; the account is created on first sign-in
+app.post('/api/auth/magic-link', limitSignIns, (req, res) => {
+  try {
+    const email = parseEmail(req.body.email);
+    const token = authStore.createMagicLink(email);
+    sendMagicLink(email, `${req.protocol}://${req.get('host')}/api/auth/verify?token=${token}`);
+    
+    res.json({
+      success: true,
+      message: 'Check your email for a sign-in link'
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to send sign-in link');
+  }
+});
+
+// Open a magic sign-in link: starts a session and goes back to the app
+app.get('/api/auth/verify', async (req, res) => {
+  try {
+    const user = await authStore.consumeMagicLink(req.query.token);
+    if (!user) {
+      return res.status(400).send('This sign-in link is invalid or has expired. Request a new one.');
+    }
+    
+    startSession(res, user);
+    res.redirect('/');
+  } catch (error) {
+    console.error('Error verifying sign-in link:', error);
+    res.status(500).send('Could not sign you in. Request a new link.');
+  }
+});
+
+// Create an account with a password and sign in
+app.post('/api/auth/register', limitSignIns, async (req, res) => {
+  try {
+    const user = await authStore.createUser(parseEmail(req.body.email), parsePassword(req.body.password));
+    startSession(res, user);
+    
+    res.status(201).json({
+      success: true,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to create account');
+  }
+});
+
+// Sign in with email and password
+app.post('/api/auth/login', limitSignIns, async (req, res) => {
+  try {
+    const user = await authStore.authenticatePassword(req.body.email, req.body.password);
+    if (!user) {
+      const error = new Error('Invalid email or password');
+      error.status = 401;
+      throw error;
+    }
+    
+    startSession(res, user);
+    res.json({
+      success: true,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to sign in');
+  }
+});
+
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) authStore.deleteSession(token);
+  
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ success: true });
+});
+
+// The signed-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: publicUser(req.user)
+  });
+});
+
+// Set a password (accounts from a magic link have none) or change it with the current one
+app.put('/api/auth/password', requireSession, async (req, res) => {
+  try {
+    if (req.user.passwordHash && !await authStore.authenticatePassword(req.user.email, req.body.currentPassword)) {
+      const error = new Error('The current password is wrong');
+      error.status = 403;
+      throw error;
+    }
+    
+    await authStore.setPassword(req.user, parsePassword(req.body.password));
+    res.json({
+      success: true,
+      user: publicUser(req.user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to set password');
+  }
+});
+
+// Save the frame extraction settings (fps, resolution, JPEG quality) the browser uses for the signed-in user
+app.put('/api/auth/preferences/extraction', requireAuth, (req, res) => {
+  try {
+    authStore.setExtractionPreferences(req.user, parseExtractionPreferences(req.body));
+    res.json({
+      success: true,
+      user: publicUser(req.user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to save preferences');
+  }
+});
+
+// API tokens of the signed-in user (for scripted clients)
+app.get('/api/auth/tokens', requireSession, (req, res) => {
+  res.json({
+    success: true,
+    tokens: authStore.listApiTokens(req.user)
+  });
+});
+
+// Create an API token; the token itself is only returned this once
+app.post('/api/auth/tokens', requireSession, (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Give the token a name, such as the script that will use it'
+    });
+  }
+  
+  const { token, apiToken } = authStore.createApiToken(req.user, name);
+  res.status(201).json({
+    success: true,
+    token,
+    apiToken
+  });
+});
+
+// Revoke an API token
+app.delete('/api/auth/tokens/:id', requireSession, (req, res) => {
+  if (!authStore.revokeApiToken(req.user, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Token not found'
+    });
+  }
+  
+  res.json({ success: true });
+});
+
+// Helper function to read the `from`/`to` dates of a usage query; the current month by default
+function parseUsageRange(query = {}) {
+  const now = new Date();
+  const range = {
+    from: query.from ? Date.parse(query.from) : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1),
+    to: query.to ? Date.parse(query.to) : now.getTime() + 1
+  };
+  if (Number.isNaN(range.from) || Number.isNaN(range.to) || range.from >= range.to) {
+    const error = new Error('from and to must be dates (e.g. 2024-05-01) with from before to');
+    error.status = 400;
+    throw error;
+  }
+  return range;
+}
+
+// Model usage and quotas of the signed-in user
+app.get('/api/usage', requireAuth, (req, res) => {
+  try {
+    const range = parseUsageRange(req.query);
+    const { totals, models, tasks } = usageStore.summarize({ ...range, email: req.user.email });
+    res.json({
+      success: true,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      totals,
+      models,
+      tasks,
+      quotas: usageStore.quotaStatus(req.user.email)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Usage summary of all users for operators (ADMIN_EMAILS)
+app.get('/api/admin/usage', requireAdmin(adminEmails), (req, res) => {
+  try {
+    const range = parseUsageRange(req.query);
+    const email = req.query.email ? normalizeEmail(req.query.email) : undefined;
+    res.json({
+      success: true,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      ...usageStore.summarize({ ...range, email }),
+      quotas: usageStore.quotas,
+      prices: usageStore.prices
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Helper function to read the free and total space of the disk holding a directory
+async function diskSpace(dir) {
+  try {
+    const stats = await fs.promises.statfs(dir);
+    return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+  } catch {
+    // statfs is missing on older Node versions and some filesystems
+    return null;
+  }
+}
+
+// Disk usage of uploads, stored analyses and the data directory for operators (ADMIN_EMAILS)
+app.get('/api/admin/storage', requireAdmin(adminEmails), async (req, res) => {
+  try {
+    const [uploads, analyses, data, disk] = await Promise.all([
+      uploadJanitor.stats(),
+      measurePath(analysisStore.dir).catch(() => ({ bytes: 0, files: 0 })),
+      measurePath(DATA_DIR).catch(() => ({ bytes: 0, files: 0 })),
+      diskSpace(DATA_DIR)
+    ]);
+    res.json({
+      success: true,
+      uploads,
+      analyses: {
+        dir: path.resolve(analysisStore.dir),
+        records: analysisStore.summaries.size,
+        files: analyses.files,
+        bytes: analyses.bytes,
+        keepKeyFrames: KEEP_KEY_FRAMES
+      },
+      data: { dir: path.resolve(DATA_DIR), files: data.files, bytes: data.bytes },
+      disk
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sweeps the uploads directory now instead of waiting for the janitor's next run
+app.post('/api/admin/storage/sweep', requireAdmin(adminEmails), async (req, res) => {
+  const sweep = await uploadJanitor.sweep();
+  if (!sweep) {
+    return res.status(500).json({
+      success: false,
+      error: 'Sweeping the uploads directory failed'
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...sweep,
+    uploads: await uploadJanitor.stats()
+  });
+});
+
+// Analysis profiles (sports and modes) the video endpoints accept as `profile`
+app.get('/api/profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: listProfiles()
+  });
+});
+
+// Athlete profiles of a user, by name
+app.get('/api/athletes', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    athletes: athleteStore.list(req.user.email)
+  });
+});
+
+// Create an athlete profile for the signed-in user
+app.post('/api/athletes', requireAuth, (req, res) => {
+  try {
+    const athlete = athleteStore.create(req.user.email, parseAthleteFields(req.body));
+    res.status(201).json({
+      success: true,
+      athlete
+    });
+  } catch (error) {
+    console.error('Error in POST /api/athletes:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create athlete'
+    });
+  }
+});
+
+// An athlete profile of the signed-in user
+app.get('/api/athletes/:id', requireAuth, (req, res) => {
+  const athlete = athleteStore.get(req.params.id, req.user.email);
+
+  if (!athlete) {
+    return res.status(404).json({
+      success: false,
+      error: 'Athlete not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    athlete
+  });
+});
+
+// Update the fields given in the body; the others keep their value
+app.put('/api/athletes/:id', requireAuth, (req, res) => {
+  try {
+    const athlete = athleteStore.update(req.params.id, req.user.email, parseAthleteFields(req.body, { partial: true }));
+
+    if (!athlete) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found'
       });
-    } 
-    // For images
-    else if (req.file.mimetype.startsWith('image/')) {
-      const maxSize = 20 * 1024 * 1024; // 20MB
-      
-      if (req.file.size > maxSize) {
-        cleanupFile(req.file);
-        return res.status(400).json({
-          success: false,
-          error: 'Image is too large. Maximum size is 20MB.'
-        });
-      }
-      
-      // Read the image file
-      const imageBuffer = fs.readFileSync(req.file.path);
-      const base64Image = imageBuffer.toString('base64');
-      const dataUrl = `data:${req.file.mimetype};base64,${base64Image}`;
-      
-      // Analyze with OpenAI
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { 
-                type: 'text', 
-                text: 'Analyze this image in detail. Include any visible text, objects, colors, and context. Be thorough in your description.' 
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: dataUrl,
-                  detail: 'high'
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 1000,
+    }
+
+    res.json({
+      success: true,
+      athlete
+    });
+  } catch (error) {
+    console.error('Error in PUT /api/athletes:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update athlete'
+    });
+  }
+});
+
+// Delete an athlete profile; analyses made for the athlete are kept
+app.delete('/api/athletes/:id', requireAuth, (req, res) => {
+  try {
+    if (!athleteStore.remove(req.params.id, req.user.email)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found'
       });
-      
-      // Clean up the uploaded file
-      cleanupFile(req.file);
-      
-      return res.json({
-        success: true,
-        message: 'Image analyzed successfully',
-        analysis: {
-          type: 'image',
-          filename: req.file.originalname,
-          mimeType: req.file.mimetype,
-          size: req.file.size,
-          content: response.choices[0].message.content
-        }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in DELETE /api/athletes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete athlete'
+    });
+  }
+});
+
+// Analysis history of the signed-in user, newest first
+app.get('/api/analyses', requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({
+    success: true,
+    analyses: analysisStore.list({ email: req.user.email, limit }).map(withThumbnailUrls)
+  });
+});
+
+// A stored analysis with its full report
+app.get('/api/analyses/:id', requireAuth, async (req, res) => {
+  try {
+    const record = await analysisStore.get(req.params.id);
+    
+    if (!isOwnRecord(record, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
       });
     }
     
+    res.json({
+      success: true,
+      analysis: withThumbnailUrls(record)
+    });
   } catch (error) {
-    console.error('Error in /api/analyze:', error);
+    console.error('Error reading analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load analysis'
+    });
+  }
+});
+
+// Printable PDF report of a stored running-form analysis
+app.get('/api/analyses/:id/report.pdf', requireAuth, async (req, res) => {
+  try {
+    const record = await analysisStore.get(req.params.id);
     
-    // Clean up uploaded file on error
-    if (req.file) {
-      cleanupFile(req.file);
+    if (!isOwnRecord(record, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Analysis not found'
+      });
+    }
+    
+    if (!isExportable(record)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only running-form reports can be exported as PDF'
+      });
     }
     
+    const pdf = await createReportPdf(record, {
+      thumbnailPath: (id, name) => analysisStore.thumbnailPath(id, name)
+    });
+    
+    res.attachment(`running-form-report-${record.createdAt.slice(0, 10)}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error creating PDF report:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to analyze file'
+      error: 'Failed to create PDF report'
+    });
+  }
+});
+
+// Thumbnail frames of a stored analysis
+app.get('/api/analyses/:id/thumbnails/:name', requireAuth, (req, res) => {
+  const thumbnailPath = isOwnRecord(analysisStore.getSummary(req.params.id), req.user) &&
+    analysisStore.thumbnailPath(req.params.id, req.params.name);
+  
+  if (!thumbnailPath) {
+    return res.status(404).json({
+      success: false,
+      error: 'Thumbnail not found'
+    });
+  }
+  
+  res.sendFile(thumbnailPath);
+});
+
+// Full-resolution key frames of a stored analysis (KEEP_KEY_FRAMES)
+app.get('/api/analyses/:id/frames/:name', requireAuth, (req, res) => {
+  const keyFramePath = isOwnRecord(analysisStore.getSummary(req.params.id), req.user) &&
+    analysisStore.keyFramePath(req.params.id, req.params.name);
+  
+  if (!keyFramePath) {
+    return res.status(404).json({
+      success: false,
+      error: 'Key frame not found'
     });
   }
+  
+  res.sendFile(keyFramePath);
 });
 
 // File upload endpoint
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+app.post('/api/upload', analysisGuards, uploadFile.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
       success: false,
@@ -634,15 +2148,22 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     });
   }
 
+  // Counts towards the user's analyses in progress until it answers
+  const { email } = req.user;
+  runningUploads.set(email, (runningUploads.get(email) || 0) + 1);
+  
   try {
     console.log('File uploaded successfully:', req.file.originalname);
 
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
+    if (!aiProvider.isConfigured()) {
       throw new Error('OpenAI API key is not configured. Please check your .env file');
     }
 
     console.log('Starting file analysis...');
-    const analysis = await analyzeFile(req.file);
+    // Analyzed and saved to the history like the results of the analysis jobs
+    const options = parseExtractionOptions(req.body, parseProfile(req.body), email);
+    const { analysis, analysisId } = await runWithUsage({ email }, () =>
+      analyzeAndSaveUpload(req.file, options, email));
     
     // Clean up the uploaded file after successful analysis
     cleanupFile(req.file);
@@ -655,7 +2176,8 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
         mimetype: req.file.mimetype,
         size: req.file.size
       },
-      analysis: analysis || 'No analysis available'
+      analysis,
+      analysisId
     });
   } catch (error) {
     console.error('Error in /api/upload:', error);
@@ -666,19 +2188,110 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     }
     
     // Send error response
-    const statusCode = error.message.includes('OpenAI API key') ? 500 : 400;
+    let statusCode = error.message.includes('OpenAI API key') ? 500 : 400;
+    if (error instanceof AnalysisValidationError) statusCode = 502;
+    if (error.code === ERROR_CODES.QUOTA_EXCEEDED) {
+      statusCode = 429;
+      res.set('Retry-After', String(error.retryAfter));
+    }
     return res.status(statusCode).json({
       success: false,
+      ...(statusCode === 429 && { code: error.code, quota: error.quota }),
       message: error.message || 'Error processing file',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  } finally {
+    const remaining = runningUploads.get(email) - 1;
+    if (remaining > 0) {
+      runningUploads.set(email, remaining);
+    } else {
+      runningUploads.delete(email);
+    }
   }
 });
 
+// Server-side frame sampling follows the analysis profile (2 FPS, 30s for running,
+// like the browser extractor); these settings override it for every profile
+const VIDEO_EXTRACTION_OVERRIDES = {
+  fps: parseFloat(process.env.VIDEO_EXTRACT_FPS) || undefined,
+  frameCount: parseInt(process.env.VIDEO_EXTRACT_MAX_FRAMES) || undefined,
+  maxDuration: parseFloat(process.env.VIDEO_EXTRACT_MAX_DURATION) || undefined
+};
+
+// Helper function to get the default frame sampling of a profile
+function extractionDefaults(profile) {
+  const { fps, maxFrames, maxDuration } = profile.sampling;
+  return {
+    fps: VIDEO_EXTRACTION_OVERRIDES.fps ?? fps,
+    frameCount: VIDEO_EXTRACTION_OVERRIDES.frameCount ?? maxFrames,
+    maxDuration: VIDEO_EXTRACTION_OVERRIDES.maxDuration ?? maxDuration
+  };
+}
+
+// Helper function to read frame sampling options (fps, frameCount, start, end), the camera view and the athlete
+// (one of `email`'s) from a request body. Options that are not given fall back to the profile's sampling defaults
+function parseExtractionOptions(body = {}, profile = getProfile(), email) {
+  const view = parseRequestView(body);
+  const athlete = parseRequestAthlete(body, email);
+  const options = { ...extractionDefaults(profile), profile: profile.id, ...(view && { view }), ...(athlete && { athlete }) };
+  const limits = {
+    fps: { min: 0.1, max: 30 },
+    frameCount: { min: 1, max: 300 },
+    start: { min: 0, max: Infinity },
+    end: { min: 0, max: Infinity }
+  };
+  
+  for (const [key, { min, max }] of Object.entries(limits)) {
+    if (body[key] === undefined || body[key] === '') continue;
+    
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      const error = new Error(`Invalid ${key}: must be a number between ${min} and ${max}`);
+      error.status = 400;
+      throw error;
+    }
+    options[key] = key === 'frameCount' ? Math.floor(value) : value;
+  }
+  
+  if (options.end !== undefined && options.end <= (options.start || 0)) {
+    const error = new Error('Invalid time window: end must be after start');
+    error.status = 400;
+    throw error;
+  }
+  
+  return options;
+}
+
+// ffmpeg processes one frame extraction may run at the same time
+const FFMPEG_CONCURRENCY = 4;
+// ffmpeg and ffprobe calls taking longer than this are killed, so they cannot hold an extraction slot
+const FFMPEG_TIMEOUT_MS = 30000;
+
+// Helper function to run an async function over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
 // Helper function to extract frames from video using system FFmpeg
-async function extractVideoFrames(videoPath, outputDir, frameCount = 10) {
+// Samples `fps` frames per second between `start` and `end` (seconds), capped at `frameCount` frames;
+// sampling options that are not given come from the `profile`
+async function extractVideoFrames(videoPath, outputDir, options = {}) {
+  const {
+    fps,
+    frameCount,
+    maxDuration,
+    start = 0,
+    end
+  } = { ...extractionDefaults(getProfile(options.profile)), ...options };
   const framePaths = [];
-  const tempDir = path.join(outputDir, `frames-${Date.now()}`);
+  const tempDir = path.join(outputDir, `frames-${uuidv4()}`);
   
   try {
     // Ensure output directory exists
@@ -697,28 +2310,42 @@ async function extractVideoFrames(videoPath, outputDir, frameCount = 10) {
       throw new Error(`Invalid video duration: ${duration}`);
     }
     
-    console.log(`Extracting ${frameCount} frames from ${path.basename(videoPath)} (${duration.toFixed(2)}s)`);
+    // Clamp the requested window to the video and the maximum analysis duration
+    const windowStart = Math.min(start, duration);
+    const windowEnd = Math.min(
+      end ?? duration,
+      duration - 0.1,
+      windowStart + maxDuration
+    );
+    if (windowEnd <= windowStart) {
+      throw new Error(`Time window ${windowStart}s-${end ?? duration}s is outside the video (${duration.toFixed(2)}s)`);
+    }
 
     // Calculate frame extraction times
-    const interval = duration / (frameCount + 1);
     const timestamps = [];
-    
-    // Generate timestamps
-    for (let i = 1; i <= frameCount; i++) {
-      timestamps.push(Math.min(Math.floor(interval * i), duration - 0.1));
+    for (let time = windowStart; time <= windowEnd && timestamps.length < frameCount; time += 1 / fps) {
+      timestamps.push(Number(time.toFixed(3)));
     }
+    
+    console.log(`Extracting ${timestamps.length} frames from ${path.basename(videoPath)} ` +
+      `(${windowStart.toFixed(2)}s-${windowEnd.toFixed(2)}s of ${duration.toFixed(2)}s at ${fps} FPS)`);
 
-    // Extract frames in parallel
-    await Promise.all(timestamps.map(async (timestamp, index) => {
+    // Extract frames a few at a time, so one request cannot start an ffmpeg process per frame
+    await mapWithConcurrency(timestamps, FFMPEG_CONCURRENCY, async (timestamp, index) => {
       const outputPath = path.join(tempDir, `frame-${index + 1}.jpg`);
       
       try {
         // Use -ss before -i for faster seeking
-        await execPromise(
-          `ffmpeg -y -ss ${timestamp} -i "${videoPath}" ` +
-          `-vframes 1 -q:v 2 -vf "scale='min(1280,iw)':-1" ` +
-          `-f image2 "${outputPath}"`
-        );
+        await execFilePromise('ffmpeg', [
+          '-y',
+          '-ss', String(timestamp),
+          '-i', videoPath,
+          '-vframes', '1',
+          '-q:v', '2',
+          '-vf', "scale='min(1280,iw)':-1",
+          '-f', 'image2',
+          outputPath
+        ], { timeout: FFMPEG_TIMEOUT_MS });
         
         // Verify the frame was created and has content
         const stats = await fs.promises.stat(outputPath);
@@ -736,14 +2363,17 @@ async function extractVideoFrames(videoPath, outputDir, frameCount = 10) {
         console.error(`Error extracting frame at ${timestamp}s:`, error);
         // Continue with other frames even if one fails
       }
-    }));
+    });
 
     if (framePaths.length === 0) {
       throw new Error('No valid frames could be extracted from the video');
     }
 
+    // Parallel extraction finishes out of order
+    framePaths.sort((a, b) => a.time - b.time);
+
     console.log(`Successfully extracted ${framePaths.length} frames`);
-    return framePaths;
+    return { tempDir, frames: framePaths };
   } catch (error) {
     // Clean up any created files on error
     try {
@@ -759,15 +2389,49 @@ async function extractVideoFrames(videoPath, outputDir, frameCount = 10) {
   }
 }
 
+// Helper function to analyze an uploaded video file by extracting its frames server-side
+// `callbacks.onFrames(frames, report)` is awaited after the analysis, while the extracted frames still exist
+async function analyzeVideoFile(file, options = {}, callbacks = {}) {
+  const { tempDir, frames } = await extractVideoFrames(file.path, UPLOAD_DIR, options);
+  
+  try {
+    const videoFrames = frames.map(frame => ({
+      path: frame.path,
+      mimetype: 'image/jpeg',
+      timestamp: frame.time
+    }));
+    const clips = [{ view: options.view || UNKNOWN_VIEW, viewSource: options.view ? 'user' : null, filename: file.originalname }];
+    const analysis = await analyzeVideoFrames(videoFrames, null, { ...callbacks, profile: options.profile, clips, athlete: options.athlete });
+    if (callbacks.onFrames) await callbacks.onFrames(videoFrames, analysis.report);
+    
+    return {
+      type: 'video',
+      schemaVersion: SCHEMA_VERSION,
+      profile: analysis.profile,
+      clips: analysis.clips,
+      athlete: analysis.athlete,
+      filename: file.originalname,
+      frameCount: frames.length,
+      report: analysis.report,
+      frames: analysis.frameAnalyses
+    };
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true })
+      .catch(error => console.error('Error cleaning up extracted frames:', error));
+  }
+}
+
 // Helper function to get video duration using system FFmpeg
 async function getVideoDuration(videoPath) {
   try {
     // First try fast method
     try {
-      const { stdout } = await execPromise(
-        `ffprobe -v error -show_entries format=duration ` +
-        `-of default=noprint_wrappers=1:nokey=1 "${videoPath}"`
-      );
+      const { stdout } = await execFilePromise('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'format=duration',
+        '-of', 'default=noprint_wrappers=1:nokey=1',
+        videoPath
+      ], { timeout: FFMPEG_TIMEOUT_MS });
       const duration = parseFloat(stdout.trim());
       if (!isNaN(duration) && duration > 0) {
         return duration;
@@ -777,11 +2441,13 @@ async function getVideoDuration(videoPath) {
     }
     
     // Fallback method
-    const { stdout } = await execPromise(
-      `ffprobe -v error -show_entries format=duration ` +
-      `-show_entries stream=codec_type,duration ` +
-      `-of default=noprint_wrappers=1 "${videoPath}"`
-    );
+    const { stdout } = await execFilePromise('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-show_entries', 'stream=codec_type,duration',
+      '-of', 'default=noprint_wrappers=1',
+      videoPath
+    ], { timeout: FFMPEG_TIMEOUT_MS });
     
     // Try to find duration from output
     const durationMatch = stdout.match(/duration=([0-9.]+)/);
@@ -794,7 +2460,6 @@ async function getVideoDuration(videoPath) {
   } catch (error) {
     console.error('Error getting video duration:', error);
     return null;
-    throw error;
   }
 }
 
@@ -804,187 +2469,24 @@ function encodeImageToBase64(imagePath) {
   return imageBuffer.toString('base64');
 }
 
-// Helper function to resize image if needed
-async function resizeImageIfNeeded(filePath, maxDimension = 2048) {
-  try {
-    // Skip if sharp is not available
-    const sharp = await import('sharp');
-    const image = sharp(filePath);
-    const metadata = await image.metadata();
-    
-    // Check if resizing is needed
-    if (metadata.width <= maxDimension && metadata.height <= maxDimension) {
-      const buffer = await image.toBuffer();
-      return { buffer, resized: false };
-    }
-    
-    // Resize the image maintaining aspect ratio
-    const resizedBuffer = await image
-      .resize({
-        width: maxDimension,
-        height: maxDimension,
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .toBuffer();
-    
-    return { buffer: resizedBuffer, resized: true };
-    
-  } catch (error) {
-    console.error('Error in resizeImageIfNeeded:', error);
-    // If sharp fails, try to return the original file
-    return { buffer: fs.readFileSync(filePath), resized: false };
-  }
-}
+// Error handling middleware - must be last!
+app.use(errorHandler);
 
-// AI Analysis function
-async function analyzeFile(file) {
-  const fileType = file.mimetype.split('/')[0];
-  let analysis = '';
-  
-  // Get file stats first
-  const stats = fs.statSync(file.path);
-  
-  // Initialize file details
-  const fileDetails = {
-    originalSize: stats.size,
-    processedSize: null,
-    dimensions: null,
-    resized: false
-  };
+// Load the stores before accepting requests, so the first requests see
+// existing sessions, quotas and history
+authStore.load();
+usageStore.load();
+analysisStore.load();
+athleteStore.load();
 
-  try {
-    // For text files and PDFs
-    if (file.mimetype === 'text/plain' || file.mimetype === 'application/pdf') {
-      const text = fs.readFileSync(file.path, 'utf-8');
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful assistant that analyzes uploaded files. Provide a detailed analysis of the content.'
-          },
-          {
-            role: 'user',
-            content: `Analyze this ${file.mimetype} file:\n\n${text.substring(0, 10000)}`
-          }
-        ]
-      });
-      analysis = response.choices[0].message.content;
-    }
-    // For images
-    else if (fileType === 'image') {
-      // Check file size (max 20MB for images)
-      const maxSize = 20 * 1024 * 1024; // 20MB
-      
-      if (fileDetails.originalSize > maxSize) {
-        throw new Error('Image is too large. Maximum size is 20MB. Please use a smaller image.');
-      }
-      
-      console.log('Processing image for analysis...');
-      console.log('Original file size:', (fileDetails.originalSize / 1024 / 1024).toFixed(2), 'MB');
-      
-      // Resize image if needed and get base64
-      const { buffer: imageBuffer, resized } = await resizeImageIfNeeded(file.path);
-      fileDetails.resized = resized;
-      fileDetails.processedSize = imageBuffer.length;
-      
-      console.log('Processed file size:', (fileDetails.processedSize / 1024 / 1024).toFixed(2), 'MB', resized ? '(resized)' : '(original)');
-      
-      // Get image dimensions for logging
-      try {
-        const sharp = require('sharp');
-        const metadata = await sharp(imageBuffer).metadata();
-        fileDetails.dimensions = { width: metadata.width, height: metadata.height };
-        console.log('Image dimensions:', fileDetails.dimensions);
-      } catch (e) {
-        console.warn('Could not get image dimensions:', e.message);
-      }
-      
-      const imageBase64 = imageBuffer.toString('base64');
-      
-      console.log('Sending image to OpenAI for analysis...');
-      const startTime = Date.now();
-      
-      try {
-        const response = await openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: [
-            {
-              role: 'user',
-              content: [
-                { 
-                  type: 'text', 
-                  text: 'Analyze this image in detail. Include any visible text, objects, colors, and context. Be concise but thorough.' 
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: `data:${file.mimetype};base64,${imageBase64}`,
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 1500,
-        }, {
-          // Add timeout for the API call
-          timeout: 60000, // 60 seconds
-        });
-        
-        const endTime = Date.now();
-        const duration = (endTime - startTime) / 1000;
-        console.log(`Analysis completed in ${duration.toFixed(2)} seconds`);
-        
-        analysis = response.choices[0].message.content;
-        console.log('Analysis successful, response length:', analysis.length);
-      } catch (error) {
-        console.error('OpenAI API Error:', {
-          name: error.name,
-          message: error.message,
-          code: error.code,
-          status: error.status,
-          response: error.response?.status,
-          stack: error.stack
-        });
-        
-        if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-          throw new Error('The analysis took too long to complete. Please try again with a smaller image or different file.');
-        } else if (error.status === 400) {
-          throw new Error('The image format is not supported. Please try with a different image (JPEG, PNG, GIF).');
-        } else if (error.status === 429) {
-          throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-        } else {
-          throw new Error('Failed to analyze image. The image might be corrupted or in an unsupported format.');
-        }
-      } finally {
-        // Clean up the image buffer to free memory
-        if (imageBuffer) {
-          imageBuffer.fill(0);
-        }
-      }
-    }
-    // For videos
-    else if (fileType === 'video') {
-      // For videos, we'll analyze the first few frames
-      // In a production app, you would extract multiple frames and analyze them
-      analysis = 'Video analysis is currently limited. For best results, please upload images or text files. ';
-      analysis += 'We recommend extracting key frames and uploading them as images for detailed analysis.';
-    }
-    // For unsupported file types
-    else {
-      throw new Error(`Unsupported file type: ${file.mimetype}. Please upload images, videos, or text files.`);
-    }
-    
-    return analysis;
-  } catch (error) {
-    console.error('Error in analyzeFile:', error);
-    throw new Error(`Failed to analyze file: ${error.message}`);
-  }
-}
+// Resume jobs left over from a previous run, as long as their uploads still exist
+jobQueue.restore(job => {
+  const files = job.input.frames || job.input.videos || (job.input.file ? [job.input.file] : []);
+  return files.every(file => fs.existsSync(file.path));
+});
 
-// Error handling middleware - must be last!
-app.use(errorHandler);
+// Sweep after restoring, so uploads of resumed jobs count as in use
+uploadJanitor.start();
 
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
@@ -1010,6 +2512,7 @@ process.on('uncaughtException', (err) => {
 // Handle SIGTERM for graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully');
+  jobQueue.flush();
   server.close(() => {
     console.log('Process terminated');
   });
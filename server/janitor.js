@@ -0,0 +1,167 @@
+/**
+ * Uploads directory janitor.
+ *
+ * Routes delete their uploads when they finish, but crashed requests,
+ * aborted uploads and frame directories left by interrupted extractions stay
+ * behind. The janitor sweeps the uploads directory on start and then
+ * periodically: entries older than the retention age are removed, and when
+ * the directory is larger than its size budget the oldest entries go first.
+ * Entries an unfinished job still needs are never removed.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Size and newest modification time of a file or directory tree
+ * @param {string} target - Path
+ * @returns {Promise<{bytes: number, files: number, modifiedAt: number}>} Modification time in ms
+ */
+export async function measurePath(target) {
+  const stats = await fs.promises.lstat(target);
+  if (!stats.isDirectory()) {
+    return { bytes: stats.size, files: 1, modifiedAt: stats.mtimeMs };
+  }
+
+  const usage = { bytes: 0, files: 0, modifiedAt: stats.mtimeMs };
+  for (const name of await fs.promises.readdir(target)) {
+    const child = await measurePath(path.join(target, name)).catch(() => null);
+    if (!child) continue; // Removed while measuring
+    usage.bytes += child.bytes;
+    usage.files += child.files;
+    usage.modifiedAt = Math.max(usage.modifiedAt, child.modifiedAt);
+  }
+  return usage;
+}
+
+export class UploadJanitor {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Uploads directory
+   * @param {number} options.maxAgeMs - Entries older than this are removed; 0 keeps them regardless of age
+   * @param {number} options.maxBytes - Size budget of the directory; 0 for none
+   * @param {number} [options.minAgeMs] - Entries younger than this are never removed to meet the size budget,
+   *   as they may belong to a request in progress (default 1h)
+   * @param {number} options.intervalMs - Time between sweeps
+   * @param {Function} [options.isInUse] - (absolutePath) => boolean, true for entries that must be kept
+   */
+  constructor({ dir, maxAgeMs, maxBytes, minAgeMs = 60 * 60 * 1000, intervalMs, isInUse = () => false }) {
+    this.dir = dir;
+    this.maxAgeMs = maxAgeMs;
+    this.maxBytes = maxBytes;
+    this.minAgeMs = minAgeMs;
+    this.intervalMs = intervalMs;
+    this.isInUse = isInUse;
+    this.timer = null;
+    this.sweeping = null;
+    this.lastSweep = null;
+  }
+
+  /**
+   * Sweep now and then every `intervalMs`
+   */
+  start() {
+    this.sweep();
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.sweep(), this.intervalMs);
+      // Never keep the process alive just for sweeping
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * List the entries at the top of the uploads directory, oldest first
+   * @returns {Promise<Array<{name: string, path: string, bytes: number, files: number, modifiedAt: number}>>}
+   */
+  async entries() {
+    const names = await fs.promises.readdir(this.dir).catch(() => []);
+    const entries = await Promise.all(names.map(async name => {
+      const entryPath = path.resolve(this.dir, name);
+      const usage = await measurePath(entryPath).catch(() => null);
+      return usage && { name, path: entryPath, ...usage };
+    }));
+    return entries.filter(Boolean).sort((a, b) => a.modifiedAt - b.modifiedAt);
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until the directory fits its size budget.
+   * Concurrent calls share one sweep.
+   * @returns {Promise<Object>} What was removed and what is left
+   */
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep()
+        .catch(error => {
+          console.error('Error sweeping uploads:', error);
+          return null;
+        })
+        .finally(() => {
+          this.sweeping = null;
+        });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const now = Date.now();
+    const entries = await this.entries();
+    const removed = [];
+    let totalBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+
+    const remove = async (entry, reason) => {
+      await fs.promises.rm(entry.path, { recursive: true, force: true });
+      removed.push({ name: entry.name, bytes: entry.bytes, reason });
+      totalBytes -= entry.bytes;
+    };
+
+    for (const entry of entries) {
+      if (this.isInUse(entry.path)) continue;
+
+      const age = now - entry.modifiedAt;
+      if (this.maxAgeMs && age > this.maxAgeMs) {
+        await remove(entry, 'age');
+      } else if (this.maxBytes && totalBytes > this.maxBytes && age > this.minAgeMs) {
+        // Entries are oldest first, so the budget is met by dropping the oldest
+        await remove(entry, 'size');
+      }
+    }
+
+    this.lastSweep = {
+      at: new Date(now).toISOString(),
+      removedEntries: removed.length,
+      removedBytes: removed.reduce((total, entry) => total + entry.bytes, 0),
+      remainingBytes: totalBytes
+    };
+    if (removed.length) {
+      console.log(`Upload janitor removed ${removed.length} entr${removed.length === 1 ? 'y' : 'ies'} ` +
+        `(${this.lastSweep.removedBytes} bytes), ${totalBytes} bytes left`);
+    }
+    if (this.maxBytes && totalBytes > this.maxBytes) {
+      console.warn(`Uploads directory is over its size budget (${totalBytes} of ${this.maxBytes} bytes) with entries still in use`);
+    }
+
+    return { ...this.lastSweep, removed };
+  }
+
+  /**
+   * Disk usage of the uploads directory
+   * @returns {Promise<Object>} Entry and file counts, bytes, the oldest entry's age, and the policy
+   */
+  async stats() {
+    const entries = await this.entries();
+    return {
+      dir: path.resolve(this.dir),
+      entries: entries.length,
+      files: entries.reduce((total, entry) => total + entry.files, 0),
+      bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+      oldestAt: entries.length ? new Date(entries[0].modifiedAt).toISOString() : null,
+      inUse: entries.filter(entry => this.isInUse(entry.path)).length,
+      policy: { maxAgeMs: this.maxAgeMs, maxBytes: this.maxBytes, intervalMs: this.intervalMs },
+      lastSweep: this.lastSweep
+    };
+  }
+}
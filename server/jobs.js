@@ -0,0 +1,299 @@
+/**
+ * Asynchronous analysis job queue.
+ *
+ * Jobs run in the background with a concurrency limit and are persisted to a
+ * JSON file, so queued and interrupted jobs are picked up again after a
+ * server restart and finished results stay available for polling.
+ */
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const FINISHED_STATES = [JOB_STATES.COMPLETED, JOB_STATES.FAILED];
+
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - JSON file the jobs are persisted to
+   * @param {number} [options.concurrency=2] - Maximum number of jobs running at once
+   * @param {number} [options.retentionMs] - How long finished jobs are kept (default 24h)
+   * @param {number} [options.persistDelayMs=1000] - Progress updates within this time are written to the store at once
+   */
+  constructor({ storePath, concurrency = 2, retentionMs = 24 * 60 * 60 * 1000, persistDelayMs = 1000 }) {
+    super();
+    this.storePath = storePath;
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.persistDelayMs = persistDelayMs;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.running = 0;
+    this.persistTimer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Register the function that runs jobs of a given type.
+   * Handlers report `progress(percent, message, stage)` and may stream model
+   * output with `token(text)`; tokens are broadcast but not persisted.
+   * @param {string} type - Job type
+   * @param {Function} handler - async (input, { job, progress, token }) => result
+   * @returns {JobQueue} Returns this for method chaining
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Load persisted jobs and resume the ones that had not finished.
+   * Must be called after all handlers are registered.
+   * @param {Function} [canResume] - (job) => boolean, false fails the job instead of re-queuing it
+   */
+  restore(canResume = () => true) {
+    let stored = [];
+    try {
+      if (fs.existsSync(this.storePath)) {
+        stored = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Could not read job store, starting empty:', error.message);
+    }
+
+    const now = Date.now();
+    for (const job of stored) {
+      if (this.isExpired(job, now)) continue;
+
+      if (!FINISHED_STATES.includes(job.state)) {
+        if (canResume(job)) {
+          job.state = JOB_STATES.QUEUED;
+          job.progress = { percent: 0, message: 'Resumed after server restart' };
+        } else {
+          job.state = JOB_STATES.FAILED;
+          job.error = 'Job was interrupted by a server restart and its input is no longer available';
+        }
+        job.updatedAt = new Date().toISOString();
+      }
+
+      this.jobs.set(job.id, job);
+    }
+
+    const resumed = [...this.jobs.values()].filter(job => job.state === JOB_STATES.QUEUED).length;
+    console.log(`Job queue restored: ${this.jobs.size} job(s), ${resumed} queued`);
+
+    this.flush();
+    this.drain();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} input - Serializable job input
+   * @returns {Object} The created job
+   */
+  enqueue(type, input) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      state: JOB_STATES.QUEUED,
+      progress: { percent: 0, message: 'Waiting in queue' },
+      input,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.flush();
+    this.emit('update', job);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * List the jobs that have not finished yet
+   * @param {Function} [predicate] - (job) => boolean, to list only some of them
+   * @returns {Array<Object>}
+   */
+  listActive(predicate = () => true) {
+    return [...this.jobs.values()].filter(job => !FINISHED_STATES.includes(job.state) && predicate(job));
+  }
+
+  /**
+   * Count the jobs that have not finished yet
+   * @param {Function} [predicate] - (job) => boolean, to count only some of them
+   * @returns {number}
+   */
+  countActive(predicate) {
+    return this.listActive(predicate).length;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|undefined} The job
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Wait until a job has finished
+   * @param {string} id - Job id
+   * @returns {Promise<Object>} The completed or failed job
+   */
+  wait(id) {
+    return new Promise((resolve, reject) => {
+      const job = this.jobs.get(id);
+      if (!job) return reject(new Error(`Job not found: ${id}`));
+      if (FINISHED_STATES.includes(job.state)) return resolve(job);
+
+      const onUpdate = updated => {
+        if (updated.id === id && FINISHED_STATES.includes(updated.state)) {
+          this.off('update', onUpdate);
+          resolve(updated);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  /**
+   * Public view of a job (without its internal input)
+   * @param {Object} job - The job
+   * @returns {Object} Job status
+   */
+  toJSON(job) {
+    const { input, ...status } = job;
+    return {
+      ...status,
+      queuePosition: job.state === JOB_STATES.QUEUED ? this.queuePosition(job) : null
+    };
+  }
+
+  queuePosition(job) {
+    return [...this.jobs.values()]
+      .filter(other => other.state === JOB_STATES.QUEUED)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .indexOf(job) + 1;
+  }
+
+  // Start queued jobs until the concurrency limit is reached
+  drain() {
+    const queued = [...this.jobs.values()]
+      .filter(job => job.state === JOB_STATES.QUEUED)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (this.running < this.concurrency && queued.length) {
+      this.run(queued.shift());
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    this.running++;
+    this.update(job, {
+      state: JOB_STATES.RUNNING,
+      startedAt: new Date().toISOString(),
+      progress: { percent: 0, message: 'Starting analysis' }
+    });
+
+    const progress = (percent, message = job.progress.message, stage = job.progress.stage) => {
+      this.update(job, {
+        progress: { percent: Math.max(0, Math.min(100, Math.round(percent))), message, stage }
+      });
+    };
+    const token = text => this.emit('token', job, text);
+
+    try {
+      const result = await handler(job.input, { job, progress, token });
+      this.update(job, {
+        state: JOB_STATES.COMPLETED,
+        result,
+        completedAt: new Date().toISOString(),
+        progress: { percent: 100, message: 'Analysis complete', stage: job.progress.stage }
+      });
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      this.update(job, {
+        state: JOB_STATES.FAILED,
+        error: error.message || 'Job failed',
+        errorCode: error.code,
+        errorDetails: error.errors,
+        completedAt: new Date().toISOString()
+      });
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  // State changes are written right away; progress ticks are batched
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (changes.state) this.flush();
+    else this.persist();
+    this.emit('update', job);
+  }
+
+  // Whether a job finished longer than the retention time ago
+  isExpired(job, now = Date.now()) {
+    return FINISHED_STATES.includes(job.state) && new Date(job.updatedAt).getTime() < now - this.retentionMs;
+  }
+
+  // Drop finished jobs past the retention time
+  prune(now = Date.now()) {
+    for (const [id, job] of this.jobs) {
+      if (this.isExpired(job, now)) this.jobs.delete(id);
+    }
+  }
+
+  // Write the store within `persistDelayMs`, together with any other changes until then
+  persist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.flush(), this.persistDelayMs);
+    // Never keep the process alive just for a pending write
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Prune expired jobs and write the store now. Writes are atomic, so a crash never
+   * leaves a half-written file, and run one after another in the order they were made.
+   * @returns {Promise<void>} Resolves once the store is written
+   */
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.prune();
+
+    const data = JSON.stringify([...this.jobs.values()]);
+    this.writing = this.writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.storePath);
+      } catch (error) {
+        console.error('Error persisting job store:', error);
+      }
+    });
+    return this.writing;
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Analysis profiles: one per sport or mode we film.
+ *
+ * A profile defines the categories the report scores (and with them the
+ * report schema), the prompt the model gets, the default frame sampling and
+ * whether the browser's gait metrics apply. Running is the default, so
+ * requests and stored analyses without a profile keep working as before.
+ */
+import { SCHEMA_VERSION, RUNNING_CATEGORIES } from './analysis-schema.js';
+
+export const DEFAULT_PROFILE_ID = 'running';
+
+// Running categories with the elements the prompt asks the model to look at
+const RUNNING_FOCUS = {
+  posture: [
+    'Head position relative to shoulders',
+    'Torso lean (forward/backward)',
+    'Pelvic alignment (neutral vs anterior/posterior tilt)'
+  ],
+  arm_mechanics: [
+    'Elbow angle (ideal ≈ 90°)',
+    'Arm swing direction and range (forward-back, not across midline)',
+    'Shoulder relaxation vs tension'
+  ],
+  leg_mechanics: [
+    'Stride length, cadence and ground contact time',
+    'Knee drive height and timing',
+    'Foot strike pattern (forefoot, midfoot, or heel)'
+  ],
+  efficiency: [
+    'Vertical oscillation (how much the body bounces up/down)',
+    'Forward lean initiation (from ankles vs waist)',
+    'Signs of energy conservation or unnecessary effort'
+  ]
+};
+
+const RUNNING_EXAMPLE = {
+  id: 'posture',
+  name: 'Posture',
+  score: 6,
+  observations: [
+    'Torso shows a slight backward lean throughout the gait cycle',
+    'Head position is forward of the shoulders',
+    'Noticeable anterior pelvic tilt in mid-stance'
+  ],
+  priorityImprovements: [
+    'Forward lean should initiate from the ankles, not the waist',
+    'Pelvic position needs stabilization to reduce excessive tilt'
+  ],
+  drills: [
+    { name: 'Wall lean drill', description: 'Practice forward lean from ankles against a wall' },
+    { name: 'Dead bug exercise', description: '3 sets of 10 reps daily to strengthen core and stabilize pelvis' },
+    { name: 'Cue', description: '"Chest up, hips forward" to align posture' }
+  ],
+  views: ['side']
+};
+
+// What each camera view shows of a runner
+const RUNNING_VIEWS = {
+  side: 'posture and trunk lean, arm swing range and elbow angle, knee drive, foot strike position and pattern, stride length and vertical oscillation',
+  front: 'arm swing crossing the midline, shoulder and head tilt, pelvic drop, knee tracking (inward collapse), foot placement width and crossover',
+  back: 'pelvic drop, heel whip, knee tracking, foot placement width and crossover, arm swing crossing the midline'
+};
+
+const OVERSTRIDE_GUIDANCE = 'A foot strike above about 0.15 leg lengths ahead of the hips indicates overstriding.';
+
+/**
+ * Profile definitions, keyed by id
+ *
+ * - `discipline`: what the athlete is doing, as used in the prompt ("running form")
+ * - `context`: extra instructions for the setting, if any
+ * - `categories`: scored categories, each with the `focus` elements listed in the prompt
+ * - `example`: example category entry shown to the model
+ * - `views`: what the side, front and back camera views show
+ * - `sampling`: default frame sampling (`fps`, `maxFrames`, `maxDuration` in seconds)
+ * - `gaitMetrics`: whether pose-estimated gait metrics are measured and cited
+ * - `metricsGuidance`: how to read the measured metrics, for profiles that use them
+ */
+const PROFILES = {
+  running: {
+    id: 'running',
+    name: 'Running',
+    description: 'Distance running filmed from the side, outdoors or on a track',
+    discipline: 'running',
+    categories: RUNNING_CATEGORIES.map(category => ({ ...category, focus: RUNNING_FOCUS[category.id] })),
+    example: RUNNING_EXAMPLE,
+    views: RUNNING_VIEWS,
+    sampling: { fps: 2, maxFrames: 60, maxDuration: 30 },
+    gaitMetrics: true,
+    metricsGuidance: OVERSTRIDE_GUIDANCE
+  },
+
+  sprinting: {
+    id: 'sprinting',
+    name: 'Sprinting',
+    description: 'Sprint starts, acceleration and maximum velocity running',
+    discipline: 'sprinting',
+    context: 'Judge acceleration and maximum velocity phases against their own standards: a pronounced forward lean is correct while accelerating and the athlete should be tall at maximum velocity.',
+    categories: [
+      {
+        id: 'posture',
+        name: 'Posture & Projection',
+        focus: [
+          'Shin and trunk angles during acceleration',
+          'Tall, stacked posture at maximum velocity',
+          'Head and neck relaxation'
+        ]
+      },
+      {
+        id: 'arm_mechanics',
+        name: 'Arm Action',
+        focus: [
+          'Range of the arm swing (hands from about cheek height to past the hip)',
+          'Elbow angle through the swing',
+          'Arm timing against the opposite leg'
+        ]
+      },
+      {
+        id: 'leg_mechanics',
+        name: 'Front-Side Mechanics',
+        focus: [
+          'Knee lift and thigh angle of the swing leg',
+          'Dorsiflexed foot before contact',
+          'Heel recovery close to the buttocks'
+        ]
+      },
+      {
+        id: 'ground_contact',
+        name: 'Ground Contact',
+        focus: [
+          'Foot strike under or close to the hips',
+          'Forefoot contact and stiffness of the ankle',
+          'Ground contact time and push-off direction'
+        ]
+      }
+    ],
+    example: {
+      id: 'leg_mechanics',
+      name: 'Front-Side Mechanics',
+      score: 5,
+      observations: [
+        'Swing leg thigh stays below horizontal at maximum velocity',
+        'Foot is plantarflexed as it comes through'
+      ],
+      priorityImprovements: [
+        'Lift the knee higher in front of the body',
+        'Keep the toes pulled up before contact'
+      ],
+      drills: [
+        { name: 'A-march', description: '3 x 20 m with the thigh to horizontal and the foot dorsiflexed' },
+        { name: 'Cue', description: '"Step over the opposite knee"' }
+      ],
+      views: ['side']
+    },
+    views: {
+      side: 'trunk and shin angles, arm range, knee lift, foot position at contact and heel recovery',
+      front: 'arm swing crossing the midline, knee and foot alignment, pelvic stability and lateral movement',
+      back: 'heel recovery path, foot placement, pelvic stability and lateral movement'
+    },
+    sampling: { fps: 6, maxFrames: 60, maxDuration: 10 },
+    gaitMetrics: true,
+    metricsGuidance: 'At maximum velocity the foot should land close under the hips; a foot strike well ahead of the hips brakes the athlete. Expect a much higher cadence and shorter ground contact than in distance running.'
+  },
+
+  treadmill: {
+    id: 'treadmill',
+    name: 'Treadmill Running',
+    description: 'Running on a treadmill with a fixed camera',
+    discipline: 'running',
+    context: 'The athlete is running on a treadmill: the body does not travel across the frame and the belt pulls the stance foot backwards. Do not comment on the lack of forward travel, but note holding the handrails or looking down at the console.',
+    categories: RUNNING_CATEGORIES.map(category => ({ ...category, focus: RUNNING_FOCUS[category.id] })),
+    example: RUNNING_EXAMPLE,
+    views: RUNNING_VIEWS,
+    sampling: { fps: 2, maxFrames: 60, maxDuration: 30 },
+    gaitMetrics: true,
+    metricsGuidance: OVERSTRIDE_GUIDANCE
+  },
+
+  'race-walking': {
+    id: 'race-walking',
+    name: 'Race Walking',
+    description: 'Race walking technique, judged against the contact and straightened-leg rules',
+    discipline: 'race walking',
+    context: 'Race walking rules require visible contact with the ground at all times and the advancing leg to be straightened (not bent at the knee) from the moment of first contact until the vertical upright position. Point out any frame where either rule looks broken.',
+    categories: [
+      {
+        id: 'posture',
+        name: 'Posture',
+        focus: [
+          'Upright trunk without leaning back',
+          'Head and shoulder relaxation',
+          'Pelvic alignment'
+        ]
+      },
+      {
+        id: 'arm_mechanics',
+        name: 'Arm Action',
+        focus: [
+          'Compact arm swing with the elbows at about 90°',
+          'Hands not crossing the midline',
+          'Shoulders low and relaxed'
+        ]
+      },
+      {
+        id: 'leg_mechanics',
+        name: 'Leg Straightening & Contact',
+        focus: [
+          'Knee straightened from first contact to the vertical upright position',
+          'Heel contact with the toes up',
+          'Any visible loss of contact (flight phase)'
+        ]
+      },
+      {
+        id: 'hip_action',
+        name: 'Hip Action',
+        focus: [
+          'Pelvic rotation lengthening the stride',
+          'Hip drop on the swing side',
+          'Feet landing close to a single line'
+        ]
+      }
+    ],
+    example: {
+      id: 'leg_mechanics',
+      name: 'Leg Straightening & Contact',
+      score: 4,
+      observations: [
+        'Knee is still bent at first contact in frames 3 and 7',
+        'Both feet are close to leaving the ground at toe-off'
+      ],
+      priorityImprovements: [
+        'Land with the knee already straight',
+        'Shorten the stride to keep contact'
+      ],
+      drills: [
+        { name: 'Straight-leg walks', description: '4 x 50 m focusing on a straight knee from heel contact' },
+        { name: 'Cue', description: '"Heel first, knee locked"' }
+      ],
+      views: ['side']
+    },
+    views: {
+      side: 'knee straightening from contact to the vertical position, loss of contact, trunk posture and arm swing range',
+      front: 'arm swing crossing the midline, hip drop, feet landing along a line',
+      back: 'pelvic rotation and hip drop, feet landing along a line, heel contact'
+    },
+    sampling: { fps: 3, maxFrames: 60, maxDuration: 20 },
+    gaitMetrics: true,
+    metricsGuidance: 'A ground contact time shorter than the step time (60000 / cadence ms) means both feet leave the ground, which race walking rules do not allow.'
+  },
+
+  cycling: {
+    id: 'cycling',
+    name: 'Cycling',
+    description: 'Riding position and pedaling on a road bike, trainer or stationary bike',
+    discipline: 'cycling',
+    context: 'Judge the riding position and pedal stroke as seen from the side, including what they say about the bike fit.',
+    categories: [
+      {
+        id: 'bike_fit',
+        name: 'Bike Fit',
+        focus: [
+          'Saddle height (knee angle with the pedal at the bottom of the stroke, about 25-35° short of straight)',
+          'Saddle setback (knee over the pedal spindle with the cranks horizontal)',
+          'Reach and handlebar drop'
+        ]
+      },
+      {
+        id: 'posture',
+        name: 'Upper Body Posture',
+        focus: [
+          'Back angle and spine shape',
+          'Elbow bend and shoulder tension',
+          'Head position'
+        ]
+      },
+      {
+        id: 'pedal_stroke',
+        name: 'Pedal Stroke',
+        focus: [
+          'Ankle angle through the stroke',
+          'Knee tracking over the foot',
+          'Smoothness over the top and bottom of the stroke'
+        ]
+      },
+      {
+        id: 'stability',
+        name: 'Stability',
+        focus: [
+          'Hips rocking on the saddle',
+          'Upper body movement while pedaling',
+          'Core engagement'
+        ]
+      }
+    ],
+    example: {
+      id: 'bike_fit',
+      name: 'Bike Fit',
+      score: 6,
+      observations: [
+        'Knee is nearly straight at the bottom of the stroke',
+        'Hips shift to reach the pedal in frames 4 and 9'
+      ],
+      priorityImprovements: [
+        'Lower the saddle slightly so the hips stay still'
+      ],
+      drills: [
+        { name: 'Saddle height check', description: 'Lower the saddle in 3 mm steps until the hips stop rocking' },
+        { name: 'Cue', description: '"Quiet hips, heavy feet"' }
+      ],
+      views: ['side']
+    },
+    views: {
+      side: 'saddle height and setback (knee angles), reach and back angle, elbow bend, ankle angle through the stroke',
+      front: 'knee tracking over the foot, hips rocking, shoulder and head tilt, elbow width',
+      back: 'hips rocking on the saddle, knee tracking, spine alignment and upper body sway'
+    },
+    sampling: { fps: 4, maxFrames: 40, maxDuration: 10 },
+    gaitMetrics: false
+  }
+};
+
+/**
+ * Look up a profile
+ * @param {string} [id] - Profile id; the default profile when omitted
+ * @returns {Object|null} The profile, or null for an unknown id
+ */
+export function getProfile(id = DEFAULT_PROFILE_ID) {
+  return Object.hasOwn(PROFILES, id) ? PROFILES[id] : null;
+}
+
+/**
+ * List the profiles with the details the UI needs
+ * @returns {Array<Object>} Profiles in menu order, the default first
+ */
+export function listProfiles() {
+  return Object.values(PROFILES).map(({ id, name, description, categories, sampling, gaitMetrics }) => ({
+    id,
+    name,
+    description,
+    default: id === DEFAULT_PROFILE_ID,
+    categories: categories.map(category => ({ id: category.id, name: category.name })),
+    sampling,
+    gaitMetrics
+  }));
+}
+
+/**
+ * Name of the structured output format for a profile's reports
+ * @param {Object} profile - Profile from getProfile
+ * @returns {string} e.g. "running_form_report"
+ */
+export function reportFormatName(profile) {
+  return `${profile.id.replace(/-/g, '_')}_form_report`;
+}
+
+// Example category entry as shown in the prompt, one drill per line and the views on one line
+function formatExample({ drills, views, ...entry }) {
+  const drillLines = drills
+    .map(({ name, description }) => `    { "name": ${JSON.stringify(name)}, "description": ${JSON.stringify(description)} }`)
+    .join(',\n');
+  return JSON.stringify({ ...entry, drills: [], views: [] }, null, 2)
+    .replace('"drills": []', `"drills": [\n${drillLines}\n  ]`)
+    .replace('"views": []', `"views": [${views.map(view => JSON.stringify(view)).join(', ')}]`);
+}
+
+/**
+ * Build the system prompt of a video analysis
+ * @param {Object} profile - Profile from getProfile
+ * @returns {string} The prompt
+ */
+export function buildAnalysisPrompt(profile) {
+  const { discipline } = profile;
+  const elements = profile.categories
+    .map((category, index) => `${index + 1}. ${category.name} (id: "${category.id}")\n` +
+      category.focus.map(focus => `   - ${focus}`).join('\n'))
+    .join('\n\n');
+
+  return `🔧 You are a biomechanics and ${discipline} form expert. Your task is to analyze an athlete's ${discipline} technique based on a sequence of video frames. Your evaluation must be highly detailed and biomechanically accurate, grounded in proper ${discipline} form standards.
+
+🔒 Important Instructions:
+- Do NOT comment on video quality, lighting, background, framing, or non-${discipline.replace(/ /g, '-')}-related elements.
+- Strictly focus on biomechanical aspects of the athlete's ${discipline} form.
+- Use only the information visible in the provided frames — do not guess or infer what cannot be seen.${profile.context ? `\n- ${profile.context}` : ''}
+
+📝 Output Format:
+Respond with a single JSON document (schema version ${SCHEMA_VERSION}) and nothing else. It must contain:
+- "schemaVersion": "${SCHEMA_VERSION}"
+- "overview": 2-3 sentences summarizing the athlete's form
+- "overallScore": 0-10
+- "categories": one entry per element below, in the same order, each with
+  - "id" and "name" exactly as listed
+  - "score": 0-10 (10 = textbook form)
+  - "observations": specific biomechanical aspects visible in the frames
+  - "priorityImprovements": the 1-2 most critical issues to address first
+  - "drills": specific exercises or cues to implement, each with a "name" and "description"
+  - "views": the camera views ("side", "front", "back") its observations come from
+- "notObservable": key elements that cannot be judged from the camera views provided (empty when all can)
+- "riskFlags": injury risks the observations point to, each with the category "id", the "risk", its "severity" ("low", "moderate" or "high") and the "reason" (empty when there are none)
+- "frameFindings": the frames that best show an observation, each with the "frameNumber" and "timestamp" from its label, the category "id" and the "finding"
+
+🔍 Analyze the following key elements:
+
+${elements}
+
+✅ Tone:
+- Clear, professional, and biomechanical
+- Focus on what can be improved, not just what's wrong
+- Provide specific, implementable advice
+- Back each point with direct visual evidence from the frames
+
+🧠 Example category entry:
+${formatExample(profile.example)}`;
+}
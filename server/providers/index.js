@@ -0,0 +1,83 @@
+/**
+ * AI provider layer.
+ *
+ * Every model call goes through a provider selected by AI_PROVIDER:
+ * - `openai` (default): the OpenAI API
+ * - `openai-compatible`: any OpenAI-compatible server at AI_BASE_URL (e.g. Ollama/LLaVA)
+ * - `mock`: deterministic, fixture-backed responses for CI and offline development
+ *
+ * Providers share one interface:
+ *   provider.complete({ task, messages, maxTokens, temperature, responseFormat, timeout })
+ *     → Promise<{ content, usage, model }>
+ * where `task` selects the model and, for the mock, the fixture.
+ */
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+// Tasks the server asks models to perform
+export const TASKS = {
+  VIDEO_ANALYSIS: 'video-analysis',
+  IMAGE_ANALYSIS: 'image-analysis',
+  FILE_ANALYSIS: 'file-analysis',
+  DOCUMENT_CHUNK: 'document-chunk',
+  VIDEO_SUMMARY: 'video-summary',
+  COMPARISON: 'comparison'
+};
+
+/**
+ * Resolve the model used for each task from configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object<string, string>} Model name keyed by task
+ */
+function resolveModels(env) {
+  const vision = env.AI_MODEL_VISION || 'gpt-4o';
+  const text = env.AI_MODEL_TEXT || 'gpt-4o';
+  return {
+    [TASKS.VIDEO_ANALYSIS]: vision,
+    [TASKS.IMAGE_ANALYSIS]: vision,
+    [TASKS.FILE_ANALYSIS]: text,
+    [TASKS.DOCUMENT_CHUNK]: text,
+    [TASKS.VIDEO_SUMMARY]: env.AI_MODEL_SUMMARY || 'gpt-4',
+    [TASKS.COMPARISON]: text
+  };
+}
+
+/**
+ * Create the provider described by configuration
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Provider instance
+ */
+export function createProvider(env = process.env) {
+  const type = (env.AI_PROVIDER || 'openai').toLowerCase();
+  const models = resolveModels(env);
+
+  switch (type) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        models,
+        structuredOutput: true
+      });
+    case 'openai-compatible':
+      if (!env.AI_BASE_URL) {
+        throw new Error('AI_BASE_URL is required when AI_PROVIDER=openai-compatible');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        baseURL: env.AI_BASE_URL,
+        // Local servers usually ignore the key, but the client requires one
+        apiKey: env.AI_API_KEY || 'not-needed',
+        models,
+        structuredOutput: env.AI_STRUCTURED_OUTPUT === 'true'
+      });
+    case 'mock':
+      return createMockProvider({
+        fixturesDir: env.MOCK_FIXTURES_DIR,
+        tokenDelayMs: parseInt(env.MOCK_TOKEN_DELAY_MS) || 0,
+        models
+      });
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${type}". Use openai, openai-compatible or mock.`);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Deterministic, fixture-backed provider for CI and offline development.
+ *
+ * Each task answers with the fixture `<task>.json` from the fixtures directory.
+ * A fixture is `{ "content": string | object }`; objects are returned as JSON.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Characters per streamed chunk when the caller asks for tokens
+const STREAM_CHUNK_SIZE = 16;
+
+// Matches the "Frame N at T" labels that precede each image in video analysis requests
+const FRAME_LABEL = /^Frame (\d+) at (.+)$/;
+
+// Matches the section labels that precede each part of a document in document analysis requests
+const SECTION_LABEL = /\[((?:Page|Section|Part) \d+)\]/g;
+
+// Rough token estimate so usage numbers are stable between runs
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return message.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * Point the fixture's frame findings at frames that were actually sent,
+ * so the canned report validates for any number of frames
+ */
+function alignFrameFindings(report, messages) {
+  const labels = messages
+    .filter(message => Array.isArray(message.content))
+    .flatMap(message => message.content)
+    .filter(part => part.type === 'text' && FRAME_LABEL.test(part.text))
+    .map(part => {
+      const [, frameNumber, timestamp] = part.text.match(FRAME_LABEL);
+      return { frameNumber: Number(frameNumber), timestamp };
+    });
+
+  if (!labels.length || !Array.isArray(report.frameFindings)) return report;
+
+  return {
+    ...report,
+    frameFindings: report.frameFindings.map((finding, index) => ({
+      ...finding,
+      ...labels[Math.round(index * (labels.length - 1) / Math.max(1, report.frameFindings.length - 1))]
+    }))
+  };
+}
+
+/**
+ * Point the fixture's document findings at section labels ("[Page 3]") that
+ * appear in the request, so the canned report validates for any document
+ */
+function alignDocumentLocations(report, messages) {
+  const labels = [...new Set(messages
+    .filter(message => message.role === 'user')
+    .flatMap(message => [...messageText(message).matchAll(SECTION_LABEL)].map(([, label]) => label)))];
+
+  if (!labels.length || !Array.isArray(report.findings)) return report;
+
+  return {
+    ...report,
+    findings: report.findings.map((finding, index) => ({ ...finding, location: labels[index % labels.length] }))
+  };
+}
+
+/**
+ * Rename the fixture's categories to the category ids the requested schema
+ * allows, so the canned running report (with its findings and risk flags)
+ * also validates for other profiles, and keep their camera views to the
+ * views of the request
+ */
+function alignCategories(report, responseFormat) {
+  const categorySchema = responseFormat?.json_schema?.schema?.properties?.categories?.items?.properties;
+  const ids = categorySchema?.id?.enum;
+  if (!ids || !Array.isArray(report.categories) || !report.categories.length) return report;
+  const views = categorySchema.views?.items?.enum;
+  const alignViews = category => {
+    if (!views || !Array.isArray(category.views)) return category;
+    const kept = category.views.filter(view => views.includes(view));
+    return { ...category, views: kept.length ? kept : [views[0]] };
+  };
+
+  const renamed = new Map(report.categories.map((category, index) => [category.id, ids[index % ids.length]]));
+  const titleCase = id => id.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+  return {
+    ...report,
+    categories: ids.map((id, index) => {
+      const category = report.categories[index % report.categories.length];
+      return alignViews({ ...category, id, ...('name' in category && { name: category.id === id ? category.name : titleCase(id) }) });
+    }),
+    ...(Array.isArray(report.frameFindings) && {
+      frameFindings: report.frameFindings.map(finding => ({ ...finding, category: renamed.get(finding.category) || ids[0] }))
+    }),
+    ...(Array.isArray(report.riskFlags) && {
+      riskFlags: report.riskFlags.map(flag => ({ ...flag, category: renamed.get(flag.category) || ids[0] }))
+    })
+  };
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} config
+ * @param {string} [config.fixturesDir] - Directory holding `<task>.json` fixtures
+ * @param {number} [config.tokenDelayMs=0] - Pause between streamed chunks, to exercise progress UIs
+ * @param {Object<string, string>} config.models - Model name keyed by task (reported only)
+ * @returns {Object} Provider instance
+ */
+export function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, tokenDelayMs = 0, models }) {
+  function loadFixture(task) {
+    const fixturePath = path.join(fixturesDir, `${task}.json`);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Mock provider has no fixture for task "${task}" (${fixturePath})`);
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  }
+
+  return {
+    name: 'mock',
+    models,
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete({ task, messages, responseFormat, onToken }) {
+      let { content } = loadFixture(task);
+
+      if (content && typeof content === 'object') {
+        const aligned = alignCategories(alignFrameFindings(content, messages), responseFormat);
+        content = JSON.stringify(alignDocumentLocations(aligned, messages), null, 2);
+      }
+
+      // Stream the fixture in fixed-size chunks, like a model would
+      if (onToken) {
+        for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+          onToken(content.slice(i, i + STREAM_CHUNK_SIZE));
+          await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+        }
+      }
+
+      const promptTokens = estimateTokens(messages.map(messageText).join('\n'));
+      const completionTokens = estimateTokens(content);
+
+      return {
+        content,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        },
+        model: `mock-${models[task] || task}`
+      };
+    }
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Provider adapter for the OpenAI API and OpenAI-compatible servers
+ */
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI-backed provider
+ * @param {Object} config
+ * @param {string} config.name - Provider name reported in logs
+ * @param {string} [config.apiKey] - API key
+ * @param {string} [config.baseURL] - Base URL of an OpenAI-compatible server
+ * @param {Object<string, string>} config.models - Model name keyed by task
+ * @param {boolean} config.structuredOutput - Whether the server supports `json_schema` response formats
+ * @returns {Object} Provider instance
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL, models, structuredOutput }) {
+  const client = new OpenAI({ apiKey: apiKey || 'missing', baseURL });
+
+  return {
+    name,
+    models,
+
+    /**
+     * Whether the provider has what it needs to make calls
+     * @returns {boolean}
+     */
+    isConfigured() {
+      if (name !== 'openai') return true;
+      return Boolean(apiKey) && apiKey !== 'your_openai_api_key_here';
+    },
+
+    /**
+     * Run a chat completion
+     * @param {Object} request
+     * @param {string} request.task - Task name, used to pick the model
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {number} [request.maxTokens] - Completion token limit
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {Object} [request.responseFormat] - Structured output format
+     * @param {number} [request.timeout] - Request timeout in ms
+     * @param {Function} [request.onToken] - Streams the response, called with each text delta
+     * @returns {Promise<{content: string, usage: Object|null, model: string}>}
+     */
+    async complete({ task, messages, maxTokens, temperature, responseFormat, timeout, onToken }) {
+      const model = models[task];
+      if (!model) {
+        throw new Error(`No model configured for task "${task}"`);
+      }
+
+      // Servers without structured output support still get JSON mode
+      let format = responseFormat;
+      if (format?.type === 'json_schema' && !structuredOutput) {
+        format = { type: 'json_object' };
+      }
+
+      const params = {
+        model,
+        messages,
+        ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+        ...(temperature !== undefined && { temperature }),
+        ...(format && { response_format: format })
+      };
+      const requestOptions = timeout ? { timeout } : undefined;
+
+      if (onToken) {
+        const stream = await client.chat.completions.create({
+          ...params,
+          stream: true,
+          // Usage in streamed responses is an OpenAI extension
+          ...(name === 'openai' && { stream_options: { include_usage: true } })
+        }, requestOptions);
+
+        let content = '';
+        let usage = null;
+        let responseModel = model;
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          if (chunk.usage) usage = chunk.usage;
+          if (chunk.model) responseModel = chunk.model;
+        }
+
+        return { content, usage, model: responseModel };
+      }
+
+      const response = await client.chat.completions.create(params, requestOptions);
+
+      return {
+        content: response.choices[0].message.content,
+        usage: response.usage || null,
+        model: response.model || model
+      };
+    }
+  };
+}
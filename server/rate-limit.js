@@ -0,0 +1,100 @@
+/**
+ * Request throttling.
+ *
+ * Fixed-window counters kept in memory, per client IP or per account, and a
+ * middleware that rejects requests over the limit with HTTP 429. Rejections
+ * carry an error `code` (see ERROR_CODES) that the web app turns into a
+ * friendly message.
+ */
+
+// Codes of the errors the server answers when it refuses a request or an analysis fails
+export const ERROR_CODES = {
+  RATE_LIMITED: 'rate_limited',
+  TOO_MANY_ANALYSES: 'too_many_analyses',
+  SERVER_BUSY: 'server_busy',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  INVALID_FILE: 'invalid_file',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  INVALID_ANALYSIS: 'invalid_analysis',
+  ANALYSIS_FAILED: 'analysis_failed'
+};
+
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.max - Requests allowed per window; 0 disables the limit
+   * @param {number} options.windowMs - Window length in ms
+   */
+  constructor({ max, windowMs }) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.windows = new Map(); // By key: { count, resetAt }
+  }
+
+  /**
+   * Count a request
+   * @param {string} key - Who made the request (IP or account)
+   * @param {number} [now] - Current time in ms
+   * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+   */
+  hit(key, now = Date.now()) {
+    if (!this.max) return { allowed: true, remaining: Infinity, resetAt: now };
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      this.prune(now);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return {
+      allowed: window.count <= this.max,
+      remaining: Math.max(0, this.max - window.count),
+      resetAt: window.resetAt
+    };
+  }
+
+  // Drop the windows that have ended, so idle clients do not use memory
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+/**
+ * Middleware that throttles requests with a RateLimiter and reports the limit in
+ * `RateLimit-*` headers. Requests without a key (e.g. no signed-in user) pass.
+ * @param {RateLimiter} limiter - The limiter
+ * @param {Object} options
+ * @param {Function} options.key - (req) => key to count the request under, or null
+ * @param {string} options.message - Error shown when the limit is hit
+ * @returns {Function} Express middleware
+ */
+export function rateLimit(limiter, { key, message }) {
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id || !limiter.max) return next();
+
+    const now = Date.now();
+    const { allowed, remaining, resetAt } = limiter.hit(id, now);
+    const retryAfter = Math.ceil((resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limiter.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(retryAfter)
+    });
+    if (allowed) return next();
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      code: ERROR_CODES.RATE_LIMITED,
+      error: message,
+      retryAfter
+    });
+  };
+}
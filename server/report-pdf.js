@@ -0,0 +1,281 @@
+/**
+ * Printable PDF export of a stored form analysis.
+ *
+ * Laid out for A4 paper with wide margins: a header with the athlete and
+ * session details, the scores, the measured gait metrics, the key frames
+ * with their timestamps, and one block per category with its observations,
+ * priority improvements and drills.
+ */
+import PDFDocument from 'pdfkit';
+import { GAIT_METRICS } from './gait-metrics.js';
+import { getProfile } from './profiles.js';
+
+const MARGIN = 50;
+const FRAME_COLUMNS = 3;
+const FRAME_GAP = 10;
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  good: '#15803d',
+  fair: '#a16207',
+  poor: '#b91c1c'
+};
+
+/**
+ * Check whether a stored analysis can be exported as a PDF report
+ * @param {Object} record - Analysis record from AnalysisStore
+ * @returns {boolean}
+ */
+export function isExportable(record) {
+  return record.analysis?.type === 'video' && Boolean(record.analysis.report);
+}
+
+function scoreColor(score) {
+  if (score >= 7) return COLORS.good;
+  if (score >= 4) return COLORS.fair;
+  return COLORS.poor;
+}
+
+function formatTimestamp(timestamp) {
+  if (typeof timestamp === 'number') return `${timestamp.toFixed(2)}s`;
+  return timestamp || null;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGIN * 2;
+}
+
+// Start a new page when less than `height` points are left
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8)
+    .font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text)
+    .text(text, MARGIN, doc.y);
+  doc.moveTo(MARGIN, doc.y + 2)
+    .lineTo(MARGIN + contentWidth(doc), doc.y + 2)
+    .strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+}
+
+function list(doc, title, items, ordered = false) {
+  if (!items || !items.length) return;
+
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(title, MARGIN, doc.y);
+  doc.moveDown(0.2);
+  doc.font('Helvetica').fontSize(10);
+  items.forEach((item, index) => {
+    ensureSpace(doc, 14);
+    doc.text(`${ordered ? `${index + 1}.` : '•'} ${item}`, MARGIN + 10, doc.y, {
+      width: contentWidth(doc) - 10
+    });
+  });
+  doc.moveDown(0.5);
+}
+
+// Title of the report, after the profile the analysis was made with ("Cycling Form Report")
+function reportTitle(record) {
+  const profile = getProfile(record.analysis.profile) || getProfile();
+  return `${profile.name} Form Report`;
+}
+
+function renderHeader(doc, record) {
+  const { analysis, source = {} } = record;
+  const boxWidth = 90;
+  const textWidth = contentWidth(doc) - boxWidth - 10; // Keep clear of the score box
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text)
+    .text(reportTitle(record), MARGIN, MARGIN, { width: textWidth });
+  doc.moveDown(0.3);
+
+  const details = [
+    ['Athlete', analysis.athlete?.name || record.email || 'Not provided'],
+    ['Video', source.filename || 'Untitled'],
+    ['Analyzed', new Date(record.createdAt).toLocaleString('en-GB', { dateStyle: 'long', timeStyle: 'short' })],
+    ['Frames analyzed', String(analysis.frameCount ?? source.frameCount ?? 'n/a')]
+  ];
+  if (analysis.clips?.length) {
+    details.push(['Camera views', analysis.clips
+      .map((clip, index) => `clip ${index + 1} ${clip.view === 'unknown' ? 'not given' : clip.view}`)
+      .join(', ')]);
+  }
+  doc.fontSize(10);
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fillColor(COLORS.muted).text(`${label}: `, MARGIN, doc.y, { width: textWidth, continued: true })
+      .font('Helvetica').fillColor(COLORS.text).text(value);
+  });
+
+  // Overall score box in the top right corner
+  const { overallScore } = analysis.report;
+  const boxX = doc.page.width - MARGIN - boxWidth;
+  doc.roundedRect(boxX, MARGIN, boxWidth, 56, 6).strokeColor(scoreColor(overallScore)).lineWidth(1.5).stroke();
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(scoreColor(overallScore))
+    .text(`${overallScore}`, boxX, MARGIN + 8, { width: boxWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+    .text('OVERALL / 10', boxX, MARGIN + 38, { width: boxWidth, align: 'center' });
+
+  doc.y = Math.max(doc.y, MARGIN + 64);
+}
+
+function renderScores(doc, report) {
+  heading(doc, 'Overview');
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(report.overview, MARGIN, doc.y, {
+    width: contentWidth(doc)
+  });
+  doc.moveDown(0.6);
+  list(doc, 'Not Observable from These Views', report.notObservable);
+  list(doc, 'Injury Risk Flags', report.riskFlags?.map(flag => `${flag.risk} (${flag.severity} risk): ${flag.reason}`));
+
+  report.categories.forEach(category => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(category.name, MARGIN, y);
+    doc.font('Helvetica-Bold').fillColor(scoreColor(category.score))
+      .text(`${category.score} / 10`, MARGIN, y, { width: contentWidth(doc), align: 'right' });
+  });
+}
+
+function renderMetrics(doc, metrics) {
+  const measured = Object.entries(GAIT_METRICS).filter(([key]) => metrics?.[key]);
+  if (!measured.length) return;
+
+  heading(doc, 'Measured Gait Metrics');
+  doc.fontSize(10);
+  measured.forEach(([key, { label, unit, stat }]) => {
+    const { value, left, right } = metrics[key];
+    const sides = left !== undefined && right !== undefined ? ` (left ${left}${unit}, right ${right}${unit})` : '';
+    ensureSpace(doc, 14);
+    doc.font('Helvetica').fillColor(COLORS.muted).text(`${label}: `, MARGIN, doc.y, { continued: true })
+      .font('Helvetica-Bold').fillColor(COLORS.text).text(`${value}${unit}`, { continued: true })
+      .font('Helvetica').fillColor(COLORS.muted).text(` ${stat}${sides}`);
+  });
+}
+
+function renderKeyFrames(doc, record, thumbnailPath, findingsByFrame) {
+  const frames = record.thumbnails
+    .map(thumbnail => ({ ...thumbnail, path: thumbnailPath(record.id, thumbnail.name) }))
+    .filter(thumbnail => thumbnail.path);
+  if (!frames.length) return;
+
+  heading(doc, 'Key Frames');
+
+  const width = (contentWidth(doc) - FRAME_GAP * (FRAME_COLUMNS - 1)) / FRAME_COLUMNS;
+  const imageHeight = width * 0.75;
+  const rowHeight = imageHeight + 40;
+
+  for (let i = 0; i < frames.length; i += FRAME_COLUMNS) {
+    ensureSpace(doc, rowHeight);
+    const top = doc.y;
+
+    frames.slice(i, i + FRAME_COLUMNS).forEach((frame, column) => {
+      const x = MARGIN + column * (width + FRAME_GAP);
+      try {
+        doc.image(frame.path, x, top, { fit: [width, imageHeight], align: 'center', valign: 'center' });
+      } catch (error) {
+        console.warn(`Skipping unreadable thumbnail ${frame.name}:`, error.message);
+      }
+
+      const label = [
+        frame.frameNumber !== null && frame.frameNumber !== undefined ? `Frame ${frame.frameNumber}` : null,
+        formatTimestamp(frame.timestamp)
+      ].filter(Boolean).join(' at ');
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.text)
+        .text(label || 'Frame', x, top + imageHeight + 4, { width });
+
+      const findings = findingsByFrame.get(frame.frameNumber) || [];
+      if (findings.length) {
+        doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+          .text(findings.join(' '), x, doc.y, { width, height: 26, ellipsis: true });
+      }
+    });
+
+    doc.y = top + rowHeight;
+  }
+}
+
+function renderCategories(doc, report) {
+  report.categories.forEach(category => {
+    heading(doc, `${category.name} (${category.score} / 10)`);
+    if (category.views?.length) {
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`From the ${category.views.join(' and ')} view${category.views.length > 1 ? 's' : ''}`, MARGIN, doc.y);
+      doc.moveDown(0.3);
+    }
+    list(doc, 'Key Observations', category.observations);
+    list(doc, 'Priority Improvements', category.priorityImprovements, true);
+    list(doc, 'Actionable Drills', category.drills.map(drill => `${drill.name}: ${drill.description}`));
+
+    const findings = report.frameFindings.filter(finding => finding.category === category.id);
+    list(doc, 'Seen in Frames', findings.map(finding => `[${finding.timestamp}] ${finding.finding}`));
+  });
+}
+
+// Page numbers go in the bottom margin of every page once the content is laid out
+function renderFooters(doc, record) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+      `runanalysis.ai · report schema v${record.analysis.schemaVersion} · page ${i + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN + 15,
+      { width: contentWidth(doc), align: 'center', lineBreak: false }
+    );
+  }
+}
+
+/**
+ * Render a stored form analysis as a PDF
+ * @param {Object} record - Analysis record from AnalysisStore (see isExportable)
+ * @param {Object} options
+ * @param {Function} options.thumbnailPath - Resolves (id, name) to a thumbnail file, or null
+ * @returns {Promise<Buffer>} The PDF document
+ */
+export function createReportPdf(record, { thumbnailPath }) {
+  const { report } = record.analysis;
+
+  const findingsByFrame = new Map();
+  report.frameFindings.forEach(({ frameNumber, finding }) => {
+    findingsByFrame.set(frameNumber, [...(findingsByFrame.get(frameNumber) || []), finding]);
+  });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `${reportTitle(record)}${record.source?.filename ? ` - ${record.source.filename}` : ''}`,
+        Author: 'runanalysis.ai',
+        CreationDate: new Date(record.createdAt)
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      renderHeader(doc, record);
+      renderScores(doc, report);
+      renderMetrics(doc, record.analysis.metrics);
+      renderKeyFrames(doc, record, thumbnailPath, findingsByFrame);
+      renderCategories(doc, report);
+      renderFooters(doc, record);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
@@ -0,0 +1,323 @@
+/**
+ * Content-based validation of uploaded files.
+ *
+ * multer's file filter only sees the name and MIME type the client sent.
+ * Once a file is on disk, its type is detected from its magic bytes and its
+ * content is probed: images are decoded with sharp, videos are read with
+ * ffprobe and checked against the configured duration and resolution
+ * bounds, and documents are checked for the structure of their format.
+ * Files that carry a second format (polyglots) are rejected.
+ */
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import sharp from 'sharp';
+
+const execFilePromise = promisify(execFile);
+
+// Bytes read from the start and end of a file for detection
+const HEAD_BYTES = 4096;
+const TAIL_BYTES = 64 * 1024;
+
+// Why a file was rejected, reported to the client as `reason`
+export const REJECTION_REASONS = {
+  UNKNOWN_TYPE: 'unknown_type',
+  TYPE_MISMATCH: 'type_mismatch',
+  POLYGLOT: 'polyglot',
+  CORRUPT: 'corrupt',
+  TOO_LARGE: 'too_large',
+  DURATION: 'duration_out_of_bounds',
+  RESOLUTION: 'resolution_out_of_bounds'
+};
+
+// File types the server accepts: detected kind → canonical MIME type, category and extensions
+const FILE_TYPES = {
+  jpeg: { mimetype: 'image/jpeg', category: 'image', label: 'JPEG image', extensions: ['.jpg', '.jpeg'] },
+  png: { mimetype: 'image/png', category: 'image', label: 'PNG image', extensions: ['.png'] },
+  gif: { mimetype: 'image/gif', category: 'image', label: 'GIF image', extensions: ['.gif'] },
+  mp4: { mimetype: 'video/mp4', category: 'video', label: 'MP4 video', extensions: ['.mp4', '.mov'] },
+  mov: { mimetype: 'video/quicktime', category: 'video', label: 'QuickTime video', extensions: ['.mov', '.mp4'] },
+  avi: { mimetype: 'video/x-msvideo', category: 'video', label: 'AVI video', extensions: ['.avi'] },
+  matroska: { mimetype: 'video/x-matroska', category: 'video', label: 'Matroska/WebM video', extensions: ['.mkv', '.webm'] },
+  pdf: { mimetype: 'application/pdf', category: 'document', label: 'PDF document', extensions: ['.pdf'] },
+  docx: {
+    mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    category: 'document',
+    label: 'Word document',
+    extensions: ['.docx']
+  },
+  text: { mimetype: 'text/plain', category: 'document', label: 'text file', extensions: ['.txt'] }
+};
+
+// sharp format names of the accepted image types
+const SHARP_FORMATS = { jpeg: 'jpeg', png: 'png', gif: 'gif' };
+
+// ffprobe format names (comma-separated aliases) of the accepted video containers
+const FFPROBE_FORMATS = { mp4: 'mp4', mov: 'mov', avi: 'avi', matroska: 'matroska' };
+
+// Markers of a second format hidden in a file
+const ZIP_END_OF_CENTRAL_DIRECTORY = Buffer.from('504b0506', 'hex');
+const PDF_HEADER = Buffer.from('%PDF-');
+const MARKUP_PATTERN = /<(?:html|script|svg|\?php|iframe)[\s>]/i;
+
+/**
+ * An upload that failed validation
+ */
+export class UploadValidationError extends Error {
+  /**
+   * @param {string} message - Why the file was rejected, for the user
+   * @param {string} reason - One of REJECTION_REASONS
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'UploadValidationError';
+    this.reason = reason;
+    this.status = reason === REJECTION_REASONS.TOO_LARGE ? 413 : 400;
+  }
+}
+
+/**
+ * Read the validation bounds from configuration
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Image and video bounds
+ */
+export function readValidationBounds(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    maxImagePixels: number(env.IMAGE_MAX_PIXELS, 50_000_000),
+    minVideoDuration: number(env.VIDEO_MIN_DURATION, 1),
+    maxVideoDuration: number(env.VIDEO_MAX_DURATION, 600),
+    minVideoResolution: number(env.VIDEO_MIN_RESOLUTION, 240),
+    maxVideoResolution: number(env.VIDEO_MAX_RESOLUTION, 4096)
+  };
+}
+
+// Category of the MIME type the client sent
+function claimedCategory(mimetype = '') {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+// Read the first and last bytes of a file
+async function readEnds(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    await handle.read(head, 0, head.length, 0);
+    const tailLength = Math.min(TAIL_BYTES, size);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+    return { head, tail, size };
+  } finally {
+    await handle.close();
+  }
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+// Text files have no magic bytes: valid UTF-8 without NUL bytes
+function isText(head) {
+  if (head.includes(0)) return false;
+  try {
+    // `stream` tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect a file's type from its magic bytes
+ * @param {Buffer} head - First bytes of the file
+ * @param {Buffer} tail - Last bytes of the file
+ * @returns {string|null} Key of FILE_TYPES, or null when the type is not accepted
+ */
+export function detectFileType(head, tail) {
+  if (startsWith(head, Buffer.from([0xff, 0xd8, 0xff]))) return 'jpeg';
+  if (startsWith(head, Buffer.from('89504e470d0a1a0a', 'hex'))) return 'png';
+  if (startsWith(head, Buffer.from('GIF87a')) || startsWith(head, Buffer.from('GIF89a'))) return 'gif';
+  if (startsWith(head, Buffer.from('ftyp'), 4)) {
+    return head.subarray(8, 12).toString('latin1') === 'qt  ' ? 'mov' : 'mp4';
+  }
+  if (startsWith(head, Buffer.from('RIFF')) && startsWith(head, Buffer.from('AVI '), 8)) return 'avi';
+  if (startsWith(head, Buffer.from('1a45dfa3', 'hex'))) return 'matroska';
+  if (startsWith(head, PDF_HEADER)) return 'pdf';
+  // A Word document is a ZIP archive whose central directory lists word/document.xml
+  if (startsWith(head, Buffer.from('504b0304', 'hex'))) {
+    return tail.includes('word/document.xml') ? 'docx' : null;
+  }
+  return isText(head) ? 'text' : null;
+}
+
+/**
+ * Describe a second format hidden in a file, if any
+ * @param {string} type - Detected type
+ * @param {Buffer} head - First bytes of the file
+ * @param {Buffer} tail - Last bytes of the file
+ * @returns {string|null} What was found, or null for a clean file
+ */
+export function findEmbeddedFormat(type, head, tail) {
+  // PDF readers accept a header anywhere in the first kilobyte
+  if (type !== 'pdf' && head.subarray(0, 1024).includes(PDF_HEADER)) return 'a PDF document';
+  if (type !== 'docx' && tail.includes(ZIP_END_OF_CENTRAL_DIRECTORY)) return 'a ZIP archive';
+  if (type !== 'text' && MARKUP_PATTERN.test(head.toString('latin1'))) return 'HTML or script markup';
+  return null;
+}
+
+function describePixels(pixels) {
+  return pixels >= 1e6 ? `${Math.round(pixels / 1e6)} megapixels` : `${pixels} pixels`;
+}
+
+// Decode an image to make sure it is intact, and check its size
+async function probeImage(file, type, bounds) {
+  let metadata;
+  try {
+    const image = sharp(file.path, { failOn: 'error', limitInputPixels: false });
+    metadata = await image.metadata();
+    if (metadata.width * metadata.height <= bounds.maxImagePixels) {
+      await image.stats(); // Decodes every pixel
+    }
+  } catch (error) {
+    throw new UploadValidationError(`${file.originalname} could not be decoded as an image: ${error.message}`, REJECTION_REASONS.CORRUPT);
+  }
+
+  if (metadata.format !== SHARP_FORMATS[type]) {
+    throw new UploadValidationError(`${file.originalname} does not decode as a ${FILE_TYPES[type].label}`, REJECTION_REASONS.CORRUPT);
+  }
+  if (metadata.width * metadata.height > bounds.maxImagePixels) {
+    throw new UploadValidationError(
+      `${file.originalname} is ${metadata.width}×${metadata.height} pixels; images can have up to ${describePixels(bounds.maxImagePixels)}`,
+      REJECTION_REASONS.TOO_LARGE
+    );
+  }
+}
+
+/**
+ * Read a video's container, duration and resolution with ffprobe
+ * @param {string} filePath - Path of the video
+ * @returns {Promise<{formatName: string, duration: number, width: number, height: number}>}
+ * @throws {Error} When ffprobe cannot read it or it has no video stream
+ */
+export async function probeVideo(filePath) {
+  const { stdout } = await execFilePromise('ffprobe', [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ], { timeout: 30000 });
+
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const video = streams.find(stream => stream.codec_type === 'video' && stream.width && stream.height);
+  if (!video) throw new Error('no video stream');
+
+  return {
+    formatName: format.format_name || '',
+    duration: parseFloat(format.duration ?? video.duration),
+    width: video.width,
+    height: video.height
+  };
+}
+
+// Probe a video and check it against the duration and resolution bounds
+async function checkVideo(file, type, bounds) {
+  let video;
+  try {
+    video = await probeVideo(file.path);
+  } catch (error) {
+    throw new UploadValidationError(`${file.originalname} could not be read as a video: ${error.message}`, REJECTION_REASONS.CORRUPT);
+  }
+
+  if (!video.formatName.split(',').includes(FFPROBE_FORMATS[type])) {
+    throw new UploadValidationError(`${file.originalname} does not read as a ${FILE_TYPES[type].label}`, REJECTION_REASONS.CORRUPT);
+  }
+  if (!Number.isFinite(video.duration) || video.duration < bounds.minVideoDuration || video.duration > bounds.maxVideoDuration) {
+    throw new UploadValidationError(
+      `${file.originalname} is ${Number.isFinite(video.duration) ? `${video.duration.toFixed(1)}s` : 'of unknown length'}; ` +
+      `videos must be ${bounds.minVideoDuration}–${bounds.maxVideoDuration}s long`,
+      REJECTION_REASONS.DURATION
+    );
+  }
+
+  const shorterSide = Math.min(video.width, video.height);
+  const longerSide = Math.max(video.width, video.height);
+  if (shorterSide < bounds.minVideoResolution || longerSide > bounds.maxVideoResolution) {
+    throw new UploadValidationError(
+      `${file.originalname} is ${video.width}×${video.height}; videos must be at least ${bounds.minVideoResolution}px ` +
+      `on the shorter side and at most ${bounds.maxVideoResolution}px on the longer side`,
+      REJECTION_REASONS.RESOLUTION
+    );
+  }
+  return video;
+}
+
+// Check that a document has the structure of its format
+function checkDocument(file, type, tail) {
+  if (type === 'pdf' && !tail.includes('%%EOF')) {
+    throw new UploadValidationError(`${file.originalname} is an incomplete PDF (no end-of-file marker)`, REJECTION_REASONS.CORRUPT);
+  }
+  if (type === 'docx' && !tail.includes(ZIP_END_OF_CENTRAL_DIRECTORY)) {
+    throw new UploadValidationError(`${file.originalname} is an incomplete Word document`, REJECTION_REASONS.CORRUPT);
+  }
+}
+
+/**
+ * Validate an uploaded file by its content. On success the file's `mimetype`
+ * is replaced by the detected one, and videos get their `probe` results.
+ * @param {Object} file - multer file (with `path`, `originalname` and `mimetype`)
+ * @param {Object} [bounds] - Bounds from readValidationBounds
+ * @param {Array<string>} [categories] - Categories the route accepts ('image', 'video', 'document'); all by default
+ * @returns {Promise<Object>} The file
+ * @throws {UploadValidationError} With the reason the file was rejected
+ */
+export async function validateUpload(file, bounds = readValidationBounds(), categories = null) {
+  const { head, tail, size } = await readEnds(file.path);
+  if (!size) {
+    throw new UploadValidationError(`${file.originalname} is empty`, REJECTION_REASONS.CORRUPT);
+  }
+
+  const type = detectFileType(head, tail);
+  if (!type) {
+    throw new UploadValidationError(`${file.originalname} is not a supported image, video or document`, REJECTION_REASONS.UNKNOWN_TYPE);
+  }
+
+  const { mimetype, category, label, extensions } = FILE_TYPES[type];
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!extensions.includes(extension) || claimedCategory(file.mimetype) !== category) {
+    throw new UploadValidationError(
+      `${file.originalname} is a ${label}, which does not match its name or type (${file.mimetype})`,
+      REJECTION_REASONS.TYPE_MISMATCH
+    );
+  }
+  if (categories && !categories.includes(category)) {
+    throw new UploadValidationError(
+      `${file.originalname} is a ${label}; only ${categories.map(item => `${item}s`).join(' or ')} can be uploaded here`,
+      REJECTION_REASONS.TYPE_MISMATCH
+    );
+  }
+
+  const embedded = findEmbeddedFormat(type, head, tail);
+  if (embedded) {
+    throw new UploadValidationError(`${file.originalname} also contains ${embedded}`, REJECTION_REASONS.POLYGLOT);
+  }
+
+  if (category === 'image') {
+    await probeImage(file, type, bounds);
+  } else if (category === 'video') {
+    file.probe = await checkVideo(file, type, bounds);
+  } else {
+    checkDocument(file, type, tail);
+  }
+
+  file.mimetype = mimetype;
+  return file;
+}
@@ -0,0 +1,348 @@
+/**
+ * Token usage and cost accounting.
+ *
+ * Every model call made through the metered provider is recorded with its
+ * token counts and an estimated cost from a price table, on the account of
+ * the user whose job made it. Records are appended to a JSON Lines ledger.
+ * Operators can set daily and monthly cost quotas per user; once one is
+ * used up, new analyses are refused until it resets (midnight or the first
+ * of the month, UTC).
+ */
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+import { ERROR_CODES } from './rate-limit.js';
+
+// Default prices in USD per million tokens. Models are matched by the longest
+// prefix, so dated versions (e.g. gpt-4o-2024-08-06) use their family's price.
+export const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The user (and job) model calls are billed to, for the code running inside runWithUsage
+const usageContext = new AsyncLocalStorage();
+
+function usageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read the price table, merging overrides over the defaults
+ * @param {string} [raw] - JSON object of `{ "<model>": { "input": n, "output": n } }` in USD per million tokens
+ * @returns {Object<string, {input: number, output: number}>} Prices by model
+ * @throws {Error} When the overrides are not valid JSON or a price is not a non-negative number
+ */
+export function parsePrices(raw) {
+  if (!raw) return { ...DEFAULT_PRICES };
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`AI_PRICES is not valid JSON: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([model, price]) => {
+    const valid = ['input', 'output'].every(key => Number.isFinite(price?.[key]) && price[key] >= 0);
+    if (!valid) {
+      throw new Error(`AI_PRICES["${model}"] needs non-negative "input" and "output" prices`);
+    }
+  });
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+/**
+ * Read a quota in USD from configuration
+ * @param {string} [raw] - Quota; empty for none
+ * @returns {number|null}
+ */
+export function parseQuota(raw) {
+  if (raw === undefined || raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Usage quotas must be non-negative amounts in USD, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Price of a model, by the longest matching prefix of its name
+ * @param {string} model - Model name as reported in the response
+ * @param {Object} prices - Price table from parsePrices
+ * @returns {{input: number, output: number}|null} Null for models without a price
+ */
+export function findPrice(model, prices) {
+  const match = Object.keys(prices)
+    .filter(name => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimate what a call cost
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @param {Object} prices - Price table from parsePrices
+ * @returns {number} Cost in USD; 0 for models without a price
+ */
+export function estimateCost(model, promptTokens, completionTokens, prices) {
+  const price = findPrice(model, prices);
+  if (!price) return 0;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// Start of the UTC day or month of a date
+function periodStart(period, date) {
+  return period === 'daily'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+function periodEnd(period, date) {
+  return period === 'daily'
+    ? periodStart('daily', date) + DAY_MS
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.requests += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.costUsd += record.costUsd;
+  return totals;
+}
+
+// Totals grouped by a key of the records, largest cost first
+function groupTotals(records, key) {
+  const groups = new Map();
+  records.forEach(record => {
+    const name = record[key] ?? null;
+    if (!groups.has(name)) groups.set(name, emptyTotals());
+    addToTotals(groups.get(name), record);
+  });
+  return [...groups.entries()]
+    .map(([name, totals]) => ({ [key]: name, ...totals }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+export class UsageStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.storePath - JSON Lines file usage records are appended to
+   * @param {Object} [options.prices] - Price table from parsePrices
+   * @param {Object} [options.quotas] - Cost quotas per user in USD: `{ daily, monthly }`, null for none
+   */
+  constructor({ storePath, prices = DEFAULT_PRICES, quotas = {} }) {
+    this.storePath = storePath;
+    this.prices = prices;
+    this.quotas = { daily: quotas.daily ?? null, monthly: quotas.monthly ?? null };
+    this.records = [];
+  }
+
+  /**
+   * Load the recorded usage from disk, skipping lines that cannot be read
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        this.records = fs.readFileSync(this.storePath, 'utf-8')
+          .split('\n')
+          .filter(Boolean)
+          .flatMap(line => {
+            try {
+              return [JSON.parse(line)];
+            } catch {
+              return [];
+            }
+          });
+      }
+    } catch (error) {
+      console.error('Could not read usage records, starting empty:', error.message);
+    }
+
+    console.log(`Usage records loaded: ${this.records.length}`);
+  }
+
+  /**
+   * Record the usage of one model call
+   * @param {Object} call
+   * @param {string|null} call.email - User the call is billed to
+   * @param {string|null} [call.jobId] - Job that made the call
+   * @param {string} call.task - Provider task
+   * @param {string} call.model - Model that answered
+   * @param {Object|null} call.usage - `usage` of the response (`prompt_tokens`, `completion_tokens`)
+   * @returns {Object} The record
+   */
+  record({ email, jobId = null, task, model, usage }) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      email: email || null,
+      jobId,
+      task,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+      costUsd: estimateCost(model, promptTokens, completionTokens, this.prices)
+    };
+
+    this.records.push(record);
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.appendFileSync(this.storePath, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  /**
+   * Records in a time range, optionally of one user
+   * @param {Object} [filter]
+   * @param {number} [filter.from] - Start time in ms (inclusive)
+   * @param {number} [filter.to] - End time in ms (exclusive)
+   * @param {string} [filter.email] - User
+   * @returns {Array<Object>}
+   */
+  find({ from = 0, to = Infinity, email } = {}) {
+    return this.records.filter(record => {
+      const time = new Date(record.createdAt).getTime();
+      return time >= from && time < to && (email === undefined || record.email === email);
+    });
+  }
+
+  /**
+   * Spend of a user against each configured quota
+   * @param {string} email - User
+   * @param {Date} [now] - Current time
+   * @returns {Object} Per period (`daily`, `monthly`): `{ limitUsd, usedUsd, resetsAt }`
+   */
+  quotaStatus(email, now = new Date()) {
+    return Object.fromEntries(['daily', 'monthly'].map(period => {
+      const usedUsd = this.find({ from: periodStart(period, now), email })
+        .reduce((total, record) => total + record.costUsd, 0);
+      return [period, {
+        limitUsd: this.quotas[period],
+        usedUsd,
+        resetsAt: new Date(periodEnd(period, now)).toISOString()
+      }];
+    }));
+  }
+
+  /**
+   * Check that a user has quota left
+   * @param {string} email - User
+   * @param {Date} [now] - Current time
+   * @throws {Error} With status 429, code `quota_exceeded`, the exceeded `quota` and `retryAfter` in seconds
+   */
+  checkQuota(email, now = new Date()) {
+    const status = this.quotaStatus(email, now);
+    // The monthly quota resets later, so it decides how long to wait when both are used up
+    const exceeded = ['monthly', 'daily'].find(period =>
+      status[period].limitUsd !== null && status[period].usedUsd >= status[period].limitUsd);
+    if (!exceeded) return;
+
+    const { limitUsd, resetsAt } = status[exceeded];
+    const error = usageError(
+      `Your ${exceeded} usage quota of $${limitUsd} is used up. It resets at ${resetsAt}.`,
+      429
+    );
+    error.code = ERROR_CODES.QUOTA_EXCEEDED;
+    error.quota = { period: exceeded, ...status[exceeded] };
+    error.retryAfter = Math.ceil((new Date(resetsAt).getTime() - now.getTime()) / 1000);
+    throw error;
+  }
+
+  /**
+   * Usage summary for operators
+   * @param {Object} [filter] - Time range and user, as for find
+   * @returns {Object} Totals, and totals per user, model and task
+   */
+  summarize(filter = {}) {
+    const records = this.find(filter);
+    return {
+      totals: records.reduce(addToTotals, emptyTotals()),
+      users: groupTotals(records, 'email'),
+      models: groupTotals(records, 'model'),
+      tasks: groupTotals(records, 'task')
+    };
+  }
+}
+
+/**
+ * Run code with its model calls billed to a user
+ * @param {Object} context
+ * @param {string|null} context.email - User
+ * @param {string|null} [context.jobId] - Job the calls belong to
+ * @param {Function} fn - Code to run
+ * @returns {*} What fn returns
+ */
+export function runWithUsage({ email, jobId = null }, fn) {
+  return usageContext.run({ email, jobId }, fn);
+}
+
+/**
+ * Wrap a provider so the usage of every call is recorded, billed to the user
+ * of the surrounding runWithUsage (calls outside one are recorded without a user).
+ * Each call of a user first checks their quota, so a long analysis stops once
+ * the quota is used up instead of only being refused at the start.
+ * @param {Object} provider - Provider from createProvider
+ * @param {UsageStore} store - Where usage is recorded
+ * @returns {Object} Provider with the same interface
+ */
+export function meterProvider(provider, store) {
+  return {
+    ...provider,
+
+    async complete(request) {
+      const { email = null, jobId = null } = usageContext.getStore() || {};
+      if (email) store.checkQuota(email);
+
+      const response = await provider.complete(request);
+      try {
+        store.record({ email, jobId, task: request.task, model: response.model, usage: response.usage });
+      } catch (error) {
+        // Failing to record usage must not lose a finished analysis
+        console.error('Error recording usage:', error);
+      }
+      return response;
+    }
+  };
+}
+
+/**
+ * Middleware that refuses new analyses once the signed-in user's quota is used up (429)
+ * @param {UsageStore} store - The usage store
+ * @returns {Function} Express middleware
+ */
+export function enforceQuota(store) {
+  return (req, res, next) => {
+    try {
+      store.checkQuota(req.user.email);
+      next();
+    } catch (error) {
+      if (error.status !== 429) return next(error);
+      res.set('Retry-After', String(error.retryAfter));
+      res.status(429).json({
+        success: false,
+        code: ERROR_CODES.QUOTA_EXCEEDED,
+        error: error.message,
+        quota: error.quota
+      });
+    }
+  };
+}
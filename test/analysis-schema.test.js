@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AnalysisValidationError,
+  RUNNING_CATEGORIES,
+  SCHEMA_VERSION,
+  buildAnalysisSchema,
+  parseAnalysisReport,
+  validateAgainstSchema
+} from '../server/analysis-schema.js';
+import { ERROR_CODES } from '../server/rate-limit.js';
+
+const FRAME_NUMBERS = [1, 2, 3];
+
+function validReport() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    overview: 'Relaxed form with a slight overstride.',
+    overallScore: 6.5,
+    categories: RUNNING_CATEGORIES.map(({ id, name }) => ({
+      id,
+      name,
+      score: 7,
+      observations: [`${name} looks steady`],
+      priorityImprovements: [`Work on ${name.toLowerCase()}`],
+      drills: [{ name: 'Strides', description: '6 x 20 seconds relaxed' }],
+      views: ['side']
+    })),
+    notObservable: [],
+    riskFlags: [{ category: 'leg_mechanics', risk: 'Shin splints', severity: 'moderate', reason: 'Heel strike ahead of the hips' }],
+    frameFindings: [{ frameNumber: 2, timestamp: '0.50s', category: 'leg_mechanics', finding: 'Foot lands ahead of the hips' }]
+  };
+}
+
+// Parse a report and return the validation errors, or [] when it is valid
+function validationErrors(report) {
+  try {
+    parseAnalysisReport(JSON.stringify(report), { frameNumbers: FRAME_NUMBERS });
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof AnalysisValidationError);
+    assert.equal(error.code, ERROR_CODES.INVALID_ANALYSIS);
+    return error.errors;
+  }
+}
+
+test('parseAnalysisReport returns a valid report', () => {
+  const report = validReport();
+  assert.deepEqual(parseAnalysisReport(JSON.stringify(report), { frameNumbers: FRAME_NUMBERS }), report);
+});
+
+test('parseAnalysisReport rejects responses that are not JSON', () => {
+  assert.throws(
+    () => parseAnalysisReport('Here is your report:', { frameNumbers: FRAME_NUMBERS }),
+    error => error instanceof AnalysisValidationError && /not valid JSON/.test(error.message)
+  );
+});
+
+test('parseAnalysisReport rejects a report missing a category', () => {
+  const report = validReport();
+  report.categories = report.categories.filter(category => category.id !== 'efficiency');
+
+  const errors = validationErrors(report);
+  assert.ok(errors.includes('$.categories must contain at least 4 item(s)'));
+  assert.ok(errors.includes('$.categories is missing "efficiency"'));
+});
+
+test('parseAnalysisReport rejects a category listed twice in place of another', () => {
+  const report = validReport();
+  report.categories[3] = { ...report.categories[0] };
+  assert.deepEqual(validationErrors(report), ['$.categories is missing "efficiency"']);
+});
+
+test('parseAnalysisReport rejects scores out of range', () => {
+  const report = validReport();
+  report.overallScore = 11;
+  report.categories[1].score = -1;
+
+  assert.deepEqual(validationErrors(report), ['$.overallScore must be <= 10', '$.categories[1].score must be >= 0']);
+});
+
+test('parseAnalysisReport rejects another schema version', () => {
+  const report = validReport();
+  report.schemaVersion = '1.0';
+  assert.deepEqual(validationErrors(report), [`$.schemaVersion must be one of: ${SCHEMA_VERSION}`]);
+});
+
+test('parseAnalysisReport rejects findings for frames that were not sent', () => {
+  const report = validReport();
+  report.frameFindings.push({ frameNumber: 9, timestamp: '4.00s', category: 'posture', finding: 'Leaning back' });
+  assert.deepEqual(validationErrors(report), ['$.frameFindings[1].frameNumber refers to a frame that was not sent']);
+});
+
+test('parseAnalysisReport validates the categories of other profiles', () => {
+  const categories = [{ id: 'pedaling', name: 'Pedaling' }];
+  const report = { ...validReport(), categories: [{ ...validReport().categories[0], id: 'pedaling', name: 'Pedaling' }] };
+  report.riskFlags = [];
+  report.frameFindings = [];
+
+  assert.deepEqual(parseAnalysisReport(JSON.stringify(report), { categories, frameNumbers: [] }), report);
+  assert.throws(() => parseAnalysisReport(JSON.stringify(validReport()), { categories, frameNumbers: FRAME_NUMBERS }));
+});
+
+test('validateAgainstSchema reports missing, extra and mistyped fields', () => {
+  const schema = buildAnalysisSchema();
+  const report = validReport();
+  delete report.overview;
+  report.extra = true;
+  report.categories[0].observations = 'Steady';
+  report.frameFindings[0].frameNumber = 1.5;
+
+  assert.deepEqual(validateAgainstSchema(report, schema), [
+    '$.overview is required',
+    '$.categories[0].observations must be an array',
+    '$.frameFindings[0].frameNumber must be an integer',
+    '$.extra is not allowed'
+  ]);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {
+  AuthStore,
+  SESSION_COOKIE,
+  authenticate,
+  parseCookies,
+  requireAuth,
+  requireSession
+} from '../server/auth.js';
+import { ERROR_CODES } from '../server/rate-limit.js';
+import { tempDir, runMiddleware } from './helpers.js';
+
+async function storeWithUser(t) {
+  const store = new AuthStore({ storePath: path.join(tempDir(t), 'auth.json') });
+  const user = await store.createUser('runner@example.com');
+  return { store, user };
+}
+
+test('parseCookies reads names and decoded values', () => {
+  assert.deepEqual(parseCookies('a=1; b=hello%20world; c=x=y'), { a: '1', b: 'hello world', c: 'x=y' });
+  assert.deepEqual(parseCookies(''), {});
+  assert.deepEqual(parseCookies(), {});
+});
+
+test('parseCookies skips pairs without a value', () => {
+  assert.deepEqual(parseCookies('flag; =orphan; a=1'), { a: '1' });
+});
+
+test('parseCookies skips cookies that cannot be decoded and keeps the rest', () => {
+  assert.deepEqual(parseCookies(`other=%E0%A4%A; ${SESSION_COOKIE}=abc`), { [SESSION_COOKIE]: 'abc' });
+});
+
+test('authenticate identifies the user of an API token', async t => {
+  const { store, user } = await storeWithUser(t);
+  const { token } = store.createApiToken(user, 'ci');
+
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const { nextCalled } = runMiddleware(authenticate(store), req);
+  assert.ok(nextCalled);
+  assert.equal(req.user.id, user.id);
+  assert.equal(req.authMethod, 'token');
+});
+
+test('authenticate identifies the user of a session cookie', async t => {
+  const { store, user } = await storeWithUser(t);
+  const session = store.createSession(user);
+
+  const req = { headers: { cookie: `theme=dark; ${SESSION_COOKIE}=${session}` } };
+  runMiddleware(authenticate(store), req);
+  assert.equal(req.user.id, user.id);
+  assert.equal(req.authMethod, 'session');
+});
+
+test('authenticate still finds the session next to a malformed cookie', async t => {
+  const { store, user } = await storeWithUser(t);
+  const session = store.createSession(user);
+
+  const req = { headers: { cookie: `other=%E0%A4%A; ${SESSION_COOKIE}=${session}` } };
+  const { nextCalled, error } = runMiddleware(authenticate(store), req);
+  assert.ok(nextCalled);
+  assert.equal(error, undefined);
+  assert.equal(req.user.id, user.id);
+});
+
+test('authenticate lets requests with unknown credentials go on anonymously', async t => {
+  const { store, user } = await storeWithUser(t);
+  const session = store.createSession(user);
+  store.deleteSession(session);
+
+  for (const headers of [
+    {},
+    { authorization: 'Bearer ra_unknown' },
+    { cookie: `${SESSION_COOKIE}=${session}` }
+  ]) {
+    const req = { headers };
+    const { nextCalled } = runMiddleware(authenticate(store), req);
+    assert.ok(nextCalled);
+    assert.equal(req.user, null);
+    assert.equal(req.authMethod, null);
+  }
+});
+
+test('sessions and API tokens survive a reload of the store', async t => {
+  const { store, user } = await storeWithUser(t);
+  const session = store.createSession(user);
+  const { token } = store.createApiToken(user, 'ci');
+
+  const reloaded = new AuthStore({ storePath: store.storePath });
+  reloaded.load();
+  assert.equal(reloaded.sessionUser(session).id, user.id);
+  assert.equal(reloaded.apiTokenUser(token).id, user.id);
+});
+
+test('requireAuth rejects anonymous requests with 401 and a code', () => {
+  const { res, nextCalled } = runMiddleware(requireAuth, { user: null });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, ERROR_CODES.UNAUTHORIZED);
+});
+
+test('requireSession rejects API tokens', () => {
+  const { res, nextCalled } = runMiddleware(requireSession, { user: { id: '1' }, authMethod: 'token' });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, ERROR_CODES.UNAUTHORIZED);
+
+  assert.ok(runMiddleware(requireSession, { user: { id: '1' }, authMethod: 'session' }).nextCalled);
+});
+
+test('createUser gives concurrent registrations of one email a single account', async t => {
+  const store = new AuthStore({ storePath: path.join(tempDir(t), 'auth.json') });
+  const results = await Promise.all([
+    store.createUser('runner@example.com', 'password123'),
+    store.createUser('Runner@example.com', 'password456')
+  ].map(registration => registration.catch(error => error)));
+
+  const rejected = results.filter(result => result instanceof Error);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].status, 409);
+  assert.equal(store.users.size, 1);
+});
+
+test('createMagicLink drops links that expired unused', async t => {
+  const { store } = await storeWithUser(t);
+  const expired = store.createMagicLink('old@example.com');
+  const [expiredHash] = store.magicLinks.keys();
+  store.magicLinks.get(expiredHash).expiresAt = Date.now() - 1;
+
+  store.createMagicLink('new@example.com');
+  assert.equal(store.magicLinks.size, 1);
+  assert.equal(await store.consumeMagicLink(expired), null);
+});
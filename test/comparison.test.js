@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COMPARISON_SCHEMA_VERSION,
+  TREND_THRESHOLD,
+  TRENDS,
+  classifyTrend,
+  diffScores,
+  matchFrames,
+  parseComparison
+} from '../server/comparison.js';
+import { AnalysisValidationError, RUNNING_CATEGORIES } from '../server/analysis-schema.js';
+
+function report(scores) {
+  return { categories: Object.entries(scores).map(([id, score]) => ({ id, score })) };
+}
+
+function comparison(categories = RUNNING_CATEGORIES) {
+  return {
+    schemaVersion: COMPARISON_SCHEMA_VERSION,
+    summary: 'Cadence went up; the overstride is smaller.',
+    categories: categories.map(({ id }) => ({ id, improved: ['Shorter stride'], regressed: [], unchanged: ['Arm swing'] }))
+  };
+}
+
+test('classifyTrend counts changes of at least TREND_THRESHOLD', () => {
+  assert.equal(classifyTrend(TREND_THRESHOLD), TRENDS.IMPROVED);
+  assert.equal(classifyTrend(-TREND_THRESHOLD), TRENDS.REGRESSED);
+  assert.equal(classifyTrend(TREND_THRESHOLD - 0.1), TRENDS.UNCHANGED);
+  assert.equal(classifyTrend(-(TREND_THRESHOLD - 0.1)), TRENDS.UNCHANGED);
+  assert.equal(classifyTrend(0), TRENDS.UNCHANGED);
+  assert.equal(classifyTrend(3), TRENDS.IMPROVED);
+});
+
+test('diffScores rounds deltas and classifies them per category', () => {
+  const diff = diffScores(
+    report({ posture: 6, arm_mechanics: 7.2, leg_mechanics: 5, efficiency: 8 }),
+    report({ posture: 6.5, arm_mechanics: 6.8, leg_mechanics: 7.3, efficiency: 7.5 })
+  );
+
+  assert.deepEqual(diff.map(({ id, delta, trend }) => ({ id, delta, trend })), [
+    { id: 'posture', delta: 0.5, trend: TRENDS.IMPROVED },
+    { id: 'arm_mechanics', delta: -0.4, trend: TRENDS.UNCHANGED },
+    { id: 'leg_mechanics', delta: 2.3, trend: TRENDS.IMPROVED },
+    { id: 'efficiency', delta: -0.5, trend: TRENDS.REGRESSED }
+  ]);
+  assert.equal(diff[0].name, 'Posture');
+  assert.equal(diff[1].baselineScore, 7.2);
+  assert.equal(diff[1].followUpScore, 6.8);
+});
+
+test('diffScores gives a missing category a null delta', () => {
+  const diff = diffScores(
+    report({ posture: 6, arm_mechanics: 7, leg_mechanics: 5 }),
+    report({ posture: 6, arm_mechanics: 7, efficiency: 8 })
+  );
+
+  const byId = Object.fromEntries(diff.map(entry => [entry.id, entry]));
+  assert.deepEqual(byId.leg_mechanics, {
+    id: 'leg_mechanics', name: 'Leg Mechanics', baselineScore: 5, followUpScore: null, delta: null, trend: TRENDS.UNCHANGED
+  });
+  assert.equal(byId.efficiency.baselineScore, null);
+  assert.equal(byId.efficiency.delta, null);
+  assert.equal(byId.posture.delta, 0);
+});
+
+test('parseComparison returns a valid comparison', () => {
+  const document = comparison();
+  assert.deepEqual(parseComparison(JSON.stringify(document)), document);
+});
+
+test('parseComparison rejects invalid JSON, missing categories and another version', () => {
+  assert.throws(() => parseComparison('{'), AnalysisValidationError);
+
+  const missing = comparison();
+  missing.categories[3] = { ...missing.categories[0] };
+  assert.throws(() => parseComparison(JSON.stringify(missing)), error =>
+    error.errors.includes('$.categories is missing "efficiency"'));
+
+  assert.throws(() => parseComparison(JSON.stringify({ ...comparison(), schemaVersion: '0.9' })), AnalysisValidationError);
+});
+
+test('parseComparison checks the categories of the profile compared', () => {
+  const categories = [{ id: 'pedaling', name: 'Pedaling' }];
+  assert.doesNotThrow(() => parseComparison(JSON.stringify(comparison(categories)), { categories }));
+  assert.throws(() => parseComparison(JSON.stringify(comparison()), { categories }), AnalysisValidationError);
+});
+
+test('matchFrames pairs frames of the same category, or by position without findings', () => {
+  const record = (findings, thumbnails) => ({ analysis: { report: { frameFindings: findings } }, thumbnails });
+  const baseline = record(
+    [{ frameNumber: 2, timestamp: '0.5s', category: 'posture', finding: 'Leaning back' }],
+    [{ name: 'thumb-1.jpg', frameNumber: 1 }, { name: 'thumb-2.jpg', frameNumber: 2 }]
+  );
+  const followUp = record(
+    [{ frameNumber: 1, timestamp: '0.0s', category: 'posture', finding: 'Upright' }],
+    [{ name: 'thumb-1.jpg', frameNumber: 1 }]
+  );
+
+  assert.deepEqual(matchFrames(baseline, followUp).map(pair => [pair.category, pair.baseline.thumbnail, pair.followUp.thumbnail]),
+    [['posture', 'thumb-2.jpg', 'thumb-1.jpg']]);
+
+  const unmatched = matchFrames(record([], baseline.thumbnails), record([], followUp.thumbnails));
+  assert.deepEqual(unmatched.map(pair => [pair.category, pair.baseline.thumbnail, pair.followUp.thumbnail]),
+    [[null, 'thumb-1.jpg', 'thumb-1.jpg']]);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DOCUMENT_SCHEMA_VERSION,
+  chunkSections,
+  formatDocumentReport,
+  htmlToSections,
+  parseDocumentReport,
+  splitText
+} from '../server/documents.js';
+import { AnalysisValidationError } from '../server/analysis-schema.js';
+
+// Text of `count` sentences, with a paragraph break every fifth sentence
+function prose(count) {
+  return Array.from({ length: count }, (_, index) =>
+    `Sentence ${index + 1} about tempo runs and recovery.${(index + 1) % 5 ? ' ' : '\n\n'}`).join('');
+}
+
+test('splitText keeps every piece within maxChars', () => {
+  for (const maxChars of [40, 100, 333]) {
+    const pieces = splitText(prose(60), maxChars);
+    assert.ok(pieces.length > 1);
+    pieces.forEach(piece => {
+      assert.ok(piece.length <= maxChars, `${piece.length} > ${maxChars}`);
+      assert.ok(piece.length > 0);
+    });
+  }
+});
+
+test('splitText also cuts text without breaks and loses no words', () => {
+  const pieces = splitText('x'.repeat(250), 100);
+  assert.deepEqual(pieces.map(piece => piece.length), [100, 100, 50]);
+
+  const text = prose(30);
+  assert.equal(splitText(text, 120).join(' ').replace(/\s+/g, ' '), text.trim().replace(/\s+/g, ' '));
+});
+
+test('splitText prefers paragraph breaks', () => {
+  const [first] = splitText(`${'a '.repeat(30).trim()}\n\n${'b '.repeat(30).trim()}`, 100);
+  assert.equal(first, 'a '.repeat(30).trim());
+});
+
+test('chunkSections keeps chunks within maxChars and labels every section in them', () => {
+  const sections = [
+    { label: 'Page 1', page: 1, text: prose(3) },
+    { label: 'Page 2', page: 2, text: prose(40) },
+    { label: 'Page 3', page: 3, text: prose(2) }
+  ];
+  const maxChars = 500;
+  const chunks = chunkSections(sections, maxChars);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= maxChars, `${chunk.text.length} > ${maxChars}`);
+    assert.ok(chunk.labels.length > 0);
+    chunk.labels.forEach(label => assert.ok(chunk.text.includes(`[${label}]`)));
+    // Every piece of text follows a label
+    assert.ok(chunk.text.startsWith('['));
+  }
+  assert.deepEqual([...new Set(chunks.flatMap(chunk => chunk.labels))], ['Page 1', 'Page 2', 'Page 3']);
+  // A long section is split over several chunks and keeps its label in each
+  assert.ok(chunks.filter(chunk => chunk.labels.includes('Page 2')).length > 1);
+});
+
+test('htmlToSections starts a section at every top-level heading', () => {
+  const sections = htmlToSections([
+    '<p>Prepared for the spring marathon block.</p>',
+    '<h1>Week 1</h1><p>Easy runs only.</p><h3>Notes</h3><ul><li>Sleep 8 hours</li><li>Hydrate</li></ul>',
+    '<h2>Week 2</h2><p>Add strides &amp; hills.</p>'
+  ].join(''));
+
+  assert.deepEqual(sections, [
+    { label: 'Section 1', title: null, text: 'Prepared for the spring marathon block.' },
+    { label: 'Section 2', title: 'Week 1', text: '# Week 1\n\nEasy runs only.\n\n### Notes\n\n- Sleep 8 hours\n\n- Hydrate' },
+    { label: 'Section 3', title: 'Week 2', text: '## Week 2\n\nAdd strides & hills.' }
+  ]);
+});
+
+test('htmlToSections turns tables into Markdown', () => {
+  const [section] = htmlToSections(
+    '<h1>Paces</h1><table><tr><th>Run</th><th>Pace</th></tr>' +
+    '<tr><td><p>Easy</p></td><td>5:30 | 5:45</td></tr><tr><td>Tempo</td></tr></table>'
+  );
+
+  assert.equal(section.text, [
+    '# Paces',
+    '',
+    '| Run | Pace |',
+    '| --- | --- |',
+    '| Easy | 5:30 \\| 5:45 |',
+    '| Tempo |  |'
+  ].join('\n'));
+});
+
+test('parseDocumentReport attaches the page number of PDF findings', () => {
+  const sections = [
+    { label: 'Page 1', page: 1, text: 'Intro' },
+    { label: 'Page 4', page: 4, text: 'Intervals' }
+  ];
+  const content = JSON.stringify({
+    schemaVersion: DOCUMENT_SCHEMA_VERSION,
+    summary: 'A 12-week plan.',
+    findings: [
+      { finding: 'Long runs build to 32 km', location: 'Page 4' },
+      { finding: 'Starts with base building', location: 'Page 1' }
+    ]
+  });
+
+  const report = parseDocumentReport(content, { labels: ['Page 1', 'Page 4'], sections });
+  assert.deepEqual(report.findings.map(finding => finding.page), [4, 1]);
+  assert.equal(formatDocumentReport(report), 'A 12-week plan.\n\nFindings:\n- Long runs build to 32 km (Page 4)\n- Starts with base building (Page 1)');
+});
+
+test('parseDocumentReport leaves findings of documents without pages as they are', () => {
+  const content = JSON.stringify({
+    schemaVersion: DOCUMENT_SCHEMA_VERSION,
+    summary: 'Notes.',
+    findings: [{ finding: 'Mentions a sore calf', location: 'Section 2' }]
+  });
+  const report = parseDocumentReport(content, { labels: ['Section 1', 'Section 2'], sections: [{ label: 'Section 2', text: '' }] });
+  assert.deepEqual(report.findings, [{ finding: 'Mentions a sore calf', location: 'Section 2' }]);
+});
+
+test('parseDocumentReport rejects findings citing unknown sections', () => {
+  const content = JSON.stringify({
+    schemaVersion: DOCUMENT_SCHEMA_VERSION,
+    summary: 'Notes.',
+    findings: [{ finding: 'Made up', location: 'Page 9' }]
+  });
+  assert.throws(() => parseDocumentReport(content, { labels: ['Page 1'] }), AnalysisValidationError);
+});
@@ -0,0 +1,59 @@
+/**
+ * Shared test helpers: temporary directories and stand-ins for Express
+ * requests and responses, so middleware can be tested without a server.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Create a temporary directory that is removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} Directory path
+ */
+export function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runanalysis-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Response stand-in that records the status, headers and JSON body
+ * @returns {Object} With `statusCode`, `headers` and `body`
+ */
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+/**
+ * Run a middleware
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request stand-in
+ * @returns {{res: Object, nextCalled: boolean, error: *}} The response and whether `next` was called (and with what)
+ */
+export function runMiddleware(middleware, req) {
+  const res = mockResponse();
+  const outcome = { res, nextCalled: false, error: undefined };
+  middleware(req, res, error => {
+    outcome.nextCalled = true;
+    outcome.error = error;
+  });
+  return outcome;
+}
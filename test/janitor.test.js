@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { UploadJanitor, measurePath } from '../server/janitor.js';
+import { tempDir } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Create an upload of `bytes` bytes last modified `ageMs` ago
+function createEntry(dir, name, { bytes = 100, ageMs = 0, directory = false } = {}) {
+  const entryPath = path.join(dir, name);
+  const modified = new Date(Date.now() - ageMs);
+  if (directory) {
+    fs.mkdirSync(entryPath);
+    const framePath = path.join(entryPath, 'frame-1.jpg');
+    fs.writeFileSync(framePath, Buffer.alloc(bytes));
+    fs.utimesSync(framePath, modified, modified);
+  } else {
+    fs.writeFileSync(entryPath, Buffer.alloc(bytes));
+  }
+  fs.utimesSync(entryPath, modified, modified);
+  return path.resolve(entryPath);
+}
+
+function remaining(dir) {
+  return fs.readdirSync(dir).sort();
+}
+
+test('measurePath adds up the files of a directory tree', async t => {
+  const dir = tempDir(t);
+  createEntry(dir, 'frames', { bytes: 300, directory: true });
+  fs.writeFileSync(path.join(dir, 'frames', 'frame-2.jpg'), Buffer.alloc(200));
+
+  const usage = await measurePath(path.join(dir, 'frames'));
+  assert.equal(usage.bytes, 500);
+  assert.equal(usage.files, 2);
+});
+
+test('sweep removes entries older than the retention age', async t => {
+  const dir = tempDir(t);
+  createEntry(dir, 'old.mp4', { ageMs: 48 * HOUR_MS });
+  createEntry(dir, 'frames-old', { ageMs: 48 * HOUR_MS, directory: true });
+  createEntry(dir, 'new.mp4', { ageMs: HOUR_MS });
+
+  const janitor = new UploadJanitor({ dir, maxAgeMs: 24 * HOUR_MS, maxBytes: 0, intervalMs: 0 });
+  const result = await janitor.sweep();
+
+  assert.deepEqual(remaining(dir), ['new.mp4']);
+  assert.deepEqual(result.removed.map(entry => entry.reason), ['age', 'age']);
+  assert.equal(result.removedEntries, 2);
+  assert.equal(result.remainingBytes, 100);
+});
+
+test('sweep never removes entries in use', async t => {
+  const dir = tempDir(t);
+  const inUse = createEntry(dir, 'queued.mp4', { ageMs: 48 * HOUR_MS });
+  createEntry(dir, 'abandoned.mp4', { ageMs: 48 * HOUR_MS });
+
+  const janitor = new UploadJanitor({
+    dir,
+    maxAgeMs: 24 * HOUR_MS,
+    maxBytes: 0,
+    intervalMs: 0,
+    isInUse: entryPath => entryPath === inUse
+  });
+  await janitor.sweep();
+
+  assert.deepEqual(remaining(dir), ['queued.mp4']);
+});
+
+test('sweep removes the oldest entries until the directory fits its size budget', async t => {
+  const dir = tempDir(t);
+  createEntry(dir, 'oldest.mp4', { bytes: 400, ageMs: 5 * HOUR_MS });
+  createEntry(dir, 'older.mp4', { bytes: 400, ageMs: 4 * HOUR_MS });
+  createEntry(dir, 'newer.mp4', { bytes: 400, ageMs: 3 * HOUR_MS });
+  // Too young to be removed for size, as a request may still be writing it
+  createEntry(dir, 'uploading.mp4', { bytes: 400, ageMs: 0 });
+
+  const janitor = new UploadJanitor({ dir, maxAgeMs: 0, maxBytes: 1000, intervalMs: 0 });
+  const result = await janitor.sweep();
+
+  assert.deepEqual(remaining(dir), ['newer.mp4', 'uploading.mp4']);
+  assert.deepEqual(result.removed.map(entry => [entry.name, entry.reason]), [['oldest.mp4', 'size'], ['older.mp4', 'size']]);
+  assert.equal(result.remainingBytes, 800);
+});
+
+test('concurrent sweeps share one run', async t => {
+  const dir = tempDir(t);
+  createEntry(dir, 'old.mp4', { ageMs: 48 * HOUR_MS });
+
+  const janitor = new UploadJanitor({ dir, maxAgeMs: 24 * HOUR_MS, maxBytes: 0, intervalMs: 0 });
+  const [first, second] = await Promise.all([janitor.sweep(), janitor.sweep()]);
+  assert.equal(first, second);
+  assert.equal(first.removedEntries, 1);
+});
+
+test('stats reports the size of the directory and the entries in use', async t => {
+  const dir = tempDir(t);
+  const inUse = createEntry(dir, 'queued.mp4', { bytes: 250, ageMs: 2 * HOUR_MS });
+  createEntry(dir, 'frames-1', { bytes: 150, ageMs: HOUR_MS, directory: true });
+
+  const janitor = new UploadJanitor({ dir, maxAgeMs: 0, maxBytes: 0, intervalMs: 0, isInUse: entryPath => entryPath === inUse });
+  const stats = await janitor.stats();
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.files, 2);
+  assert.equal(stats.bytes, 400);
+  assert.equal(stats.inUse, 1);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { JobQueue, JOB_STATES } from '../server/jobs.js';
+import { tempDir } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function tempStore(t) {
+  return path.join(tempDir(t), 'jobs.json');
+}
+
+function storedJob(id, state, updatedAt) {
+  return {
+    id,
+    type: 'echo',
+    state,
+    progress: { percent: 0, message: '' },
+    input: { value: id },
+    result: null,
+    error: null,
+    createdAt: updatedAt,
+    updatedAt,
+    startedAt: null,
+    completedAt: null
+  };
+}
+
+function readStore(storePath) {
+  return JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+}
+
+test('restore drops finished jobs past the retention time and resumes unfinished ones', async t => {
+  const storePath = tempStore(t);
+  const now = Date.now();
+  fs.writeFileSync(storePath, JSON.stringify([
+    storedJob('old', JOB_STATES.COMPLETED, new Date(now - 2 * HOUR_MS).toISOString()),
+    storedJob('recent', JOB_STATES.FAILED, new Date(now - 1000).toISOString()),
+    storedJob('interrupted', JOB_STATES.RUNNING, new Date(now - 2 * HOUR_MS).toISOString()),
+    storedJob('orphaned', JOB_STATES.QUEUED, new Date(now - 1000).toISOString())
+  ]));
+
+  const queue = new JobQueue({ storePath, retentionMs: HOUR_MS });
+  queue.register('echo', async input => ({ echoed: input.value }));
+  queue.restore(job => job.id !== 'orphaned');
+
+  assert.equal(queue.get('old'), undefined);
+  assert.equal(queue.get('recent').state, JOB_STATES.FAILED);
+  assert.equal(queue.get('orphaned').state, JOB_STATES.FAILED);
+  assert.match(queue.get('orphaned').error, /no longer available/);
+
+  const resumed = await queue.wait('interrupted');
+  assert.equal(resumed.state, JOB_STATES.COMPLETED);
+  assert.deepEqual(resumed.result, { echoed: 'interrupted' });
+
+  await queue.writing;
+  assert.deepEqual(readStore(storePath).map(job => job.id).sort(), ['interrupted', 'orphaned', 'recent']);
+});
+
+test('restore starts empty when the store cannot be read', t => {
+  const storePath = tempStore(t);
+  fs.writeFileSync(storePath, '{ not json');
+
+  const queue = new JobQueue({ storePath });
+  queue.restore();
+  assert.equal(queue.jobs.size, 0);
+});
+
+test('finished jobs past the retention time are dropped while the queue runs', async t => {
+  const storePath = tempStore(t);
+  const queue = new JobQueue({ storePath, retentionMs: 50 });
+  queue.register('echo', async input => input);
+  queue.restore();
+
+  const first = queue.enqueue('echo', { value: 1 });
+  await queue.wait(first.id);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const second = queue.enqueue('echo', { value: 2 });
+  await queue.wait(second.id);
+  await queue.writing;
+
+  assert.equal(queue.get(first.id), undefined);
+  assert.deepEqual(readStore(storePath).map(job => job.id), [second.id]);
+});
+
+test('progress updates are batched into one write', async t => {
+  const storePath = tempStore(t);
+  const queue = new JobQueue({ storePath, persistDelayMs: 20 });
+  let release;
+  queue.register('slow', (input, { progress }) => {
+    for (let percent = 1; percent <= 50; percent++) progress(percent, `Step ${percent}`);
+    return new Promise(resolve => { release = resolve; });
+  });
+  queue.restore();
+  await queue.writing;
+
+  const job = queue.enqueue('slow', {});
+  await queue.writing;
+  const flush = t.mock.method(queue, 'flush');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(flush.mock.callCount(), 1);
+  await queue.writing;
+  assert.equal(readStore(storePath)[0].progress.percent, 50);
+
+  release({ done: true });
+  const finished = await queue.wait(job.id);
+  assert.equal(finished.state, JOB_STATES.COMPLETED);
+  await queue.writing;
+});
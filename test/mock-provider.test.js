@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, TASKS } from '../server/providers/index.js';
+import { buildAnalysisSchema, buildResponseFormat, parseAnalysisReport } from '../server/analysis-schema.js';
+import { buildDocumentSchema, parseDocumentReport } from '../server/documents.js';
+import { buildComparisonSchema, parseComparison } from '../server/comparison.js';
+import { getProfile, listProfiles, reportFormatName } from '../server/profiles.js';
+
+const provider = createProvider({ AI_PROVIDER: 'mock' });
+
+// A video analysis request for the given frames, labeled the way the server labels them
+function frameMessages(frameNumbers) {
+  return [
+    { role: 'system', content: 'Analyze the running form.' },
+    {
+      role: 'user',
+      content: frameNumbers.flatMap(frameNumber => [
+        { type: 'text', text: `Frame ${frameNumber} at ${(frameNumber - 1).toFixed(2)}s` },
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,' } }
+      ])
+    }
+  ];
+}
+
+for (const { id } of listProfiles()) {
+  test(`mock video analysis parses as a ${id} report`, async () => {
+    const profile = getProfile(id);
+    const frameNumbers = [1, 2, 3, 4, 5];
+    const { content } = await provider.complete({
+      task: TASKS.VIDEO_ANALYSIS,
+      messages: frameMessages(frameNumbers),
+      responseFormat: buildResponseFormat(buildAnalysisSchema(profile.categories), reportFormatName(profile))
+    });
+
+    const report = parseAnalysisReport(content, { categories: profile.categories, frameNumbers });
+    assert.deepEqual(report.categories.map(category => category.id), profile.categories.map(category => category.id));
+  });
+}
+
+test('mock video analysis only cites the frames and views of the request', async () => {
+  const frameNumbers = [1, 2];
+  const views = ['front'];
+  const { content } = await provider.complete({
+    task: TASKS.VIDEO_ANALYSIS,
+    messages: frameMessages(frameNumbers),
+    responseFormat: buildResponseFormat(buildAnalysisSchema(undefined, { views }))
+  });
+
+  const report = parseAnalysisReport(content, { frameNumbers, views });
+  assert.ok(report.frameFindings.every(finding => frameNumbers.includes(finding.frameNumber)));
+  assert.ok(report.categories.every(category => category.views.every(view => views.includes(view))));
+});
+
+for (const task of [TASKS.FILE_ANALYSIS, TASKS.DOCUMENT_CHUNK]) {
+  test(`mock ${task} parses as a document report citing the request's pages`, async () => {
+    const sections = [
+      { label: 'Page 1', page: 1, text: 'Week 1: three easy runs.' },
+      { label: 'Page 2', page: 2, text: 'Week 2: add strides.' }
+    ];
+    const labels = sections.map(section => section.label);
+    const { content } = await provider.complete({
+      task,
+      messages: [
+        { role: 'system', content: 'Summarize the document.' },
+        { role: 'user', content: sections.map(section => `[${section.label}]\n${section.text}`).join('\n\n') }
+      ],
+      responseFormat: buildResponseFormat(buildDocumentSchema(labels), 'document_report')
+    });
+
+    const report = parseDocumentReport(content, { labels, sections });
+    assert.ok(report.findings.every(finding => labels.includes(finding.location) && finding.page));
+  });
+}
+
+for (const { id } of listProfiles()) {
+  test(`mock comparison parses for the ${id} profile`, async () => {
+    const { categories } = getProfile(id);
+    const { content } = await provider.complete({
+      task: TASKS.COMPARISON,
+      messages: [
+        { role: 'system', content: 'Compare the two sessions.' },
+        { role: 'user', content: 'Baseline and follow-up reports.' }
+      ],
+      responseFormat: buildResponseFormat(buildComparisonSchema(categories), `${id.replace(/-/g, '_')}_form_comparison`)
+    });
+
+    const comparison = parseComparison(content, { categories });
+    assert.deepEqual(comparison.categories.map(category => category.id), categories.map(category => category.id));
+  });
+}
+
+test('mock text tasks answer with plain text', async () => {
+  for (const task of [TASKS.IMAGE_ANALYSIS, TASKS.VIDEO_SUMMARY]) {
+    const { content } = await provider.complete({ task, messages: [{ role: 'user', content: 'Describe it.' }] });
+    assert.equal(typeof content, 'string');
+    assert.ok(content.length > 0);
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CODES, RateLimiter, rateLimit } from '../server/rate-limit.js';
+import { runMiddleware } from './helpers.js';
+
+test('RateLimiter allows max requests per window and then refuses', () => {
+  const limiter = new RateLimiter({ max: 2, windowMs: 1000 });
+  assert.deepEqual(limiter.hit('a', 0), { allowed: true, remaining: 1, resetAt: 1000 });
+  assert.equal(limiter.hit('a', 10).allowed, true);
+  assert.deepEqual(limiter.hit('a', 20), { allowed: false, remaining: 0, resetAt: 1000 });
+  // Other keys have their own window
+  assert.equal(limiter.hit('b', 20).allowed, true);
+});
+
+test('RateLimiter starts a new window once the old one has ended', () => {
+  const limiter = new RateLimiter({ max: 1, windowMs: 1000 });
+  limiter.hit('a', 0);
+  assert.equal(limiter.hit('a', 500).allowed, false);
+
+  const next = limiter.hit('a', 1000);
+  assert.equal(next.allowed, true);
+  assert.equal(next.resetAt, 2000);
+});
+
+test('RateLimiter drops ended windows of idle clients', () => {
+  const limiter = new RateLimiter({ max: 5, windowMs: 1000 });
+  limiter.hit('idle', 0);
+  limiter.hit('active', 1500);
+  assert.deepEqual([...limiter.windows.keys()], ['active']);
+});
+
+test('RateLimiter with max 0 never refuses', () => {
+  const limiter = new RateLimiter({ max: 0, windowMs: 1000 });
+  for (let i = 0; i < 10; i++) assert.equal(limiter.hit('a').allowed, true);
+});
+
+test('rateLimit answers 429 with a code and Retry-After once the limit is hit', () => {
+  const middleware = rateLimit(new RateLimiter({ max: 1, windowMs: 60 * 1000 }), {
+    key: req => req.ip,
+    message: 'Too many requests.'
+  });
+
+  const first = runMiddleware(middleware, { ip: '10.0.0.1' });
+  assert.ok(first.nextCalled);
+  assert.equal(first.res.headers['RateLimit-Limit'], '1');
+  assert.equal(first.res.headers['RateLimit-Remaining'], '0');
+
+  const second = runMiddleware(middleware, { ip: '10.0.0.1' });
+  assert.equal(second.nextCalled, false);
+  assert.equal(second.res.statusCode, 429);
+  assert.equal(second.res.body.code, ERROR_CODES.RATE_LIMITED);
+  assert.equal(second.res.body.error, 'Too many requests.');
+  assert.equal(second.res.headers['Retry-After'], String(second.res.body.retryAfter));
+  assert.ok(second.res.body.retryAfter > 0 && second.res.body.retryAfter <= 60);
+});
+
+test('rateLimit lets requests without a key through', () => {
+  const middleware = rateLimit(new RateLimiter({ max: 1, windowMs: 1000 }), {
+    key: req => req.user?.email || null,
+    message: 'Too many analyses.'
+  });
+  for (let i = 0; i < 3; i++) {
+    assert.ok(runMiddleware(middleware, { user: null }).nextCalled);
+  }
+});
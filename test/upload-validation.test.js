@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  REJECTION_REASONS,
+  UploadValidationError,
+  detectFileType,
+  findEmbeddedFormat,
+  validateUpload
+} from '../server/upload-validation.js';
+import { tempDir } from './helpers.js';
+
+const EMPTY = Buffer.alloc(0);
+const ZIP_END = Buffer.from('504b0506000000000000000000000000000000000000', 'hex');
+
+function pngBuffer() {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toBuffer();
+}
+
+// Write an upload to a temporary directory, described like a multer file
+function upload(t, originalname, content, mimetype) {
+  const filePath = path.join(tempDir(t), 'upload');
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, originalname, mimetype, size: content.length };
+}
+
+async function assertRejected(promise, reason) {
+  await assert.rejects(promise, error => {
+    assert.ok(error instanceof UploadValidationError);
+    assert.equal(error.reason, reason);
+    return true;
+  });
+}
+
+test('detectFileType recognizes the accepted types by their magic bytes', () => {
+  const mp4 = Buffer.concat([Buffer.from('00000018', 'hex'), Buffer.from('ftypisom')]);
+  const mov = Buffer.concat([Buffer.from('00000014', 'hex'), Buffer.from('ftypqt  ')]);
+  const docxTail = Buffer.from('word/document.xml');
+
+  assert.equal(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), EMPTY), 'jpeg');
+  assert.equal(detectFileType(Buffer.from('89504e470d0a1a0a', 'hex'), EMPTY), 'png');
+  assert.equal(detectFileType(Buffer.from('GIF89a'), EMPTY), 'gif');
+  assert.equal(detectFileType(mp4, EMPTY), 'mp4');
+  assert.equal(detectFileType(mov, EMPTY), 'mov');
+  assert.equal(detectFileType(Buffer.from('RIFF\0\0\0\0AVI '), EMPTY), 'avi');
+  assert.equal(detectFileType(Buffer.from('1a45dfa3', 'hex'), EMPTY), 'matroska');
+  assert.equal(detectFileType(Buffer.from('%PDF-1.7'), EMPTY), 'pdf');
+  assert.equal(detectFileType(Buffer.from('504b0304', 'hex'), docxTail), 'docx');
+  assert.equal(detectFileType(Buffer.from('Easy run, 10 km, felt good.'), EMPTY), 'text');
+});
+
+test('detectFileType refuses other binaries and ZIP archives that are not Word documents', () => {
+  assert.equal(detectFileType(Buffer.from('4d5a900003000000', 'hex'), EMPTY), null);
+  assert.equal(detectFileType(Buffer.from('504b0304', 'hex'), Buffer.from('payload.exe')), null);
+});
+
+test('findEmbeddedFormat finds PDFs, ZIP archives and markup hidden in other files', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+  assert.equal(findEmbeddedFormat('jpeg', jpeg, EMPTY), null);
+  assert.equal(findEmbeddedFormat('jpeg', Buffer.concat([jpeg, Buffer.from('%PDF-1.4')]), EMPTY), 'a PDF document');
+  assert.equal(findEmbeddedFormat('jpeg', jpeg, ZIP_END), 'a ZIP archive');
+  assert.equal(findEmbeddedFormat('jpeg', Buffer.concat([jpeg, Buffer.from('<script>')]), EMPTY), 'HTML or script markup');
+  // Formats are not flagged for carrying their own markers
+  assert.equal(findEmbeddedFormat('docx', Buffer.from('504b0304', 'hex'), ZIP_END), null);
+  assert.equal(findEmbeddedFormat('text', Buffer.from('<html>'), EMPTY), null);
+});
+
+test('validateUpload accepts an intact image and sets the detected MIME type', async t => {
+  const file = upload(t, 'frame.png', await pngBuffer(), 'image/x-png');
+  await validateUpload(file);
+  assert.equal(file.mimetype, 'image/png');
+});
+
+test('validateUpload rejects empty files and unknown types', async t => {
+  await assertRejected(validateUpload(upload(t, 'frame.png', EMPTY, 'image/png')), REJECTION_REASONS.CORRUPT);
+  await assertRejected(
+    validateUpload(upload(t, 'tool.png', Buffer.from('4d5a900003000000', 'hex'), 'image/png')),
+    REJECTION_REASONS.UNKNOWN_TYPE
+  );
+});
+
+test('validateUpload rejects content that does not match the name or MIME type', async t => {
+  const png = await pngBuffer();
+  await assertRejected(validateUpload(upload(t, 'frame.jpg', png, 'image/jpeg')), REJECTION_REASONS.TYPE_MISMATCH);
+  await assertRejected(validateUpload(upload(t, 'frame.png', png, 'video/mp4')), REJECTION_REASONS.TYPE_MISMATCH);
+  await assertRejected(
+    validateUpload(upload(t, 'frame.png', Buffer.from('<html><script>alert(1)</script></html>'), 'image/png')),
+    REJECTION_REASONS.TYPE_MISMATCH
+  );
+});
+
+test('validateUpload rejects files of a category the route does not accept', async t => {
+  const file = upload(t, 'notes.txt', Buffer.from('Easy run'), 'text/plain');
+  await assertRejected(validateUpload(file, undefined, ['image']), REJECTION_REASONS.TYPE_MISMATCH);
+});
+
+test('validateUpload rejects polyglots', async t => {
+  const file = upload(t, 'frame.png', Buffer.concat([await pngBuffer(), ZIP_END]), 'image/png');
+  await assertRejected(validateUpload(file), REJECTION_REASONS.POLYGLOT);
+});
+
+test('validateUpload rejects images that do not decode or are too large', async t => {
+  const png = await pngBuffer();
+  await assertRejected(validateUpload(upload(t, 'frame.png', png.subarray(0, 40), 'image/png')), REJECTION_REASONS.CORRUPT);
+
+  const error = await validateUpload(upload(t, 'frame.png', png, 'image/png'), { maxImagePixels: 10 }).catch(rejection => rejection);
+  assert.equal(error.reason, REJECTION_REASONS.TOO_LARGE);
+  assert.equal(error.status, 413);
+});
+
+test('validateUpload rejects incomplete PDFs', async t => {
+  const file = upload(t, 'plan.pdf', Buffer.from('%PDF-1.7\n1 0 obj\n'), 'application/pdf');
+  await assertRejected(validateUpload(file), REJECTION_REASONS.CORRUPT);
+  await validateUpload(upload(t, 'plan.pdf', Buffer.from('%PDF-1.7\n1 0 obj\n%%EOF\n'), 'application/pdf'));
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { UsageStore, enforceQuota, estimateCost, meterProvider, parseQuota, runWithUsage } from '../server/usage.js';
+import { ERROR_CODES } from '../server/rate-limit.js';
+import { tempDir, runMiddleware } from './helpers.js';
+
+const PRICES = { 'gpt-4o': { input: 2.5, output: 10 } };
+
+// One call costing 1 USD: 400,000 input tokens at 2.5 USD per million
+const DOLLAR_CALL = { task: 'video', model: 'gpt-4o', usage: { prompt_tokens: 400000, completion_tokens: 0 } };
+
+function createStore(t, quotas) {
+  return new UsageStore({ storePath: path.join(tempDir(t), 'usage.jsonl'), prices: PRICES, quotas });
+}
+
+test('estimateCost prices dated models like their family and unknown models at 0', () => {
+  assert.equal(estimateCost('gpt-4o-2024-08-06', 1e6, 1e6, PRICES), 12.5);
+  assert.equal(estimateCost('unknown-model', 1e6, 1e6, PRICES), 0);
+});
+
+test('parseQuota reads amounts and refuses negative or non-numeric ones', () => {
+  assert.equal(parseQuota(''), null);
+  assert.equal(parseQuota(undefined), null);
+  assert.equal(parseQuota('2.5'), 2.5);
+  assert.throws(() => parseQuota('-1'), /non-negative/);
+  assert.throws(() => parseQuota('lots'), /non-negative/);
+});
+
+test('checkQuota passes until the spend reaches the daily quota', t => {
+  const store = createStore(t, { daily: 2 });
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+  assert.doesNotThrow(() => store.checkQuota('a@example.com'));
+
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+  assert.throws(() => store.checkQuota('a@example.com'), error => {
+    assert.equal(error.status, 429);
+    assert.equal(error.quota.period, 'daily');
+    assert.equal(error.quota.usedUsd, 2);
+    assert.ok(error.retryAfter > 0);
+    return true;
+  });
+  // Other users have their own quota
+  assert.doesNotThrow(() => store.checkQuota('b@example.com'));
+});
+
+test('checkQuota reports the monthly quota when both are used up', t => {
+  const store = createStore(t, { daily: 1, monthly: 1 });
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+  assert.throws(() => store.checkQuota('a@example.com'), error => error.quota.period === 'monthly');
+});
+
+test('the daily quota resets at midnight UTC', t => {
+  const store = createStore(t, { daily: 1 });
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  assert.doesNotThrow(() => store.checkQuota('a@example.com', tomorrow));
+});
+
+test('recorded usage survives a reload of the store', t => {
+  const store = createStore(t, { daily: 1 });
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+
+  const reloaded = new UsageStore({ storePath: store.storePath, prices: PRICES, quotas: { daily: 1 } });
+  reloaded.load();
+  assert.equal(reloaded.records.length, 1);
+  assert.throws(() => reloaded.checkQuota('a@example.com'));
+});
+
+test('enforceQuota answers 429 with a code, Retry-After and the quota', t => {
+  const store = createStore(t, { daily: 1 });
+  const middleware = enforceQuota(store);
+  const req = { user: { email: 'a@example.com' } };
+  assert.ok(runMiddleware(middleware, req).nextCalled);
+
+  store.record({ email: 'a@example.com', ...DOLLAR_CALL });
+  const { res, nextCalled } = runMiddleware(middleware, req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, ERROR_CODES.QUOTA_EXCEEDED);
+  assert.equal(res.body.quota.limitUsd, 1);
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('meterProvider refuses calls once the quota is used up mid-analysis', async t => {
+  const store = createStore(t, { daily: 2 });
+  let calls = 0;
+  const provider = meterProvider({
+    name: 'test',
+    async complete() {
+      calls++;
+      return { content: '{}', model: DOLLAR_CALL.model, usage: DOLLAR_CALL.usage };
+    }
+  }, store);
+
+  await runWithUsage({ email: 'a@example.com', jobId: 'job-1' }, async () => {
+    await provider.complete({ task: 'video' });
+    await provider.complete({ task: 'video' });
+    await assert.rejects(provider.complete({ task: 'video' }), error => {
+      assert.equal(error.status, 429);
+      assert.equal(error.code, ERROR_CODES.QUOTA_EXCEEDED);
+      return true;
+    });
+  });
+  assert.equal(calls, 2);
+  assert.deepEqual(store.records.map(record => record.jobId), ['job-1', 'job-1']);
+
+  // Calls outside a user's context are not limited
+  await provider.complete({ task: 'video' });
+  assert.equal(calls, 3);
+});